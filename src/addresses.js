@@ -19,11 +19,12 @@
  * For more project information, see <https://github.com/tmpim/krist>.
  */
 
-const chalk     = require("chalk");
-const utils     = require("./utils.js");
-const schemas   = require("./schemas.js");
-const database  = require("./database.js");
-const Sequelize = require("sequelize");
+const chalk      = require("chalk");
+const utils      = require("./utils.js");
+const schemas    = require("./schemas.js");
+const database   = require("./database.js");
+const signatures = require("./signatures.js");
+const Sequelize  = require("sequelize");
 const { Op, QueryTypes } = require("sequelize");
 
 const promClient = require("prom-client");
@@ -63,6 +64,24 @@ Addresses.getAddress = async function(address, fetchNames) {
   }
 };
 
+// Fetch the given addresses inside a database transaction, locking their rows
+// (SELECT ... FOR UPDATE) until the transaction completes. The rows are always
+// locked in the same order, so two transfers between the same pair of addresses
+// in opposite directions can't deadlock each other.
+Addresses.lockAddresses = function(addressList, t) {
+  return schemas.address.findAll({
+    where: { address: addressList },
+    order: [["address", "ASC"]],
+    lock: t.LOCK.UPDATE,
+    transaction: t
+  });
+};
+
+Addresses.lockAddress = async function(address, t) {
+  const [dbAddress] = await Addresses.lockAddresses([address], t);
+  return dbAddress || null;
+};
+
 Addresses.getAddresses = function(limit, offset) {
   return schemas.address.findAndCountAll({limit: utils.sanitiseLimit(limit), offset: utils.sanitiseOffset(offset)});
 };
@@ -136,6 +155,10 @@ Addresses.verify = async function(req, kristAddress, privatekey) {
   console.log(chalk`{cyan [Auth]} ({bold ${path}}) Auth attempt on address {bold ${kristAddress}} ${logDetails}`);
   promAddressesVerifiedCounter.inc({ type: "attempt" });
 
+  // Signed requests don't carry a privatekey, so authenticate them against the
+  // public key registered to the address instead
+  if (!privatekey) return Addresses.verifySigned(req, kristAddress);
+
   const hash = utils.sha256(kristAddress + privatekey);
   const address = await Addresses.getAddress(kristAddress);
   if (!address) { // Unseen address, create it
@@ -168,6 +191,41 @@ Addresses.verify = async function(req, kristAddress, privatekey) {
   }
 };
 
+Addresses.verifySigned = async function(req, kristAddress) {
+  const { path, logDetails } = utils.getLogDetails(req);
+
+  // Unseen addresses can't have a public key, so they can never be claimed
+  // with a signed request
+  const address = await Addresses.getAddress(kristAddress);
+  const authed = !!address && !address.locked && !!address.pubkey
+    && await signatures.verifyRequest(req, kristAddress, address.pubkey);
+
+  if (authed) Addresses.logAuth(req, kristAddress, "auth");
+  else console.log(chalk`{red [Auth]} ({bold ${path}}) Signed auth failed on address {bold ${kristAddress}} ${logDetails}`);
+
+  promAddressesVerifiedCounter.inc({ type: authed ? "authed" : "failed" });
+  return { authed, address };
+};
+
+/** Authenticates a request from a websocket session whose address was already
+ * authenticated with its privatekey when the session was started. */
+Addresses.verifySession = async function(req, kristAddress) {
+  const { path, logDetails } = utils.getLogDetails(req);
+
+  const address = await Addresses.getAddress(kristAddress);
+  const authed = !!address && !address.locked;
+
+  if (authed) Addresses.logAuth(req, kristAddress, "auth");
+  else console.log(chalk`{red [Auth]} ({bold ${path}}) Session auth failed on address {bold ${kristAddress}} ${logDetails}`);
+
+  promAddressesVerifiedCounter.inc({ type: authed ? "authed" : "failed" });
+  return { authed, address };
+};
+
+Addresses.setPublicKey = function(address, pubkey) {
+  return address.update({ pubkey: pubkey ? pubkey.toLowerCase() : null });
+};
+
 Addresses.addressToJSON = function(address) {
   return {
     address: address.address.toLowerCase(),
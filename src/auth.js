@@ -0,0 +1,63 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const krist      = require("./krist.js");
+const addresses  = require("./addresses.js");
+const signatures = require("./signatures.js");
+const tokens     = require("./tokens.js");
+
+function Auth() {}
+
+/** Whether the request carries any credentials at all: a legacy privatekey, a
+ * signature, or an API token. */
+Auth.hasCredentials = function(req, privatekey) {
+  return !!privatekey
+    || !!(req && req.sessionAddress)
+    || signatures.isSignedRequest(req)
+    || !!tokens.getBearerToken(req);
+};
+
+/**
+ * Authenticates a request with whichever credentials it carries, in order of
+ * preference: the legacy privatekey, a signature, then an API token. API tokens
+ * are only accepted when a `scope` is given, and the token must have it.
+ *
+ * Resolves to `{ authed, address, token }`, where `token` is only set when an
+ * API token was used.
+ */
+Auth.verify = async function(req, privatekey, scope) {
+  if (privatekey)
+    return addresses.verify(req, krist.makeV2Address(privatekey), privatekey);
+
+  // Websocket sessions started with a privatekey stay authenticated as its
+  // address, without keeping the privatekey around
+  if (req && req.sessionAddress) return addresses.verifySession(req, req.sessionAddress);
+
+  const signedAddress = signatures.getSignedAddress(req);
+  if (signedAddress) return addresses.verify(req, signedAddress);
+
+  const token = tokens.getBearerToken(req);
+  if (token && scope) return tokens.verify(req, token, scope);
+
+  return { authed: false };
+};
+
+module.exports = Auth;
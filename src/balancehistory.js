@@ -0,0 +1,166 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const schemas  = require("./schemas.js");
+const database = require("./database.js");
+const { Op, QueryTypes, UniqueConstraintError } = require("sequelize");
+
+// A checkpoint of an address's running balance is stored after every this
+// many of its transactions
+const CHECKPOINT_INTERVAL = 1000;
+// The most checkpoints created by one request, so that the first request for a
+// busy address doesn't take too long. Later requests will create the rest.
+const MAX_NEW_CHECKPOINTS = 50;
+// Transactions newer than this aren't checkpointed yet, as a transaction with
+// a lower ID could still be committed after them
+const CHECKPOINT_DELAY = 60 * 1000;
+
+// The supported history intervals, in seconds
+const INTERVALS = {
+  hour: 60 * 60,
+  day: 24 * 60 * 60,
+  week: 7 * 24 * 60 * 60
+};
+
+// The change that an address's transactions made to its balance. Mined
+// rewards only have a `to`, and name purchases are sent `to` "name", so both
+// are covered. Transactions to itself cancel out.
+const DELTA_SQL = "SUM(IF(`to` = :address, `value`, 0)) - SUM(IF(`from` = :address, `value`, 0))";
+const INVOLVED_SQL = "(`from` = :address OR `to` = :address)";
+
+function BalanceHistory() {}
+
+BalanceHistory.INTERVALS = INTERVALS;
+
+/** Creates any checkpoints missing from an address's balance history, up to
+ * {@link MAX_NEW_CHECKPOINTS} of them. */
+BalanceHistory.updateCheckpoints = async function(address) {
+  let last = await schemas.balanceCheckpoint.findOne({
+    where: { address },
+    order: [["transaction_id", "DESC"]]
+  });
+
+  for (let i = 0; i < MAX_NEW_CHECKPOINTS; i++) {
+    const rows = await schemas.transaction.findAll({
+      attributes: ["id", "from", "to", "value", "time"],
+      where: {
+        [Op.or]: [{ from: address }, { to: address }],
+        id: { [Op.gt]: last ? last.transaction_id : 0 },
+        time: { [Op.lt]: new Date(Date.now() - CHECKPOINT_DELAY) }
+      },
+      order: [["id", "ASC"]],
+      limit: CHECKPOINT_INTERVAL
+    });
+
+    // Only full batches are checkpointed, the rest are summed every time
+    if (rows.length < CHECKPOINT_INTERVAL) return;
+
+    const balance = rows.reduce((total, tx) => total
+      + (tx.to === address ? tx.value : 0)
+      - (tx.from === address ? tx.value : 0), last ? last.balance : 0);
+    const lastTx = rows[rows.length - 1];
+
+    try {
+      last = await schemas.balanceCheckpoint.create({
+        address,
+        transaction_id: lastTx.id,
+        time: lastTx.time,
+        balance
+      });
+    } catch (err) {
+      // Another request created the same checkpoint at the same time
+      if (err instanceof UniqueConstraintError) return;
+      throw err;
+    }
+  }
+};
+
+/** Returns an address's balance just before the given time. */
+BalanceHistory.getBalanceAt = async function(address, time) {
+  // Start from the last checkpoint before the time, then add the transactions
+  // made since it
+  const checkpoint = await schemas.balanceCheckpoint.findOne({
+    where: { address, time: { [Op.lt]: time } },
+    order: [["transaction_id", "DESC"]]
+  });
+
+  const [{ delta }] = await database.getSequelize().query(`
+    SELECT ${DELTA_SQL} AS \`delta\`
+    FROM \`transactions\`
+    WHERE ${INVOLVED_SQL} AND \`id\` > :after AND \`time\` < :time
+  `, {
+    replacements: { address, after: checkpoint ? checkpoint.transaction_id : 0, time },
+    type: QueryTypes.SELECT
+  });
+
+  return (checkpoint ? checkpoint.balance : 0) + Number(delta || 0);
+};
+
+/**
+ * Reconstructs an address's balance between `from` and `to`, split into
+ * periods of the given interval. For each period, returns the balance at the
+ * end of it, the change in balance during it, and the number of transactions
+ * made in it.
+ */
+BalanceHistory.getBalanceHistory = async function(address, from, to, interval) {
+  await BalanceHistory.updateCheckpoints(address);
+
+  const seconds = INTERVALS[interval];
+  const periods = Math.ceil((to.getTime() - from.getTime()) / 1000 / seconds);
+
+  const [startBalance, changes] = await Promise.all([
+    BalanceHistory.getBalanceAt(address, from),
+    database.getSequelize().query(`
+      SELECT
+        FLOOR(TIMESTAMPDIFF(SECOND, :from, \`time\`) / :seconds) AS \`period\`,
+        ${DELTA_SQL} AS \`delta\`,
+        COUNT(*) AS \`count\`
+      FROM \`transactions\`
+      WHERE ${INVOLVED_SQL} AND \`time\` >= :from AND \`time\` < :to
+      GROUP BY \`period\`
+    `, {
+      replacements: { address, from, to, seconds },
+      type: QueryTypes.SELECT
+    })
+  ]);
+
+  const byPeriod = new Map(changes.map(row => [Number(row.period), row]));
+
+  // Include the periods without any transactions, so the history is continuous
+  let balance = startBalance;
+  const history = [];
+  for (let i = 0; i < periods; i++) {
+    const row = byPeriod.get(i);
+    const change = row ? Number(row.delta) : 0;
+    balance += change;
+
+    history.push({
+      time: new Date(from.getTime() + i * seconds * 1000),
+      balance,
+      change,
+      transactions: row ? Number(row.count) : 0
+    });
+  }
+
+  return history;
+};
+
+module.exports = BalanceHistory;
@@ -0,0 +1,88 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const schemas  = require("./schemas.js");
+const database = require("./database.js");
+const { Op }   = require("sequelize");
+
+// Longer keys and values are still parsed, but aren't stored in the index, so
+// they can't be queried
+const MAX_KEY_LENGTH = 64;
+const MAX_VALUE_LENGTH = 255;
+
+/**
+ * CommonMeta is the metadata format used throughout the Krist ecosystem:
+ * semicolon-separated entries, which are either `key=value` pairs, or bare
+ * values such as the `name.kst` recipient that transactions to names are
+ * prefixed with.
+ */
+function CommonMeta() {}
+
+CommonMeta.MAX_KEY_LENGTH = MAX_KEY_LENGTH;
+CommonMeta.MAX_VALUE_LENGTH = MAX_VALUE_LENGTH;
+
+/** Parses the `key=value` pairs out of a transaction's metadata into an
+ * object. Bare values are skipped, and if a key is repeated, the last value
+ * is used. */
+CommonMeta.parse = function(metadata) {
+  if (!metadata || typeof metadata !== "string") return {};
+
+  const fields = new Map();
+  for (const entry of metadata.split(";")) {
+    const separator = entry.indexOf("=");
+    if (separator <= 0) continue; // Bare value or empty key
+
+    fields.set(entry.substring(0, separator), entry.substring(separator + 1));
+  }
+
+  // Object.fromEntries defines own properties, so a `__proto__` key is safe
+  return Object.fromEntries(fields);
+};
+
+/** Converts the parsed `fields` of a transaction into rows of the index,
+ * leaving out the ones too long to be stored. */
+CommonMeta.toRows = function(transactionID, fields) {
+  return Object.entries(fields)
+    .filter(([key, value]) => key.length <= MAX_KEY_LENGTH && value.length <= MAX_VALUE_LENGTH)
+    .map(([key, value]) => ({ transaction_id: transactionID, key, value }));
+};
+
+/** Stores the parsed `fields` of a newly created transaction in the index, so
+ * that it can be found with {@link CommonMeta.whereFields}. */
+CommonMeta.storeFields = async function(transactionID, fields, dbTx) {
+  const rows = CommonMeta.toRows(transactionID, fields);
+  if (!rows.length) return;
+
+  await schemas.transactionMeta.bulkCreate(rows, { transaction: dbTx });
+};
+
+/** Returns a where clause for transactions whose metadata contains every one
+ * of the given `key=value` pairs. */
+CommonMeta.whereFields = function(fields) {
+  const sq = database.getSequelize();
+
+  return { [Op.and]: Object.entries(fields).map(([key, value]) => ({
+    id: { [Op.in]: sq.literal(`(SELECT \`transaction_id\` FROM \`transactionmeta\`
+      WHERE \`key\` = ${sq.escape(key)} AND \`value\` = ${sq.escape(value)})`) }
+  }))};
+};
+
+module.exports = CommonMeta;
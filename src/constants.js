@@ -26,5 +26,6 @@ module.exports = {
   minWork: 100,
   maxWork: 100000,
   workFactor: 0.025,
-  secondsPerBlock: 60
+  secondsPerBlock: 60,
+  maxBatchTransactions: 100
 };
@@ -19,12 +19,28 @@
  * For more project information, see <https://github.com/tmpim/krist>.
  */
 
-const addresses = require("./../addresses.js");
-const krist     = require("./../krist.js");
-const errors    = require("./../errors/errors.js");
+const addresses      = require("./../addresses.js");
+const balanceHistory = require("./../balancehistory.js");
+const krist          = require("./../krist.js");
+const signatures     = require("./../signatures.js");
+const auth           = require("./../auth.js");
+const errors         = require("./../errors/errors.js");
+
+// The number of periods of balance history returned when `from` isn't given
+const DEFAULT_HISTORY_PERIODS = 30;
+// The most periods of balance history that can be requested at once
+const MAX_HISTORY_PERIODS = 1000;
 
 function AddressesController() {}
 
+function parseDate(date, parameter) {
+  const parsed = typeof date === "string" ? new Date(date) : null;
+  if (!parsed || isNaN(parsed.getTime()))
+    throw new errors.ErrorInvalidParameter(parameter);
+
+  return parsed;
+}
+
 AddressesController.getAddresses = function(limit, offset) {
   return new Promise(function(resolve, reject) {
     if ((limit && isNaN(limit)) || (limit && limit <= 0)) {
@@ -63,6 +79,31 @@ AddressesController.getAddress = async function(address, fetchNames) {
   return result;
 };
 
+AddressesController.getBalanceHistory = async function(address, from, to, interval) {
+  if (!krist.isValidKristAddress(address))
+    throw new errors.ErrorInvalidParameter("address");
+
+  interval = interval || "day";
+  if (typeof interval !== "string" || !Object.keys(balanceHistory.INTERVALS).includes(interval))
+    throw new errors.ErrorInvalidParameter("interval");
+  const intervalMs = balanceHistory.INTERVALS[interval] * 1000;
+
+  const toDate = to !== undefined ? parseDate(to, "to") : new Date();
+  const fromDate = from !== undefined
+    ? parseDate(from, "from")
+    : new Date(toDate.getTime() - DEFAULT_HISTORY_PERIODS * intervalMs);
+
+  if (fromDate >= toDate) throw new errors.ErrorInvalidParameter("from");
+  if ((toDate - fromDate) / intervalMs > MAX_HISTORY_PERIODS)
+    throw new errors.ErrorInvalidParameter("interval");
+
+  const dbAddress = await addresses.getAddress(address);
+  if (!dbAddress) throw new errors.ErrorAddressNotFound();
+
+  const history = await balanceHistory.getBalanceHistory(dbAddress.address, fromDate, toDate, interval);
+  return { from: fromDate, to: toDate, interval, history };
+};
+
 AddressesController.getAlert = function(privatekey) {
   return new Promise(function(resolve, reject) {
     const address = krist.makeV2Address(privatekey);
@@ -77,6 +118,22 @@ AddressesController.getAlert = function(privatekey) {
   });
 };
 
+AddressesController.setPublicKey = async function(req, privatekey, pubkey) {
+  // Input validation
+  if (!auth.hasCredentials(req, privatekey))
+    throw new errors.ErrorMissingParameter("privatekey");
+
+  // A blank public key removes it, disabling signed requests for the address
+  if (pubkey && !signatures.isValidPublicKey(pubkey))
+    throw new errors.ErrorInvalidParameter("pubkey");
+
+  // Address auth validation. API tokens may not be used here.
+  const { authed, address } = await auth.verify(req, privatekey);
+  if (!authed) throw new errors.ErrorAuthFailed();
+
+  return addresses.setPublicKey(address, pubkey);
+};
+
 AddressesController.addressToJSON = function(address) {
   return addresses.addressToJSON(address);
 };
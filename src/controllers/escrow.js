@@ -0,0 +1,131 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const escrow    = require("./../escrow.js");
+const addresses = require("./../addresses.js");
+const krist     = require("./../krist.js");
+const auth      = require("./../auth.js");
+const tokens    = require("./../tokens.js");
+const database  = require("./../database.js");
+const errors    = require("./../errors/errors.js");
+
+function EscrowController() {}
+
+EscrowController.getEscrow = async function(id) {
+  if (isNaN(id)) throw new errors.ErrorInvalidParameter("id");
+
+  const dbEscrow = await escrow.getEscrow(parseInt(id));
+  if (!dbEscrow) throw new errors.ErrorEscrowNotFound();
+  return dbEscrow;
+};
+
+EscrowController.getEscrowsByAddress = async function(address, limit, offset) {
+  if (!krist.isValidKristAddress(address)) throw new errors.ErrorInvalidParameter("address");
+  if ((limit && isNaN(limit)) || (limit && limit <= 0))
+    throw new errors.ErrorInvalidParameter("limit");
+  if ((offset && isNaN(offset)) || (offset && offset < 0))
+    throw new errors.ErrorInvalidParameter("offset");
+
+  const dbAddress = await addresses.getAddress(address);
+  if (!dbAddress) throw new errors.ErrorAddressNotFound();
+
+  return escrow.getEscrowsByAddress(dbAddress.address, limit, offset);
+};
+
+EscrowController.createEscrow = async function(req, privatekey, to, amount, metadata, arbiter, deadline, userAgent, origin) {
+  // Input validation
+  if (!auth.hasCredentials(req, privatekey))
+    throw new errors.ErrorMissingParameter("privatekey");
+  if (!to) throw new errors.ErrorMissingParameter("to");
+  if (!amount) throw new errors.ErrorMissingParameter("amount");
+
+  if (!krist.isValidKristAddress(to, true)) throw new errors.ErrorInvalidParameter("to");
+  if (isNaN(amount) || amount < 1) throw new errors.ErrorInvalidParameter("amount");
+  if (metadata && (typeof metadata !== "string" || !/^[\x20-\x7F\n]+$/i.test(metadata) || metadata.length > 255))
+    throw new errors.ErrorInvalidParameter("metadata");
+  if (arbiter && (!krist.isValidKristAddress(arbiter, true) || arbiter === to))
+    throw new errors.ErrorInvalidParameter("arbiter");
+
+  const deadlineDate = deadline ? new Date(deadline) : null;
+  if (deadlineDate && (isNaN(deadlineDate.getTime()) || deadlineDate <= new Date()))
+    throw new errors.ErrorInvalidParameter("deadline");
+
+  amount = parseInt(amount);
+
+  // Address auth validation
+  const { authed, address: sender, token } = await auth.verify(req, privatekey, "transactions:send");
+  if (!authed) throw new errors.ErrorAuthFailed();
+
+  if (sender.address === to) throw new errors.ErrorInvalidParameter("to");
+  if (sender.address === arbiter) throw new errors.ErrorInvalidParameter("arbiter");
+
+  // Reject insufficient funds early (this is checked again once the sender is
+  // locked)
+  if (sender.balance < amount) throw new errors.ErrorInsufficientFunds();
+  // Reject escrows that would exceed the API token's spend limit
+  if (token) tokens.checkSpendLimit(token, amount);
+
+  return database.getSequelize().transaction(async t => {
+    const dbSender = await addresses.lockAddress(sender.address, t);
+    if (!dbSender || dbSender.balance < amount) throw new errors.ErrorInsufficientFunds();
+
+    const dbEscrow = await escrow.createEscrow(dbSender, to, amount, metadata || null, arbiter || null,
+      deadlineDate, t, userAgent, origin);
+    if (token) await tokens.recordSpend(token, amount, t);
+    return dbEscrow;
+  });
+};
+
+/** Releases the escrow's funds to the recipient, or refunds them to the sender.
+ * The sender and the arbiter may release the funds. The recipient and the
+ * arbiter may refund them, as may the sender once the deadline has passed. */
+EscrowController.resolveEscrow = async function(req, privatekey, id, action) {
+  if (!auth.hasCredentials(req, privatekey))
+    throw new errors.ErrorMissingParameter("privatekey");
+  if (isNaN(id)) throw new errors.ErrorInvalidParameter("id");
+
+  // Address auth validation
+  const { authed, address } = await auth.verify(req, privatekey, "transactions:send");
+  if (!authed) throw new errors.ErrorAuthFailed();
+
+  return database.getSequelize().transaction(async t => {
+    const dbEscrow = await escrow.lockEscrow(parseInt(id), t);
+    if (!dbEscrow) throw new errors.ErrorEscrowNotFound();
+
+    const caller = address.address;
+    const isArbiter = !!dbEscrow.arbiter && dbEscrow.arbiter === caller;
+    const expired = !!dbEscrow.deadline && dbEscrow.deadline <= new Date();
+    const allowed = action === "release"
+      ? caller === dbEscrow.sender || isArbiter
+      : caller === dbEscrow.recipient || isArbiter || (caller === dbEscrow.sender && expired);
+    if (!allowed) throw new errors.ErrorNotEscrowParty();
+
+    if (dbEscrow.status !== "pending") throw new errors.ErrorEscrowResolved();
+
+    return escrow.resolveEscrow(dbEscrow, action, caller, t);
+  });
+};
+
+EscrowController.escrowToJSON = function(dbEscrow) {
+  return escrow.escrowToJSON(dbEscrow);
+};
+
+module.exports = EscrowController;
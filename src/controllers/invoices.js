@@ -0,0 +1,87 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const invoices     = require("./../invoices.js");
+const names        = require("./../names.js");
+const krist        = require("./../krist.js");
+const auth         = require("./../auth.js");
+const errors       = require("./../errors/errors.js");
+
+function InvoicesController() {}
+
+InvoicesController.getInvoice = async function(id) {
+  if (typeof id !== "string" || !/^[a-f0-9]{16}$/i.test(id))
+    throw new errors.ErrorInvalidParameter("id");
+
+  const dbInvoice = await invoices.getInvoice(id.toLowerCase());
+  if (!dbInvoice) throw new errors.ErrorInvoiceNotFound();
+  return dbInvoice;
+};
+
+InvoicesController.getInvoicePayments = function(dbInvoice) {
+  return invoices.getInvoicePayments(dbInvoice.id);
+};
+
+InvoicesController.createInvoice = async function(req, privatekey, to, amount, label, expires) {
+  // Input validation
+  if (!auth.hasCredentials(req, privatekey))
+    throw new errors.ErrorMissingParameter("privatekey");
+  if (!to) throw new errors.ErrorMissingParameter("to");
+  if (!amount) throw new errors.ErrorMissingParameter("amount");
+
+  if (typeof to !== "string") throw new errors.ErrorInvalidParameter("to");
+  const nameInfo = krist.nameMetaRegex.exec(to.toLowerCase());
+  if (!nameInfo && !krist.isValidKristAddress(to, true))
+    throw new errors.ErrorInvalidParameter("to");
+
+  if (isNaN(amount) || amount < 1) throw new errors.ErrorInvalidParameter("amount");
+  if (label && (typeof label !== "string" || !/^[\x20-\x7F\n]+$/i.test(label) || label.length > 255))
+    throw new errors.ErrorInvalidParameter("label");
+
+  const expiresDate = expires ? new Date(expires) : null;
+  if (expiresDate && (isNaN(expiresDate.getTime()) || expiresDate <= new Date()))
+    throw new errors.ErrorInvalidParameter("expires");
+
+  // Address auth validation
+  const { authed, address } = await auth.verify(req, privatekey, "invoices:create");
+  if (!authed) throw new errors.ErrorAuthFailed();
+
+  // Invoices may only be paid to the creator's own address, or a name they own
+  if (nameInfo) {
+    const dbName = await names.getNameByName(nameInfo[2]);
+    if (!dbName) throw new errors.ErrorNameNotFound();
+    if (dbName.owner !== address.address) throw new errors.ErrorNotNameOwner();
+
+    return invoices.createInvoice(address.address, null, nameInfo[1] || null, dbName.name,
+      parseInt(amount), label || null, expiresDate);
+  } else {
+    if (to !== address.address) throw new errors.ErrorInvalidParameter("to");
+
+    return invoices.createInvoice(address.address, to, null, null,
+      parseInt(amount), label || null, expiresDate);
+  }
+};
+
+InvoicesController.invoiceToJSON = function(dbInvoice) {
+  return invoices.invoiceToJSON(dbInvoice);
+};
+
+module.exports = InvoicesController;
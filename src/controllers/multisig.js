@@ -0,0 +1,165 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const multisig     = require("./../multisig.js");
+const addresses    = require("./../addresses.js");
+const krist        = require("./../krist.js");
+const auth         = require("./../auth.js");
+const database     = require("./../database.js");
+const txController = require("./transactions.js");
+const errors       = require("./../errors/errors.js");
+
+function MultisigController() {}
+
+function validateLimitOffset(limit, offset) {
+  if ((limit && isNaN(limit)) || (limit && limit <= 0))
+    throw new errors.ErrorInvalidParameter("limit");
+  if ((offset && isNaN(offset)) || (offset && offset < 0))
+    throw new errors.ErrorInvalidParameter("offset");
+}
+
+MultisigController.getMultisig = async function(address) {
+  if (!krist.isValidKristAddress(address, true)) throw new errors.ErrorInvalidParameter("address");
+
+  const dbMultisig = await multisig.getMultisig(address);
+  if (!dbMultisig) throw new errors.ErrorMultisigNotFound();
+  return dbMultisig;
+};
+
+MultisigController.getMembers = function(address) {
+  return multisig.getMembers(address);
+};
+
+MultisigController.getMultisigsByMember = async function(address, limit, offset) {
+  if (!krist.isValidKristAddress(address)) throw new errors.ErrorInvalidParameter("address");
+  validateLimitOffset(limit, offset);
+
+  const dbAddress = await addresses.getAddress(address);
+  if (!dbAddress) throw new errors.ErrorAddressNotFound();
+
+  return multisig.getMultisigsByMember(dbAddress.address, limit, offset);
+};
+
+MultisigController.getProposals = async function(address, status, limit, offset) {
+  const dbMultisig = await MultisigController.getMultisig(address);
+
+  if (status && !["pending", "executed"].includes(status))
+    throw new errors.ErrorInvalidParameter("status");
+  validateLimitOffset(limit, offset);
+
+  return multisig.getProposals(dbMultisig.address, status, limit, offset);
+};
+
+MultisigController.getProposal = async function(id) {
+  if (isNaN(id)) throw new errors.ErrorInvalidParameter("id");
+
+  const dbProposal = await multisig.getProposal(parseInt(id));
+  if (!dbProposal) throw new errors.ErrorProposalNotFound();
+  return dbProposal;
+};
+
+MultisigController.getApprovals = function(proposalIDs) {
+  return multisig.getApprovals(proposalIDs);
+};
+
+MultisigController.createMultisig = async function(req, privatekey, members, threshold, label) {
+  // Input validation
+  if (!auth.hasCredentials(req, privatekey))
+    throw new errors.ErrorMissingParameter("privatekey");
+  if (!members) throw new errors.ErrorMissingParameter("members");
+  if (!threshold) throw new errors.ErrorMissingParameter("threshold");
+
+  if (!Array.isArray(members) || members.length < 2 || members.length > multisig.MAX_MEMBERS
+    || new Set(members).size !== members.length
+    || members.find(m => typeof m !== "string" || !krist.isValidKristAddress(m, true)))
+    throw new errors.ErrorInvalidParameter("members");
+  if (isNaN(threshold) || threshold < 1 || threshold > members.length)
+    throw new errors.ErrorInvalidParameter("threshold");
+  if (label && (typeof label !== "string" || !/^[\x20-\x7F\n]+$/i.test(label) || label.length > 255))
+    throw new errors.ErrorInvalidParameter("label");
+
+  // Address auth validation. API tokens can't be used to create multisigs.
+  const { authed, address } = await auth.verify(req, privatekey);
+  if (!authed) throw new errors.ErrorAuthFailed();
+
+  // The creator must be one of the members
+  if (!members.includes(address.address)) throw new errors.ErrorInvalidParameter("members");
+
+  members = [...members].sort();
+  const dbMultisig = await database.getSequelize().transaction(t =>
+    multisig.createMultisig(address.address, members, parseInt(threshold), label || null, t));
+  return { multisig: dbMultisig, members };
+};
+
+/** Authenticates a member of the multisig for proposing or approving, which
+ * API tokens need separate scopes for. */
+async function verifyMember(req, privatekey, members, scope) {
+  const { authed, address } = await auth.verify(req, privatekey, scope);
+  if (!authed) throw new errors.ErrorAuthFailed();
+
+  if (!members.includes(address.address)) throw new errors.ErrorNotMultisigMember();
+  return address;
+}
+
+MultisigController.createProposal = async function(req, privatekey, address, to, amount, metadata, userAgent, origin) {
+  // Input validation
+  if (!auth.hasCredentials(req, privatekey))
+    throw new errors.ErrorMissingParameter("privatekey");
+
+  const dbMultisig = await MultisigController.getMultisig(address);
+  const transfer = txController.validateTransfer(to, amount, metadata);
+  if (transfer.to === dbMultisig.address) throw new errors.ErrorInvalidParameter("to");
+
+  const members = await multisig.getMembers(dbMultisig.address);
+  const proposer = await verifyMember(req, privatekey, members, "multisig:propose");
+
+  return database.getSequelize().transaction(t =>
+    multisig.createProposal(dbMultisig, members, proposer.address, transfer, t, userAgent, origin));
+};
+
+MultisigController.approveProposal = async function(req, privatekey, id, userAgent, origin) {
+  // Input validation
+  if (!auth.hasCredentials(req, privatekey))
+    throw new errors.ErrorMissingParameter("privatekey");
+
+  const { multisig: address } = await MultisigController.getProposal(id);
+  const dbMultisig = await multisig.getMultisig(address);
+  const members = await multisig.getMembers(address);
+  const member = await verifyMember(req, privatekey, members, "multisig:approve");
+
+  return database.getSequelize().transaction(async t => {
+    // Check the status again once the proposal is locked
+    const dbProposal = await multisig.lockProposal(parseInt(id), t);
+    if (dbProposal.status !== "pending") throw new errors.ErrorProposalExecuted();
+
+    return multisig.approveProposal(dbMultisig, members, dbProposal, member.address, t, userAgent, origin);
+  });
+};
+
+MultisigController.multisigToJSON = function(dbMultisig, members) {
+  return multisig.multisigToJSON(dbMultisig, members);
+};
+
+MultisigController.proposalToJSON = function(dbProposal, approvals) {
+  return multisig.proposalToJSON(dbProposal, approvals);
+};
+
+module.exports = MultisigController;
@@ -23,7 +23,11 @@ const names     = require("./../names.js");
 const addresses = require("./../addresses.js");
 const tx        = require("./../transactions.js");
 const krist     = require("./../krist.js");
+const auth      = require("./../auth.js");
+const tokens    = require("./../tokens.js");
+const database  = require("./../database.js");
 const errors    = require("./../errors/errors.js");
+const { UniqueConstraintError } = require("sequelize");
 
 function NamesController() {}
 
@@ -87,12 +91,13 @@ NamesController.getNamesByAddress = function(address, limit, offset) {
 NamesController.registerName = async function(req, desiredName, privatekey) {
   // Input validation
   if (!desiredName) throw new errors.ErrorMissingParameter("name");
-  if (!privatekey) throw new errors.ErrorMissingParameter("privatekey");
+  if (!auth.hasCredentials(req, privatekey))
+    throw new errors.ErrorMissingParameter("privatekey");
 
   if (!krist.isValidName(desiredName)) throw new errors.ErrorInvalidParameter("name");
 
   // Address auth validation
-  const { authed, address: dbAddress } = await addresses.verify(req, krist.makeV2Address(privatekey), privatekey);
+  const { authed, address: dbAddress, token } = await auth.verify(req, privatekey, "names:register");
   if (!authed) throw new errors.ErrorAuthFailed();
 
   // Check if the name already exists
@@ -102,19 +107,32 @@ NamesController.registerName = async function(req, desiredName, privatekey) {
   // Reject insufficient funds
   if (dbAddress.balance < names.getNameCost())
     throw new errors.ErrorInsufficientFunds();
+  // Reject purchases that would exceed the API token's spend limit
+  if (token) tokens.checkSpendLimit(token, names.getNameCost());
+
+  const dbName = await database.getSequelize().transaction(async t => {
+    // Lock the purchaser's row and check the balance again, now that nothing
+    // else can spend from this address at the same time
+    const dbLocked = await addresses.lockAddress(dbAddress.address, t);
+    if (!dbLocked || dbLocked.balance < names.getNameCost())
+      throw new errors.ErrorInsufficientFunds();
 
-  // Do these actions in parallel
-  const [,,, dbName] = await Promise.all([
     // Decrease the purchaser's balance and increase their totalout
-    dbAddress.decrement({ balance: names.getNameCost() }),
-    dbAddress.increment({ totalout: names.getNameCost() }),
+    await dbLocked.decrement({ balance: names.getNameCost() }, { transaction: t });
+    await dbLocked.increment({ totalout: names.getNameCost() }, { transaction: t });
 
     // Create the name transaction
-    tx.createTransaction("name", dbAddress.address, names.getNameCost(), desiredName, null),
+    await tx.createTransaction("name", dbAddress.address, names.getNameCost(), desiredName, null, t);
+
+    if (token) await tokens.recordSpend(token, names.getNameCost(), t);
 
     // Create the name itself
-    names.createName(desiredName, dbAddress.address)
-  ]);
+    return names.createName(desiredName, dbAddress.address, t);
+  }).catch(err => {
+    // The name was registered by a concurrent request after the check above
+    if (err instanceof UniqueConstraintError) throw new errors.ErrorNameTaken();
+    throw err;
+  });
 
   // Return the new name
   return dbName;
@@ -123,45 +141,50 @@ NamesController.registerName = async function(req, desiredName, privatekey) {
 NamesController.transferName = async function(req, name, privatekey, address) {
   // Input validation
   if (!name) throw new errors.ErrorMissingParameter("name");
-  if (!privatekey) throw new errors.ErrorMissingParameter("privatekey");
+  if (!auth.hasCredentials(req, privatekey))
+    throw new errors.ErrorMissingParameter("privatekey");
   if (!address) throw new errors.ErrorMissingParameter("address");
 
   if (!krist.isValidName(name)) throw new errors.ErrorInvalidParameter("name");
   if (!krist.isValidKristAddress(address, true)) throw new errors.ErrorInvalidParameter("address");
 
   // Address auth validation
-  const { authed, address: dbAddress } = await addresses.verify(req, krist.makeV2Address(privatekey), privatekey);
+  const { authed, address: dbAddress } = await auth.verify(req, privatekey, "names:transfer");
   if (!authed) throw new errors.ErrorAuthFailed();
 
-  // Get the name from the database
-  const dbName = await names.getNameByName(name);
-  if (!dbName) throw new errors.ErrorNameNotFound();
-  if (dbName.owner !== dbAddress.address) throw new errors.ErrorNotNameOwner();
+  return database.getSequelize().transaction(async t => {
+    // Lock both addresses, then the name, so that the ownership check can't
+    // race with another transfer or update of the same name
+    const locked = await addresses.lockAddresses([dbAddress.address, address], t);
+    const dbSender = locked.find(a => a.address === dbAddress.address);
+
+    // Get the name from the database
+    const dbName = await names.lockName(name, t);
+    if (!dbName) throw new errors.ErrorNameNotFound();
+    if (dbName.owner !== dbAddress.address) throw new errors.ErrorNotNameOwner();
 
-  // Disallow "bumping" names, don't change anything and respond as usual
-  if (dbName.owner === address) return dbName;
+    // Disallow "bumping" names, don't change anything and respond as usual
+    if (dbName.owner === address) return dbName;
 
-  // Do these actions in parallel
-  await Promise.all([
     // Update the name's owner
     // NOTE: original_owner is only updated if it was previously null. There's
     //       only a small number of names that the original owner couldn't be
     //       found for.
-    dbName.update({
+    await dbName.update({
       owner: address,
       updated: new Date(),
 
       // If the name did not have an original owner for some reason, use the
       // current owner.
       ...(dbName.original_owner ? {} : { original_owner: dbName.owner })
-    }),
+    }, { transaction: t });
 
     // Add a name meta transaction
-    tx.pushTransaction(dbAddress, address, 0, null, dbName.name)
-  ]);
+    await tx.pushTransaction(dbSender, address, 0, null, dbName.name, t);
 
-  // Return the updated name
-  return dbName.reload();
+    // Return the updated name
+    return dbName.reload({ transaction: t });
+  });
 };
 
 NamesController.updateName = async function(req, name, privatekey, a) {
@@ -169,37 +192,41 @@ NamesController.updateName = async function(req, name, privatekey, a) {
 
   // Input validation
   if (!name) throw new errors.ErrorMissingParameter("name");
-  if (!privatekey) throw new errors.ErrorMissingParameter("privatekey");
+  if (!auth.hasCredentials(req, privatekey))
+    throw new errors.ErrorMissingParameter("privatekey");
 
   if (!krist.isValidName(name)) throw new errors.ErrorInvalidParameter("name");
   if (a.trim() && !krist.isValidARecord(a)) throw new errors.ErrorInvalidParameter("a");
 
   // Address auth validation
-  const { authed, address: dbAddress } = await addresses.verify(req, krist.makeV2Address(privatekey), privatekey);
+  const { authed, address: dbAddress } = await auth.verify(req, privatekey, "names:update");
   if (!authed) throw new errors.ErrorAuthFailed();
 
-  // Get the name from the database
-  const dbName = await names.getNameByName(name);
-  if (!dbName) throw new errors.ErrorNameNotFound();
-  if (dbName.owner !== dbAddress.address) throw new errors.ErrorNotNameOwner();
+  return database.getSequelize().transaction(async t => {
+    // Lock the owner's row, then the name, so that the ownership check can't
+    // race with a transfer of the same name
+    await addresses.lockAddress(dbAddress.address, t);
 
-  // Disallow "bumping" names, don't change anything and respond as usual
-  if (dbName.a === a) return dbName;
+    // Get the name from the database
+    const dbName = await names.lockName(name, t);
+    if (!dbName) throw new errors.ErrorNameNotFound();
+    if (dbName.owner !== dbAddress.address) throw new errors.ErrorNotNameOwner();
+
+    // Disallow "bumping" names, don't change anything and respond as usual
+    if (dbName.a === a) return dbName;
 
-  // Do these actions in parallel
-  await Promise.all([
     // Update the name's A record
-    dbName.update({
+    await dbName.update({
       a,
       updated: new Date()
-    }),
+    }, { transaction: t });
 
     // Add a name meta transaction
-    tx.createTransaction("a", dbName.owner, 0, dbName.name, a)
-  ]);
+    await tx.createTransaction("a", dbName.owner, 0, dbName.name, a, t);
 
-  // Return the updated name
-  return dbName.reload();
+    // Return the updated name
+    return dbName.reload({ transaction: t });
+  });
 };
 
 NamesController.nameToJSON = function(name) {
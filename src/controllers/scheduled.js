@@ -0,0 +1,119 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const scheduled    = require("./../scheduled.js");
+const auth         = require("./../auth.js");
+const txController = require("./transactions.js");
+const errors       = require("./../errors/errors.js");
+
+function ScheduledController() {}
+
+/** Authenticates the owner of the scheduled transactions. API tokens can't be
+ * used here, as a schedule would keep spending after the token was revoked or
+ * had expired. */
+async function verifyOwner(req, privatekey) {
+  if (!auth.hasCredentials(req, privatekey))
+    throw new errors.ErrorMissingParameter("privatekey");
+
+  const { authed, address } = await auth.verify(req, privatekey);
+  if (!authed) throw new errors.ErrorAuthFailed();
+
+  return address;
+}
+
+async function getOwnScheduled(address, id) {
+  if (isNaN(id)) throw new errors.ErrorInvalidParameter("id");
+
+  const dbScheduled = await scheduled.getScheduledByID(address.address, parseInt(id));
+  if (!dbScheduled) throw new errors.ErrorScheduledNotFound();
+  return dbScheduled;
+}
+
+function validateLimitOffset(limit, offset) {
+  if ((limit && isNaN(limit)) || (limit && limit <= 0))
+    throw new errors.ErrorInvalidParameter("limit");
+  if ((offset && isNaN(offset)) || (offset && offset < 0))
+    throw new errors.ErrorInvalidParameter("offset");
+}
+
+ScheduledController.createScheduled = async function(req, privatekey, to, amount, metadata, runAt, interval, maxRuns) {
+  // Input validation
+  if (!auth.hasCredentials(req, privatekey))
+    throw new errors.ErrorMissingParameter("privatekey");
+
+  const transfer = txController.validateTransfer(to, amount, metadata);
+
+  // Run straight away (on the next tick) if no time was given
+  const runAtDate = runAt ? new Date(runAt) : new Date();
+  if (isNaN(runAtDate.getTime()) || runAtDate < new Date(Date.now() - 60000))
+    throw new errors.ErrorInvalidParameter("run_at");
+
+  if (interval && !Object.prototype.hasOwnProperty.call(scheduled.INTERVALS, interval))
+    throw new errors.ErrorInvalidParameter("interval");
+
+  const hasMaxRuns = maxRuns !== undefined && maxRuns !== null && maxRuns !== "";
+  if (hasMaxRuns && (isNaN(maxRuns) || maxRuns < 1))
+    throw new errors.ErrorInvalidParameter("max_runs");
+
+  const address = await verifyOwner(req, privatekey);
+
+  if (await scheduled.getActiveCountByAddress(address.address) >= scheduled.MAX_SCHEDULED_PER_ADDRESS)
+    throw new errors.ErrorTooManyScheduled();
+
+  // Make sure the name exists now, it's resolved to its owner again on each run
+  await txController.resolveTransfer(transfer);
+
+  return scheduled.createScheduled(address.address, transfer, runAtDate, interval,
+    hasMaxRuns ? parseInt(maxRuns) : null);
+};
+
+ScheduledController.getScheduled = async function(req, privatekey, limit, offset) {
+  validateLimitOffset(limit, offset);
+
+  const address = await verifyOwner(req, privatekey);
+  return scheduled.getScheduledByAddress(address.address, limit, offset);
+};
+
+ScheduledController.getFailures = async function(req, privatekey, id, limit, offset) {
+  validateLimitOffset(limit, offset);
+
+  const address = await verifyOwner(req, privatekey);
+  const dbScheduled = await getOwnScheduled(address, id);
+  return scheduled.getFailures(dbScheduled.id, limit, offset);
+};
+
+ScheduledController.deleteScheduled = async function(req, privatekey, id) {
+  const address = await verifyOwner(req, privatekey);
+  const dbScheduled = await getOwnScheduled(address, id);
+
+  await scheduled.deleteScheduled(dbScheduled);
+  return dbScheduled;
+};
+
+ScheduledController.scheduledToJSON = function(dbScheduled) {
+  return scheduled.scheduledToJSON(dbScheduled);
+};
+
+ScheduledController.failureToJSON = function(dbFailure) {
+  return scheduled.failureToJSON(dbFailure);
+};
+
+module.exports = ScheduledController;
@@ -0,0 +1,75 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const stats  = require("./../stats.js");
+const errors = require("./../errors/errors.js");
+
+// The number of periods returned when `from` isn't given
+const DEFAULT_PERIODS = 30;
+// The most periods that can be requested at once
+const MAX_PERIODS = 1000;
+// The most periods of top senders and receivers that can be requested at once
+const MAX_TOP_PERIODS = 100;
+
+function StatsController() {}
+
+/** Validates the interval and time range of a statistics request. `from` and
+ * `to` are rounded down to the start of their periods. */
+function parseRange(from, to, interval, maxPeriods) {
+  interval = interval || "day";
+  if (typeof interval !== "string" || !Object.prototype.hasOwnProperty.call(stats.INTERVALS, interval))
+    throw new errors.ErrorInvalidParameter("interval");
+  const intervalMs = stats.INTERVALS[interval] * 1000;
+
+  const toDate = to !== undefined ? new Date(to) : new Date();
+  if (typeof to === "object" || isNaN(toDate.getTime()))
+    throw new errors.ErrorInvalidParameter("to");
+
+  const fromDate = from !== undefined
+    ? new Date(from)
+    : new Date(toDate.getTime() - (DEFAULT_PERIODS - 1) * intervalMs);
+  if (typeof from === "object" || isNaN(fromDate.getTime()))
+    throw new errors.ErrorInvalidParameter("from");
+
+  const fromPeriod = stats.getPeriodStart(fromDate, interval);
+  const toPeriod = stats.getPeriodStart(toDate, interval);
+
+  if (fromPeriod > toPeriod) throw new errors.ErrorInvalidParameter("from");
+  if ((toPeriod - fromPeriod) / intervalMs + 1 > maxPeriods)
+    throw new errors.ErrorInvalidParameter("interval");
+
+  // Include the period `to` is in
+  return { interval, from: fromPeriod, to: new Date(toPeriod.getTime() + intervalMs) };
+}
+
+StatsController.getStats = async function(from, to, interval) {
+  const range = parseRange(from, to, interval, MAX_PERIODS);
+  const periods = await stats.getPeriods(range.interval, range.from, range.to);
+  return { ...range, periods };
+};
+
+StatsController.getTopAddresses = async function(from, to, interval) {
+  const range = parseRange(from, to, interval, MAX_TOP_PERIODS);
+  const periods = await stats.getTopAddresses(range.interval, range.from, range.to);
+  return { ...range, periods };
+};
+
+module.exports = StatsController;
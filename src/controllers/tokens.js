@@ -0,0 +1,105 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const tokens = require("./../tokens.js");
+const auth   = require("./../auth.js");
+const errors = require("./../errors/errors.js");
+
+function TokensController() {}
+
+/** Accepts either an array of scopes or a comma-separated string, returning a
+ * deduplicated array of them, or throwing if any are invalid. */
+function parseScopes(scopes) {
+  if (typeof scopes === "string") scopes = scopes.split(",");
+  if (!Array.isArray(scopes) || !scopes.length)
+    throw new errors.ErrorInvalidParameter("scopes");
+
+  const out = [...new Set(scopes.map(s => typeof s === "string" ? s.trim() : s))];
+  if (out.some(s => !tokens.VALID_SCOPES.includes(s)))
+    throw new errors.ErrorInvalidParameter("scopes");
+
+  return out;
+}
+
+/** Authenticates the owner of the tokens. API tokens can't be used to manage
+ * other tokens, only the privatekey or a signed request. */
+async function verifyOwner(req, privatekey) {
+  if (!auth.hasCredentials(req, privatekey))
+    throw new errors.ErrorMissingParameter("privatekey");
+
+  const { authed, address } = await auth.verify(req, privatekey);
+  if (!authed) throw new errors.ErrorAuthFailed();
+
+  return address;
+}
+
+TokensController.createToken = async function(req, privatekey, scopes, spendLimit, expires, label) {
+  // Input validation
+  if (!scopes) throw new errors.ErrorMissingParameter("scopes");
+  const parsedScopes = parseScopes(scopes);
+
+  const hasSpendLimit = spendLimit !== undefined && spendLimit !== null && spendLimit !== "";
+  if (hasSpendLimit && (isNaN(spendLimit) || spendLimit < 0))
+    throw new errors.ErrorInvalidParameter("spend_limit");
+
+  const expiresDate = expires ? new Date(expires) : null;
+  if (expiresDate && (isNaN(expiresDate.getTime()) || expiresDate <= new Date()))
+    throw new errors.ErrorInvalidParameter("expires");
+
+  if (label && (typeof label !== "string" || !/^[\x20-\x7F]+$/.test(label) || label.length > 64))
+    throw new errors.ErrorInvalidParameter("label");
+
+  const address = await verifyOwner(req, privatekey);
+
+  if (await tokens.getTokenCountByAddress(address.address) >= tokens.MAX_TOKENS_PER_ADDRESS)
+    throw new errors.ErrorTooManyTokens();
+
+  return tokens.createToken(
+    address.address,
+    parsedScopes,
+    hasSpendLimit ? parseInt(spendLimit) : null,
+    expiresDate,
+    label || null
+  );
+};
+
+TokensController.getTokens = async function(req, privatekey) {
+  const address = await verifyOwner(req, privatekey);
+  return tokens.getTokensByAddress(address.address);
+};
+
+TokensController.deleteToken = async function(req, privatekey, id) {
+  if (isNaN(id)) throw new errors.ErrorInvalidParameter("id");
+
+  const address = await verifyOwner(req, privatekey);
+
+  const dbToken = await tokens.getTokenByID(address.address, parseInt(id));
+  if (!dbToken) throw new errors.ErrorTokenNotFound();
+
+  await dbToken.destroy();
+  return dbToken;
+};
+
+TokensController.tokenToJSON = function(dbToken) {
+  return tokens.tokenToJSON(dbToken);
+};
+
+module.exports = TokensController;
@@ -19,15 +19,20 @@
  * For more project information, see <https://github.com/tmpim/krist>.
  */
 
-const transactions = require("./../transactions.js");
-const addresses    = require("./../addresses.js");
-const krist        = require("./../krist.js");
-const names        = require("./../names.js");
-const errors       = require("./../errors/errors.js");
+const transactions      = require("./../transactions.js");
+const transactionExport = require("./../transactionexport.js");
+const addresses         = require("./../addresses.js");
+const krist             = require("./../krist.js");
+const names             = require("./../names.js");
+const auth              = require("./../auth.js");
+const tokens            = require("./../tokens.js");
+const database          = require("./../database.js");
+const constants         = require("./../constants.js");
+const errors            = require("./../errors/errors.js");
 
 function TransactionsController() {}
 
-TransactionsController.getTransactions = function (limit, offset, asc, includeMined) {
+TransactionsController.getTransactions = function (limit, offset, asc, includeMined, cursor) {
   return new Promise(function(resolve, reject) {
     if ((limit && isNaN(limit)) || (limit && limit <= 0)) {
       return reject(new errors.ErrorInvalidParameter("limit"));
@@ -37,11 +42,11 @@ TransactionsController.getTransactions = function (limit, offset, asc, includeMi
       return reject(new errors.ErrorInvalidParameter("offset"));
     }
 
-    transactions.getTransactions(limit, offset, asc, includeMined).then(resolve).catch(reject);
+    transactions.getTransactions(limit, offset, asc, includeMined, cursor).then(resolve).catch(reject);
   });
 };
 
-TransactionsController.getTransactionsByAddress = function(address, limit, offset, includeMined) {
+TransactionsController.getTransactionsByAddress = function(address, limit, offset, includeMined, cursor) {
   return new Promise(function(resolve, reject) {
     if ((limit && isNaN(limit)) || (limit && limit <= 0)) {
       return reject(new errors.ErrorInvalidParameter("limit"));
@@ -53,7 +58,7 @@ TransactionsController.getTransactionsByAddress = function(address, limit, offse
 
     addresses.getAddress(address).then(function(addr) {
       if (addr) {
-        transactions.getTransactionsByAddress(addr.address, limit, offset, includeMined).then(resolve).catch(reject);
+        transactions.getTransactionsByAddress(addr.address, limit, offset, includeMined, false, undefined, undefined, cursor).then(resolve).catch(reject);
       } else {
         reject(new errors.ErrorAddressNotFound());
       }
@@ -61,6 +66,33 @@ TransactionsController.getTransactionsByAddress = function(address, limit, offse
   });
 };
 
+/** Validates the parameters of a transaction history export, and fetches the
+ * exported address. */
+TransactionsController.validateExport = async function(address, format, from, to) {
+  if (!krist.isValidKristAddress(address))
+    throw new errors.ErrorInvalidParameter("address");
+
+  format = format || "csv";
+  if (typeof format !== "string" || !Object.prototype.hasOwnProperty.call(transactionExport.FORMATS, format))
+    throw new errors.ErrorInvalidParameter("format");
+
+  const fromDate = from !== undefined ? new Date(from) : null;
+  if (fromDate && (typeof from !== "string" || isNaN(fromDate.getTime())))
+    throw new errors.ErrorInvalidParameter("from");
+
+  const toDate = to !== undefined ? new Date(to) : null;
+  if (toDate && (typeof to !== "string" || isNaN(toDate.getTime())))
+    throw new errors.ErrorInvalidParameter("to");
+
+  if (fromDate && toDate && fromDate >= toDate)
+    throw new errors.ErrorInvalidParameter("from");
+
+  const dbAddress = await addresses.getAddress(address);
+  if (!dbAddress) throw new errors.ErrorAddressNotFound();
+
+  return { dbAddress, format, from: fromDate, to: toDate };
+};
+
 TransactionsController.getTransaction = function(id) {
   return new Promise(function(resolve, reject) {
     if (isNaN(id)) {
@@ -79,11 +111,13 @@ TransactionsController.getTransaction = function(id) {
   });
 };
 
-TransactionsController.makeTransaction = async function(req, privatekey, to, amount, metadata, userAgent, origin) {
-  // Input validation
-  if (!privatekey) throw new errors.ErrorMissingParameter("privatekey");
-  if (!to) throw new errors.ErrorMissingParameter("to");
-  if (!amount) throw new errors.ErrorMissingParameter("amount");
+/** Validates a single transfer's recipient, amount and metadata, and works out
+ * the name it should be paid to, if any. The prefix is prepended to the names of
+ * any invalid parameters, to point at the offending entry of a batch. */
+TransactionsController.validateTransfer = function(to, amount, metadata, prefix = "") {
+  if (!to) throw new errors.ErrorMissingParameter(prefix + "to");
+  if (!amount) throw new errors.ErrorMissingParameter(prefix + "amount");
+  if (typeof to !== "string") throw new errors.ErrorInvalidParameter(prefix + "to");
 
   // Check if we're paying to a name
   const isName = krist.nameMetaRegex.test(to.toLowerCase());
@@ -96,44 +130,152 @@ TransactionsController.makeTransaction = async function(req, privatekey, to, amo
 
   // Verify this is a valid v2 address
   if (!isName && !krist.isValidKristAddress(to, true))
-    throw new errors.ErrorInvalidParameter("to");
+    throw new errors.ErrorInvalidParameter(prefix + "to");
+
+  if (isNaN(amount) || amount < 1) throw new errors.ErrorInvalidParameter(prefix + "amount");
+  if (metadata && (typeof metadata !== "string" || !/^[\x20-\x7F\n]+$/i.test(metadata) || metadata.length > 255))
+    throw new errors.ErrorInvalidParameter(prefix + "metadata");
+
+  const transfer = { to, amount: parseInt(amount), metadata };
+  if (!isName && !metadataIsName) return transfer;
 
-  if (isNaN(amount) || amount < 1) throw new errors.ErrorInvalidParameter("amount");
-  if (metadata && (!/^[\x20-\x7F\n]+$/i.test(metadata) || metadata.length > 255))
-    throw new errors.ErrorInvalidParameter("metadata");
+  // Add the original name spec to the metadata
+  if (isName) {
+    if (metadata) { // Append with a semicolon if we already have metadata
+      transfer.metadata = to.toLowerCase() + ";" + metadata;
+    } else { // Set new metadata otherwise
+      transfer.metadata = to.toLowerCase();
+    }
+  }
+
+  transfer.metaname = isName ? nameInfo[1] : metadataNameInfo[1];
+  transfer.name = isName ? nameInfo[2] : metadataNameInfo[2];
+  return transfer;
+};
+
+/** Finds the address a validated transfer should be paid to. If this is a
+ * name, pay to the owner of the name. */
+TransactionsController.resolveTransfer = async function(transfer) {
+  if (!transfer.name) return { ...transfer, recipient: transfer.to };
+
+  // Fetch the name
+  const dbName = await names.getNameByName(transfer.name);
+  if (!dbName) throw new errors.ErrorNameNotFound();
+
+  return { ...transfer, recipient: dbName.owner, sentName: dbName.name };
+};
+
+/** Returns a transaction that was already made with a request's ID, if any.
+ * Throws if it doesn't match the request, as the ID was probably reused for a
+ * different payment by mistake. Payments to names are compared by their
+ * metadata, which contains the name, as the name may have changed owner since. */
+async function getRetriedTransaction(sender, requestID, transfer, t) {
+  const existing = await transactions.getTransactionByRequestID(sender, requestID, t);
+  if (!existing) return null;
+
+  if (existing.value !== transfer.amount
+    || (existing.op || null) !== (transfer.metadata || null)
+    || (!transfer.name && existing.to !== transfer.to))
+    throw new errors.ErrorInvalidParameter("request_id");
+
+  return existing;
+}
+
+TransactionsController.makeTransaction = async function(req, privatekey, to, amount, metadata, userAgent, origin, requestID) {
+  // Input validation
+  if (!auth.hasCredentials(req, privatekey))
+    throw new errors.ErrorMissingParameter("privatekey");
 
-  const from = krist.makeV2Address(privatekey);
-  amount = parseInt(amount);
+  const transfer = TransactionsController.validateTransfer(to, amount, metadata);
+  if (requestID && (typeof requestID !== "string" || !/^[\x21-\x7E]{1,64}$/.test(requestID)))
+    throw new errors.ErrorInvalidParameter("request_id");
 
   // Address auth validation
-  const { authed, address: sender } = await addresses.verify(req, from, privatekey);
+  const { authed, address: sender, token } = await auth.verify(req, privatekey, "transactions:send");
   if (!authed) throw new errors.ErrorAuthFailed();
 
-  // Reject insufficient funds
-  if (!sender || sender.balance < amount) throw new errors.ErrorInsufficientFunds();
-
-  // If this is a name, pay to the owner of the name
-  if (isName || metadataIsName) {
-    // Fetch the name
-    const metaname = isName ? nameInfo[1] : metadataNameInfo[1];
-    const dbName = await names.getNameByName(isName ? nameInfo[2] : metadataNameInfo[2]);
-    if (!dbName) throw new errors.ErrorNameNotFound();
-
-    // Add the original name spec to the metadata
-    if (isName) {
-      if (metadata) { // Append with a semicolon if we already have metadata
-        metadata = to.toLowerCase() + ";" + metadata;
-      } else { // Set new metadata otherwise
-        metadata = to.toLowerCase();
-      }
+  // If this request was already processed, return the original transaction
+  // instead of making a new one
+  if (requestID && sender) {
+    const existing = await getRetriedTransaction(sender.address, requestID, transfer);
+    if (existing) return existing;
+  }
+
+  // Reject insufficient funds early (this is checked again once the sender is
+  // locked)
+  if (!sender || sender.balance < transfer.amount) throw new errors.ErrorInsufficientFunds();
+  // Reject transactions that would exceed the API token's spend limit
+  if (token) tokens.checkSpendLimit(token, transfer.amount);
+
+  const { recipient, metadata: op, metaname, sentName } = await TransactionsController.resolveTransfer(transfer);
+
+  return database.getSequelize().transaction(async t => {
+    // Lock the sender and recipient rows, so that concurrent transactions from
+    // this address wait for this one to complete before checking the balance
+    const locked = await addresses.lockAddresses([sender.address, recipient], t);
+    const dbSender = locked.find(a => a.address === sender.address);
+
+    // Check for a retried request again, now that no other requests from this
+    // address can run at the same time
+    if (requestID) {
+      const existing = await getRetriedTransaction(sender.address, requestID, transfer, t);
+      if (existing) return existing;
     }
 
-    // Create the transaction to the name's owner
-    return transactions.pushTransaction(sender, dbName.owner, amount, metadata, undefined, undefined, userAgent, origin, metaname, dbName.name);
-  } else {
-    // Create the transaction to the provided address
-    return transactions.pushTransaction(sender, to, amount, metadata, undefined, undefined, userAgent, origin);
-  }
+    // Check the balance again, now that it can't change under us
+    if (!dbSender || dbSender.balance < transfer.amount) throw new errors.ErrorInsufficientFunds();
+
+    // Create the transaction to the provided address or the name's owner
+    const transaction = await transactions.pushTransaction(dbSender, recipient, transfer.amount, op, undefined, t, userAgent, origin, metaname, sentName, requestID);
+    if (token) await tokens.recordSpend(token, transfer.amount, t);
+    return transaction;
+  });
+};
+
+TransactionsController.makeTransactions = async function(req, privatekey, entries, userAgent, origin) {
+  // Input validation
+  if (!auth.hasCredentials(req, privatekey))
+    throw new errors.ErrorMissingParameter("privatekey");
+  if (!entries) throw new errors.ErrorMissingParameter("transactions");
+  if (!Array.isArray(entries) || entries.length < 1 || entries.length > constants.maxBatchTransactions)
+    throw new errors.ErrorInvalidParameter("transactions");
+
+  const transfers = entries.map((entry, i) => {
+    if (!entry || typeof entry !== "object") throw new errors.ErrorInvalidParameter(`transactions[${i}]`);
+    return TransactionsController.validateTransfer(entry.to, entry.amount, entry.metadata, `transactions[${i}].`);
+  });
+  const total = transfers.reduce((sum, transfer) => sum + transfer.amount, 0);
+
+  // Address auth validation
+  const { authed, address: sender, token } = await auth.verify(req, privatekey, "transactions:send");
+  if (!authed) throw new errors.ErrorAuthFailed();
+
+  // Reject insufficient funds early (this is checked again once the sender is
+  // locked)
+  if (!sender || sender.balance < total) throw new errors.ErrorInsufficientFunds();
+  // Reject transactions that would exceed the API token's spend limit
+  if (token) tokens.checkSpendLimit(token, total);
+
+  const resolved = [];
+  for (const transfer of transfers) resolved.push(await TransactionsController.resolveTransfer(transfer));
+
+  // Apply every transfer in one database transaction, so either all of them
+  // are made or none are
+  return database.getSequelize().transaction(async t => {
+    const locked = await addresses.lockAddresses([sender.address, ...resolved.map(r => r.recipient)], t);
+    const dbSender = locked.find(a => a.address === sender.address);
+
+    // Check the balance again, now that it can't change under us
+    if (!dbSender || dbSender.balance < total) throw new errors.ErrorInsufficientFunds();
+
+    const created = [];
+    for (const { recipient, amount, metadata, metaname, sentName } of resolved) {
+      created.push(await transactions.pushTransaction(dbSender, recipient, amount, metadata, undefined, t, userAgent, origin, metaname, sentName));
+    }
+
+    if (token) await tokens.recordSpend(token, total, t);
+    return created;
+  });
 };
 
 TransactionsController.transactionToJSON = function(transaction) {
@@ -0,0 +1,126 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const webhooks = require("./../webhooks.js");
+const auth     = require("./../auth.js");
+const errors   = require("./../errors/errors.js");
+
+function WebhooksController() {}
+
+/** Authenticates the owner of the webhooks. API tokens can't be used here, as
+ * webhooks can expose all of an address's activity. */
+async function verifyOwner(req, privatekey) {
+  if (!auth.hasCredentials(req, privatekey))
+    throw new errors.ErrorMissingParameter("privatekey");
+
+  const { authed, address } = await auth.verify(req, privatekey);
+  if (!authed) throw new errors.ErrorAuthFailed();
+
+  return address;
+}
+
+async function getOwnWebhook(address, id) {
+  if (isNaN(id)) throw new errors.ErrorInvalidParameter("id");
+
+  const dbWebhook = await webhooks.getWebhookByID(address.address, parseInt(id));
+  if (!dbWebhook) throw new errors.ErrorWebhookNotFound();
+  return dbWebhook;
+}
+
+function validateLimitOffset(limit, offset) {
+  if ((limit && isNaN(limit)) || (limit && limit <= 0))
+    throw new errors.ErrorInvalidParameter("limit");
+  if ((offset && isNaN(offset)) || (offset && offset < 0))
+    throw new errors.ErrorInvalidParameter("offset");
+}
+
+function validateURL(url) {
+  if (!url) throw new errors.ErrorMissingParameter("url");
+  if (typeof url !== "string" || url.length > 255) throw new errors.ErrorInvalidParameter("url");
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    throw new errors.ErrorInvalidParameter("url");
+  }
+
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:")
+    throw new errors.ErrorInvalidParameter("url");
+
+  // Don't let webhooks be used to make requests into the server's own network.
+  // Names that resolve to private addresses are refused when delivering.
+  if (process.env.WEBHOOKS_ALLOW_PRIVATE !== "true" && webhooks.isPrivateHost(parsed.hostname))
+    throw new errors.ErrorInvalidParameter("url");
+}
+
+WebhooksController.createWebhook = async function(req, privatekey, url, events) {
+  // Input validation
+  if (!auth.hasCredentials(req, privatekey))
+    throw new errors.ErrorMissingParameter("privatekey");
+
+  validateURL(url);
+
+  if (!events) throw new errors.ErrorMissingParameter("events");
+  if (!Array.isArray(events) || events.length === 0 || new Set(events).size !== events.length
+    || events.find(e => !Object.prototype.hasOwnProperty.call(webhooks.EVENTS, e)))
+    throw new errors.ErrorInvalidParameter("events");
+
+  const address = await verifyOwner(req, privatekey);
+
+  if (await webhooks.getCountByAddress(address.address) >= webhooks.MAX_WEBHOOKS_PER_ADDRESS)
+    throw new errors.ErrorTooManyWebhooks();
+
+  return webhooks.createWebhook(address.address, url, events);
+};
+
+WebhooksController.getWebhooks = async function(req, privatekey, limit, offset) {
+  validateLimitOffset(limit, offset);
+
+  const address = await verifyOwner(req, privatekey);
+  return webhooks.getWebhooksByAddress(address.address, limit, offset);
+};
+
+WebhooksController.getDeliveries = async function(req, privatekey, id, limit, offset) {
+  validateLimitOffset(limit, offset);
+
+  const address = await verifyOwner(req, privatekey);
+  const dbWebhook = await getOwnWebhook(address, id);
+  return webhooks.getDeliveries(dbWebhook.id, limit, offset);
+};
+
+WebhooksController.deleteWebhook = async function(req, privatekey, id) {
+  const address = await verifyOwner(req, privatekey);
+  const dbWebhook = await getOwnWebhook(address, id);
+
+  await webhooks.deleteWebhook(dbWebhook);
+  return dbWebhook;
+};
+
+WebhooksController.webhookToJSON = function(dbWebhook, includeSecret) {
+  return webhooks.webhookToJSON(dbWebhook, includeSecret);
+};
+
+WebhooksController.deliveryToJSON = function(dbDelivery) {
+  return webhooks.deliveryToJSON(dbDelivery);
+};
+
+module.exports = WebhooksController;
@@ -57,6 +57,9 @@ Database.init = async function() {
     await Database.sequelize.authenticate();
     console.log(chalk`{green [DB]} Connected`);
     
+    // Bring the tables of older databases up to date before syncing, as sync()
+    // won't add new columns to them
+    await require("./migrations").run();
     await require("./schemas").sync();
     console.log(chalk`{green [DB]} Synced schemas`);
   } catch (error) {
@@ -30,3 +30,21 @@ errors.ErrorInvalidWebsocketToken = function(message) {
 };
 
 util.inherits(errors.ErrorInvalidWebsocketToken, errors.KristError);
+
+errors.ErrorTooManySubscriptions = function(message) {
+  errors.KristError.call(this);
+  this.message = message;
+  this.statusCode = 403;
+  this.errorString = "too_many_subscriptions";
+};
+
+util.inherits(errors.ErrorTooManySubscriptions, errors.KristError);
+
+errors.ErrorTooManyAddresses = function(message) {
+  errors.KristError.call(this);
+  this.message = message;
+  this.statusCode = 403;
+  this.errorString = "too_many_addresses";
+};
+
+util.inherits(errors.ErrorTooManyAddresses, errors.KristError);
@@ -0,0 +1,202 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const chalk        = require("chalk");
+const utils        = require("./utils.js");
+const schemas      = require("./schemas.js");
+const database     = require("./database.js");
+const websockets   = require("./websockets.js");
+const addresses    = require("./addresses.js");
+const transactions = require("./transactions.js");
+const { Op }       = require("sequelize");
+
+const promClient = require("prom-client");
+const promEscrowCounter = new promClient.Counter({
+  name: "krist_escrows_total",
+  help: "Total number of escrow state changes since the Krist server started.",
+  labelNames: ["type"]
+});
+
+promEscrowCounter.inc({ type: "created" }, 0);
+promEscrowCounter.inc({ type: "released" }, 0);
+promEscrowCounter.inc({ type: "refunded" }, 0);
+
+function Escrow() {}
+
+Escrow.getEscrow = function(id) {
+  return schemas.escrow.findByPk(id);
+};
+
+/** Fetches an escrow inside a database transaction, locking its row until the
+ * transaction completes. */
+Escrow.lockEscrow = function(id, t) {
+  return schemas.escrow.findOne({
+    where: { id },
+    lock: t.LOCK.UPDATE,
+    transaction: t
+  });
+};
+
+/** Lists the escrows an address is the sender, recipient or arbiter of. */
+Escrow.getEscrowsByAddress = function(address, limit, offset) {
+  return schemas.escrow.findAndCountAll({
+    order: [["id", "DESC"]],
+    where: {
+      [Op.or]: [
+        { sender: address },
+        { recipient: address },
+        { arbiter: address }
+      ]
+    },
+    limit: utils.sanitiseLimit(limit),
+    offset: utils.sanitiseOffset(offset)
+  });
+};
+
+function broadcastEscrow(dbEscrow, action, t) {
+  t.afterCommit(() => {
+    promEscrowCounter.inc({ type: action });
+
+    websockets.broadcastEvent({
+      type: "event",
+      event: "escrow",
+      action,
+      escrow: Escrow.escrowToJSON(dbEscrow)
+    });
+  });
+}
+
+/** Moves funds from the (already locked and checked) sender into a new escrow.
+ * Must be called inside a database transaction. */
+Escrow.createEscrow = async function(sender, recipient, amount, metadata, arbiter, deadline, t, userAgent, origin) {
+  await sender.decrement({ balance: amount }, { transaction: t });
+  await sender.increment({ totalout: amount }, { transaction: t });
+
+  const dbEscrow = await schemas.escrow.create({
+    sender: sender.address,
+    recipient,
+    arbiter,
+    amount,
+    metadata,
+    status: "pending",
+    created: new Date(),
+    deadline
+  }, { transaction: t });
+
+  await transactions.insertTransaction({
+    from: sender.address,
+    to: "escrow",
+    value: amount,
+    op: metadata,
+    useragent: userAgent,
+    origin,
+    escrow_id: dbEscrow.id,
+    escrow_action: "lock"
+  }, t);
+
+  console.log(chalk`{cyan [Escrow]} Escrow {bold ${dbEscrow.id}} created by {bold ${sender.address}} for {bold ${recipient}} ({bold ${amount} KST})`);
+  broadcastEscrow(dbEscrow, "created", t);
+
+  return dbEscrow;
+};
+
+/** Pays a locked, pending escrow out to its recipient (`release`) or back to
+ * its sender (`refund`). Must be called inside a database transaction.
+ * `resolvedBy` is the address that resolved it, or null if it timed out. */
+Escrow.resolveEscrow = async function(dbEscrow, action, resolvedBy, t) {
+  const payee = action === "release" ? dbEscrow.recipient : dbEscrow.sender;
+
+  const dbPayee = await addresses.lockAddress(payee, t);
+  if (dbPayee) {
+    await dbPayee.increment({ balance: dbEscrow.amount, totalin: dbEscrow.amount }, { transaction: t });
+  } else { // Create the recipient if they don't exist
+    await schemas.address.create({
+      address: payee,
+      firstseen: new Date(),
+      balance: dbEscrow.amount,
+      totalin: dbEscrow.amount,
+      totalout: 0
+    }, { transaction: t });
+  }
+
+  await transactions.insertTransaction({
+    from: "escrow",
+    to: payee,
+    value: dbEscrow.amount,
+    op: dbEscrow.metadata,
+    escrow_id: dbEscrow.id,
+    escrow_action: action
+  }, t);
+
+  await dbEscrow.update({
+    status: action === "release" ? "released" : "refunded",
+    resolved: new Date(),
+    resolved_by: resolvedBy
+  }, { transaction: t });
+
+  console.log(chalk`{cyan [Escrow]} Escrow {bold ${dbEscrow.id}} ${action === "release" ? "released" : "refunded"} to {bold ${payee}} by {bold ${resolvedBy || "timeout"}}`);
+  broadcastEscrow(dbEscrow, action === "release" ? "released" : "refunded", t);
+
+  return dbEscrow;
+};
+
+/** Refunds every pending escrow whose deadline has passed. Called every minute
+ * by the scheduler started in Krist.init. */
+Escrow.refundExpired = async function() {
+  const expired = await schemas.escrow.findAll({
+    attributes: ["id"],
+    where: { status: "pending", deadline: { [Op.lte]: new Date() } },
+    order: [["deadline", "ASC"]],
+    limit: 100
+  });
+
+  for (const { id } of expired) {
+    try {
+      await database.getSequelize().transaction(async t => {
+        // Check again once locked, it may have been resolved in the meantime
+        const dbEscrow = await Escrow.lockEscrow(id, t);
+        if (!dbEscrow || dbEscrow.status !== "pending") return;
+
+        await Escrow.resolveEscrow(dbEscrow, "refund", null, t);
+      });
+    } catch (err) {
+      console.error(chalk`{red [Escrow]} Error refunding expired escrow {bold ${id}}:`, err);
+    }
+  }
+};
+
+Escrow.escrowToJSON = function(dbEscrow) {
+  return {
+    id: dbEscrow.id,
+    sender: dbEscrow.sender,
+    recipient: dbEscrow.recipient,
+    arbiter: dbEscrow.arbiter,
+    amount: dbEscrow.amount,
+    metadata: dbEscrow.metadata,
+    status: dbEscrow.status,
+    created: dbEscrow.created,
+    deadline: dbEscrow.deadline,
+    resolved: dbEscrow.resolved,
+    resolved_by: dbEscrow.resolved_by
+  };
+};
+
+module.exports = Escrow;
@@ -0,0 +1,193 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const chalk        = require("chalk");
+const schemas      = require("./schemas.js");
+const database     = require("./database.js");
+const websockets   = require("./websockets.js");
+const { Op }       = require("sequelize");
+
+const { promisify } = require("util");
+const crypto        = require("crypto");
+const secureBytes   = promisify(crypto.randomBytes);
+
+const promClient = require("prom-client");
+const promInvoicePaymentsCounter = new promClient.Counter({
+  name: "krist_invoice_payments_total",
+  help: "Total number of transactions that paid an invoice since the Krist server started."
+});
+
+promInvoicePaymentsCounter.inc(0);
+
+// Invoices are referenced in transaction metadata with an `invoice=<id>` entry
+const invoiceMetaRegex = /(?:^|;)invoice=([a-f0-9]{16})(?:;|$)/i;
+
+function Invoices() {}
+
+/** The statuses in which an invoice still accepts payments. */
+Invoices.OPEN_STATUSES = ["pending", "underpaid", "paid", "overpaid"];
+
+Invoices.getInvoice = function(id) {
+  return schemas.invoice.findByPk(id);
+};
+
+Invoices.getInvoicePayments = function(id) {
+  return schemas.transaction.findAll({ order: [["id", "ASC"]], where: { invoice_id: id } });
+};
+
+Invoices.createInvoice = async function(owner, address, metaname, name, amount, label, expires) {
+  const id = (await secureBytes(8)).toString("hex");
+
+  const dbInvoice = await schemas.invoice.create({
+    id,
+    owner,
+    address,
+    metaname,
+    name,
+    amount,
+    paid: 0,
+    label,
+    status: "pending",
+    created: new Date(),
+    expires
+  });
+
+  console.log(chalk`{cyan [Invoices]} Invoice {bold ${id}} created by {bold ${owner}} for {bold ${amount} KST}`);
+  Invoices.broadcastInvoice(dbInvoice);
+
+  return dbInvoice;
+};
+
+/** Returns the invoice ID referenced by a transaction's metadata, if any. */
+Invoices.getInvoiceIDFromMetadata = function(metadata) {
+  if (!metadata) return null;
+  const match = invoiceMetaRegex.exec(metadata);
+  return match ? match[1].toLowerCase() : null;
+};
+
+/** Checks whether a transaction was sent to where the invoice asked for. */
+function paysInvoice(dbInvoice, transaction) {
+  if (dbInvoice.name) {
+    return transaction.sent_name === dbInvoice.name
+      && (!dbInvoice.metaname || transaction.sent_metaname === dbInvoice.metaname);
+  }
+
+  return transaction.to === dbInvoice.address;
+}
+
+/** If the transaction references an open invoice it pays, records the payment
+ * against the invoice. Called for every transfer, inside its database
+ * transaction. */
+Invoices.applyPayment = async function(transaction, t) {
+  if (!transaction.value) return;
+
+  const id = Invoices.getInvoiceIDFromMetadata(transaction.op);
+  if (!id) return;
+
+  const dbInvoice = await schemas.invoice.findOne({
+    where: { id },
+    lock: t.LOCK.UPDATE,
+    transaction: t
+  });
+  if (!dbInvoice || !paysInvoice(dbInvoice, transaction)) return;
+
+  // Reject payments to expired invoices, even if they haven't been marked as
+  // expired yet
+  if (!Invoices.OPEN_STATUSES.includes(dbInvoice.status)) return;
+  if (dbInvoice.expires && dbInvoice.expires <= new Date() && dbInvoice.paid < dbInvoice.amount) return;
+
+  const paid = dbInvoice.paid + transaction.value;
+  const status = paid < dbInvoice.amount
+    ? "underpaid"
+    : (paid === dbInvoice.amount ? "paid" : "overpaid");
+
+  await dbInvoice.update({
+    paid,
+    status,
+    paid_at: dbInvoice.paid_at || (paid >= dbInvoice.amount ? new Date() : null)
+  }, { transaction: t });
+  await transaction.update({ invoice_id: dbInvoice.id }, { transaction: t });
+
+  t.afterCommit(() => {
+    promInvoicePaymentsCounter.inc();
+    Invoices.broadcastInvoice(dbInvoice);
+  });
+};
+
+/** Marks every unpaid invoice whose expiry has passed as expired. Called every
+ * minute by the scheduler started in Krist.init. */
+Invoices.expireDue = async function() {
+  const due = await schemas.invoice.findAll({
+    attributes: ["id"],
+    where: {
+      status: { [Op.in]: ["pending", "underpaid"] },
+      expires: { [Op.lte]: new Date() }
+    },
+    limit: 100
+  });
+
+  for (const { id } of due) {
+    try {
+      await database.getSequelize().transaction(async t => {
+        // Check again once locked, it may have been paid in the meantime
+        const dbInvoice = await schemas.invoice.findOne({ where: { id }, lock: t.LOCK.UPDATE, transaction: t });
+        if (!dbInvoice || !["pending", "underpaid"].includes(dbInvoice.status)) return;
+
+        await dbInvoice.update({ status: "expired" }, { transaction: t });
+        t.afterCommit(() => Invoices.broadcastInvoice(dbInvoice));
+      });
+    } catch (err) {
+      console.error(chalk`{red [Invoices]} Error expiring invoice {bold ${id}}:`, err);
+    }
+  }
+};
+
+Invoices.broadcastInvoice = function(dbInvoice) {
+  websockets.broadcastEvent({
+    type: "event",
+    event: "invoice",
+    invoice: Invoices.invoiceToJSON(dbInvoice)
+  });
+};
+
+Invoices.invoiceToJSON = function(dbInvoice) {
+  const remaining = dbInvoice.amount - dbInvoice.paid;
+
+  return {
+    id: dbInvoice.id,
+    owner: dbInvoice.owner,
+    to: dbInvoice.name
+      ? (dbInvoice.metaname ? dbInvoice.metaname + "@" : "") + dbInvoice.name + ".kst"
+      : dbInvoice.address,
+    amount: dbInvoice.amount,
+    paid: dbInvoice.paid,
+    remaining: Math.max(remaining, 0),
+    overpaid: Math.max(-remaining, 0),
+    label: dbInvoice.label,
+    metadata: "invoice=" + dbInvoice.id,
+    status: dbInvoice.status,
+    created: dbInvoice.created,
+    expires: dbInvoice.expires,
+    paid_at: dbInvoice.paid_at
+  };
+};
+
+module.exports = Invoices;
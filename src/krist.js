@@ -31,6 +31,11 @@ const chalk        = require("chalk");
 const { getRedis } = require("./redis.js");
 
 const { cleanAuthLog } = require("./addresses.js");
+const scheduled        = require("./scheduled.js");
+const escrow           = require("./escrow.js");
+const invoices         = require("./invoices.js");
+const webhooks         = require("./webhooks.js");
+const stats            = require("./stats.js");
 const cron             = require("node-cron");
 
 const addressRegex = /^(?:k[a-z0-9]{9}|[a-f0-9]{10})$/;
@@ -84,6 +89,17 @@ Krist.init = async function() {
   // Start the hourly auth log cleaner, and also run it immediately
   cron.schedule("0 0 * * * *", () => cleanAuthLog().catch(console.error));
   cleanAuthLog().catch(console.error);
+
+  // Run any due scheduled transactions every minute
+  cron.schedule("0 * * * * *", () => scheduled.runDue().catch(console.error));
+  // Refund any expired escrows every minute
+  cron.schedule("30 * * * * *", () => escrow.refundExpired().catch(console.error));
+  // Expire any unpaid invoices every minute
+  cron.schedule("15 * * * * *", () => invoices.expireDue().catch(console.error));
+  // Retry any failed webhook deliveries that are due every 10 seconds
+  cron.schedule("*/10 * * * * *", () => webhooks.deliverDue().catch(console.error));
+  // Update the network statistics rollup tables every minute
+  cron.schedule("45 * * * * *", () => stats.aggregate().catch(console.error));
 };
 
 Krist.isMiningEnabled = async () => (await getRedis().get("mining-enabled")) === "true";
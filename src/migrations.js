@@ -0,0 +1,160 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const chalk      = require("chalk");
+const schemas    = require("./schemas.js");
+const database   = require("./database.js");
+const commonMeta = require("./commonmeta.js");
+const { Op }     = require("sequelize");
+
+// The amount of transactions read at a time when indexing their metadata
+const BACKFILL_BATCH_SIZE = 1000;
+
+function Migrations() {}
+
+const qi = () => database.getSequelize().getQueryInterface();
+
+async function tableExists(table) {
+  return (await qi().showAllTables()).includes(table);
+}
+
+/** Adds one of a model's columns to its table, unless the table doesn't exist
+ * yet (sync() will create it with the column), or already has it. */
+async function addColumn(model, column) {
+  const table = model.getTableName();
+  if (!await tableExists(table)) return;
+
+  const columns = await qi().describeTable(table);
+  if (columns[column]) return;
+
+  await qi().addColumn(table, column, { ...model.rawAttributes[column] });
+}
+
+/** Adds an index to a model's table, unless the table doesn't exist yet, or
+ * already has it. Unnamed indexes are named the same way sync() names them, so
+ * that sync() doesn't add them again. */
+async function addIndex(model, fields, options = {}) {
+  const table = model.getTableName();
+  if (!await tableExists(table)) return;
+
+  const name = options.name || `${table}_${fields.join("_")}`;
+  const indexes = await qi().showIndex(table);
+  if (indexes.some(i => i.name === name)) return;
+
+  await qi().addIndex(table, fields, { ...options, name });
+}
+
+/** Indexes the metadata fields of the transactions made before they were
+ * indexed on creation, in batches. Transactions that already have indexed
+ * fields are skipped, so this is safe to run again if it is interrupted. */
+async function backfillTransactionMeta() {
+  if (!await tableExists(schemas.transaction.getTableName())) return;
+  await schemas.transactionMeta.sync();
+
+  // Must require transactions here because of circular dependencies
+  const transactions = require("./transactions.js");
+
+  let lastID = 0, stored = 0;
+  for (;;) {
+    const batch = await schemas.transaction.findAll({
+      attributes: ["id", "from", "to", "name", "op", "escrow_action"],
+      where: { id: { [Op.gt]: lastID }, op: { [Op.not]: null, [Op.ne]: "" } },
+      order: [["id", "ASC"]],
+      limit: BACKFILL_BATCH_SIZE
+    });
+    if (!batch.length) break;
+    lastID = batch[batch.length - 1].id;
+
+    const indexed = new Set((await schemas.transactionMeta.findAll({
+      attributes: ["transaction_id"],
+      where: { transaction_id: { [Op.in]: batch.map(t => t.id) } }
+    })).map(m => m.transaction_id));
+
+    const rows = batch
+      .filter(t => !indexed.has(t.id))
+      .flatMap(t => commonMeta.toRows(t.id, transactions.getMetadataFields(t)));
+    if (rows.length) await schemas.transactionMeta.bulkCreate(rows);
+    stored += rows.length;
+  }
+
+  console.log(chalk`{green [DB]} Indexed {bold ${stored}} metadata fields of existing transactions`);
+}
+
+/**
+ * Changes to the tables that existed before the columns and indexes they add.
+ * `schemas.sync()` creates missing tables, but never alters existing ones, so
+ * these bring older databases up to date. They are run in order, once each,
+ * before the schemas are synced, and must be safe to run against tables that
+ * don't exist yet or are already up to date.
+ */
+Migrations.MIGRATIONS = [
+  {
+    name: "address-pubkey",
+    up: () => addColumn(schemas.address, "pubkey")
+  },
+  {
+    name: "transaction-request-id",
+    async up() {
+      await addColumn(schemas.transaction, "request_id");
+      await addIndex(schemas.transaction, ["from", "request_id"], { unique: true });
+    }
+  },
+  {
+    name: "transaction-escrow",
+    async up() {
+      await addColumn(schemas.transaction, "escrow_id");
+      await addColumn(schemas.transaction, "escrow_action");
+      await addIndex(schemas.transaction, ["escrow_id"]);
+    }
+  },
+  {
+    name: "transaction-invoice-id",
+    async up() {
+      await addColumn(schemas.transaction, "invoice_id");
+      await addIndex(schemas.transaction, ["invoice_id"]);
+    }
+  },
+  {
+    name: "transaction-op-fulltext",
+    up: () => addIndex(schemas.transaction, ["op"], { type: "FULLTEXT", name: "transactions_op_fulltext" })
+  },
+  {
+    name: "transaction-meta-backfill",
+    up: backfillTransactionMeta
+  }
+];
+
+/** Runs the migrations that haven't been applied to the database yet. Called
+ * by Database.init before the schemas are synced. */
+Migrations.run = async function() {
+  await schemas.migration.sync();
+  const applied = new Set((await schemas.migration.findAll()).map(m => m.name));
+
+  for (const migration of Migrations.MIGRATIONS) {
+    if (applied.has(migration.name)) continue;
+
+    console.log(chalk`{cyan [DB]} Running migration {bold ${migration.name}}`);
+    await migration.up();
+    await schemas.migration.upsert({ name: migration.name, applied: new Date() });
+  }
+};
+
+module.exports = Migrations;
@@ -0,0 +1,291 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const chalk        = require("chalk");
+const utils        = require("./utils.js");
+const krist        = require("./krist.js");
+const schemas      = require("./schemas.js");
+const websockets   = require("./websockets.js");
+const addresses    = require("./addresses.js");
+const names        = require("./names.js");
+const transactions = require("./transactions.js");
+const errors       = require("./errors/errors.js");
+const { Op }       = require("sequelize");
+
+const { promisify } = require("util");
+const crypto        = require("crypto");
+const secureBytes   = promisify(crypto.randomBytes);
+
+const promClient = require("prom-client");
+const promMultisigCounter = new promClient.Counter({
+  name: "krist_multisig_proposals_total",
+  help: "Total number of multisig proposal state changes since the Krist server started.",
+  labelNames: ["type"]
+});
+
+promMultisigCounter.inc({ type: "created" }, 0);
+promMultisigCounter.inc({ type: "approved" }, 0);
+promMultisigCounter.inc({ type: "executed" }, 0);
+
+function Multisig() {}
+
+/** The maximum amount of members a multisig may have. */
+Multisig.MAX_MEMBERS = 16;
+
+Multisig.getMultisig = function(address) {
+  return schemas.multisig.findByPk(address);
+};
+
+/** Returns the addresses of a multisig's members. */
+Multisig.getMembers = async function(address) {
+  const members = await schemas.multisigMember.findAll({
+    order: [["member", "ASC"]],
+    where: { multisig: address }
+  });
+  return members.map(m => m.member);
+};
+
+/** Lists the multisigs an address is a member of. */
+Multisig.getMultisigsByMember = async function(member, limit, offset) {
+  const { rows, count } = await schemas.multisigMember.findAndCountAll({
+    order: [["multisig", "ASC"]],
+    where: { member },
+    limit: utils.sanitiseLimit(limit),
+    offset: utils.sanitiseOffset(offset)
+  });
+
+  const multisigs = await schemas.multisig.findAll({
+    order: [["address", "ASC"]],
+    where: { address: { [Op.in]: rows.map(r => r.multisig) } }
+  });
+  return { rows: multisigs, count };
+};
+
+Multisig.getProposal = function(id) {
+  return schemas.multisigProposal.findByPk(id);
+};
+
+/** Fetches a proposal inside a database transaction, locking its row until
+ * the transaction completes. */
+Multisig.lockProposal = function(id, t) {
+  return schemas.multisigProposal.findOne({
+    where: { id },
+    lock: t.LOCK.UPDATE,
+    transaction: t
+  });
+};
+
+/** Lists the proposals of a multisig, optionally only those with the given
+ * status. */
+Multisig.getProposals = function(address, status, limit, offset) {
+  return schemas.multisigProposal.findAndCountAll({
+    order: [["id", "DESC"]],
+    where: status ? { multisig: address, status } : { multisig: address },
+    limit: utils.sanitiseLimit(limit),
+    offset: utils.sanitiseOffset(offset)
+  });
+};
+
+/** Returns the approvals of a list of proposals, grouped by proposal ID. */
+Multisig.getApprovals = async function(proposalIDs, t) {
+  const approvals = await schemas.multisigApproval.findAll({
+    order: [["id", "ASC"]],
+    where: { proposal_id: { [Op.in]: proposalIDs } },
+    transaction: t
+  });
+
+  const out = {};
+  for (const id of proposalIDs) out[id] = [];
+  for (const approval of approvals) out[approval.proposal_id].push(approval);
+  return out;
+};
+
+/** Creates a new multisig with its own address. The address is made from a
+ * random key which is thrown away, and is locked so it can never be logged
+ * into, leaving proposals as the only way to spend from it. Must be called
+ * inside a database transaction. */
+Multisig.createMultisig = async function(creator, members, threshold, label, t) {
+  let address;
+  do {
+    address = krist.makeV2Address((await secureBytes(32)).toString("hex"));
+  } while (await addresses.getAddress(address));
+
+  await schemas.address.create({
+    address,
+    firstseen: new Date(),
+    balance: 0, totalin: 0, totalout: 0,
+    privatekey: utils.sha256((await secureBytes(32)).toString("hex")),
+    locked: true
+  }, { transaction: t });
+
+  const dbMultisig = await schemas.multisig.create({
+    address,
+    threshold,
+    label,
+    created_by: creator,
+    created: new Date()
+  }, { transaction: t });
+
+  await schemas.multisigMember.bulkCreate(
+    members.map(member => ({ multisig: address, member })),
+    { transaction: t });
+
+  console.log(chalk`{cyan [Multisig]} Multisig {bold ${address}} created by {bold ${creator}} ({bold ${threshold}} of {bold ${members.length}})`);
+
+  return dbMultisig;
+};
+
+function broadcastProposal(dbMultisig, members, dbProposal, approvals, action, t) {
+  t.afterCommit(() => {
+    promMultisigCounter.inc({ type: action });
+
+    websockets.broadcastEvent({
+      type: "event",
+      event: "multisig",
+      action,
+      multisig: Multisig.multisigToJSON(dbMultisig, members),
+      proposal: Multisig.proposalToJSON(dbProposal, approvals)
+    });
+  });
+}
+
+/** Proposes a transfer from a multisig. The proposer's approval is recorded
+ * straight away, so with a threshold of 1 the transfer is made immediately, or
+ * the proposal is left pending if the multisig can't afford it yet. Must be
+ * called inside a database transaction. Returns the proposal and its
+ * approvals. */
+Multisig.createProposal = async function(dbMultisig, members, proposer, transfer, t, userAgent, origin) {
+  const dbProposal = await schemas.multisigProposal.create({
+    multisig: dbMultisig.address,
+    proposer,
+    to: transfer.to,
+    amount: transfer.amount,
+    metadata: transfer.metadata,
+    sent_metaname: transfer.metaname,
+    sent_name: transfer.name,
+    status: "pending",
+    created: new Date()
+  }, { transaction: t });
+
+  console.log(chalk`{cyan [Multisig]} Proposal {bold ${dbProposal.id}} on {bold ${dbMultisig.address}} created by {bold ${proposer}} to {bold ${transfer.to}} ({bold ${transfer.amount} KST})`);
+
+  return addApproval(dbMultisig, members, dbProposal, [], proposer, "created", t, userAgent, origin);
+};
+
+/** Records a member's approval of a locked, pending proposal, executing it if
+ * this meets the multisig's threshold. If the multisig can't afford the
+ * transfer, this throws and the approval is not recorded. Must be called
+ * inside a database transaction. Returns the proposal and its approvals. */
+Multisig.approveProposal = async function(dbMultisig, members, dbProposal, member, t, userAgent, origin) {
+  const existing = (await Multisig.getApprovals([dbProposal.id], t))[dbProposal.id];
+
+  // A proposal that met its threshold when it was made, but couldn't be
+  // afforded then, is executed by any member approving it again
+  if (existing.length >= dbMultisig.threshold) {
+    await executeProposal(dbMultisig, members, dbProposal, existing, t, userAgent, origin);
+    return { proposal: dbProposal, approvals: existing };
+  }
+
+  if (existing.find(a => a.member === member)) throw new errors.ErrorAlreadyApproved();
+
+  return addApproval(dbMultisig, members, dbProposal, existing, member, "approved", t, userAgent, origin);
+};
+
+async function addApproval(dbMultisig, members, dbProposal, existing, member, action, t, userAgent, origin) {
+  const approval = await schemas.multisigApproval.create({
+    proposal_id: dbProposal.id,
+    member,
+    time: new Date()
+  }, { transaction: t });
+  const approvals = [...existing, approval];
+
+  console.log(chalk`{cyan [Multisig]} Proposal {bold ${dbProposal.id}} approved by {bold ${member}} ({bold ${approvals.length}} of {bold ${dbMultisig.threshold}})`);
+
+  if (approvals.length >= dbMultisig.threshold) {
+    try {
+      await executeProposal(dbMultisig, members, dbProposal, approvals, t, userAgent, origin);
+      return { proposal: dbProposal, approvals };
+    } catch (err) {
+      // A new proposal is kept pending until the multisig can afford it, but
+      // an approval it can't afford isn't recorded
+      if (action !== "created" || !(err instanceof errors.ErrorInsufficientFunds)) throw err;
+    }
+  }
+
+  broadcastProposal(dbMultisig, members, dbProposal, approvals, action, t);
+  return { proposal: dbProposal, approvals };
+}
+
+/** Makes the transfer of a locked proposal that has met its threshold. */
+async function executeProposal(dbMultisig, members, dbProposal, approvals, t, userAgent, origin) {
+  // Names are resolved to their current owner when the proposal is executed
+  let recipient = dbProposal.to;
+  if (dbProposal.sent_name) {
+    const dbName = await names.getNameByName(dbProposal.sent_name);
+    if (!dbName) throw new errors.ErrorNameNotFound();
+    recipient = dbName.owner;
+  }
+
+  const locked = await addresses.lockAddresses([dbMultisig.address, recipient], t);
+  const sender = locked.find(a => a.address === dbMultisig.address);
+  if (sender.balance < dbProposal.amount) throw new errors.ErrorInsufficientFunds();
+
+  const transaction = await transactions.pushTransaction(sender, recipient, dbProposal.amount, dbProposal.metadata,
+    undefined, t, userAgent, origin, dbProposal.sent_metaname, dbProposal.sent_name);
+
+  await dbProposal.update({
+    status: "executed",
+    executed: new Date(),
+    transaction_id: transaction.id
+  }, { transaction: t });
+
+  console.log(chalk`{cyan [Multisig]} Proposal {bold ${dbProposal.id}} executed, paying {bold ${dbProposal.amount} KST} from {bold ${dbMultisig.address}} to {bold ${recipient}}`);
+  broadcastProposal(dbMultisig, members, dbProposal, approvals, "executed", t);
+}
+
+Multisig.multisigToJSON = function(dbMultisig, members) {
+  return {
+    address: dbMultisig.address,
+    threshold: dbMultisig.threshold,
+    members,
+    label: dbMultisig.label,
+    created_by: dbMultisig.created_by,
+    created: dbMultisig.created
+  };
+};
+
+Multisig.proposalToJSON = function(dbProposal, approvals) {
+  return {
+    id: dbProposal.id,
+    multisig: dbProposal.multisig,
+    proposer: dbProposal.proposer,
+    to: dbProposal.to,
+    amount: dbProposal.amount,
+    metadata: dbProposal.metadata,
+    status: dbProposal.status,
+    approvals: approvals.map(a => ({ member: a.member, time: a.time })),
+    created: dbProposal.created,
+    executed: dbProposal.executed,
+    transaction_id: dbProposal.transaction_id
+  };
+};
+
+module.exports = Multisig;
@@ -42,12 +42,11 @@ Names.getNamesByAddress = function(address, limit, offset) {
   return schemas.name.findAndCountAll({order: [["name", "ASC"]], where: {owner: address}, limit: utils.sanitiseLimit(limit), offset: utils.sanitiseOffset(offset)});
 };
 
-Names.lookupNames = function(addressList, limit, offset, orderBy, order) {
-  return schemas.name.findAndCountAll({
-    order: [[orderBy || "name", order || "ASC"]],
-    limit: utils.sanitiseLimit(limit),
-    offset: utils.sanitiseOffset(offset),
+Names.lookupNames = function(addressList, limit, offset, orderBy, order, cursor) {
+  return utils.paginate(schemas.name, {
     where: addressList ? { owner: {[Op.in]: addressList} } : undefined,
+    orderBy: orderBy || "name",
+    order, limit, offset, cursor
   });
 };
 
@@ -67,6 +66,14 @@ Names.getNameByName = function(name) {
   return schemas.name.findOne({where: {name: name}});
 };
 
+Names.lockName = function(name, t) {
+  return schemas.name.findOne({
+    where: { name },
+    lock: t.LOCK.UPDATE,
+    transaction: t
+  });
+};
+
 Names.getUnpaidNames = function(limit, offset) {
   return schemas.name.findAndCountAll({order: [["id", "DESC"]], where: {unpaid: {[Op.gt]: 0}},  limit: utils.sanitiseLimit(limit), offset: utils.sanitiseOffset(offset)});
 };
@@ -79,7 +86,7 @@ Names.getNameCost = function() {
   return constants.nameCost;
 };
 
-Names.createName = async function(name, owner) {
+Names.createName = async function(name, owner, t) {
   const dbName = await schemas.name.create({
     name,
     owner,
@@ -87,15 +94,21 @@ Names.createName = async function(name, owner) {
     registered: new Date(),
     updated: new Date(),
     unpaid: Names.getNameCost()
-  });
+  }, { transaction: t });
 
-  promNamesPurchasedCounter.inc();
+  const broadcast = () => {
+    promNamesPurchasedCounter.inc();
 
-  websockets.broadcastEvent({
-    type: "event",
-    event: "name",
-    name: Names.nameToJSON(dbName)
-  });
+    websockets.broadcastEvent({
+      type: "event",
+      event: "name",
+      name: Names.nameToJSON(dbName)
+    });
+  };
+
+  // Don't announce the name until the database transaction has been committed
+  if (t) t.afterCommit(broadcast);
+  else broadcast();
 
   return dbName;
 };
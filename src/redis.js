@@ -22,20 +22,33 @@
 const chalk = require("chalk");
 const { createNodeRedisClient } = require("handy-redis");
 
-let redis;
+let redis, subscriber, prefix;
 
 module.exports = {
   getRedis() {
     return redis;  
   },
 
+  /** Returns a separate connection for subscribing to pub/sub channels, as a
+   * subscribed connection can't run any other commands. */
+  getSubscriber() {
+    if (!subscriber) subscriber = redis.nodeRedis.duplicate();
+    return subscriber;
+  },
+
+  /** Returns the prefix of the redis keys. Pub/sub channel names aren't
+   * prefixed automatically, so this is used to keep them separate too. */
+  getPrefix() {
+    return prefix;
+  },
+
   init() {
     const isTest = process.env.NODE_ENV === "test";
 
     const host = process.env.REDIS_HOST || "127.0.0.1";
     const port = parseInt(process.env.REDIS_PORT) || 6379;
     const password = process.env.REDIS_PASSWORD || undefined;
-    const prefix = isTest ? (process.env.TEST_REDIS_PREFIX || "test_krist:") : (process.env.REDIS_PREFIX || "krist:");
+    prefix = isTest ? (process.env.TEST_REDIS_PREFIX || "test_krist:") : (process.env.REDIS_PREFIX || "krist:");
     
     console.log(chalk`{cyan [Redis]} Connecting to redis`);
     redis = createNodeRedisClient({
@@ -25,9 +25,30 @@ const addressesController = require("./../controllers/addresses.js");
 const namesController     = require("./../controllers/names.js");
 const txController        = require("./../controllers/transactions.js");
 const tx                  = require("./../transactions.js");
+const transactionExport   = require("./../transactionexport.js");
 const utils               = require("./../utils.js");
 const moment              = require("moment");
 
+/** Writes a chunk of a streamed response, waiting for it to be flushed if the
+ * buffer is full. Returns false if the client has disconnected. */
+function writeChunk(res, chunk) {
+  if (res.destroyed) return false;
+  if (!chunk || res.write(chunk)) return true;
+
+  return new Promise(resolve => {
+    const done = ok => {
+      res.off("drain", onDrain);
+      res.off("close", onClose);
+      resolve(ok);
+    };
+    const onDrain = () => done(true);
+    const onClose = () => done(false);
+
+    res.on("drain", onDrain);
+    res.on("close", onClose);
+  });
+}
+
 module.exports = function(app) {
   /**
 	 * @apiDefine AddressGroup Addresses
@@ -218,6 +239,64 @@ module.exports = function(app) {
     });
   });
 
+  /**
+	 * @api {post} /addresses/pubkey Set an address's public key
+	 * @apiName SetPublicKey
+	 * @apiGroup AddressGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Registers an Ed25519 public key to your address. Once
+	 * registered, requests that would normally require a privatekey (making
+	 * transactions, registering, transferring and updating names, `/login` and
+	 * `/ws/start`) may instead be signed with the matching private key, so that
+	 * the privatekey never has to leave the client.
+	 *
+	 * To sign a request, send the following headers and omit the `privatekey`:
+	 *
+	 * * `X-Krist-Address` - The address to authenticate as.
+	 * * `X-Krist-Timestamp` - The current time in milliseconds since the UNIX
+	 *   epoch. Requests more than 60 seconds away from the server's time are
+	 *   rejected.
+	 * * `X-Krist-Nonce` - A unique string of 8 to 64 characters (`a-z`, `0-9`,
+	 *   `_` and `-`). Each nonce may only be used once per address.
+	 * * `X-Krist-Signature` - The hex-encoded Ed25519 signature of the following
+	 *   lines, joined by `\n`: the HTTP method in upper case, the request path
+	 *   including the query string, the address, the timestamp, the nonce, and the
+	 *   hex-encoded SHA-256 hash of the raw request body (or of an empty string if
+	 *   there is no body).
+	 *
+	 * This endpoint itself may be authenticated with either the privatekey or a
+	 * signed request.
+	 *
+	 * @apiParam (BodyParameter) {String} [privatekey] The privatekey of your
+	 *           address.
+	 * @apiParam (BodyParameter) {String} [pubkey] The hex-encoded 32-byte Ed25519
+	 *           public key. If blank, the public key is removed and signed
+	 *           requests will no longer be accepted for the address.
+	 *
+	 * @apiSuccess {String} pubkey The public key now registered to the address,
+	 *             or `null`.
+	 *
+	 * @apiSuccessExample {json} Success
+	 * {
+	 *     "ok": true,
+	 *     "pubkey": "3d4017c3e843895a92b70aa74d1b7ebc9c982ccf2ec4968cc0cd55f12af4660c"
+	 * }
+	 */
+  app.post("/addresses/pubkey", async function(req, res) {
+    try {
+      const address = await addressesController.setPublicKey(
+        req, req.body.privatekey, req.body.pubkey);
+
+      res.json({
+        ok: true,
+        pubkey: address.pubkey || null
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
   /**
 	 * @api {get} /addresses/rich List the richest addresses
 	 * @apiName GetRichAddresses
@@ -398,10 +477,14 @@ module.exports = function(app) {
 	 *
 	 * @apiParam (QueryParameter) {Number} [limit=50] The maximum amount of results to return.
 	 * @apiParam (QueryParameter) {Number} [offset=0] The amount to offset the results.
+	 * @apiParam (QueryParameter) {String} [cursor] The `next_cursor` of a previous page, to return the results
+	 * 			after it. Faster than `offset`, which is ignored when a cursor is given. `total` is only returned on
+	 * 			the first page, and is null when a cursor is given.
 	 * @apiParam (QueryParameter) {Boolean} [excludeMined] If specified, transactions from mining will be excluded.
 	 *
 	 * @apiSuccess {Number} count The count of results.
 	 * @apiSuccess {Number} total The total amount of transactions this address has made.
+	 * @apiSuccess {String} next_cursor A cursor for the next page of results, or `null` if this is the last page.
 	 * @apiUse Transactions
 	 *
 	 * @apiSuccessExample {json} Success
@@ -445,7 +528,7 @@ module.exports = function(app) {
 	 * }
 	 */
   app.get("/addresses/:address/transactions", function(req, res) {
-    txController.getTransactionsByAddress(req.params.address, req.query.limit, req.query.offset, typeof req.query.excludeMined === "undefined").then(function(transactions) {
+    txController.getTransactionsByAddress(req.params.address, req.query.limit, req.query.offset, typeof req.query.excludeMined === "undefined", req.query.cursor).then(function(transactions) {
       const out = [];
 
       transactions.rows.forEach(function (transaction) {
@@ -456,6 +539,7 @@ module.exports = function(app) {
         ok: true,
         count: out.length,
         total: transactions.count,
+        next_cursor: transactions.nextCursor,
         transactions: out
       });
     }).catch(function(error) {
@@ -463,6 +547,165 @@ module.exports = function(app) {
     });
   });
 
+  /**
+	 * @api {get} /addresses/:address/transactions/export Export the transaction history of an address
+	 * @apiName ExportAddressTransactions
+	 * @apiGroup AddressGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Downloads all of the transactions of an address, oldest first, with the address's
+	 * 			balance after each one. Unlike the other transaction endpoints, the results aren't limited to
+	 * 			1000 transactions, and are streamed as they are fetched. The formats are:
+	 *
+	 * | Format   | Contents                                                                           |
+	 * |:--------:|:----------------------------------------------------------------------------------:|
+	 * | `csv`    | One row per transaction, with a `meta.<key>` column for each metadata field used   |
+	 * | `ndjson` | One transaction JSON object per line, with a `balance` field                       |
+	 * | `ofx`    | An OFX 2.1.1 bank statement in `KST`, for importing into accounting software       |
+	 *
+	 * At most 32 metadata fields get their own CSV column, the rest are only in the `metadata` column.
+	 *
+	 * CSV fields starting with `=`, `+`, `-`, `@`, a tab or a carriage return are prefixed with `'` so
+	 * that spreadsheets don't run them as formulas. The balances are reconstructed from the transactions, so they may not match the
+	 * address's current balance if it was changed in another way.
+	 *
+	 * @apiParam (URLParameter) {String} address The address.
+	 *
+	 * @apiParam (QueryParameter) {String="csv","ndjson","ofx"} [format=csv] The format to export in.
+	 * @apiParam (QueryParameter) {Date} [from] Only export transactions made at or after this ISO-8601 date.
+	 * @apiParam (QueryParameter) {Date} [to] Only export transactions made before this ISO-8601 date.
+	 *
+	 * @apiSuccessExample {text} Success (CSV)
+	 * id,time,type,from,to,value,balance,name,sent_metaname,sent_name,metadata,meta.message
+	 * 153196,2016-02-02T23:30:39.000Z,transfer,kxxhsp1uzh,kre3w0i79j,50,50,,,,message=Hello,Hello
+	 * 153197,2016-02-02T23:30:51.000Z,transfer,kre3w0i79j,kxxhsp1uzh,25,25,,,,,
+	 *
+	 * @apiErrorExample {json} Address Not Found
+	 * {
+	 *     "ok": false,
+	 *     "error": "address_not_found"
+	 * }
+	 *
+	 * @apiErrorExample {json} Invalid Format
+	 * {
+	 *     "ok": false,
+	 *     "error": "invalid_parameter",
+	 *     "parameter": "format"
+	 * }
+	 */
+  app.get("/addresses/:address/transactions/export", async function(req, res) {
+    let params;
+    try {
+      params = await txController.validateExport(req.params.address, req.query.format,
+        req.query.from, req.query.to);
+    } catch (err) {
+      return utils.sendErrorToRes(req, res, err);
+    }
+
+    const { dbAddress, format, from, to } = params;
+    const { contentType, extension } = transactionExport.FORMATS[format];
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${dbAddress.address}-transactions.${extension}"`);
+
+    try {
+      await transactionExport.exportTransactions(dbAddress, format, from, to, chunk => writeChunk(res, chunk));
+      res.end();
+    } catch (err) {
+      console.error("Error exporting transactions of " + dbAddress.address + ":", err);
+
+      // Nothing has been written yet, so the error can still be sent as JSON
+      if (!res.headersSent) {
+        res.removeHeader("Content-Disposition");
+        return utils.sendErrorToRes(req, res, err);
+      }
+
+      // Otherwise the response has already started, so cut it off to signal the failure
+      res.destroy();
+    }
+  });
+
+  /**
+	 * @api {get} /addresses/:address/balance-history Get the balance history of an address
+	 * @apiName GetAddressBalanceHistory
+	 * @apiGroup AddressGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Reconstructs the balance of an address over time from its transactions, including mined
+	 * 			rewards and name purchases. The time between `from` and `to` is split into periods of the given
+	 * 			interval, and the balance at the end of each period is returned. At most 1000 periods may be
+	 * 			requested at once.
+	 *
+	 * @apiParam (URLParameter) {String} address The address.
+	 *
+	 * @apiParam (QueryParameter) {Date} [from] The start of the history, as an ISO-8601 date. Defaults to 30
+	 * 			intervals before `to`.
+	 * @apiParam (QueryParameter) {Date} [to] The end of the history, as an ISO-8601 date. Defaults to now.
+	 * @apiParam (QueryParameter) {String="hour","day","week"} [interval=day] The length of each period.
+	 *
+	 * @apiSuccess {String} address The address.
+	 * @apiSuccess {Date} from The start of the history.
+	 * @apiSuccess {Date} to The end of the history.
+	 * @apiSuccess {String} interval The length of each period.
+	 * @apiSuccess {Object[]} history
+	 * @apiSuccess {Date} history.time The start of this period.
+	 * @apiSuccess {Number} history.balance The balance of the address at the end of this period.
+	 * @apiSuccess {Number} history.change The change in balance during this period.
+	 * @apiSuccess {Number} history.transactions The number of transactions made during this period.
+	 *
+	 * @apiSuccessExample {json} Success
+	 * {
+	 *     "ok": true,
+	 *     "address": "kre3w0i79j",
+	 *     "from": "2016-02-01T00:00:00.000Z",
+	 *     "to": "2016-02-03T00:00:00.000Z",
+	 *     "interval": "day",
+	 *     "history": [
+	 *         {
+	 *             "time": "2016-02-01T00:00:00.000Z",
+	 *             "balance": 1200,
+	 *             "change": 200,
+	 *             "transactions": 3
+	 *         },
+	 *         {
+	 *             "time": "2016-02-02T00:00:00.000Z",
+	 *             "balance": 1200,
+	 *             "change": 0,
+	 *             "transactions": 0
+	 *         }
+	 *     ]
+	 * }
+	 *
+	 * @apiErrorExample {json} Address Not Found
+	 * {
+	 *     "ok": false,
+	 *     "error": "address_not_found"
+	 * }
+	 *
+	 * @apiErrorExample {json} Invalid Interval
+	 * {
+	 *     "ok": false,
+	 *     "error": "invalid_parameter",
+	 *     "parameter": "interval"
+	 * }
+	 */
+  app.get("/addresses/:address/balance-history", async function(req, res) {
+    try {
+      const { from, to, interval, history } = await addressesController.getBalanceHistory(
+        req.params.address, req.query.from, req.query.to, req.query.interval);
+
+      res.json({
+        ok: true,
+        address: req.params.address,
+        from,
+        to,
+        interval,
+        history
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
 
   return app;
 };
@@ -0,0 +1,261 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const escrowController = require("./../controllers/escrow.js");
+const utils            = require("./../utils.js");
+
+module.exports = function(app) {
+  /**
+	 * @apiDefine EscrowGroup Escrow
+	 *
+	 * Escrows let a sender lock funds for a recipient, to be paid out once both
+	 * sides of a trade are complete. An escrow may optionally have an arbiter,
+	 * a third party trusted to settle disputes, and a deadline.
+	 *
+	 * While an escrow is `pending`, its funds are held by the server. It can be:
+	 *
+	 * - **Released** to the recipient by the sender or the arbiter.
+	 * - **Refunded** to the sender by the recipient or the arbiter, or by the
+	 *   sender once the deadline has passed.
+	 *
+	 * Pending escrows are refunded automatically shortly after their deadline.
+	 *
+	 * Each step creates a transaction with the type `escrow_lock`,
+	 * `escrow_release` or `escrow_refund`. Locking funds creates a transaction
+	 * to `escrow`, and releasing or refunding them creates a transaction from
+	 * `escrow`. These transactions have an `escrow_id` field. Each state change
+	 * is also broadcast to websockets subscribed to `escrows` or `ownEscrows`.
+	 */
+
+  /**
+	 * @apiDefine Escrow
+	 *
+	 * @apiSuccess {Object} escrow
+	 * @apiSuccess {Number} escrow.id The ID of this escrow.
+	 * @apiSuccess {String} escrow.sender The address that locked the funds.
+	 * @apiSuccess {String} escrow.recipient The address the funds are for.
+	 * @apiSuccess {String} [escrow.arbiter] The address that may settle the
+	 *             escrow, or null.
+	 * @apiSuccess {Number} escrow.amount The amount of Krist held.
+	 * @apiSuccess {String} [escrow.metadata] Metadata given when the escrow was
+	 *             created, or null.
+	 * @apiSuccess {String} escrow.status `pending`, `released` or `refunded`.
+	 * @apiSuccess {Date} escrow.created The time this escrow was created.
+	 * @apiSuccess {Date} [escrow.deadline] The time this escrow will be refunded
+	 *             if it is still pending, or null.
+	 * @apiSuccess {Date} [escrow.resolved] The time this escrow was released or
+	 *             refunded, or null.
+	 * @apiSuccess {String} [escrow.resolved_by] The address that released or
+	 *             refunded this escrow, or null if it is pending or timed out.
+	 */
+
+  /**
+	 * @api {post} /escrow Create an escrow
+	 * @apiName CreateEscrow
+	 * @apiGroup EscrowGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Locks funds from your address for a recipient.
+	 *
+	 * @apiParam (BodyParameter) {String} [privatekey] The privatekey of your
+	 *           address. May be omitted if the request is signed, or uses an
+	 *           [API token](#api-TokenGroup) with the `transactions:send` scope.
+	 * @apiParam (BodyParameter) {String} to The recipient of the funds.
+	 * @apiParam (BodyParameter) {Number} amount The amount to lock.
+	 * @apiParam (BodyParameter) {String} [metadata] Optional metadata to include
+	 *           in the escrow's transactions.
+	 * @apiParam (BodyParameter) {String} [arbiter] An optional address that may
+	 *           release or refund the funds.
+	 * @apiParam (BodyParameter) {Date} [deadline] When the funds should be
+	 *           refunded if the escrow is still pending.
+	 *
+	 * @apiUse Escrow
+	 *
+	 * @apiSuccessExample {json} Success
+	 * {
+	 *     "ok": true,
+	 *     "escrow": {
+	 *         "id": 1,
+	 *         "sender": "kre3w0i79j",
+	 *         "recipient": "k7oax47quv",
+	 *         "arbiter": "k8juvewcui",
+	 *         "amount": 100,
+	 *         "metadata": "Diamond pickaxe",
+	 *         "status": "pending",
+	 *         "created": "2021-04-07T12:00:00.000Z",
+	 *         "deadline": "2021-04-08T12:00:00.000Z",
+	 *         "resolved": null,
+	 *         "resolved_by": null
+	 *     }
+	 * }
+	 *
+	 * @apiErrorExample {json} Insufficient Funds
+	 * {
+	 *     "ok": false,
+	 *     "error": "insufficient_funds"
+	 * }
+	 */
+  app.post("/escrow", async function(req, res) {
+    try {
+      const { userAgent, origin } = utils.getReqDetails(req);
+      const { privatekey, to, amount, metadata, arbiter, deadline } = req.body;
+      const dbEscrow = await escrowController.createEscrow(
+        req, privatekey, to, amount, metadata, arbiter, deadline, userAgent, origin);
+
+      res.json({
+        ok: true,
+        escrow: escrowController.escrowToJSON(dbEscrow)
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  /**
+	 * @api {get} /escrow/:id Get an escrow
+	 * @apiName GetEscrow
+	 * @apiGroup EscrowGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiParam (URLParameter) {Number} id The ID of the escrow.
+	 *
+	 * @apiUse Escrow
+	 */
+  app.get("/escrow/:id", async function(req, res) {
+    try {
+      const dbEscrow = await escrowController.getEscrow(req.params.id);
+
+      res.json({
+        ok: true,
+        escrow: escrowController.escrowToJSON(dbEscrow)
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  /**
+	 * @api {get} /addresses/:address/escrow Get the escrows of an address
+	 * @apiName GetAddressEscrows
+	 * @apiGroup EscrowGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Lists the escrows the address is the sender, recipient or
+	 * arbiter of, newest first.
+	 *
+	 * @apiParam (URLParameter) {String} address The address.
+	 * @apiParam (QueryParameter) {Number} [limit=50] The maximum amount of results to return.
+	 * @apiParam (QueryParameter) {Number} [offset=0] The amount to offset the results.
+	 *
+	 * @apiSuccess {Number} count The count of results.
+	 * @apiSuccess {Number} total The total amount of escrows.
+	 * @apiSuccess {Object[]} escrows The escrows, in the same format as
+	 *             [Get an escrow](#api-EscrowGroup-GetEscrow).
+	 */
+  app.get("/addresses/:address/escrow", async function(req, res) {
+    try {
+      const { rows, count } = await escrowController.getEscrowsByAddress(
+        req.params.address, req.query.limit, req.query.offset);
+
+      res.json({
+        ok: true,
+        count: rows.length,
+        total: count,
+        escrows: rows.map(escrowController.escrowToJSON)
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  /**
+	 * @api {post} /escrow/:id/release Release an escrow
+	 * @apiName ReleaseEscrow
+	 * @apiGroup EscrowGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Pays a pending escrow's funds to its recipient. Only the
+	 * sender and the arbiter may release an escrow.
+	 *
+	 * @apiParam (URLParameter) {Number} id The ID of the escrow.
+	 * @apiParam (BodyParameter) {String} [privatekey] The privatekey of your
+	 *           address. May be omitted if the request is signed, or uses an
+	 *           [API token](#api-TokenGroup) with the `transactions:send` scope.
+	 *
+	 * @apiUse Escrow
+	 *
+	 * @apiErrorExample {json} Already Resolved
+	 * {
+	 *     "ok": false,
+	 *     "error": "escrow_resolved"
+	 * }
+	 */
+  app.post("/escrow/:id/release", async function(req, res) {
+    try {
+      const dbEscrow = await escrowController.resolveEscrow(req, req.body.privatekey, req.params.id, "release");
+
+      res.json({
+        ok: true,
+        escrow: escrowController.escrowToJSON(dbEscrow)
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  /**
+	 * @api {post} /escrow/:id/refund Refund an escrow
+	 * @apiName RefundEscrow
+	 * @apiGroup EscrowGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Returns a pending escrow's funds to its sender. The
+	 * recipient and the arbiter may refund an escrow at any time, and the sender
+	 * may once its deadline has passed.
+	 *
+	 * @apiParam (URLParameter) {Number} id The ID of the escrow.
+	 * @apiParam (BodyParameter) {String} [privatekey] The privatekey of your
+	 *           address. May be omitted if the request is signed, or uses an
+	 *           [API token](#api-TokenGroup) with the `transactions:send` scope.
+	 *
+	 * @apiUse Escrow
+	 *
+	 * @apiErrorExample {json} Not Allowed
+	 * {
+	 *     "ok": false,
+	 *     "error": "not_escrow_party"
+	 * }
+	 */
+  app.post("/escrow/:id/refund", async function(req, res) {
+    try {
+      const dbEscrow = await escrowController.resolveEscrow(req, req.body.privatekey, req.params.id, "refund");
+
+      res.json({
+        ok: true,
+        escrow: escrowController.escrowToJSON(dbEscrow)
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  return app;
+};
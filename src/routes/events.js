@@ -0,0 +1,179 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const krist      = require("../krist");
+const utils      = require("../utils");
+const errors     = require("../errors/errors");
+const websockets = require("../websockets");
+const motd       = require("../motd");
+
+// The maximum amount of individual addresses and names a stream may subscribe
+// to, the same as for websockets
+const MAX_TARGETED_SUBSCRIPTIONS = 100;
+
+/** Splits a comma-separated query parameter, which may also be given multiple
+ * times. */
+function splitList(value) {
+  if (value === undefined) return [];
+  return [].concat(value).join(",").split(",").map(v => v.trim()).filter(v => v);
+}
+
+/** Validates the subscriptions, filter and last event ID of an event stream
+ * request. */
+function parseQuery(req) {
+  const { query } = req;
+
+  // Only the subscription levels that don't need authentication
+  const levels = websockets.validSubscriptions.filter(s => !s.startsWith("own"));
+  const subs = splitList(query.subscribe);
+  if (subs.some(s => !levels.includes(s))) throw new errors.ErrorInvalidParameter("subscribe");
+
+  const addresses = splitList(query.address);
+  if (addresses.some(a => !krist.isValidKristAddress(a))) throw new errors.ErrorInvalidParameter("address");
+
+  const names = splitList(query.name).map(n => krist.stripNameSuffix(n.toLowerCase()));
+  if (names.some(n => !krist.isValidName(n))) throw new errors.ErrorInvalidParameter("name");
+
+  if (addresses.length + names.length > MAX_TARGETED_SUBSCRIPTIONS)
+    throw new errors.ErrorTooManySubscriptions();
+
+  if (subs.length === 0 && addresses.length === 0 && names.length === 0) subs.push("blocks");
+
+  // Query parameters are always strings, so convert the numeric filters first
+  let filter = query.filter;
+  if (filter && typeof filter === "object") {
+    filter = { ...filter };
+    for (const key of ["min_value", "max_value"]) {
+      if (/^\d+$/.test(filter[key])) filter[key] = parseInt(filter[key]);
+    }
+  }
+
+  filter = websockets.parseEventFilter(filter);
+  if (filter && !subs.includes("transactions") && addresses.length === 0 && names.length === 0)
+    throw new errors.ErrorInvalidParameter("filter");
+
+  // EventSource sends the `Last-Event-ID` header when it reconnects, but it
+  // can't be set for the first connection, so it may be a query parameter too
+  let lastEventID = req.get("Last-Event-ID") || query.last_event_id;
+  if (lastEventID !== undefined) {
+    if (!/^\d+$/.test(lastEventID)) throw new errors.ErrorInvalidParameter("last_event_id");
+    lastEventID = parseInt(lastEventID);
+  }
+
+  return { subs, addresses, names, filter, lastEventID };
+}
+
+module.exports = function(app) {
+  /**
+	 * @api {get} /events Stream events with Server-Sent Events
+	 * @apiName EventStream
+	 * @apiGroup WebsocketGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription An alternative to websockets for clients that can only make plain HTTP requests, e.g. behind
+	 * 			proxies that don't support websockets. The response is a
+	 * 			[Server-Sent Events](https://html.spec.whatwg.org/multipage/server-sent-events.html) stream, which
+	 * 			can be read with `EventSource` in browsers.
+	 *
+	 * 			The stream receives the same events as a guest websocket with the same subscriptions. Each SSE event
+	 * 			is named after the Krist event (e.g. `transaction` or `block`), and its data is the same JSON as the
+	 * 			websocket event. The first event is `hello`, which contains the same data as the websocket `hello`
+	 * 			message. A `keepalive` event is sent every 10 seconds.
+	 *
+	 * 			Each Krist event has an SSE `id`, its `event_id`. When `EventSource` reconnects, it sends the
+	 * 			`Last-Event-ID` header, and the events missed since then are sent after the `hello` event, followed
+	 * 			by a `resumed` event like the response to the websocket `resume` message. The `last_event_id` query
+	 * 			parameter may be used to resume a new connection.
+	 *
+	 * 			If no subscriptions are given, the stream subscribes to `blocks`. Comma-separated parameters may
+	 * 			also be given multiple times.
+	 *
+	 * @apiParam (QueryParameter) {String} [subscribe] Comma-separated subscription levels. Only the levels that
+	 * 			don't require authentication are allowed, e.g. `blocks,transactions`.
+	 * @apiParam (QueryParameter) {String} [address] Comma-separated addresses to subscribe to individually.
+	 * @apiParam (QueryParameter) {String} [name] Comma-separated names to subscribe to individually.
+	 * @apiParam (QueryParameter) {Object} [filter] A filter on the transactions, with the same keys as the
+	 * 			`filter` of the websocket `subscribe` message, e.g. `filter[min_value]=10&filter[type]=transfer`.
+	 * 			It applies to the `transactions`, address and name subscriptions.
+	 * @apiParam (QueryParameter) {Number} [last_event_id] The ID of the last event received, to resume from.
+	 *
+	 * @apiSuccessExample {text} Success
+	 * event: hello
+	 * data: {"ok":true,"type":"hello","motd":"Welcome to Krist!", ... ,"last_event_id":1234}
+	 *
+	 * id: 1235
+	 * event: transaction
+	 * data: {"type":"event","event":"transaction","transaction":{"id":5678, ... },"event_id":1235}
+	 *
+	 * @apiErrorExample {json} Invalid Subscription
+	 * {
+	 *     "ok": false,
+	 *     "error": "invalid_parameter",
+	 *     "parameter": "subscribe"
+	 * }
+	 */
+  app.get("/events", async function(req, res) {
+    let query, hello;
+    try {
+      query = parseQuery(req);
+      hello = {
+        ok: true,
+        type: "hello",
+        ...await motd.getDetailedMOTD(),
+        last_event_id: await websockets.getLastEventID()
+      };
+    } catch (err) {
+      return utils.sendErrorToRes(req, res, err);
+    }
+
+    const { subs, addresses, names, filter, lastEventID } = query;
+
+    res.status(200).set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "Connection": "keep-alive",
+      "X-Accel-Buffering": "no" // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+
+    const stream = websockets.addEventStream(req, res, subs);
+    for (const address of addresses) websockets.addTargetedSubscription(stream, "address", address);
+    for (const name of names) websockets.addTargetedSubscription(stream, "name", name);
+
+    if (filter) {
+      if (subs.includes("transactions")) websockets.setSubscriptionFilter(stream, "transactions", filter);
+      addresses.forEach(a => websockets.setSubscriptionFilter(stream, "address:" + a, filter));
+      names.forEach(n => websockets.setSubscriptionFilter(stream, "name:" + n, filter));
+    }
+
+    stream.send(JSON.stringify(hello), hello);
+
+    if (lastEventID !== undefined) {
+      try {
+        const resumed = { ok: true, type: "resumed", ...await websockets.resume(stream, lastEventID) };
+        stream.send(JSON.stringify(resumed), resumed);
+      } catch (err) {
+        const error = { type: "error", ...utils.errorToJSON(err) };
+        stream.send(JSON.stringify(error), error);
+      }
+    }
+  });
+};
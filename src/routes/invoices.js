@@ -0,0 +1,175 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const invoicesController = require("./../controllers/invoices.js");
+const txController       = require("./../controllers/transactions.js");
+const utils              = require("./../utils.js");
+
+module.exports = function(app) {
+  /**
+	 * @apiDefine InvoiceGroup Invoices
+	 *
+	 * Invoices let shops request a payment and track whether it has been made.
+	 * An invoice asks for an amount to be paid to the creator's address, or to
+	 * a name they own.
+	 *
+	 * To pay an invoice, make a transaction to the invoice's `to` with
+	 * `invoice=<id>` in the metadata, e.g. `shop.kst;invoice=0123456789abcdef`
+	 * or `invoice=0123456789abcdef;Diamond pickaxe`. The invoice's `metadata`
+	 * field contains this entry. Transactions that reference an invoice but are
+	 * sent somewhere else are not counted towards it.
+	 *
+	 * An invoice may be paid with multiple transactions. Its status is:
+	 *
+	 * | Status      | Meaning                                                 |
+	 * |:-----------:|:-------------------------------------------------------:|
+	 * | `pending`   | No payments have been made yet                          |
+	 * | `underpaid` | Less than the requested amount has been paid            |
+	 * | `paid`      | Exactly the requested amount has been paid              |
+	 * | `overpaid`  | More than the requested amount has been paid            |
+	 * | `expired`   | The invoice expired before it was paid in full          |
+	 *
+	 * Overpayments are not refunded automatically. Once an invoice has expired,
+	 * further payments are not counted towards it. Payments and status changes
+	 * are broadcast to websockets subscribed to `ownInvoices`, and transactions
+	 * that paid an invoice have an `invoice_id` field.
+	 */
+
+  /**
+	 * @apiDefine Invoice
+	 *
+	 * @apiSuccess {Object} invoice
+	 * @apiSuccess {String} invoice.id The ID of this invoice.
+	 * @apiSuccess {String} invoice.owner The address that created the invoice.
+	 * @apiSuccess {String} invoice.to The address or name the invoice should be
+	 *             paid to.
+	 * @apiSuccess {Number} invoice.amount The amount requested.
+	 * @apiSuccess {Number} invoice.paid The amount paid so far.
+	 * @apiSuccess {Number} invoice.remaining The amount still to be paid.
+	 * @apiSuccess {Number} invoice.overpaid The amount paid over the requested
+	 *             amount.
+	 * @apiSuccess {String} [invoice.label] A description of the invoice, or null.
+	 * @apiSuccess {String} invoice.metadata The metadata entry payers must
+	 *             include in their transactions.
+	 * @apiSuccess {String} invoice.status `pending`, `underpaid`, `paid`,
+	 *             `overpaid` or `expired`.
+	 * @apiSuccess {Date} invoice.created The time this invoice was created.
+	 * @apiSuccess {Date} [invoice.expires] The time this invoice expires, or null.
+	 * @apiSuccess {Date} [invoice.paid_at] The time this invoice was paid in
+	 *             full, or null.
+	 */
+
+  /**
+	 * @api {post} /invoices Create an invoice
+	 * @apiName CreateInvoice
+	 * @apiGroup InvoiceGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Creates an invoice to be paid to your address, or to a
+	 * name you own.
+	 *
+	 * @apiParam (BodyParameter) {String} [privatekey] The privatekey of your
+	 *           address. May be omitted if the request is signed, or uses an
+	 *           [API token](#api-TokenGroup) with the `invoices:create` scope.
+	 * @apiParam (BodyParameter) {String} to Your address, or a name you own
+	 *           (e.g. `shop.kst` or `orders@shop.kst`).
+	 * @apiParam (BodyParameter) {Number} amount The amount to request.
+	 * @apiParam (BodyParameter) {String} [label] A description of the invoice.
+	 * @apiParam (BodyParameter) {Date} [expires] When the invoice should expire.
+	 *
+	 * @apiUse Invoice
+	 *
+	 * @apiSuccessExample {json} Success
+	 * {
+	 *     "ok": true,
+	 *     "invoice": {
+	 *         "id": "0123456789abcdef",
+	 *         "owner": "kre3w0i79j",
+	 *         "to": "shop.kst",
+	 *         "amount": 100,
+	 *         "paid": 0,
+	 *         "remaining": 100,
+	 *         "overpaid": 0,
+	 *         "label": "Diamond pickaxe",
+	 *         "metadata": "invoice=0123456789abcdef",
+	 *         "status": "pending",
+	 *         "created": "2021-04-07T12:00:00.000Z",
+	 *         "expires": "2021-04-08T12:00:00.000Z",
+	 *         "paid_at": null
+	 *     }
+	 * }
+	 *
+	 * @apiErrorExample {json} Not Name Owner
+	 * {
+	 *     "ok": false,
+	 *     "error": "not_name_owner"
+	 * }
+	 */
+  app.post("/invoices", async function(req, res) {
+    try {
+      const { privatekey, to, amount, label, expires } = req.body;
+      const dbInvoice = await invoicesController.createInvoice(
+        req, privatekey, to, amount, label, expires);
+
+      res.json({
+        ok: true,
+        invoice: invoicesController.invoiceToJSON(dbInvoice)
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  /**
+	 * @api {get} /invoices/:id Get an invoice
+	 * @apiName GetInvoice
+	 * @apiGroup InvoiceGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiParam (URLParameter) {String} id The ID of the invoice.
+	 *
+	 * @apiUse Invoice
+	 * @apiSuccess {Object[]} payments The transactions that paid this invoice,
+	 *             oldest first.
+	 *
+	 * @apiErrorExample {json} Invoice Not Found
+	 * {
+	 *     "ok": false,
+	 *     "error": "invoice_not_found"
+	 * }
+	 */
+  app.get("/invoices/:id", async function(req, res) {
+    try {
+      const dbInvoice = await invoicesController.getInvoice(req.params.id);
+      const payments = await invoicesController.getInvoicePayments(dbInvoice);
+
+      res.json({
+        ok: true,
+        invoice: invoicesController.invoiceToJSON(dbInvoice),
+        payments: payments.map(txController.transactionToJSON)
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  return app;
+};
@@ -19,10 +19,9 @@
  * For more project information, see <https://github.com/tmpim/krist>.
  */
 
-const krist     = require("./../krist.js");
-const utils     = require("./../utils.js");
-const addresses = require("./../addresses.js");
-const errors    = require("./../errors/errors.js");
+const utils  = require("./../utils.js");
+const auth   = require("./../auth.js");
+const errors = require("./../errors/errors.js");
 
 module.exports = function(app) {
   /**
@@ -31,7 +30,11 @@ module.exports = function(app) {
 	 * @apiGroup MiscellaneousGroup
 	 * @apiVersion 2.7.0
 	 *
-	 * @apiSuccess {Number} privatekey The privatekey to auth with
+	 * @apiDescription Either the privatekey must be supplied, or the request
+	 * must be signed with the Ed25519 key registered to the address. See
+	 * [Set an address's public key](#api-AddressGroup-SetPublicKey).
+	 *
+	 * @apiParam (BodyParameter) {String} [privatekey] The privatekey to auth with
 	 *
 	 * @apiSuccessExample {json} Success, Authed
 	 * {
@@ -48,13 +51,14 @@ module.exports = function(app) {
 	 */
   app.post("/login", async function(req, res) {
     try {
-      if (!req.body.privatekey) throw new errors.ErrorMissingParameter("privatekey");
+      const { privatekey } = req.body;
+      if (!auth.hasCredentials(req, privatekey))
+        throw new errors.ErrorMissingParameter("privatekey");
 
       // 2021: v1 addresses have been removed
       if (req.query.v === "1") throw new errors.ErrorInvalidParameter("v");
 
-      const address = krist.makeV2Address(req.body.privatekey);
-      const results = await addresses.verify(req, address, req.body.privatekey);
+      const results = await auth.verify(req, privatekey);
 
       if (results.authed) {
         return res.json({
@@ -25,11 +25,14 @@ const Addresses    = require("../addresses");
 const Blocks       = require("../blocks");
 const Transactions = require("../transactions");
 const Names        = require("../names");
+const CommonMeta   = require("../commonmeta");
 const errors       = require("../errors/errors");
 const utils        = require("../utils");
 
 // Fair tradeoff between flexibility and parameter limitations
 const ADDRESS_LIST_LIMIT = 128;
+// Maximum number of metadata fields that transactions can be filtered by
+const META_FIELD_LIMIT = 8;
 
 // Valid fields to order block lookups by
 const BLOCK_FIELDS = ["height", "address", "hash", "value", "time", "difficulty"];
@@ -55,6 +58,45 @@ function validateAddressList(addressList) {
   return addresses;
 }
 
+/** Collects the `meta.<key>=<value>` query parameters into an object. */
+function getMetaParams(query) {
+  return Object.fromEntries(Object.entries(query)
+    .filter(([param]) => param.startsWith("meta."))
+    .map(([param, value]) => [param.substring(5), value]));
+}
+
+/** Validate an object of CommonMeta fields to filter transactions by,
+ * returning them with their values as strings, or undefined if there are
+ * none. */
+function validateMetaFields(fields) {
+  // Ignore unsupplied parameter
+  if (typeof fields === "undefined") return;
+  if (!fields || typeof fields !== "object" || Array.isArray(fields))
+    throw new errors.ErrorInvalidParameter("meta");
+
+  const entries = Object.entries(fields);
+  if (!entries.length) return;
+  if (entries.length > META_FIELD_LIMIT)
+    throw new errors.ErrorInvalidParameter("meta");
+
+  const out = {};
+  for (const [key, value] of entries) {
+    // Keys can't contain the separators, and values can't contain `;`, as
+    // they would never match a parsed field
+    if (!key || key.length > CommonMeta.MAX_KEY_LENGTH || /[;=]/.test(key)
+      || (typeof value !== "string" && !Number.isFinite(value)))
+      throw new errors.ErrorInvalidParameter("meta." + key);
+
+    const strValue = String(value);
+    if (strValue.length > CommonMeta.MAX_VALUE_LENGTH || strValue.includes(";"))
+      throw new errors.ErrorInvalidParameter("meta." + key);
+
+    out[key] = strValue;
+  }
+
+  return out;
+}
+
 function validateOrderBy(validFields, order) {
   // Ignore unsupplied parameter
   if (typeof order === "undefined") return;
@@ -216,6 +258,11 @@ module.exports = function(app) {
    *           results to return.
 	 * @apiParam (QueryParameter) {Number} [offset=0] The amount to offset the
    *           results.
+	 * @apiParam (QueryParameter) {String} [cursor] The `next_cursor` of a previous
+   *           page, to return the results after it. The `orderBy` and `order`
+   *           must be the same as for the previous page. Faster than `offset`,
+   *           which is ignored when a cursor is given. `total` is only
+   *           returned on the first page, and is null when a cursor is given.
 	 * @apiParam (QueryParameter) {String} [orderBy=height] The field to order the
    *           results by. Must be one of `height`, `address`, `hash`, `value`,
    *           `time` or `difficulty`.
@@ -224,6 +271,8 @@ module.exports = function(app) {
    *
    * @apiSuccess {Number} count The count of results returned.
    * @apiSuccess {Number} total The total count of results available.
+   * @apiSuccess {String} next_cursor A cursor for the next page of results, or
+   *             `null` if this is the last page.
    * @apiUse Blocks
    *
    * @apiSuccessExample {json} Success
@@ -265,19 +314,21 @@ module.exports = function(app) {
     // NOTE: `time` is replaced with `id` as `time` is typically not indexed.
     //       While blocks are not _guaranteed_ to be monotonic, they generally
     //       are, so this is a worthwhile performance tradeoff.
-    const { rows, count } = await Blocks.lookupBlocks(
+    const { rows, count, nextCursor } = await Blocks.lookupBlocks(
       limit,
       offset,
       orderBy === "height"
         ? "id"
         : (orderBy === "time" ? "id" : orderBy),
-      order
+      order,
+      req.query.cursor
     );
 
     return res.json({
       ok: true,
       count: rows.length,
       total: count,
+      next_cursor: nextCursor,
       blocks: rows.map(Blocks.blockToJSON)
     });
   });
@@ -291,6 +342,13 @@ module.exports = function(app) {
    * @apiDescription Return all the transactions to/from the given address(es),
    *   or the whole network if no addresses are specified.
    *
+   * Transaction metadata is parsed as CommonMeta: semicolon-separated entries,
+   * which are either `key=value` pairs, or bare values such as the
+   * `name.kst` a transaction was sent to. The pairs are returned in each
+   * transaction's `metadata_fields`, and transactions can be filtered by them
+   * with `meta.<key>=<value>` query parameters, e.g.
+   * `/lookup/transactions?meta.return=kre3w0i79j&meta.order=42`.
+   *
    * **WARNING:** The Lookup API is in Beta, and is subject to change at any
    * time without warning.
    *
@@ -301,6 +359,11 @@ module.exports = function(app) {
    *           results to return.
 	 * @apiParam (QueryParameter) {Number} [offset=0] The amount to offset the
    *           results.
+	 * @apiParam (QueryParameter) {String} [cursor] The `next_cursor` of a previous
+   *           page, to return the results after it. The `orderBy` and `order`
+   *           must be the same as for the previous page. Faster than `offset`,
+   *           which is ignored when a cursor is given. `total` is only
+   *           returned on the first page, and is null when a cursor is given.
 	 * @apiParam (QueryParameter) {String} [orderBy=id] The field to order the
    *           results by. Must be one of `id`, `from`, `to`, `value`, `time`,
    *           `sent_name` or `sent_metaname`.
@@ -308,9 +371,16 @@ module.exports = function(app) {
    *           the results in. Must be one of `ASC` or `DESC`.
 	 * @apiParam (QueryParameter) {Boolean} [includeMined] If supplied,
    *           transactions from mining will be included.
+	 * @apiParam (QueryParameter) {String} [meta.key] Only return transactions
+   *           whose metadata contains the exact pair `key=value`. Up to 8 may
+   *           be given, and all of them must match. Keys longer than 64
+   *           characters and values longer than 255 characters are not
+   *           indexed, so can't be matched.
    *
    * @apiSuccess {Number} count The count of results returned.
    * @apiSuccess {Number} total The total count of results available.
+   * @apiSuccess {String} next_cursor A cursor for the next page of results, or
+   *             `null` if this is the last page.
    * @apiUse Transactions
    *
    * @apiSuccessExample {json} Success
@@ -353,24 +423,28 @@ module.exports = function(app) {
     const orderBy = validateOrderBy(TRANSACTION_FIELDS, req.query.orderBy);
     const order = validateOrder(req.query.order);
     const includeMined = typeof req.query.includeMined !== "undefined";
+    const metaFields = validateMetaFields(getMetaParams(req.query));
 
     // Perform the query
     // NOTE: `time` is replaced with `id` as `time` is typically not indexed.
     //       While transactions are not _guaranteed_ to be monotonic, they
     //       generally are, so this is a worthwhile performance tradeoff.
-    const { rows, count } = await Transactions.lookupTransactions(
+    const { rows, count, nextCursor } = await Transactions.lookupTransactions(
       addressList,
       limit,
       offset,
       orderBy === "time" ? "id" : orderBy,
       order,
-      includeMined
+      includeMined,
+      req.query.cursor,
+      metaFields
     );
 
     return res.json({
       ok: true,
       count: rows.length,
       total: count,
+      next_cursor: nextCursor,
       transactions: rows.map(Transactions.transactionToJSON)
     });
   });
@@ -394,6 +468,11 @@ module.exports = function(app) {
    *           results to return.
 	 * @apiParam (QueryParameter) {Number} [offset=0] The amount to offset the
    *           results.
+	 * @apiParam (QueryParameter) {String} [cursor] The `next_cursor` of a previous
+   *           page, to return the results after it. The `orderBy` and `order`
+   *           must be the same as for the previous page. Faster than `offset`,
+   *           which is ignored when a cursor is given. `total` is only
+   *           returned on the first page, and is null when a cursor is given.
 	 * @apiParam (QueryParameter) {String} [orderBy=name] The field to order the
    *           results by. Must be one of `name`, `owner`, `original_owner`,
    *           `registered` `updated`, `a` or `unpaid`.
@@ -402,6 +481,8 @@ module.exports = function(app) {
    *
    * @apiSuccess {Number} count The count of results returned.
    * @apiSuccess {Number} total The total count of results available.
+   * @apiSuccess {String} next_cursor A cursor for the next page of results, or
+   *             `null` if this is the last page.
    * @apiUse Names
    *
    * @apiSuccessExample {json} Success
@@ -439,14 +520,15 @@ module.exports = function(app) {
     const order = validateOrder(req.query.order);
 
     // Perform the query
-    const { rows, count } = await Names.lookupNames(
-      addressList, limit, offset, orderBy, order
+    const { rows, count, nextCursor } = await Names.lookupNames(
+      addressList, limit, offset, orderBy, order, req.query.cursor
     );
 
     return res.json({
       ok: true,
       count: rows.length,
       total: count,
+      next_cursor: nextCursor,
       names: rows.map(Names.nameToJSON)
     });
   });
@@ -470,6 +552,11 @@ module.exports = function(app) {
    *           results to return.
 	 * @apiParam (QueryParameter) {Number} [offset=0] The amount to offset the
    *           results.
+	 * @apiParam (QueryParameter) {String} [cursor] The `next_cursor` of a previous
+   *           page, to return the results after it. The `orderBy` and `order`
+   *           must be the same as for the previous page. Faster than `offset`,
+   *           which is ignored when a cursor is given. `total` is only
+   *           returned on the first page, and is null when a cursor is given.
 	 * @apiParam (QueryParameter) {String} [orderBy=id] The field to order the
    *           results by. Must be one of `id`, `from`, `to`, `value`, `time`,
    *           `sent_name` or `sent_metaname`.
@@ -478,6 +565,8 @@ module.exports = function(app) {
    *
    * @apiSuccess {Number} count The count of results returned.
    * @apiSuccess {Number} total The total count of results available.
+   * @apiSuccess {String} next_cursor A cursor for the next page of results, or
+   *             `null` if this is the last page.
    * @apiUse Transactions
    *
    * @apiSuccessExample {json} Success
@@ -518,18 +607,20 @@ module.exports = function(app) {
     const order = validateOrder(req.query.order);
 
     // Perform the query. `time` is replaced with `id` as usual.
-    const { rows, count } = await Transactions.lookupNameHistory(
+    const { rows, count, nextCursor } = await Transactions.lookupNameHistory(
       name,
       limit,
       offset,
       orderBy === "time" ? "id" : orderBy,
-      order
+      order,
+      req.query.cursor
     );
 
     return res.json({
       ok: true,
       count: rows.length,
       total: count,
+      next_cursor: nextCursor,
       transactions: rows.map(Transactions.transactionToJSON)
     });
   });
@@ -552,6 +643,11 @@ module.exports = function(app) {
    *           results to return.
 	 * @apiParam (QueryParameter) {Number} [offset=0] The amount to offset the
    *           results.
+	 * @apiParam (QueryParameter) {String} [cursor] The `next_cursor` of a previous
+   *           page, to return the results after it. The `orderBy` and `order`
+   *           must be the same as for the previous page. Faster than `offset`,
+   *           which is ignored when a cursor is given. `total` is only
+   *           returned on the first page, and is null when a cursor is given.
 	 * @apiParam (QueryParameter) {String} [orderBy=id] The field to order the
    *           results by. Must be one of `id`, `from`, `to`, `value`, `time`,
    *           `sent_name` or `sent_metaname`.
@@ -560,6 +656,8 @@ module.exports = function(app) {
    *
    * @apiSuccess {Number} count The count of results returned.
    * @apiSuccess {Number} total The total count of results available.
+   * @apiSuccess {String} next_cursor A cursor for the next page of results, or
+   *             `null` if this is the last page.
    * @apiUse Transactions
    *
    * @apiSuccessExample {json} Success
@@ -600,18 +698,20 @@ module.exports = function(app) {
     const order = validateOrder(req.query.order);
 
     // Perform the query. `time` is replaced with `id` as usual.
-    const { rows, count } = await Transactions.lookupTransactionsToName(
+    const { rows, count, nextCursor } = await Transactions.lookupTransactionsToName(
       name,
       limit,
       offset,
       orderBy === "time" ? "id" : orderBy,
-      order
+      order,
+      req.query.cursor
     );
 
     return res.json({
       ok: true,
       count: rows.length,
       total: count,
+      next_cursor: nextCursor,
       transactions: rows.map(Transactions.transactionToJSON)
     });
   });
@@ -626,9 +726,10 @@ module.exports = function(app) {
 };
 
 module.exports.utils = {
-  ADDRESS_LIST_LIMIT,
+  ADDRESS_LIST_LIMIT, META_FIELD_LIMIT,
   BLOCK_FIELDS, TRANSACTION_FIELDS, NAME_FIELDS,
   validateAddressList,
   validateOrderBy, validateOrder,
-  validateLimit, validateOffset
+  validateLimit, validateOffset,
+  getMetaParams, validateMetaFields
 };
@@ -0,0 +1,373 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const multisigController = require("./../controllers/multisig.js");
+const utils              = require("./../utils.js");
+
+module.exports = function(app) {
+  /**
+	 * @apiDefine MultisigGroup Multisig
+	 *
+	 * Multisig addresses are shared wallets whose funds can only be spent with
+	 * the approval of several of their members, e.g. a treasury that needs two
+	 * of its three officers to agree to each payment.
+	 *
+	 * A multisig has its own address, which anybody may send Krist to. Nobody
+	 * can log in to this address. Instead, a member proposes a transfer, and it
+	 * is made from the multisig's address once `threshold` members (including
+	 * the proposer) have approved it. If the multisig can't afford the transfer
+	 * when the final approval is given, the approval fails with
+	 * `insufficient_funds` and may be tried again later. If it can't afford it
+	 * when a proposal that needs no other approvals is made, the proposal stays
+	 * pending, and is executed when a member approves it once it can.
+	 *
+	 * Proposing may be done with an [API token](#api-TokenGroup) with the
+	 * `multisig:propose` scope, and approving with one with the
+	 * `multisig:approve` scope. Approvals may also be given over websockets. Each change to a proposal
+	 * is broadcast to websockets subscribed to `ownMultisigs`.
+	 */
+
+  /**
+	 * @apiDefine Multisig
+	 *
+	 * @apiSuccess {Object} multisig
+	 * @apiSuccess {String} multisig.address The multisig's address.
+	 * @apiSuccess {Number} multisig.threshold The amount of approvals a
+	 *             proposal needs to be executed.
+	 * @apiSuccess {String[]} multisig.members The addresses of the members.
+	 * @apiSuccess {String} [multisig.label] A label for the multisig, or null.
+	 * @apiSuccess {String} multisig.created_by The member that created the
+	 *             multisig.
+	 * @apiSuccess {Date} multisig.created The time the multisig was created.
+	 */
+
+  /**
+	 * @apiDefine Proposal
+	 *
+	 * @apiSuccess {Object} proposal
+	 * @apiSuccess {Number} proposal.id The ID of this proposal.
+	 * @apiSuccess {String} proposal.multisig The multisig the transfer is from.
+	 * @apiSuccess {String} proposal.proposer The member that proposed it.
+	 * @apiSuccess {String} proposal.to The recipient, an address or a name.
+	 * @apiSuccess {Number} proposal.amount The amount to transfer.
+	 * @apiSuccess {String} [proposal.metadata] The transaction's metadata, or
+	 *             null.
+	 * @apiSuccess {String} proposal.status `pending` or `executed`.
+	 * @apiSuccess {Object[]} proposal.approvals The members that have approved
+	 *             the proposal, oldest first.
+	 * @apiSuccess {String} proposal.approvals.member The member's address.
+	 * @apiSuccess {Date} proposal.approvals.time The time they approved it.
+	 * @apiSuccess {Date} proposal.created The time this proposal was made.
+	 * @apiSuccess {Date} [proposal.executed] The time the transfer was made,
+	 *             or null.
+	 * @apiSuccess {Number} [proposal.transaction_id] The ID of the transaction
+	 *             made, or null.
+	 */
+
+  /**
+	 * @api {post} /multisig Create a multisig
+	 * @apiName CreateMultisig
+	 * @apiGroup MultisigGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Creates a new multisig address. You must be one of its
+	 * members. API tokens can't be used to create multisigs.
+	 *
+	 * @apiParam (BodyParameter) {String} [privatekey] The privatekey of your
+	 *           address. May be omitted if the request is signed.
+	 * @apiParam (BodyParameter) {String[]} members The addresses of the
+	 *           members, between 2 and 16.
+	 * @apiParam (BodyParameter) {Number} threshold The amount of approvals each
+	 *           proposal needs.
+	 * @apiParam (BodyParameter) {String} [label] A label for the multisig.
+	 *
+	 * @apiUse Multisig
+	 *
+	 * @apiSuccessExample {json} Success
+	 * {
+	 *     "ok": true,
+	 *     "multisig": {
+	 *         "address": "kq2r3jnn2a",
+	 *         "threshold": 2,
+	 *         "members": ["k0duvsr4qn", "k7oax47quv", "k8juvewcui"],
+	 *         "label": "Guild treasury",
+	 *         "created_by": "k8juvewcui",
+	 *         "created": "2021-04-07T12:00:00.000Z"
+	 *     }
+	 * }
+	 */
+  app.post("/multisig", async function(req, res) {
+    try {
+      const { privatekey, members, threshold, label } = req.body;
+      const created = await multisigController.createMultisig(req, privatekey, members, threshold, label);
+
+      res.json({
+        ok: true,
+        multisig: multisigController.multisigToJSON(created.multisig, created.members)
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  /**
+	 * @api {get} /multisig/:address Get a multisig
+	 * @apiName GetMultisig
+	 * @apiGroup MultisigGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiParam (URLParameter) {String} address The multisig's address.
+	 *
+	 * @apiUse Multisig
+	 *
+	 * @apiErrorExample {json} Multisig Not Found
+	 * {
+	 *     "ok": false,
+	 *     "error": "multisig_not_found"
+	 * }
+	 */
+  app.get("/multisig/:address", async function(req, res) {
+    try {
+      const dbMultisig = await multisigController.getMultisig(req.params.address);
+      const members = await multisigController.getMembers(dbMultisig.address);
+
+      res.json({
+        ok: true,
+        multisig: multisigController.multisigToJSON(dbMultisig, members)
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  /**
+	 * @api {get} /addresses/:address/multisig Get the multisigs of an address
+	 * @apiName GetAddressMultisigs
+	 * @apiGroup MultisigGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Lists the multisigs the address is a member of.
+	 *
+	 * @apiParam (URLParameter) {String} address The address.
+	 * @apiParam (QueryParameter) {Number} [limit=50] The maximum amount of results to return.
+	 * @apiParam (QueryParameter) {Number} [offset=0] The amount to offset the results.
+	 *
+	 * @apiSuccess {Number} count The count of results.
+	 * @apiSuccess {Number} total The total amount of multisigs.
+	 * @apiSuccess {Object[]} multisigs The multisigs, in the same format as
+	 *             [Get a multisig](#api-MultisigGroup-GetMultisig).
+	 */
+  app.get("/addresses/:address/multisig", async function(req, res) {
+    try {
+      const { rows, count } = await multisigController.getMultisigsByMember(
+        req.params.address, req.query.limit, req.query.offset);
+      const members = await Promise.all(rows.map(m => multisigController.getMembers(m.address)));
+
+      res.json({
+        ok: true,
+        count: rows.length,
+        total: count,
+        multisigs: rows.map((m, i) => multisigController.multisigToJSON(m, members[i]))
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  /**
+	 * @api {get} /multisig/:address/proposals List a multisig's proposals
+	 * @apiName GetMultisigProposals
+	 * @apiGroup MultisigGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Lists the proposals of a multisig, newest first.
+	 *
+	 * @apiParam (URLParameter) {String} address The multisig's address.
+	 * @apiParam (QueryParameter) {String} [status] Only list proposals with
+	 *           this status, `pending` or `executed`.
+	 * @apiParam (QueryParameter) {Number} [limit=50] The maximum amount of results to return.
+	 * @apiParam (QueryParameter) {Number} [offset=0] The amount to offset the results.
+	 *
+	 * @apiSuccess {Number} count The count of results.
+	 * @apiSuccess {Number} total The total amount of proposals.
+	 * @apiSuccess {Object[]} proposals The proposals, in the same format as
+	 *             [Get a proposal](#api-MultisigGroup-GetProposal).
+	 */
+  app.get("/multisig/:address/proposals", async function(req, res) {
+    try {
+      const { rows, count } = await multisigController.getProposals(
+        req.params.address, req.query.status, req.query.limit, req.query.offset);
+      const approvals = await multisigController.getApprovals(rows.map(p => p.id));
+
+      res.json({
+        ok: true,
+        count: rows.length,
+        total: count,
+        proposals: rows.map(p => multisigController.proposalToJSON(p, approvals[p.id]))
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  /**
+	 * @api {post} /multisig/:address/proposals Propose a transfer
+	 * @apiName CreateProposal
+	 * @apiGroup MultisigGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Proposes a transfer from a multisig you are a member of.
+	 * This counts as your approval, so if the threshold is 1, the transfer is
+	 * made immediately. If the multisig can't afford it yet, the proposal is
+	 * still created, but stays pending.
+	 *
+	 * @apiParam (URLParameter) {String} address The multisig's address.
+	 * @apiParam (BodyParameter) {String} [privatekey] The privatekey of your
+	 *           address. May be omitted if the request is signed, or uses an
+	 *           API token with the `multisig:propose` scope.
+	 * @apiParam (BodyParameter) {String} to The recipient of the transfer, an
+	 *           address or a name.
+	 * @apiParam (BodyParameter) {Number} amount The amount to send.
+	 * @apiParam (BodyParameter) {String} [metadata] Optional metadata to
+	 *           include in the transaction.
+	 *
+	 * @apiUse Proposal
+	 *
+	 * @apiSuccessExample {json} Success
+	 * {
+	 *     "ok": true,
+	 *     "proposal": {
+	 *         "id": 1,
+	 *         "multisig": "kq2r3jnn2a",
+	 *         "proposer": "k8juvewcui",
+	 *         "to": "k7oax47quv",
+	 *         "amount": 100,
+	 *         "metadata": "Guild hall rent",
+	 *         "status": "pending",
+	 *         "approvals": [
+	 *             { "member": "k8juvewcui", "time": "2021-04-07T12:00:00.000Z" }
+	 *         ],
+	 *         "created": "2021-04-07T12:00:00.000Z",
+	 *         "executed": null,
+	 *         "transaction_id": null
+	 *     }
+	 * }
+	 *
+	 * @apiErrorExample {json} Not Multisig Member
+	 * {
+	 *     "ok": false,
+	 *     "error": "not_multisig_member"
+	 * }
+	 */
+  app.post("/multisig/:address/proposals", async function(req, res) {
+    try {
+      const { userAgent, origin } = utils.getReqDetails(req);
+      const { privatekey, to, amount, metadata } = req.body;
+      const { proposal, approvals } = await multisigController.createProposal(
+        req, privatekey, req.params.address, to, amount, metadata, userAgent, origin);
+
+      res.json({
+        ok: true,
+        proposal: multisigController.proposalToJSON(proposal, approvals)
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  /**
+	 * @api {get} /multisig/proposals/:id Get a proposal
+	 * @apiName GetProposal
+	 * @apiGroup MultisigGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiParam (URLParameter) {Number} id The ID of the proposal.
+	 *
+	 * @apiUse Proposal
+	 *
+	 * @apiErrorExample {json} Proposal Not Found
+	 * {
+	 *     "ok": false,
+	 *     "error": "proposal_not_found"
+	 * }
+	 */
+  app.get("/multisig/proposals/:id", async function(req, res) {
+    try {
+      const dbProposal = await multisigController.getProposal(req.params.id);
+      const approvals = await multisigController.getApprovals([dbProposal.id]);
+
+      res.json({
+        ok: true,
+        proposal: multisigController.proposalToJSON(dbProposal, approvals[dbProposal.id])
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  /**
+	 * @api {post} /multisig/proposals/:id/approve Approve a proposal
+	 * @apiName ApproveProposal
+	 * @apiGroup MultisigGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Approves a pending proposal of a multisig you are a member
+	 * of. If this meets the multisig's threshold, the transfer is made, and the
+	 * proposal is returned with the `executed` status. A proposal that already
+	 * has enough approvals, but couldn't be afforded when it was made, is
+	 * executed when any member approves it again.
+	 *
+	 * @apiParam (URLParameter) {Number} id The ID of the proposal.
+	 * @apiParam (BodyParameter) {String} [privatekey] The privatekey of your
+	 *           address. May be omitted if the request is signed, or uses an
+	 *           API token with the `multisig:approve` scope.
+	 *
+	 * @apiUse Proposal
+	 *
+	 * @apiErrorExample {json} Already Approved
+	 * {
+	 *     "ok": false,
+	 *     "error": "already_approved"
+	 * }
+	 *
+	 * @apiErrorExample {json} Proposal Executed
+	 * {
+	 *     "ok": false,
+	 *     "error": "proposal_executed"
+	 * }
+	 */
+  app.post("/multisig/proposals/:id/approve", async function(req, res) {
+    try {
+      const { userAgent, origin } = utils.getReqDetails(req);
+      const { proposal, approvals } = await multisigController.approveProposal(
+        req, req.body.privatekey, req.params.id, userAgent, origin);
+
+      res.json({
+        ok: true,
+        proposal: multisigController.proposalToJSON(proposal, approvals)
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  return app;
+};
@@ -418,7 +418,9 @@ module.exports = function(app) {
 	 * @apiVersion 2.0.0
 	 *
 	 * @apiParam (URLParameter) {String} name The name you want to register.
-	 * @apiParam (BodyParameter) {String} privatekey The private key to your address.
+	 * @apiParam (BodyParameter) {String} [privatekey] The private key to your address. May be omitted if the request is
+	 * 			signed (see [Set an address's public key](#api-AddressGroup-SetPublicKey)), or uses an
+	 * 			[API token](#api-TokenGroup).
 	 *
 	 * @apiSuccessExample {json} Success
 	 * {
@@ -465,7 +467,9 @@ module.exports = function(app) {
 	 *
 	 * @apiParam (URLParameter) {String} name The name you want to transfer.
 	 * @apiParam (BodyParameter) {String} address The address you want to transfer the name to.
-	 * @apiParam (BodyParameter) {String} privatekey The private key to your address.
+	 * @apiParam (BodyParameter) {String} [privatekey] The private key to your address. May be omitted if the request is
+	 * 			signed (see [Set an address's public key](#api-AddressGroup-SetPublicKey)), or uses an
+	 * 			[API token](#api-TokenGroup).
 	 *
 	 * @apiUse Name
 	 *
@@ -526,7 +530,9 @@ module.exports = function(app) {
 	 *
 	 * @apiParam (URLParameter) {String} name The name you want to update.
 	 * @apiParam (BodyParameter) {String} a The A record you want to set for the name.
-	 * @apiParam (BodyParameter) {String} privatekey The private key to your address.
+	 * @apiParam (BodyParameter) {String} [privatekey] The private key to your address. May be omitted if the request is
+	 * 			signed (see [Set an address's public key](#api-AddressGroup-SetPublicKey)), or uses an
+	 * 			[API token](#api-TokenGroup).
 	 *
 	 * @apiUse Name
 	 *
@@ -567,7 +573,9 @@ module.exports = function(app) {
 	 *
 	 * @apiParam (URLParameter) {String} name The name you want to update.
 	 * @apiParam (BodyParameter) {String} a The A record you want to set for the name.
-	 * @apiParam (BodyParameter) {String} privatekey The private key to your address.
+	 * @apiParam (BodyParameter) {String} [privatekey] The private key to your address. May be omitted if the request is
+	 * 			signed (see [Set an address's public key](#api-AddressGroup-SetPublicKey)), or uses an
+	 * 			[API token](#api-TokenGroup).
 	 *
 	 * @apiUse Name
 	 *
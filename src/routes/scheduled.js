@@ -0,0 +1,260 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const scheduledController = require("./../controllers/scheduled.js");
+const utils               = require("./../utils.js");
+
+module.exports = function(app) {
+  /**
+	 * @apiDefine ScheduledGroup Scheduled Transactions
+	 *
+	 * Scheduled transactions are made by the server on your behalf at a set
+	 * time, and optionally repeated every hour, day, week or month. They are
+	 * checked once a minute, and made in the same way as
+	 * [Make a transaction](#api-TransactionGroup-MakeTransaction), including
+	 * payments to names, which are resolved to the name's current owner on each
+	 * run.
+	 *
+	 * If a run fails (for example, because the address has insufficient funds),
+	 * the run is skipped and the failure is recorded. Failures can be listed with
+	 * [Get a scheduled transaction's failures](#api-ScheduledGroup-GetScheduledFailures).
+	 * If the server was down when a run was due, the missed runs are skipped.
+	 *
+	 * Scheduled transactions can only be managed with the address's privatekey
+	 * or a signed request, never with an API token.
+	 */
+
+  /**
+	 * @apiDefine Scheduled
+	 *
+	 * @apiSuccess {Object} scheduled
+	 * @apiSuccess {Number} scheduled.id The ID of this scheduled transaction.
+	 * @apiSuccess {String} scheduled.owner The address the payments are made from.
+	 * @apiSuccess {String} scheduled.to The recipient, either an address or a name.
+	 * @apiSuccess {Number} scheduled.amount The amount of Krist sent on each run.
+	 * @apiSuccess {String} [scheduled.metadata] The metadata of each transaction,
+	 *             or null.
+	 * @apiSuccess {String} [scheduled.interval] How often the payment repeats
+	 *             (`hourly`, `daily`, `weekly` or `monthly`), or null if it only
+	 *             runs once.
+	 * @apiSuccess {Number} [scheduled.max_runs] The maximum amount of times the
+	 *             payment will run, or null if it repeats until deleted.
+	 * @apiSuccess {Number} scheduled.runs The amount of times this payment has run,
+	 *             including failed runs.
+	 * @apiSuccess {Date} scheduled.created The time this payment was scheduled.
+	 * @apiSuccess {Date} [scheduled.next_run] The time of the next run, or null if
+	 *             it has finished.
+	 * @apiSuccess {Date} [scheduled.last_run] The time of the last run, or null.
+	 * @apiSuccess {Boolean} scheduled.active Whether this payment will run again.
+	 */
+
+  /**
+	 * @api {post} /scheduled Schedule a transaction
+	 * @apiName CreateScheduled
+	 * @apiGroup ScheduledGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Schedules a one-off or recurring payment from your address.
+	 * An address may have up to 32 active scheduled transactions.
+	 *
+	 * @apiParam (BodyParameter) {String} [privatekey] The privatekey of your
+	 *           address. May be omitted if the request is signed.
+	 * @apiParam (BodyParameter) {String} to The recipient of the transactions.
+	 * @apiParam (BodyParameter) {Number} amount The amount to send on each run.
+	 * @apiParam (BodyParameter) {String} [metadata] Optional metadata to include
+	 *           in each transaction.
+	 * @apiParam (BodyParameter) {Date} [run_at] When the first run should be
+	 *           made. Defaults to the next minute.
+	 * @apiParam (BodyParameter) {String="hourly","daily","weekly","monthly"} [interval]
+	 *           How often the payment should repeat. If omitted, it only runs once.
+	 * @apiParam (BodyParameter) {Number} [max_runs] The maximum amount of times
+	 *           the payment should run.
+	 *
+	 * @apiUse Scheduled
+	 *
+	 * @apiSuccessExample {json} Success
+	 * {
+	 *     "ok": true,
+	 *     "scheduled": {
+	 *         "id": 1,
+	 *         "owner": "kre3w0i79j",
+	 *         "to": "rent.kst",
+	 *         "amount": 250,
+	 *         "metadata": "rent.kst;April",
+	 *         "interval": "monthly",
+	 *         "max_runs": 12,
+	 *         "runs": 0,
+	 *         "created": "2021-04-01T12:00:00.000Z",
+	 *         "next_run": "2021-05-01T00:00:00.000Z",
+	 *         "last_run": null,
+	 *         "active": true
+	 *     }
+	 * }
+	 *
+	 * @apiErrorExample {json} Invalid Interval
+	 * {
+	 *     "ok": false,
+	 *     "error": "invalid_parameter",
+	 *     "parameter": "interval"
+	 * }
+	 */
+  app.post("/scheduled", async function(req, res) {
+    try {
+      const { privatekey, to, amount, metadata, run_at, interval, max_runs } = req.body;
+      const dbScheduled = await scheduledController.createScheduled(
+        req, privatekey, to, amount, metadata, run_at, interval, max_runs);
+
+      res.json({
+        ok: true,
+        scheduled: scheduledController.scheduledToJSON(dbScheduled)
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  /**
+	 * @api {get} /scheduled List your scheduled transactions
+	 * @apiName GetScheduled
+	 * @apiGroup ScheduledGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Lists the scheduled transactions belonging to your address,
+	 * including ones that have finished. It is strongly recommended to sign this
+	 * request rather than supplying the privatekey in the query string.
+	 *
+	 * @apiParam (QueryParameter) {String} [privatekey] The privatekey of your
+	 *           address. May be omitted if the request is signed.
+	 * @apiParam (QueryParameter) {Number} [limit=50] The maximum amount of results to return.
+	 * @apiParam (QueryParameter) {Number} [offset=0] The amount to offset the results.
+	 *
+	 * @apiSuccess {Number} count The count of results.
+	 * @apiSuccess {Number} total The total amount of scheduled transactions.
+	 * @apiSuccess {Object[]} scheduled The scheduled transactions, in the same
+	 *             format as [Schedule a transaction](#api-ScheduledGroup-CreateScheduled).
+	 */
+  app.get("/scheduled", async function(req, res) {
+    try {
+      const { privatekey, limit, offset } = req.query;
+      const { rows, count } = await scheduledController.getScheduled(req, privatekey, limit, offset);
+
+      res.json({
+        ok: true,
+        count: rows.length,
+        total: count,
+        scheduled: rows.map(scheduledController.scheduledToJSON)
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  /**
+	 * @api {get} /scheduled/:id/failures Get a scheduled transaction's failures
+	 * @apiName GetScheduledFailures
+	 * @apiGroup ScheduledGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Lists the failed runs of one of your scheduled transactions,
+	 * newest first.
+	 *
+	 * @apiParam (URLParameter) {Number} id The ID of the scheduled transaction.
+	 * @apiParam (QueryParameter) {String} [privatekey] The privatekey of your
+	 *           address. May be omitted if the request is signed.
+	 * @apiParam (QueryParameter) {Number} [limit=50] The maximum amount of results to return.
+	 * @apiParam (QueryParameter) {Number} [offset=0] The amount to offset the results.
+	 *
+	 * @apiSuccess {Number} count The count of results.
+	 * @apiSuccess {Number} total The total amount of failures.
+	 * @apiSuccess {Object[]} failures
+	 * @apiSuccess {Number} failures.id The ID of this failure.
+	 * @apiSuccess {Number} failures.scheduled_id The ID of the scheduled transaction.
+	 * @apiSuccess {Date} failures.time The time of the failed run.
+	 * @apiSuccess {String} failures.error The error that caused the run to fail,
+	 *             for example `insufficient_funds` or `name_not_found`.
+	 *
+	 * @apiSuccessExample {json} Success
+	 * {
+	 *     "ok": true,
+	 *     "count": 1,
+	 *     "total": 1,
+	 *     "failures": [
+	 *         {
+	 *             "id": 3,
+	 *             "scheduled_id": 1,
+	 *             "time": "2021-05-01T00:00:00.000Z",
+	 *             "error": "insufficient_funds"
+	 *         }
+	 *     ]
+	 * }
+	 */
+  app.get("/scheduled/:id/failures", async function(req, res) {
+    try {
+      const { privatekey, limit, offset } = req.query;
+      const { rows, count } = await scheduledController.getFailures(req, privatekey, req.params.id, limit, offset);
+
+      res.json({
+        ok: true,
+        count: rows.length,
+        total: count,
+        failures: rows.map(scheduledController.failureToJSON)
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  /**
+	 * @api {delete} /scheduled/:id Delete a scheduled transaction
+	 * @apiName DeleteScheduled
+	 * @apiGroup ScheduledGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Deletes one of your scheduled transactions, along with its
+	 * recorded failures. Transactions it has already made are not affected.
+	 *
+	 * @apiParam (URLParameter) {Number} id The ID of the scheduled transaction.
+	 * @apiParam (BodyParameter) {String} [privatekey] The privatekey of your
+	 *           address. May be omitted if the request is signed.
+	 *
+	 * @apiUse Scheduled
+	 *
+	 * @apiErrorExample {json} Scheduled Transaction Not Found
+	 * {
+	 *     "ok": false,
+	 *     "error": "scheduled_transaction_not_found"
+	 * }
+	 */
+  app.delete("/scheduled/:id", async function(req, res) {
+    try {
+      const dbScheduled = await scheduledController.deleteScheduled(req, req.body.privatekey, req.params.id);
+
+      res.json({
+        ok: true,
+        scheduled: scheduledController.scheduledToJSON(dbScheduled)
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  return app;
+};
@@ -159,14 +159,14 @@ async function performExtendedSearch(query) {
 }
 
 // Type must be one of "address", "name", "metadata"
-async function getExtendedSearchResults(query, type, limit, offset, orderBy, order, includeMined) {
+async function getExtendedSearchResults(query, type, limit, offset, orderBy, order, includeMined, cursor) {
   const parsed = parseQuery(query);
   const { matchAddress, matchName, strippedName } = parsed;
 
   // Perform the appropriate lookup based on the type
   switch (type) {
   case "address": {
-    if (!matchAddress) return { rows: [], count: 0 };
+    if (!matchAddress) return { rows: [], count: 0, nextCursor: null };
 
     // Perform the query. `time` is replaced with `id` as usual.
     return Transactions.getTransactionsByAddress(
@@ -176,11 +176,12 @@ async function getExtendedSearchResults(query, type, limit, offset, orderBy, ord
       includeMined,
       false,
       orderBy === "time" ? "id" : orderBy,
-      order
+      order,
+      cursor
     );
   }
   case "name": {
-    if (!matchName) return { rows: [], count: 0 };
+    if (!matchName) return { rows: [], count: 0, nextCursor: null };
 
     // Check if the name exists before attempting to search by name
     const name = type === "name" && matchName
@@ -195,7 +196,8 @@ async function getExtendedSearchResults(query, type, limit, offset, orderBy, ord
       limit,
       offset,
       orderBy === "time" ? "id" : orderBy,
-      order
+      order,
+      cursor
     );
   }
   case "metadata": {
@@ -206,15 +208,15 @@ async function getExtendedSearchResults(query, type, limit, offset, orderBy, ord
       limit,
       offset,
       orderBy === "time" ? "id" : orderBy,
-      order
+      order,
+      cursor
     );
   }
   default: throw new errors.ErrorInvalidParameter("type");
   }
 }
 
-function validateQuery(req) {
-  const query = req.query.q;
+function validateQuery(query) {
   if (!query) throw new errors.ErrorMissingParameter("q");
   if (typeof query !== "string") throw new errors.ErrorInvalidParameter("q");
 
@@ -376,7 +378,7 @@ module.exports = function(app) {
    * }
    */
   api.get("/", async (req, res) => {
-    const query = validateQuery(req);
+    const query = validateQuery(req.query.q);
     const results = await performSearch(query);
     res.json({
       ok: true,
@@ -396,8 +398,8 @@ module.exports = function(app) {
    * - Transactions are searched by address involved (from, to)
    * - Transactions are searched by name involved (either a name
    *   transfer/update, or a transaction to a name)
-   * - Transactions are searched by raw metadata (exact query match anywhere in
-   *   the metadata)
+   * - Transactions are searched by the words in their metadata (see
+   *   [Search transaction results](#api-LookupGroup-SearchExtendedResults))
    *
    * **WARNING:** The Lookup API is in Beta, and is subject to change at any
    * time without warning.
@@ -419,7 +421,7 @@ module.exports = function(app) {
    *   `sent_name` fields respectively), or `false` if the query isn't a valid
    *   Krist name.
    * @apiSuccess {Number|Boolean} matches.transactions.metadata The number of
-   *   transactions with metadata containing the query string.
+   *   transactions with metadata matching the query.
    *
    * @apiSuccessExample {json} Success
    * {
@@ -443,7 +445,7 @@ module.exports = function(app) {
    * }
    */
   api.get("/extended", async (req, res) => {
-    const query = validateQuery(req);
+    const query = validateQuery(req.query.q);
 
     // Don't allow the query to be too short (to not return tens of thousands
     // of results)
@@ -469,8 +471,16 @@ module.exports = function(app) {
    * - `address` - Transactions are searched by address involved (from, to)
    * - `name` - Transactions are searched by name involved (either a name
    *   transfer/update, or a transaction to a name)
-   * - `metadata` - Transactions are searched by raw metadata (exact query match
-   *   anywhere in the metadata)
+   * - `metadata` - Transactions are searched by the words in their metadata.
+   *   Every word in the query must match. A word ending in `*` matches any
+   *   word starting with it, and words in double quotes, or joined by
+   *   punctuation (e.g. `test.kst`), must appear together as a phrase. Words
+   *   shorter than 3 characters, and very common words such as `the`, are
+   *   ignored. Unless `orderBy` is given, the results are ordered by
+   *   relevance, most relevant first, and can only be paged with `offset`.
+   *   Queries made up only of such words are instead matched anywhere in the
+   *   metadata, like before full-text search was added, and are ordered by
+   *   `orderBy` (the ID by default).
    *
    * **WARNING:** The Lookup API is in Beta, and is subject to change at any
    * time without warning.
@@ -482,14 +492,22 @@ module.exports = function(app) {
 	 * @apiParam (QueryParameter) {Boolean} [includeMined] If supplied,
    *           transactions from mining will be included (only for `address`
    *           searches).
+	 * @apiParam (QueryParameter) {String} [cursor] The `next_cursor` of a previous
+   *           page, to return the results after it. The `orderBy` and `order`
+   *           must be the same as for the previous page. Faster than `offset`,
+   *           which is ignored when a cursor is given. `total` is only
+   *           returned on the first page, and is null when a cursor is given.
+   *           Not available for `metadata` searches ordered by relevance.
    *
    * @apiUse Transactions
    *
    * @apiSuccess {Number} count The count of results returned.
    * @apiSuccess {Number} total The total count of results available.
+   * @apiSuccess {String} next_cursor A cursor for the next page of results, or
+   *             `null` if this is the last page.
    */
   api.get("/extended/results/transactions/:type", async (req, res) => {
-    const query = validateQuery(req);
+    const query = validateQuery(req.query.q);
 
     const type = req.params.type;
     if (!["address", "name", "metadata"].includes(type))
@@ -508,20 +526,22 @@ module.exports = function(app) {
     const order = lookup.validateOrder(req.query.order);
     const includeMined = typeof req.query.includeMined !== "undefined";
 
-    const { rows, count } = await getExtendedSearchResults(
+    const { rows, count, nextCursor } = await getExtendedSearchResults(
       query,
       type,
       limit,
       offset,
       orderBy === "time" ? "id" : orderBy,
       order,
-      includeMined
+      includeMined,
+      req.query.cursor
     );
 
     return res.json({
       ok: true,
       count: rows.length,
       total: count,
+      next_cursor: nextCursor,
       transactions: rows.map(Transactions.transactionToJSON)
     });
   });
@@ -534,3 +554,9 @@ module.exports = function(app) {
 
   app.use("/search", api);
 };
+
+module.exports.utils = {
+  validateQuery,
+  performSearch, performExtendedSearch,
+  getExtendedSearchResults
+};
@@ -0,0 +1,201 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const statsController = require("./../controllers/stats.js");
+const utils           = require("./../utils.js");
+
+module.exports = function(app) {
+  /**
+	 * @apiDefine StatsGroup Statistics
+	 *
+	 * Hourly and daily statistics about the Krist network. The statistics are
+	 * aggregated in the background about once a minute, so recent periods may
+	 * lag behind slightly. Periods start on the hour, or at midnight UTC. A
+	 * period that had not ended yet when it was last aggregated has `complete`
+	 * set to false, and will change until it is complete.
+	 *
+	 * Periods that have not been aggregated yet are not returned.
+	 */
+
+  /**
+	 * @apiDefine StatsRange
+	 *
+	 * @apiParam (QueryParameter) {Date} [from] The time of the first period to
+	 *           return, as an ISO-8601 date. Defaults to 30 periods before `to`.
+	 * @apiParam (QueryParameter) {Date} [to] The time of the last period to
+	 *           return, as an ISO-8601 date. Defaults to now.
+	 * @apiParam (QueryParameter) {String="hour","day"} [interval=day] The
+	 *           length of each period.
+	 *
+	 * @apiSuccess {Date} from The start of the first period.
+	 * @apiSuccess {Date} to The end of the last period.
+	 * @apiSuccess {String} interval The length of each period.
+	 */
+
+  /**
+	 * @api {get} /stats Get network statistics
+	 * @apiName GetStats
+	 * @apiGroup StatsGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Returns the network statistics of each period between
+	 * `from` and `to`. At most 1000 periods may be requested at once.
+	 *
+	 * Transactions are counted by type, which is one of `mined`,
+	 * `transfer`, `name_purchase`, `name_a_record`, `name_transfer`,
+	 * `escrow_lock`, `escrow_release` or `escrow_refund`. Types without any
+	 * transactions in a period are omitted.
+	 *
+	 * @apiUse StatsRange
+	 *
+	 * @apiSuccess {Object[]} periods
+	 * @apiSuccess {Date} periods.time The start of this period.
+	 * @apiSuccess {Boolean} periods.complete Whether this period had ended when
+	 *             it was aggregated.
+	 * @apiSuccess {Number} periods.transactions The number of transactions made.
+	 * @apiSuccess {Number} periods.volume The total value of the transactions.
+	 * @apiSuccess {Object} periods.transaction_types The number and total value
+	 *             of the transactions of each type.
+	 * @apiSuccess {Number} periods.active_addresses The number of addresses that
+	 *             sent or received a transaction.
+	 * @apiSuccess {Number} periods.new_addresses The number of addresses first
+	 *             seen.
+	 * @apiSuccess {Number} periods.blocks The number of blocks mined.
+	 * @apiSuccess {Number} [periods.average_block_time] The average number of
+	 *             seconds between the blocks mined, or null if fewer than two
+	 *             were mined.
+	 * @apiSuccess {Number} periods.names_registered The number of names
+	 *             registered.
+	 *
+	 * @apiSuccessExample {json} Success
+	 * {
+	 *     "ok": true,
+	 *     "from": "2016-02-01T00:00:00.000Z",
+	 *     "to": "2016-02-02T00:00:00.000Z",
+	 *     "interval": "day",
+	 *     "periods": [
+	 *         {
+	 *             "time": "2016-02-01T00:00:00.000Z",
+	 *             "complete": true,
+	 *             "transactions": 1473,
+	 *             "volume": 186327,
+	 *             "transaction_types": {
+	 *                 "mined": { "count": 1398, "volume": 34950 },
+	 *                 "name_purchase": { "count": 3, "volume": 1500 },
+	 *                 "transfer": { "count": 72, "volume": 149877 }
+	 *             },
+	 *             "active_addresses": 41,
+	 *             "new_addresses": 6,
+	 *             "blocks": 1398,
+	 *             "average_block_time": 61.8,
+	 *             "names_registered": 3
+	 *         }
+	 *     ]
+	 * }
+	 *
+	 * @apiErrorExample {json} Invalid Interval
+	 * {
+	 *     "ok": false,
+	 *     "error": "invalid_parameter",
+	 *     "parameter": "interval"
+	 * }
+	 */
+  app.get("/stats", async function(req, res) {
+    try {
+      const { from, to, interval, periods } = await statsController.getStats(
+        req.query.from, req.query.to, req.query.interval);
+
+      res.json({
+        ok: true,
+        from,
+        to,
+        interval,
+        periods
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  /**
+	 * @api {get} /stats/top Get the top senders and receivers
+	 * @apiName GetStatsTop
+	 * @apiGroup StatsGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Returns the 10 addresses that sent and received the most
+	 * Krist in each period between `from` and `to`. At most 100 periods may be
+	 * requested at once.
+	 *
+	 * @apiUse StatsRange
+	 *
+	 * @apiSuccess {Object[]} periods
+	 * @apiSuccess {Date} periods.time The start of this period.
+	 * @apiSuccess {Boolean} periods.complete Whether this period had ended when
+	 *             it was aggregated.
+	 * @apiSuccess {Object[]} periods.top_senders The addresses that sent the
+	 *             most, including name purchases.
+	 * @apiSuccess {String} periods.top_senders.address The address.
+	 * @apiSuccess {Number} periods.top_senders.amount The total amount sent.
+	 * @apiSuccess {Number} periods.top_senders.transactions The number of
+	 *             transactions sent.
+	 * @apiSuccess {Object[]} periods.top_receivers The addresses that received
+	 *             the most, including mined rewards, in the same format.
+	 *
+	 * @apiSuccessExample {json} Success
+	 * {
+	 *     "ok": true,
+	 *     "from": "2016-02-01T00:00:00.000Z",
+	 *     "to": "2016-02-02T00:00:00.000Z",
+	 *     "interval": "day",
+	 *     "periods": [
+	 *         {
+	 *             "time": "2016-02-01T00:00:00.000Z",
+	 *             "complete": true,
+	 *             "top_senders": [
+	 *                 { "address": "kre3w0i79j", "amount": 20000, "transactions": 4 }
+	 *             ],
+	 *             "top_receivers": [
+	 *                 { "address": "k5ztameslf", "amount": 20000, "transactions": 4 }
+	 *             ]
+	 *         }
+	 *     ]
+	 * }
+	 */
+  app.get("/stats/top", async function(req, res) {
+    try {
+      const { from, to, interval, periods } = await statsController.getTopAddresses(
+        req.query.from, req.query.to, req.query.interval);
+
+      res.json({
+        ok: true,
+        from,
+        to,
+        interval,
+        periods
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  return app;
+};
@@ -0,0 +1,218 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const tokensController = require("./../controllers/tokens.js");
+const utils            = require("./../utils.js");
+
+module.exports = function(app) {
+  /**
+	 * @apiDefine TokenGroup API Tokens
+	 *
+	 * API tokens allow services to act on behalf of an address without ever
+	 * being given its privatekey. Each token is limited to a set of scopes, and
+	 * may optionally have a spend limit and an expiry date.
+	 *
+	 * To use a token, send it in the `Authorization` header as
+	 * `Authorization: Bearer <token>` instead of supplying a `privatekey`. The
+	 * following scopes are available:
+	 *
+	 * | Scope               | Permits                                               |
+	 * |:-------------------:|:-----------------------------------------------------:|
+	 * | `transactions:send` | Making transactions, including via websockets         |
+	 * | `names:register`    | Registering names                                     |
+	 * | `names:transfer`    | Transferring names                                    |
+	 * | `names:update`      | Updating the A record of names                        |
+	 * | `ws:login`          | Starting an authed websocket session via `/ws/start`  |
+	 * | `invoices:create`   | Creating invoices                                     |
+	 * | `multisig:propose`  | Proposing multisig transfers                          |
+	 * | `multisig:approve`  | Approving multisig transfers                          |
+	 *
+	 * Tokens can only be created, listed and revoked with the address's
+	 * privatekey or a signed request, never with another token.
+	 */
+
+  /**
+	 * @apiDefine Token
+	 *
+	 * @apiSuccess {Object} token
+	 * @apiSuccess {Number} token.id The ID of this token.
+	 * @apiSuccess {String} token.address The address this token acts on behalf of.
+	 * @apiSuccess {String} [token.label] The label given to this token, or null.
+	 * @apiSuccess {String[]} token.scopes The scopes granted to this token.
+	 * @apiSuccess {Number} [token.spend_limit] The maximum amount of Krist this
+	 *             token may spend in total, or null if it is unlimited.
+	 * @apiSuccess {Number} token.spent The amount of Krist this token has spent.
+	 * @apiSuccess {Date} token.created The time this token was created.
+	 * @apiSuccess {Date} [token.expires] The time this token expires, or null.
+	 * @apiSuccess {Date} [token.last_used] The time this token was last used, or
+	 *             null.
+	 */
+
+  /**
+	 * @api {post} /tokens Create an API token
+	 * @apiName CreateToken
+	 * @apiGroup TokenGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Creates a new API token for your address. The token itself
+	 * is only returned once, in the `secret` field of the response, and can't be
+	 * retrieved again. An address may have up to 32 tokens.
+	 *
+	 * @apiParam (BodyParameter) {String} [privatekey] The privatekey of your
+	 *           address. May be omitted if the request is signed.
+	 * @apiParam (BodyParameter) {String[]} scopes The scopes to grant the token,
+	 *           either as an array or a comma-separated string.
+	 * @apiParam (BodyParameter) {Number} [spend_limit] The maximum amount of
+	 *           Krist the token may spend in total.
+	 * @apiParam (BodyParameter) {Date} [expires] When the token should expire.
+	 * @apiParam (BodyParameter) {String} [label] A label to identify the token,
+	 *           up to 64 characters.
+	 *
+	 * @apiSuccess {String} secret The token to send in the `Authorization`
+	 *             header.
+	 * @apiUse Token
+	 *
+	 * @apiSuccessExample {json} Success
+	 * {
+	 *     "ok": true,
+	 *     "secret": "3f1b2e4c5d6a7b8c9d0e1f2a3b4c5d6e7f8a9b0c1d2e3f4a5b6c7d8e9f0a1b2c",
+	 *     "token": {
+	 *         "id": 1,
+	 *         "address": "kre3w0i79j",
+	 *         "label": "Shop",
+	 *         "scopes": ["transactions:send"],
+	 *         "spend_limit": 1000,
+	 *         "spent": 0,
+	 *         "created": "2021-04-07T12:00:00.000Z",
+	 *         "expires": null,
+	 *         "last_used": null
+	 *     }
+	 * }
+	 *
+	 * @apiErrorExample {json} Invalid Scopes
+	 * {
+	 *     "ok": false,
+	 *     "error": "invalid_parameter",
+	 *     "parameter": "scopes"
+	 * }
+	 */
+  app.post("/tokens", async function(req, res) {
+    try {
+      const { privatekey, scopes, spend_limit, expires, label } = req.body;
+      const { token, dbToken } = await tokensController.createToken(
+        req, privatekey, scopes, spend_limit, expires, label);
+
+      res.json({
+        ok: true,
+        secret: token,
+        token: tokensController.tokenToJSON(dbToken)
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  /**
+	 * @api {get} /tokens List your API tokens
+	 * @apiName GetTokens
+	 * @apiGroup TokenGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Lists all of the API tokens belonging to your address. It
+	 * is strongly recommended to sign this request rather than supplying the
+	 * privatekey in the query string.
+	 *
+	 * @apiParam (QueryParameter) {String} [privatekey] The privatekey of your
+	 *           address. May be omitted if the request is signed.
+	 *
+	 * @apiSuccess {Number} count The count of results.
+	 * @apiSuccess {Object[]} tokens The tokens, in the same format as
+	 *             [Create an API token](#api-TokenGroup-CreateToken).
+	 *
+	 * @apiSuccessExample {json} Success
+	 * {
+	 *     "ok": true,
+	 *     "count": 1,
+	 *     "tokens": [
+	 *         {
+	 *             "id": 1,
+	 *             "address": "kre3w0i79j",
+	 *             "label": "Shop",
+	 *             "scopes": ["transactions:send"],
+	 *             "spend_limit": 1000,
+	 *             "spent": 150,
+	 *             "created": "2021-04-07T12:00:00.000Z",
+	 *             "expires": null,
+	 *             "last_used": "2021-04-07T12:30:00.000Z"
+	 *         }
+	 *     ]
+	 * }
+	 */
+  app.get("/tokens", async function(req, res) {
+    try {
+      const results = await tokensController.getTokens(req, req.query.privatekey);
+
+      res.json({
+        ok: true,
+        count: results.length,
+        tokens: results.map(tokensController.tokenToJSON)
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  /**
+	 * @api {delete} /tokens/:id Revoke an API token
+	 * @apiName DeleteToken
+	 * @apiGroup TokenGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Revokes one of your API tokens. It can no longer be used
+	 * once revoked.
+	 *
+	 * @apiParam (URLParameter) {Number} id The ID of the token to revoke.
+	 * @apiParam (BodyParameter) {String} [privatekey] The privatekey of your
+	 *           address. May be omitted if the request is signed.
+	 *
+	 * @apiUse Token
+	 *
+	 * @apiErrorExample {json} Token Not Found
+	 * {
+	 *     "ok": false,
+	 *     "error": "token_not_found"
+	 * }
+	 */
+  app.delete("/tokens/:id", async function(req, res) {
+    try {
+      const dbToken = await tokensController.deleteToken(req, req.body.privatekey, req.params.id);
+
+      res.json({
+        ok: true,
+        token: tokensController.tokenToJSON(dbToken)
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  return app;
+};
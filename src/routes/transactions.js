@@ -45,11 +45,17 @@ module.exports = function(app) {
 	 * @apiSuccess {Date} transaction.time The time this transaction this was made.
 	 * @apiSuccess {String} [transaction.name] The name associated with this transaction, or null.
 	 * @apiSuccess {String} [transaction.metadata] Transaction metadata, or null.
+	 * @apiSuccess {Object} transaction.metadata_fields The `key=value` pairs in the metadata, parsed as
+   *            [CommonMeta](#api-LookupGroup-LookupTransactions). Empty if there are none.
 	 * @apiSuccess {String} [transaction.sent_metaname] The metaname (part before '@') of the recipient of this
    *            transaction, if it was sent to a name.
 	 * @apiSuccess {String} [transaction.sent_name] The name this transaction was sent to, if it was sent to a name.
+	 * @apiSuccess {Number} [transaction.escrow_id] The ID of the [escrow](#api-EscrowGroup) this transaction locked
+   *            funds into or paid them out of. Only present on escrow transactions.
+	 * @apiSuccess {String} [transaction.invoice_id] The ID of the [invoice](#api-InvoiceGroup) this transaction paid.
+   *            Only present on transactions that paid an invoice.
 	 * @apiSuccess {String} transaction.type The type of this transaction. May be `mined`, `transfer`, `name_purchase`,
-   *            `name_a_record`, or `name_transfer`.
+   *            `name_a_record`, `name_transfer`, `escrow_lock`, `escrow_release` or `escrow_refund`.
 	 */
 
   /**
@@ -66,11 +72,17 @@ module.exports = function(app) {
 	 * @apiSuccess {Date} transactions.time The time this transaction this was made.
 	 * @apiSuccess {String} [transactions.name] The name associated with this transaction, or null.
 	 * @apiSuccess {String} [transactions.metadata] Transaction metadata, or null.
+	 * @apiSuccess {Object} transactions.metadata_fields The `key=value` pairs in the metadata, parsed as
+   *            [CommonMeta](#api-LookupGroup-LookupTransactions). Empty if there are none.
 	 * @apiSuccess {String} [transactions.sent_metaname] The metaname (part before '@') of the recipient of this
    *            transaction, if it was sent to a name.
 	 * @apiSuccess {String} [transactions.sent_name] The name this transaction was sent to, if it was sent to a name.
+	 * @apiSuccess {Number} [transactions.escrow_id] The ID of the [escrow](#api-EscrowGroup) this transaction locked
+   *            funds into or paid them out of. Only present on escrow transactions.
+	 * @apiSuccess {String} [transactions.invoice_id] The ID of the [invoice](#api-InvoiceGroup) this transaction paid.
+   *            Only present on transactions that paid an invoice.
 	 * @apiSuccess {String} transactions.type The type of this transaction. May be `mined`, `transfer`, `name_purchase`,
-   *            `name_a_record`, or `name_transfer`.
+   *            `name_a_record`, `name_transfer`, `escrow_lock`, `escrow_release` or `escrow_refund`.
 	 */
 
   app.get("/", async function(req, res, next) {
@@ -143,10 +155,14 @@ module.exports = function(app) {
 	 *
 	 * @apiParam (QueryParameter) {Number} [limit=50] The maximum amount of results to return.
 	 * @apiParam (QueryParameter) {Number} [offset=0] The amount to offset the results.
+	 * @apiParam (QueryParameter) {String} [cursor] The `next_cursor` of a previous page, to return the results
+	 * 			after it. Faster than `offset`, which is ignored when a cursor is given. `total` is only returned on
+	 * 			the first page, and is null when a cursor is given.
 	 * @apiParam (QueryParameter) {Boolean} [excludeMined] If specified, transactions from mining will be excluded.
 	 *
 	 * @apiSuccess {Number} count The count of results.
 	 * @apiSuccess {Number} total The total amount of transactions.
+	 * @apiSuccess {String} next_cursor A cursor for the next page of results, or `null` if this is the last page.
 	 * @apiUse Transactions
 	 *
 	 * @apiSuccessExample {json} Success
@@ -182,7 +198,7 @@ module.exports = function(app) {
 	 *  	   ...
 	 */
   app.get("/transactions", function(req, res) {
-    txController.getTransactions(req.query.limit, req.query.offset, true, typeof req.query.excludeMined === "undefined").then(function(transactions) {
+    txController.getTransactions(req.query.limit, req.query.offset, true, typeof req.query.excludeMined === "undefined", req.query.cursor).then(function(transactions) {
       const out = [];
 
       transactions.rows.forEach(function (transaction) {
@@ -193,6 +209,7 @@ module.exports = function(app) {
         ok: true,
         count: out.length,
         total: transactions.count,
+        next_cursor: transactions.nextCursor,
         transactions: out
       });
     }).catch(function(error) {
@@ -208,10 +225,14 @@ module.exports = function(app) {
 	 *
 	 * @apiParam (QueryParameter) {Number} [limit=50] The maximum amount of results to return.
 	 * @apiParam (QueryParameter) {Number} [offset=0] The amount to offset the results.
+	 * @apiParam (QueryParameter) {String} [cursor] The `next_cursor` of a previous page, to return the results
+	 * 			after it. Faster than `offset`, which is ignored when a cursor is given. `total` is only returned on
+	 * 			the first page, and is null when a cursor is given.
 	 * @apiParam (QueryParameter) {Boolean} [excludeMined] If specified, transactions from mining will be excluded.
 	 *
 	 * @apiSuccess {Number} count The count of results.
 	 * @apiSuccess {Number} total The total amount of transactions.
+	 * @apiSuccess {String} next_cursor A cursor for the next page of results, or `null` if this is the last page.
 	 * @apiUse Transactions
 	 *
 	 * @apiSuccessExample {json} Success
@@ -247,7 +268,7 @@ module.exports = function(app) {
 	 *  	   ...
 	 */
   app.get("/transactions/latest", function(req, res) {
-    txController.getTransactions(req.query.limit, req.query.offset, false, typeof req.query.excludeMined === "undefined").then(function(transactions) {
+    txController.getTransactions(req.query.limit, req.query.offset, false, typeof req.query.excludeMined === "undefined", req.query.cursor).then(function(transactions) {
       const out = [];
 
       transactions.rows.forEach(function (transaction) {
@@ -258,6 +279,7 @@ module.exports = function(app) {
         ok: true,
         count: out.length,
         total: transactions.count,
+        next_cursor: transactions.nextCursor,
         transactions: out
       });
     }).catch(function(error) {
@@ -309,11 +331,18 @@ module.exports = function(app) {
 	 * @apiGroup TransactionGroup
 	 * @apiVersion 2.0.0
 	 *
-	 * @apiParam (BodyParameter) {String} privatekey The privatekey of your address.
+	 * @apiParam (BodyParameter) {String} [privatekey] The privatekey of your address. May be omitted if the request is
+	 * 			signed (see [Set an address's public key](#api-AddressGroup-SetPublicKey)), or uses an
+	 * 			[API token](#api-TokenGroup).
 	 * @apiParam (BodyParameter) {String} to The recipient of the transaction.
 	 * @apiParam (BodyParameter) {Number} amount The amount to send to the recipient.
 	 * @apiParam (BodyParameter) {String} [metadata] Optional metadata to include in the transaction.
 	 *
+	 * @apiHeader {String} [Idempotency-Key] An optional unique key for this request, up to 64 printable ASCII
+	 * 			characters. If a transaction has already been made by this address with the same key, the original
+	 * 			transaction is returned instead of making a new one, so failed requests can be safely retried. Reusing
+	 * 			a key for a transaction with a different recipient, amount or metadata is an `invalid_parameter` error.
+	 *
 	 * @apiUse Transaction
 	 *
 	 * @apiSuccessExample {json} Success
@@ -330,7 +359,7 @@ module.exports = function(app) {
   app.post("/transactions", async function(req, res) {
     try {
       const { userAgent, origin } = utils.getReqDetails(req);
-      const transaction = await txController.makeTransaction(req, req.body.privatekey, req.body.to, req.body.amount, req.body.metadata, userAgent, origin);
+      const transaction = await txController.makeTransaction(req, req.body.privatekey, req.body.to, req.body.amount, req.body.metadata, userAgent, origin, req.header("Idempotency-Key"));
       res.json({
         ok: true,
         transaction: txController.transactionToJSON(transaction)
@@ -340,5 +369,79 @@ module.exports = function(app) {
     }
   });
 
+  /**
+	 * @api {post} /transactions/batch Make multiple transactions
+	 * @apiName MakeTransactions
+	 * @apiGroup TransactionGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Makes several transactions from one address at once. Each entry is validated with the same
+	 * 			rules as [Make a transaction](#api-TransactionGroup-MakeTransaction). The transactions are made
+	 * 			all-or-nothing: if any entry is invalid, or the address can't afford all of them, none are made.
+	 *
+	 * @apiParam (BodyParameter) {String} [privatekey] The privatekey of your address. May be omitted if the request is
+	 * 			signed (see [Set an address's public key](#api-AddressGroup-SetPublicKey)), or uses an
+	 * 			[API token](#api-TokenGroup).
+	 * @apiParam (BodyParameter) {Object[]} transactions The transactions to make, up to 100.
+	 * @apiParam (BodyParameter) {String} transactions.to The recipient of the transaction.
+	 * @apiParam (BodyParameter) {Number} transactions.amount The amount to send to the recipient.
+	 * @apiParam (BodyParameter) {String} [transactions.metadata] Optional metadata to include in the transaction.
+	 *
+	 * @apiSuccess {Number} count The amount of transactions made.
+	 * @apiUse Transactions
+	 *
+	 * @apiSuccessExample {json} Success
+	 * {
+     *     "ok": true,
+     *     "count": 2,
+     *     "transactions": [
+     *         {
+     *             "id": 153287,
+     *             "from": "kre3w0i79j",
+     *             "to": "k7oax47quv",
+     *             "value": 10,
+     *             "time": "2020-12-10T17:06:09.000Z",
+     *             "name": null,
+     *             "metadata": null,
+     *             "sent_metaname": null,
+     *             "sent_name": null,
+     *             "type": "transfer"
+     *         },
+     *         {
+     *             "id": 153288,
+     *             "from": "kre3w0i79j",
+     *             "to": "k8juvewcui",
+     *             "value": 5,
+     *             "time": "2020-12-10T17:06:09.000Z",
+     *             "name": null,
+     *             "metadata": "payroll",
+     *             "sent_metaname": null,
+     *             "sent_name": null,
+     *             "type": "transfer"
+     *         }
+     *     ]
+     * }
+	 *
+	 * @apiErrorExample {json} Invalid Entry
+	 * {
+     *     "ok": false,
+     *     "error": "invalid_parameter",
+     *     "parameter": "transactions[1].amount"
+     * }
+	 */
+  app.post("/transactions/batch", async function(req, res) {
+    try {
+      const { userAgent, origin } = utils.getReqDetails(req);
+      const transactions = await txController.makeTransactions(req, req.body.privatekey, req.body.transactions, userAgent, origin);
+      res.json({
+        ok: true,
+        count: transactions.length,
+        transactions: transactions.map(txController.transactionToJSON)
+      });
+    } catch (error) {
+      utils.sendErrorToRes(req, res, error);
+    }
+  });
+
   return app;
 };
@@ -0,0 +1,275 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const webhooksController = require("./../controllers/webhooks.js");
+const utils              = require("./../utils.js");
+
+module.exports = function(app) {
+  /**
+	 * @apiDefine WebhookGroup Webhooks
+	 *
+	 * Webhooks deliver events about your address to an HTTP URL, as an
+	 * alternative to keeping a websocket open. A webhook may receive the
+	 * following events:
+	 *
+	 * | Events         | Websocket event | Delivered when                                  |
+	 * |:--------------:|:---------------:|:-----------------------------------------------:|
+	 * | `transactions` | `transaction`   | A transaction is made to or from your address   |
+	 * | `names`        | `name`          | A name you own is registered, updated or moved  |
+	 * | `blocks`       | `block`         | Your address mines a block                      |
+	 *
+	 * Each event is sent as a `POST` request whose JSON body is the event,
+	 * exactly as it would be sent to a websocket. The request has the
+	 * following headers:
+	 *
+	 * - `X-Krist-Event`: The event type, e.g. `transaction`.
+	 * - `X-Krist-Delivery`: The ID of the delivery. Retries of the same event
+	 *   keep the same ID.
+	 * - `X-Krist-Signature`: `sha256=` followed by the hex HMAC-SHA256 of the
+	 *   body, using the webhook's secret as the key. Always check this before
+	 *   trusting the body.
+	 *
+	 * Any `2xx` response is treated as a successful delivery. Otherwise, or if
+	 * no response is received within 10 seconds, the delivery is retried after
+	 * 30 seconds, with the delay doubling after each attempt. After 8 failed
+	 * attempts (roughly an hour), the delivery is marked as failed. Recent
+	 * deliveries can be listed with
+	 * [Get a webhook's deliveries](#api-WebhookGroup-GetWebhookDeliveries).
+	 *
+	 * Webhooks can only be managed with the address's privatekey or a signed
+	 * request, never with an API token.
+	 */
+
+  /**
+	 * @apiDefine Webhook
+	 *
+	 * @apiSuccess {Object} webhook
+	 * @apiSuccess {Number} webhook.id The ID of this webhook.
+	 * @apiSuccess {String} webhook.owner The address the events are for.
+	 * @apiSuccess {String} webhook.url The URL the events are sent to.
+	 * @apiSuccess {String[]} webhook.events The events delivered, any of
+	 *             `transactions`, `names` and `blocks`.
+	 * @apiSuccess {Date} webhook.created The time this webhook was created.
+	 */
+
+  /**
+	 * @api {post} /webhooks Create a webhook
+	 * @apiName CreateWebhook
+	 * @apiGroup WebhookGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Registers a URL to receive events about your address. An
+	 * address may have up to 16 webhooks.
+	 *
+	 * @apiParam (BodyParameter) {String} [privatekey] The privatekey of your
+	 *           address. May be omitted if the request is signed.
+	 * @apiParam (BodyParameter) {String} url The `http` or `https` URL to send
+	 *           events to, up to 255 characters. It may not be a loopback or
+	 *           private network address, and deliveries to a host that
+	 *           resolves to one fail. Redirects are not followed.
+	 * @apiParam (BodyParameter) {String[]} events The events to deliver, any
+	 *           of `transactions`, `names` and `blocks`.
+	 *
+	 * @apiUse Webhook
+	 * @apiSuccess {String} webhook.secret The secret deliveries are signed with.
+	 *             **This is only shown once.**
+	 *
+	 * @apiSuccessExample {json} Success
+	 * {
+	 *     "ok": true,
+	 *     "webhook": {
+	 *         "id": 1,
+	 *         "owner": "k8juvewcui",
+	 *         "url": "https://shop.example.com/krist",
+	 *         "events": ["transactions"],
+	 *         "secret": "b1946ac92492d2347c6235b4d2611184...",
+	 *         "created": "2021-04-07T12:00:00.000Z"
+	 *     }
+	 * }
+	 *
+	 * @apiErrorExample {json} Too Many Webhooks
+	 * {
+	 *     "ok": false,
+	 *     "error": "too_many_webhooks"
+	 * }
+	 */
+  app.post("/webhooks", async function(req, res) {
+    try {
+      const { privatekey, url, events } = req.body;
+      const dbWebhook = await webhooksController.createWebhook(req, privatekey, url, events);
+
+      res.json({
+        ok: true,
+        webhook: webhooksController.webhookToJSON(dbWebhook, true)
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  /**
+	 * @api {get} /webhooks List your webhooks
+	 * @apiName GetWebhooks
+	 * @apiGroup WebhookGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Lists the webhooks belonging to your address. Their
+	 * secrets are not included. It is strongly recommended to sign this request
+	 * rather than supplying the privatekey in the query string.
+	 *
+	 * @apiParam (QueryParameter) {String} [privatekey] The privatekey of your
+	 *           address. May be omitted if the request is signed.
+	 * @apiParam (QueryParameter) {Number} [limit=50] The maximum amount of results to return.
+	 * @apiParam (QueryParameter) {Number} [offset=0] The amount to offset the results.
+	 *
+	 * @apiSuccess {Number} count The count of results.
+	 * @apiSuccess {Number} total The total amount of webhooks.
+	 * @apiSuccess {Object[]} webhooks The webhooks, in the same format as
+	 *             [Create a webhook](#api-WebhookGroup-CreateWebhook).
+	 */
+  app.get("/webhooks", async function(req, res) {
+    try {
+      const { privatekey, limit, offset } = req.query;
+      const { rows, count } = await webhooksController.getWebhooks(req, privatekey, limit, offset);
+
+      res.json({
+        ok: true,
+        count: rows.length,
+        total: count,
+        webhooks: rows.map(w => webhooksController.webhookToJSON(w))
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  /**
+	 * @api {get} /webhooks/:id/deliveries Get a webhook's deliveries
+	 * @apiName GetWebhookDeliveries
+	 * @apiGroup WebhookGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Lists the deliveries of one of your webhooks, newest
+	 * first.
+	 *
+	 * @apiParam (URLParameter) {Number} id The ID of the webhook.
+	 * @apiParam (QueryParameter) {String} [privatekey] The privatekey of your
+	 *           address. May be omitted if the request is signed.
+	 * @apiParam (QueryParameter) {Number} [limit=50] The maximum amount of results to return.
+	 * @apiParam (QueryParameter) {Number} [offset=0] The amount to offset the results.
+	 *
+	 * @apiSuccess {Number} count The count of results.
+	 * @apiSuccess {Number} total The total amount of deliveries.
+	 * @apiSuccess {Object[]} deliveries
+	 * @apiSuccess {Number} deliveries.id The ID of this delivery.
+	 * @apiSuccess {Number} deliveries.webhook_id The ID of the webhook.
+	 * @apiSuccess {String} deliveries.event The event type.
+	 * @apiSuccess {Object} deliveries.payload The event that was sent.
+	 * @apiSuccess {String} deliveries.status `pending`, `delivered` or `failed`.
+	 * @apiSuccess {Number} deliveries.attempts The amount of attempts made.
+	 * @apiSuccess {Date} deliveries.created The time the event was queued.
+	 * @apiSuccess {Date} [deliveries.last_attempt] The time of the last attempt,
+	 *             or null.
+	 * @apiSuccess {Date} [deliveries.next_attempt] The time of the next retry,
+	 *             or null if the delivery is no longer pending.
+	 * @apiSuccess {Number} [deliveries.response_status] The HTTP status of the
+	 *             last attempt, or null if no response was received.
+	 * @apiSuccess {String} [deliveries.error] Why the last attempt failed, or
+	 *             null.
+	 *
+	 * @apiSuccessExample {json} Success
+	 * {
+	 *     "ok": true,
+	 *     "count": 1,
+	 *     "total": 1,
+	 *     "deliveries": [
+	 *         {
+	 *             "id": 5,
+	 *             "webhook_id": 1,
+	 *             "event": "transaction",
+	 *             "payload": {
+	 *                 "type": "event",
+	 *                 "event": "transaction",
+	 *                 "transaction": {...}
+	 *             },
+	 *             "status": "pending",
+	 *             "attempts": 1,
+	 *             "created": "2021-04-07T12:00:00.000Z",
+	 *             "last_attempt": "2021-04-07T12:00:00.000Z",
+	 *             "next_attempt": "2021-04-07T12:00:30.000Z",
+	 *             "response_status": 500,
+	 *             "error": "HTTP 500"
+	 *         }
+	 *     ]
+	 * }
+	 */
+  app.get("/webhooks/:id/deliveries", async function(req, res) {
+    try {
+      const { privatekey, limit, offset } = req.query;
+      const { rows, count } = await webhooksController.getDeliveries(req, privatekey, req.params.id, limit, offset);
+
+      res.json({
+        ok: true,
+        count: rows.length,
+        total: count,
+        deliveries: rows.map(webhooksController.deliveryToJSON)
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  /**
+	 * @api {delete} /webhooks/:id Delete a webhook
+	 * @apiName DeleteWebhook
+	 * @apiGroup WebhookGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Deletes one of your webhooks, along with its deliveries.
+	 * Pending deliveries are not retried.
+	 *
+	 * @apiParam (URLParameter) {Number} id The ID of the webhook.
+	 * @apiParam (BodyParameter) {String} [privatekey] The privatekey of your
+	 *           address. May be omitted if the request is signed.
+	 *
+	 * @apiUse Webhook
+	 *
+	 * @apiErrorExample {json} Webhook Not Found
+	 * {
+	 *     "ok": false,
+	 *     "error": "webhook_not_found"
+	 * }
+	 */
+  app.delete("/webhooks/:id", async function(req, res) {
+    try {
+      const dbWebhook = await webhooksController.deleteWebhook(req, req.body.privatekey, req.params.id);
+
+      res.json({
+        ok: true,
+        webhook: webhooksController.webhookToJSON(dbWebhook)
+      });
+    } catch (err) {
+      utils.sendErrorToRes(req, res, err);
+    }
+  });
+
+  return app;
+};
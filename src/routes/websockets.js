@@ -19,11 +19,12 @@
  * For more project information, see <https://github.com/tmpim/krist>.
  */
 
-const krist      = require("../krist");
 const utils      = require("../utils");
 const errors     = require("../errors/errors");
 const websockets = require("../websockets");
-const addresses  = require("../addresses");
+const auth       = require("../auth");
+const signatures = require("../signatures");
+const tokens     = require("../tokens");
 const motd       = require("../motd");
 const chalk      = require("chalk");
 
@@ -42,16 +43,24 @@ module.exports = function(app) {
 
     try {
       // Look up the token, will reject if the token does not exist
-      const { address, privatekey } = websockets.useToken(token);
+      const { address, legacy, signed, apiToken } = await websockets.useToken(token);
+
+      // The token doesn't carry any credentials, so remember how the connection
+      // was authenticated instead
+      if (legacy) req.sessionAddress = address;
+      if (signed) req.signedAddress = address;
+      if (apiToken) req.apiToken = apiToken;
 
       console.log(chalk`{cyan [Websockets]} Incoming connection for {bold ${address}} ${logDetails}`);
-      websockets.addWebsocket(req, ws, token, address, privatekey);
+      websockets.addWebsocket(req, ws, token, address);
 
-      // Send the hello message containing the detailed MOTD
+      // Send the hello message containing the detailed MOTD, and the ID of the
+      // latest event so the client can resume from it if it reconnects
       utils.sendToWS(ws, {
         ok: true,
         type: "hello",
-        ...await motd.getDetailedMOTD()
+        ...await motd.getDetailedMOTD(),
+        last_event_id: await websockets.getLastEventID()
       });
     } catch (error) {
       console.log(chalk`{red [Websockets]} Failed connection using token {bold ${token}} ${logDetails}`);
@@ -84,6 +93,11 @@ module.exports = function(app) {
    * during /ws/start. It has access to most API calls, including transactions and name registration. **Authed
    * websockets only work with v2 addresses.**
    *
+   * Instead of supplying the privatekey, the /ws/start request may be signed with the Ed25519 key registered to the
+   * address, or authenticated with an API token that has the `ws:login` scope. The session will then remain
+   * authenticated as that address until it logs out. Sessions authenticated with an API token may only perform the
+   * actions permitted by the token's scopes.
+   *
    * You can also upgrade from a guest session to an authed session using the method `upgrade`. See the websocket
    * documentation for further information.
    *
@@ -108,7 +122,7 @@ module.exports = function(app) {
    * There are several subscription levels for events that are broadcasted to all clients. When you are subscribed
    * to an event you will automatically receive a message with the type `event` in a format similar to the following:
    *
-   *     { "type": "event", "event": "block", "block": { ... }, "new_work": 100000 }
+   *     { "type": "event", "event": "block", "block": { ... }, "new_work": 100000, "event_id": 1337 }
    *
    * You can unsubscribe and subscribe to certain events to only receive what you wish to.
    *
@@ -122,13 +136,29 @@ module.exports = function(app) {
    * | `ownTransactions` | `transaction` | Transaction events whenever a transaction is made to or from the authed user           |
    * |      `names`      |     `name`    | Name events whenever a name is created, modified or transferred by anybody on the node |
    * |     `ownNames`    |     `name`    | Name events whenever the authed user creates, modifies or transfers a name             |
+   * |     `escrows`     |    `escrow`   | Escrow events whenever an escrow is created, released or refunded by anybody           |
+   * |    `ownEscrows`   |    `escrow`   | Escrow events for escrows the authed user is the sender, recipient or arbiter of       |
+   * |   `ownInvoices`   |   `invoice`   | Invoice events whenever an invoice the authed user created is created, paid or expires |
+   * |   `ownMultisigs`  |   `multisig`  | Multisig events for proposals on multisigs the authed user is a member of              |
    * |       `motd`      |     `motd`    | Event fired whenever the message of the day changes                                    |
    *
+   * Any websocket, including guests, may also subscribe to the events of up to 100 individual addresses and names,
+   * e.g. `{ "type": "subscribe", "event": "address", "address": "k8juvewcui" }` or
+   * `{ "type": "subscribe", "event": "name", "name": "shop" }`. See [Subscribe to an event](#api-WebsocketGroup-WSSubscribe).
+   *
+   * ## Resuming after reconnects
+   *
+   * Every event has an `event_id`, which increases by one with each event broadcast by the server. The `hello`
+   * message also contains the `last_event_id` at the time of connecting. If your connection drops, keep the ID of
+   * the last event you received, and after reconnecting and subscribing, send a `resume` message with it to receive
+   * the events you missed before any live ones. See [Resume after reconnecting](#api-WebsocketGroup-WSResume).
+   *
    * ## Examples
    *
    *
    *
-   * @apiParam (BodyParameter) {String} [privatekey] The privatekey to authenticate with.
+   * @apiParam (BodyParameter) {String} [privatekey] The privatekey to authenticate with. May be omitted if the request
+   * is signed, or authenticated with an API token via the `Authorization: Bearer` header.
    *
    * @apiSuccess {String} url The address to connect to
    *
@@ -146,17 +176,23 @@ module.exports = function(app) {
     const scheme = publicUrl.startsWith("localhost:") || process.env.FORCE_INSECURE === "true" ? "ws" : "wss";
     const urlBase = `${scheme}://${publicUrl}/`;
 
-    if (privatekey) { // Auth as address if privatekey provided
-      const { authed, address } = await addresses.verify(req, krist.makeV2Address(privatekey), privatekey);
-      if (!authed) return utils.sendErrorToRes(req, res, new errors.ErrorAuthFailed());
-
-      const token = await websockets.obtainToken(address.address, privatekey);
-
-      res.json({
-        ok: true,
-        url: urlBase + token,
-        expires: 30
-      });
+    if (auth.hasCredentials(req, privatekey)) { // Auth as address if any credentials were provided
+      try {
+        const { authed, address, token: apiToken } = await auth.verify(req, privatekey, "ws:login");
+        if (!authed) return utils.sendErrorToRes(req, res, new errors.ErrorAuthFailed());
+
+        const signed = !privatekey && signatures.isSignedRequest(req);
+        const token = await websockets.obtainToken(address.address, !!privatekey, signed,
+          apiToken ? tokens.getBearerToken(req) : undefined);
+
+        res.json({
+          ok: true,
+          url: urlBase + token,
+          expires: 30
+        });
+      } catch (err) {
+        utils.sendErrorToRes(req, res, err);
+      }
     } else { // Auth as guest if no privatekey provided
       const token = await websockets.obtainToken("guest");
 
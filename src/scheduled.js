@@ -0,0 +1,240 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const chalk        = require("chalk");
+const moment       = require("moment");
+const utils        = require("./utils.js");
+const schemas      = require("./schemas.js");
+const database     = require("./database.js");
+const addresses    = require("./addresses.js");
+const names        = require("./names.js");
+const transactions = require("./transactions.js");
+const errors       = require("./errors/errors.js");
+const { Op }       = require("sequelize");
+
+const promClient = require("prom-client");
+const promScheduledRunsCounter = new promClient.Counter({
+  name: "krist_scheduled_transaction_runs_total",
+  help: "Total number of scheduled transaction runs since the Krist server started.",
+  labelNames: ["type"]
+});
+
+promScheduledRunsCounter.inc({ type: "success" }, 0);
+promScheduledRunsCounter.inc({ type: "failed" }, 0);
+
+function Scheduled() {}
+
+/** The supported intervals for recurring payments, and the moment.js unit each
+ * one advances by. */
+Scheduled.INTERVALS = {
+  hourly: "hour",
+  daily: "day",
+  weekly: "week",
+  monthly: "month"
+};
+
+/** The maximum amount of active scheduled transactions an address may have. */
+Scheduled.MAX_SCHEDULED_PER_ADDRESS = 32;
+
+/** The maximum amount of due scheduled transactions to run per tick. */
+Scheduled.MAX_RUNS_PER_TICK = 100;
+
+Scheduled.getScheduledByAddress = function(address, limit, offset) {
+  return schemas.scheduledTransaction.findAndCountAll({
+    order: [["id", "ASC"]],
+    where: { owner: address },
+    limit: utils.sanitiseLimit(limit),
+    offset: utils.sanitiseOffset(offset)
+  });
+};
+
+Scheduled.getActiveCountByAddress = function(address) {
+  return schemas.scheduledTransaction.count({ where: { owner: address, active: true } });
+};
+
+Scheduled.getScheduledByID = function(address, id) {
+  return schemas.scheduledTransaction.findOne({ where: { id, owner: address } });
+};
+
+Scheduled.getFailures = function(scheduledID, limit, offset) {
+  return schemas.scheduledFailure.findAndCountAll({
+    order: [["id", "DESC"]],
+    where: { scheduled_id: scheduledID },
+    limit: utils.sanitiseLimit(limit),
+    offset: utils.sanitiseOffset(offset)
+  });
+};
+
+Scheduled.createScheduled = async function(owner, transfer, runAt, interval, maxRuns) {
+  const dbScheduled = await schemas.scheduledTransaction.create({
+    owner,
+    to: transfer.to,
+    amount: transfer.amount,
+    metadata: transfer.metadata || null,
+    sent_metaname: transfer.metaname || null,
+    sent_name: transfer.name || null,
+    interval: interval || null,
+    max_runs: maxRuns || null,
+    runs: 0,
+    created: new Date(),
+    next_run: runAt,
+    active: true
+  });
+
+  console.log(chalk`{cyan [Scheduled]} Scheduled transaction {bold ${dbScheduled.id}} created by {bold ${owner}} to {bold ${transfer.to}}`);
+
+  return dbScheduled;
+};
+
+Scheduled.deleteScheduled = async function(dbScheduled) {
+  await schemas.scheduledFailure.destroy({ where: { scheduled_id: dbScheduled.id } });
+  await dbScheduled.destroy();
+};
+
+/** Works out when a schedule should next run after running at `time`. Runs
+ * missed while the server was down are skipped rather than all being made at
+ * once. Returns null if the schedule has finished. */
+Scheduled.getNextRun = function(dbScheduled, time) {
+  if (!dbScheduled.interval) return null;
+  if (dbScheduled.max_runs && dbScheduled.runs + 1 >= dbScheduled.max_runs) return null;
+
+  const unit = Scheduled.INTERVALS[dbScheduled.interval];
+  const start = moment(dbScheduled.next_run);
+
+  // Count from the original scheduled time so the schedule doesn't drift
+  let n = 1;
+  while (start.clone().add(n, unit).toDate() <= time) n++;
+  return start.clone().add(n, unit).toDate();
+};
+
+/** Attempts the transfer for a locked, due schedule. Returns the new
+ * transaction, or throws a KristError if it can't be made. */
+async function makeScheduledTransfer(dbScheduled, t) {
+  // Names are resolved to their current owner on each run
+  let recipient = dbScheduled.to;
+  if (dbScheduled.sent_name) {
+    const dbName = await names.getNameByName(dbScheduled.sent_name);
+    if (!dbName) throw new errors.ErrorNameNotFound();
+    recipient = dbName.owner;
+  }
+
+  const locked = await addresses.lockAddresses([dbScheduled.owner, recipient], t);
+  const sender = locked.find(a => a.address === dbScheduled.owner);
+
+  if (!sender || sender.locked) throw new errors.ErrorAuthFailed();
+  if (sender.balance < dbScheduled.amount) throw new errors.ErrorInsufficientFunds();
+
+  return transactions.pushTransaction(sender, recipient, dbScheduled.amount, dbScheduled.metadata, undefined, t,
+    undefined, undefined, dbScheduled.sent_metaname, dbScheduled.sent_name);
+}
+
+/** Runs a single due scheduled transaction. The schedule row is locked first,
+ * so it can't be run twice if the scheduler is running on several servers. */
+Scheduled.run = function(id) {
+  return database.getSequelize().transaction(async t => {
+    const now = new Date();
+    const dbScheduled = await schemas.scheduledTransaction.findOne({
+      where: { id, active: true, next_run: { [Op.lte]: now } },
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    });
+    if (!dbScheduled) return;
+
+    let transaction;
+    try {
+      transaction = await makeScheduledTransfer(dbScheduled, t);
+    } catch (err) {
+      // Unexpected errors roll back the whole run, so it will be tried again
+      // on the next tick
+      if (!(err instanceof errors.KristError)) throw err;
+
+      // Otherwise, record the failure for the owner and skip this run
+      console.log(chalk`{red [Scheduled]} Scheduled transaction {bold ${id}} by {bold ${dbScheduled.owner}} failed: {bold ${err.errorString}}`);
+      promScheduledRunsCounter.inc({ type: "failed" });
+
+      await schemas.scheduledFailure.create({
+        scheduled_id: dbScheduled.id,
+        owner: dbScheduled.owner,
+        time: now,
+        error: err.errorString
+      }, { transaction: t });
+    }
+
+    if (transaction) promScheduledRunsCounter.inc({ type: "success" });
+
+    const nextRun = Scheduled.getNextRun(dbScheduled, now);
+    await dbScheduled.update({
+      runs: dbScheduled.runs + 1,
+      last_run: now,
+      next_run: nextRun,
+      active: !!nextRun
+    }, { transaction: t });
+
+    return transaction;
+  });
+};
+
+/** Runs all of the scheduled transactions that are currently due. Called every
+ * minute by the scheduler started in Krist.init. */
+Scheduled.runDue = async function() {
+  const due = await schemas.scheduledTransaction.findAll({
+    attributes: ["id"],
+    where: { active: true, next_run: { [Op.lte]: new Date() } },
+    order: [["next_run", "ASC"]],
+    limit: Scheduled.MAX_RUNS_PER_TICK
+  });
+
+  for (const { id } of due) {
+    try {
+      await Scheduled.run(id);
+    } catch (err) {
+      console.error(chalk`{red [Scheduled]} Error running scheduled transaction {bold ${id}}:`, err);
+    }
+  }
+};
+
+Scheduled.scheduledToJSON = function(dbScheduled) {
+  return {
+    id: dbScheduled.id,
+    owner: dbScheduled.owner,
+    to: dbScheduled.to,
+    amount: dbScheduled.amount,
+    metadata: dbScheduled.metadata,
+    interval: dbScheduled.interval,
+    max_runs: dbScheduled.max_runs,
+    runs: dbScheduled.runs,
+    created: dbScheduled.created,
+    next_run: dbScheduled.next_run,
+    last_run: dbScheduled.last_run,
+    active: dbScheduled.active
+  };
+};
+
+Scheduled.failureToJSON = function(dbFailure) {
+  return {
+    id: dbFailure.id,
+    scheduled_id: dbFailure.scheduled_id,
+    time: dbFailure.time,
+    error: dbFailure.error
+  };
+};
+
+module.exports = Scheduled;
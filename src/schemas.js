@@ -36,13 +36,22 @@ const Address = database.getSequelize().define("address", {
     type: Sequelize.STRING(64),
     allowNull: true
   },
+  // Hex-encoded Ed25519 public key used to authenticate signed requests
+  pubkey: {
+    type: Sequelize.STRING(64),
+    allowNull: true
+  },
   alert: {
     type: Sequelize.STRING(1024),
     allowNull: true
   },
   locked: Sequelize.BOOLEAN
 }, {
-  timestamps: false
+  timestamps: false,
+  indexes: [
+    // Used to count new addresses, see Stats.aggregate
+    { fields: ["firstseen"] }
+  ]
 });
 
 const Block = database.getSequelize().define("block", {
@@ -62,7 +71,8 @@ const Block = database.getSequelize().define("block", {
   indexes: [
     { // Index the address that mined a block
       fields: ["address"]
-    }
+    },
+    { fields: ["time"] }
   ]
 });
 
@@ -84,7 +94,8 @@ const Name = database.getSequelize().define("name", {
       fields: ["owner"]
     },
     { fields: ["unpaid"] },
-    { fields: ["original_owner"] }
+    { fields: ["original_owner"] },
+    { fields: ["registered"] }
   ]
 });
 
@@ -98,7 +109,26 @@ const Transaction = database.getSequelize().define("transaction", {
   origin: Sequelize.STRING(255),
   useragent: Sequelize.STRING(255),
   sent_metaname: Sequelize.STRING(32),
-  sent_name: Sequelize.STRING(64)
+  sent_name: Sequelize.STRING(64),
+  // Client-supplied idempotency key, unique per sender
+  request_id: {
+    type: Sequelize.STRING(64),
+    allowNull: true
+  },
+  // The escrow this transaction locked funds into or paid out of, if any
+  escrow_id: {
+    type: Sequelize.INTEGER,
+    allowNull: true
+  },
+  escrow_action: {
+    type: Sequelize.ENUM("lock", "release", "refund"),
+    allowNull: true
+  },
+  // The invoice this transaction paid, if any
+  invoice_id: {
+    type: Sequelize.STRING(16),
+    allowNull: true
+  }
 }, {
   timestamps: false,
   indexes: [
@@ -111,10 +141,101 @@ const Transaction = database.getSequelize().define("transaction", {
     // This index is used not to actually search the metadata, but to optimise
     // searching for it when it is NOT NULL
     { fields: ["op"] },
+    // Used to search the metadata, see Transactions.searchMetadata. Named so
+    // that it isn't mistaken for the index above by sync().
+    { type: "FULLTEXT", fields: ["op"], name: "transactions_op_fulltext" },
     { fields: ["name"] },
     { fields: ["sent_metaname"] },
     { fields: ["sent_name"] },
     { fields: ["sent_metaname", "sent_name"] },
+    { fields: ["from", "request_id"], unique: true },
+    { fields: ["escrow_id"] },
+    { fields: ["invoice_id"] },
+    { fields: ["time"] },
+  ]
+});
+
+// The `key=value` pairs parsed from transactions' metadata, so that they can be
+// queried without scanning the metadata itself
+const TransactionMeta = database.getSequelize().define("transactionmeta", {
+  transaction_id: Sequelize.INTEGER,
+  key: Sequelize.STRING(64),
+  value: Sequelize.STRING(255)
+}, {
+  timestamps: false,
+  indexes: [
+    { fields: ["key", "value"] },
+    { fields: ["transaction_id"] }
+  ]
+});
+
+// Cached running balances of addresses, so that their balance history can be
+// reconstructed without summing all of their transactions every time
+const BalanceCheckpoint = database.getSequelize().define("balancecheckpoint", {
+  address: Sequelize.STRING(10),
+  // The address's last transaction included in the balance
+  transaction_id: Sequelize.INTEGER,
+  time: Sequelize.DATE,
+  balance: Sequelize.INTEGER
+}, {
+  timestamps: false,
+  indexes: [
+    { fields: ["address", "transaction_id"], unique: true }
+  ]
+});
+
+// Network statistics for each hour and day, maintained by Stats.aggregate so
+// that they don't have to be computed from the live tables on every request
+const StatsPeriod = database.getSequelize().define("statsperiod", {
+  interval: Sequelize.ENUM("hour", "day"),
+  time: Sequelize.DATE,
+  // Whether the period had ended when it was aggregated. Incomplete periods
+  // are aggregated again until they are complete.
+  complete: Sequelize.BOOLEAN,
+  transactions: Sequelize.INTEGER.UNSIGNED,
+  volume: Sequelize.INTEGER.UNSIGNED,
+  active_addresses: Sequelize.INTEGER.UNSIGNED,
+  new_addresses: Sequelize.INTEGER.UNSIGNED,
+  blocks: Sequelize.INTEGER.UNSIGNED,
+  // The average number of seconds between the blocks mined in the period
+  average_block_time: {
+    type: Sequelize.FLOAT,
+    allowNull: true
+  },
+  names: Sequelize.INTEGER.UNSIGNED
+}, {
+  timestamps: false,
+  indexes: [
+    { fields: ["interval", "time"], unique: true }
+  ]
+});
+
+// The transaction count and volume of each transaction type in a period
+const StatsTransactionType = database.getSequelize().define("statstransactiontype", {
+  interval: Sequelize.ENUM("hour", "day"),
+  time: Sequelize.DATE,
+  type: Sequelize.STRING(16),
+  count: Sequelize.INTEGER.UNSIGNED,
+  volume: Sequelize.INTEGER.UNSIGNED
+}, {
+  timestamps: false,
+  indexes: [
+    { fields: ["interval", "time", "type"], unique: true }
+  ]
+});
+
+// The addresses that sent or received the most in a period
+const StatsTopAddress = database.getSequelize().define("statstopaddress", {
+  interval: Sequelize.ENUM("hour", "day"),
+  time: Sequelize.DATE,
+  direction: Sequelize.ENUM("sent", "received"),
+  address: Sequelize.STRING(10),
+  count: Sequelize.INTEGER.UNSIGNED,
+  amount: Sequelize.INTEGER.UNSIGNED
+}, {
+  timestamps: false,
+  indexes: [
+    { fields: ["interval", "time", "direction", "address"], unique: true }
   ]
 });
 
@@ -134,12 +255,368 @@ const AuthLog = database.getSequelize().define("authlog", {
   ]
 });
 
+const ApiToken = database.getSequelize().define("apitoken", {
+  address: Sequelize.STRING(10),
+  // SHA-256 hash of the token. The token itself is only shown once on creation
+  token: {
+    type: Sequelize.STRING(64),
+    unique: true
+  },
+  label: {
+    type: Sequelize.STRING(64),
+    allowNull: true
+  },
+  // Comma-separated list of scopes, see Tokens.VALID_SCOPES
+  scopes: Sequelize.STRING(255),
+  spend_limit: {
+    type: Sequelize.INTEGER.UNSIGNED,
+    allowNull: true
+  },
+  spent: {
+    type: Sequelize.INTEGER.UNSIGNED,
+    defaultValue: 0
+  },
+  created: Sequelize.DATE,
+  expires: {
+    type: Sequelize.DATE,
+    allowNull: true
+  },
+  last_used: {
+    type: Sequelize.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: false,
+  indexes: [
+    { fields: ["address"] }
+  ]
+});
+
+const ScheduledTransaction = database.getSequelize().define("scheduledtransaction", {
+  owner: Sequelize.STRING(10),
+  // The recipient as given when scheduling, either an address or a name
+  to: Sequelize.STRING(100),
+  amount: Sequelize.INTEGER.UNSIGNED,
+  metadata: {
+    type: Sequelize.STRING(255),
+    allowNull: true
+  },
+  // If paying to a name, it's resolved to its owner on every run
+  sent_metaname: {
+    type: Sequelize.STRING(32),
+    allowNull: true
+  },
+  sent_name: {
+    type: Sequelize.STRING(64),
+    allowNull: true
+  },
+  // null for one-off payments
+  interval: {
+    type: Sequelize.ENUM("hourly", "daily", "weekly", "monthly"),
+    allowNull: true
+  },
+  max_runs: {
+    type: Sequelize.INTEGER.UNSIGNED,
+    allowNull: true
+  },
+  runs: {
+    type: Sequelize.INTEGER.UNSIGNED,
+    defaultValue: 0
+  },
+  created: Sequelize.DATE,
+  next_run: {
+    type: Sequelize.DATE,
+    allowNull: true
+  },
+  last_run: {
+    type: Sequelize.DATE,
+    allowNull: true
+  },
+  active: {
+    type: Sequelize.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  timestamps: false,
+  indexes: [
+    { fields: ["owner"] },
+    { fields: ["active", "next_run"] }
+  ]
+});
+
+const ScheduledFailure = database.getSequelize().define("scheduledfailure", {
+  scheduled_id: Sequelize.INTEGER,
+  owner: Sequelize.STRING(10),
+  time: Sequelize.DATE,
+  error: Sequelize.STRING(64)
+}, {
+  timestamps: false,
+  indexes: [
+    { fields: ["scheduled_id"] }
+  ]
+});
+
+const Escrow = database.getSequelize().define("escrow", {
+  sender: Sequelize.STRING(10),
+  recipient: Sequelize.STRING(10),
+  // An optional third party that may release or refund the funds
+  arbiter: {
+    type: Sequelize.STRING(10),
+    allowNull: true
+  },
+  amount: Sequelize.INTEGER.UNSIGNED,
+  metadata: {
+    type: Sequelize.STRING(255),
+    allowNull: true
+  },
+  status: {
+    type: Sequelize.ENUM("pending", "released", "refunded"),
+    defaultValue: "pending"
+  },
+  created: Sequelize.DATE,
+  // Pending escrows are refunded to the sender once this passes
+  deadline: {
+    type: Sequelize.DATE,
+    allowNull: true
+  },
+  resolved: {
+    type: Sequelize.DATE,
+    allowNull: true
+  },
+  // The address that released or refunded the escrow, null if it timed out
+  resolved_by: {
+    type: Sequelize.STRING(10),
+    allowNull: true
+  }
+}, {
+  timestamps: false,
+  indexes: [
+    { fields: ["sender"] },
+    { fields: ["recipient"] },
+    { fields: ["arbiter"] },
+    { fields: ["status", "deadline"] }
+  ]
+});
+
+const Invoice = database.getSequelize().define("invoice", {
+  // Random, so invoices can't be enumerated
+  id: {
+    type: Sequelize.STRING(16),
+    primaryKey: true
+  },
+  // The address that created the invoice, and receives its events
+  owner: Sequelize.STRING(10),
+  // The invoice is paid to either an address or a name (and its metaname)
+  address: {
+    type: Sequelize.STRING(10),
+    allowNull: true
+  },
+  metaname: {
+    type: Sequelize.STRING(32),
+    allowNull: true
+  },
+  name: {
+    type: Sequelize.STRING(64),
+    allowNull: true
+  },
+  amount: Sequelize.INTEGER.UNSIGNED,
+  paid: {
+    type: Sequelize.INTEGER.UNSIGNED,
+    defaultValue: 0
+  },
+  label: {
+    type: Sequelize.STRING(255),
+    allowNull: true
+  },
+  status: {
+    type: Sequelize.ENUM("pending", "underpaid", "paid", "overpaid", "expired"),
+    defaultValue: "pending"
+  },
+  created: Sequelize.DATE,
+  expires: {
+    type: Sequelize.DATE,
+    allowNull: true
+  },
+  paid_at: {
+    type: Sequelize.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: false,
+  indexes: [
+    { fields: ["owner"] },
+    { fields: ["status", "expires"] }
+  ]
+});
+
+const Multisig = database.getSequelize().define("multisig", {
+  // The multisig's own address, which has no usable privatekey
+  address: {
+    type: Sequelize.STRING(10),
+    primaryKey: true
+  },
+  // The number of member approvals a proposal needs to be executed
+  threshold: Sequelize.INTEGER.UNSIGNED,
+  label: {
+    type: Sequelize.STRING(255),
+    allowNull: true
+  },
+  created_by: Sequelize.STRING(10),
+  created: Sequelize.DATE
+}, {
+  timestamps: false
+});
+
+const MultisigMember = database.getSequelize().define("multisigmember", {
+  multisig: Sequelize.STRING(10),
+  member: Sequelize.STRING(10)
+}, {
+  timestamps: false,
+  indexes: [
+    { fields: ["multisig", "member"], unique: true },
+    { fields: ["member"] }
+  ]
+});
+
+const MultisigProposal = database.getSequelize().define("multisigproposal", {
+  multisig: Sequelize.STRING(10),
+  proposer: Sequelize.STRING(10),
+  // The recipient as given when proposing, either an address or a name
+  to: Sequelize.STRING(100),
+  amount: Sequelize.INTEGER.UNSIGNED,
+  metadata: {
+    type: Sequelize.STRING(255),
+    allowNull: true
+  },
+  // If paying to a name, it's resolved to its owner when executed
+  sent_metaname: {
+    type: Sequelize.STRING(32),
+    allowNull: true
+  },
+  sent_name: {
+    type: Sequelize.STRING(64),
+    allowNull: true
+  },
+  status: {
+    type: Sequelize.ENUM("pending", "executed"),
+    defaultValue: "pending"
+  },
+  created: Sequelize.DATE,
+  executed: {
+    type: Sequelize.DATE,
+    allowNull: true
+  },
+  // The transaction made when the proposal was executed
+  transaction_id: {
+    type: Sequelize.INTEGER,
+    allowNull: true
+  }
+}, {
+  timestamps: false,
+  indexes: [
+    { fields: ["multisig", "status"] }
+  ]
+});
+
+const MultisigApproval = database.getSequelize().define("multisigapproval", {
+  proposal_id: Sequelize.INTEGER,
+  member: Sequelize.STRING(10),
+  time: Sequelize.DATE
+}, {
+  timestamps: false,
+  indexes: [
+    { fields: ["proposal_id", "member"], unique: true }
+  ]
+});
+
+const Webhook = database.getSequelize().define("webhook", {
+  owner: Sequelize.STRING(10),
+  url: Sequelize.STRING(255),
+  // Used to sign the body of each delivery with HMAC-SHA256
+  secret: Sequelize.STRING(64),
+  // Comma-separated list of the event types to deliver
+  events: Sequelize.STRING(64),
+  created: Sequelize.DATE
+}, {
+  timestamps: false,
+  indexes: [
+    { fields: ["owner"] }
+  ]
+});
+
+const WebhookDelivery = database.getSequelize().define("webhookdelivery", {
+  webhook_id: Sequelize.INTEGER,
+  event: Sequelize.STRING(32),
+  // The event exactly as it was broadcast to websockets
+  payload: Sequelize.TEXT,
+  status: {
+    type: Sequelize.ENUM("pending", "delivered", "failed"),
+    defaultValue: "pending"
+  },
+  attempts: {
+    type: Sequelize.INTEGER.UNSIGNED,
+    defaultValue: 0
+  },
+  created: Sequelize.DATE,
+  last_attempt: {
+    type: Sequelize.DATE,
+    allowNull: true
+  },
+  next_attempt: {
+    type: Sequelize.DATE,
+    allowNull: true
+  },
+  // The HTTP status of the last attempt, or null if no response was received
+  response_status: {
+    type: Sequelize.INTEGER,
+    allowNull: true
+  },
+  error: {
+    type: Sequelize.STRING(255),
+    allowNull: true
+  }
+}, {
+  timestamps: false,
+  indexes: [
+    { fields: ["webhook_id"] },
+    { fields: ["status", "next_attempt"] }
+  ]
+});
+
+// The migrations that have been applied to the database, see Migrations.run
+const Migration = database.getSequelize().define("migration", {
+  name: {
+    type: Sequelize.STRING(64),
+    primaryKey: true
+  },
+  applied: Sequelize.DATE
+}, {
+  timestamps: false
+});
+
 module.exports = {
   address: Address,
   block: Block,
   name: Name,
   transaction: Transaction,
+  transactionMeta: TransactionMeta,
+  balanceCheckpoint: BalanceCheckpoint,
+  statsPeriod: StatsPeriod,
+  statsTransactionType: StatsTransactionType,
+  statsTopAddress: StatsTopAddress,
   authLog: AuthLog,
+  apiToken: ApiToken,
+  scheduledTransaction: ScheduledTransaction,
+  scheduledFailure: ScheduledFailure,
+  escrow: Escrow,
+  invoice: Invoice,
+  multisig: Multisig,
+  multisigMember: MultisigMember,
+  multisigProposal: MultisigProposal,
+  multisigApproval: MultisigApproval,
+  webhook: Webhook,
+  webhookDelivery: WebhookDelivery,
+  migration: Migration,
 
   sync(force) {
     return Promise.all([
@@ -147,7 +624,24 @@ module.exports = {
       Block.sync({ force }),
       Name.sync({ force }),
       Transaction.sync({ force }),
-      AuthLog.sync({ force })
+      TransactionMeta.sync({ force }),
+      BalanceCheckpoint.sync({ force }),
+      StatsPeriod.sync({ force }),
+      StatsTransactionType.sync({ force }),
+      StatsTopAddress.sync({ force }),
+      AuthLog.sync({ force }),
+      ApiToken.sync({ force }),
+      ScheduledTransaction.sync({ force }),
+      ScheduledFailure.sync({ force }),
+      Escrow.sync({ force }),
+      Invoice.sync({ force }),
+      Multisig.sync({ force }),
+      MultisigMember.sync({ force }),
+      MultisigProposal.sync({ force }),
+      MultisigApproval.sync({ force }),
+      Webhook.sync({ force }),
+      WebhookDelivery.sync({ force }),
+      Migration.sync({ force })
     ]);
   }
 };
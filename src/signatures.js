@@ -0,0 +1,123 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const crypto       = require("crypto");
+const utils        = require("./utils.js");
+const { getRedis } = require("./redis.js");
+
+// DER prefix of an Ed25519 SubjectPublicKeyInfo structure. The raw 32-byte
+// public key registered to an address is appended to this to import it.
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+// Signed requests with a timestamp further than this many seconds away from
+// the server's clock are rejected. Nonces are remembered for twice as long, so
+// a request can never be replayed while its timestamp is still acceptable.
+const MAX_CLOCK_SKEW = 60;
+
+const publicKeyRegex = /^[a-f0-9]{64}$/i;
+const signatureRegex = /^[a-f0-9]{128}$/i;
+const nonceRegex = /^[a-z0-9_-]{8,64}$/i;
+const timestampRegex = /^\d{1,16}$/;
+
+function Signatures() {}
+
+Signatures.HEADER_ADDRESS   = "X-Krist-Address";
+Signatures.HEADER_TIMESTAMP = "X-Krist-Timestamp";
+Signatures.HEADER_NONCE     = "X-Krist-Nonce";
+Signatures.HEADER_SIGNATURE = "X-Krist-Signature";
+
+Signatures.isValidPublicKey = function(pubkey) {
+  return typeof pubkey === "string" && publicKeyRegex.test(pubkey);
+};
+
+/** Returns the address a signed request claims to be authenticating as, or
+ * undefined if the request was not signed. The signature itself is not
+ * checked here, see {@link Signatures.verifyRequest}. */
+Signatures.getSignedAddress = function(req) {
+  if (!req) return;
+
+  // Websocket sessions started with a signed request stay signed for that
+  // address until they log out
+  if (req.signedAddress) return req.signedAddress;
+
+  if (typeof req.header !== "function") return;
+  const address = req.header(Signatures.HEADER_ADDRESS);
+  if (!address || !req.header(Signatures.HEADER_SIGNATURE)) return;
+
+  return address.trim().toLowerCase();
+};
+
+Signatures.isSignedRequest = function(req) {
+  return !!Signatures.getSignedAddress(req);
+};
+
+/** Builds the canonical message that the client must sign with the Ed25519
+ * key registered to their address. */
+Signatures.getSignedMessage = function(req, address, timestamp, nonce) {
+  return [
+    req.method.toUpperCase(),
+    req.originalUrl,
+    address,
+    timestamp,
+    nonce,
+    utils.sha256(req.rawBody || "")
+  ].join("\n");
+};
+
+Signatures.verifyRequest = async function(req, address, pubkey) {
+  if (!Signatures.isValidPublicKey(pubkey)) return false;
+
+  // The session was already verified when the websocket was started
+  if (req.signedAddress) return req.signedAddress === address;
+
+  const claimedAddress = Signatures.getSignedAddress(req);
+  const timestamp = req.header(Signatures.HEADER_TIMESTAMP);
+  const nonce = req.header(Signatures.HEADER_NONCE);
+  const signature = req.header(Signatures.HEADER_SIGNATURE);
+
+  if (claimedAddress !== address) return false;
+  if (!timestamp || !timestampRegex.test(timestamp)) return false;
+  if (!nonce || !nonceRegex.test(nonce)) return false;
+  if (!signatureRegex.test(signature)) return false;
+
+  // Reject stale (or future) requests
+  if (Math.abs(Date.now() - parseInt(timestamp)) > MAX_CLOCK_SKEW * 1000)
+    return false;
+
+  const message = Signatures.getSignedMessage(req, address, timestamp, nonce);
+  const key = crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(pubkey, "hex")]),
+    format: "der",
+    type: "spki"
+  });
+
+  if (!crypto.verify(null, Buffer.from(message), key, Buffer.from(signature, "hex")))
+    return false;
+
+  // Only consume the nonce once the signature is known to be valid, so that
+  // nobody else can burn an address's nonces. If the nonce was already set,
+  // this is a replayed request.
+  const stored = await getRedis().set(`signature-nonce:${address}:${nonce}`,
+    timestamp, ["EX", MAX_CLOCK_SKEW * 2], "NX");
+  return stored === "OK";
+};
+
+module.exports = Signatures;
@@ -0,0 +1,279 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const chalk        = require("chalk");
+const schemas      = require("./schemas.js");
+const database     = require("./database.js");
+const transactions = require("./transactions.js");
+const { Op, QueryTypes } = require("sequelize");
+
+// Periods are only marked as complete once they have been over for this long,
+// as transactions made at the end of them may not have been committed yet
+const AGGREGATE_DELAY = 60 * 1000;
+// The most periods of each interval aggregated per tick, so that the initial
+// backfill of the rollup tables is spread out
+const MAX_PERIODS_PER_TICK = 48;
+
+// Only actual addresses, not the "name" and "a" recipients of name transactions
+const IS_ADDRESS_SQL = column => `CHAR_LENGTH(\`${column}\`) = 10`;
+const IN_PERIOD_SQL = "`time` >= :start AND `time` < :end";
+
+function Stats() {}
+
+/** The supported intervals, in seconds. Periods start on the hour, or at
+ * midnight UTC. */
+Stats.INTERVALS = {
+  hour: 60 * 60,
+  day: 24 * 60 * 60
+};
+
+/** The number of top senders and receivers kept for each period. */
+Stats.TOP_ADDRESSES = 10;
+
+let aggregating = false;
+
+/** Returns the start of the period of the given interval containing `time`. */
+Stats.getPeriodStart = function(time, interval) {
+  const ms = Stats.INTERVALS[interval] * 1000;
+  return new Date(Math.floor(time.getTime() / ms) * ms);
+};
+
+/** Counts a period's transactions by type. The type can't be computed in SQL,
+ * so the transactions are grouped by the columns identifyTransactionType uses,
+ * and each group is passed to it. */
+async function aggregateTypes(replacements) {
+  const groups = await database.getSequelize().query(`
+    SELECT
+      (\`from\` IS NULL) AS \`mined\`,
+      \`escrow_action\`,
+      (\`name\` IS NOT NULL) AS \`named\`,
+      IF(\`to\` IN ('name', 'a'), \`to\`, NULL) AS \`name_to\`,
+      COUNT(*) AS \`count\`,
+      SUM(\`value\`) AS \`volume\`
+    FROM \`transactions\`
+    WHERE ${IN_PERIOD_SQL}
+    GROUP BY \`mined\`, \`escrow_action\`, \`named\`, \`name_to\`
+  `, { replacements, type: QueryTypes.SELECT });
+
+  const types = {};
+  for (const group of groups) {
+    const type = transactions.identifyTransactionType({
+      from: group.mined ? null : "sender",
+      escrow_action: group.escrow_action,
+      name: group.named ? "name" : null,
+      to: group.name_to
+    });
+
+    const counts = types[type] || (types[type] = { count: 0, volume: 0 });
+    counts.count += Number(group.count);
+    counts.volume += Number(group.volume);
+  }
+
+  return types;
+}
+
+function aggregateTopAddresses(column, replacements) {
+  return database.getSequelize().query(`
+    SELECT \`${column}\` AS \`address\`, COUNT(*) AS \`count\`, SUM(\`value\`) AS \`amount\`
+    FROM \`transactions\`
+    WHERE ${IN_PERIOD_SQL} AND ${IS_ADDRESS_SQL(column)}
+    GROUP BY \`${column}\`
+    ORDER BY \`amount\` DESC, \`address\` ASC
+    LIMIT :limit
+  `, { replacements: { ...replacements, limit: Stats.TOP_ADDRESSES }, type: QueryTypes.SELECT });
+}
+
+function topAddressRow(row) {
+  return { address: row.address, count: Number(row.count), amount: Number(row.amount) };
+}
+
+/** Computes the statistics of one period and replaces its rows in the rollup
+ * tables. */
+Stats.aggregatePeriod = async function(interval, start) {
+  const end = new Date(start.getTime() + Stats.INTERVALS[interval] * 1000);
+  const complete = end.getTime() + AGGREGATE_DELAY <= Date.now();
+  const replacements = { start, end };
+  const inPeriod = { [Op.gte]: start, [Op.lt]: end };
+
+  const [types, [active], newAddresses, [blocks], names, senders, receivers] = await Promise.all([
+    aggregateTypes(replacements),
+    database.getSequelize().query(`
+      SELECT COUNT(DISTINCT \`address\`) AS \`count\` FROM (
+        SELECT \`from\` AS \`address\` FROM \`transactions\` WHERE ${IN_PERIOD_SQL} AND ${IS_ADDRESS_SQL("from")}
+        UNION ALL
+        SELECT \`to\` AS \`address\` FROM \`transactions\` WHERE ${IN_PERIOD_SQL} AND ${IS_ADDRESS_SQL("to")}
+      ) AS \`involved\`
+    `, { replacements, type: QueryTypes.SELECT }),
+    schemas.address.count({ where: { firstseen: inPeriod } }),
+    database.getSequelize().query(`
+      SELECT
+        COUNT(*) AS \`count\`,
+        TIMESTAMPDIFF(SECOND, MIN(\`time\`), MAX(\`time\`)) / NULLIF(COUNT(*) - 1, 0) AS \`average_time\`
+      FROM \`blocks\`
+      WHERE ${IN_PERIOD_SQL}
+    `, { replacements, type: QueryTypes.SELECT }),
+    schemas.name.count({ where: { registered: inPeriod } }),
+    aggregateTopAddresses("from", replacements),
+    aggregateTopAddresses("to", replacements)
+  ]);
+
+  const typeCounts = Object.values(types);
+  const key = { interval, time: start };
+
+  await database.getSequelize().transaction(async t => {
+    await Promise.all([
+      schemas.statsPeriod.destroy({ where: key, transaction: t }),
+      schemas.statsTransactionType.destroy({ where: key, transaction: t }),
+      schemas.statsTopAddress.destroy({ where: key, transaction: t })
+    ]);
+
+    await Promise.all([
+      schemas.statsPeriod.create({
+        ...key,
+        complete,
+        transactions: typeCounts.reduce((total, c) => total + c.count, 0),
+        volume: typeCounts.reduce((total, c) => total + c.volume, 0),
+        active_addresses: Number(active.count),
+        new_addresses: newAddresses,
+        blocks: Number(blocks.count),
+        average_block_time: blocks.average_time !== null ? Number(blocks.average_time) : null,
+        names
+      }, { transaction: t }),
+
+      schemas.statsTransactionType.bulkCreate(Object.entries(types).map(([type, c]) => ({
+        ...key, type, count: c.count, volume: c.volume
+      })), { transaction: t }),
+
+      schemas.statsTopAddress.bulkCreate([
+        ...senders.map(row => ({ ...key, direction: "sent", ...topAddressRow(row) })),
+        ...receivers.map(row => ({ ...key, direction: "received", ...topAddressRow(row) }))
+      ], { transaction: t })
+    ]);
+  });
+
+  return complete;
+};
+
+/** Brings the rollup tables of an interval up to date, starting after the
+ * last complete period, or from the genesis block if there are none yet. */
+async function aggregateInterval(interval) {
+  const last = await schemas.statsPeriod.findOne({
+    where: { interval },
+    order: [["time", "DESC"]]
+  });
+
+  let start;
+  if (last) {
+    start = last.complete
+      ? new Date(last.time.getTime() + Stats.INTERVALS[interval] * 1000)
+      : last.time;
+  } else {
+    const firstBlock = await schemas.block.min("time");
+    if (!firstBlock) return;
+    start = Stats.getPeriodStart(new Date(firstBlock), interval);
+  }
+
+  for (let i = 0; i < MAX_PERIODS_PER_TICK && start.getTime() <= Date.now(); i++) {
+    await Stats.aggregatePeriod(interval, start);
+    start = new Date(start.getTime() + Stats.INTERVALS[interval] * 1000);
+  }
+}
+
+/** Updates the rollup tables of every interval. Called every minute by the
+ * scheduler started in Krist.init. */
+Stats.aggregate = async function() {
+  // Don't let a slow backfill overlap with the next tick
+  if (aggregating) return;
+  aggregating = true;
+
+  try {
+    for (const interval of Object.keys(Stats.INTERVALS)) {
+      try {
+        await aggregateInterval(interval);
+      } catch (err) {
+        console.error(chalk`{red [Stats]} Error aggregating {bold ${interval}} statistics:`, err);
+      }
+    }
+  } finally {
+    aggregating = false;
+  }
+};
+
+/** Fetches the aggregated periods of an interval starting between `from` and
+ * `to`, along with their transaction types. */
+Stats.getPeriods = async function(interval, from, to) {
+  const where = { interval, time: { [Op.gte]: from, [Op.lt]: to } };
+
+  const [periods, types] = await Promise.all([
+    schemas.statsPeriod.findAll({ where, order: [["time", "ASC"]] }),
+    schemas.statsTransactionType.findAll({ where, order: [["type", "ASC"]] })
+  ]);
+
+  return periods.map(period => Stats.periodToJSON(period,
+    types.filter(type => type.time.getTime() === period.time.getTime())));
+};
+
+/** Fetches the top senders and receivers of the aggregated periods of an
+ * interval starting between `from` and `to`. */
+Stats.getTopAddresses = async function(interval, from, to) {
+  const where = { interval, time: { [Op.gte]: from, [Op.lt]: to } };
+
+  const [periods, addresses] = await Promise.all([
+    schemas.statsPeriod.findAll({ attributes: ["time", "complete"], where, order: [["time", "ASC"]] }),
+    schemas.statsTopAddress.findAll({ where, order: [["amount", "DESC"], ["address", "ASC"]] })
+  ]);
+
+  return periods.map(period => {
+    const inPeriod = addresses.filter(a => a.time.getTime() === period.time.getTime());
+    return {
+      time: period.time,
+      complete: period.complete,
+      top_senders: inPeriod.filter(a => a.direction === "sent").map(Stats.topAddressToJSON),
+      top_receivers: inPeriod.filter(a => a.direction === "received").map(Stats.topAddressToJSON)
+    };
+  });
+};
+
+Stats.periodToJSON = function(dbPeriod, dbTypes) {
+  return {
+    time: dbPeriod.time,
+    complete: dbPeriod.complete,
+    transactions: dbPeriod.transactions,
+    volume: dbPeriod.volume,
+    transaction_types: Object.fromEntries(dbTypes.map(type =>
+      [type.type, { count: type.count, volume: type.volume }])),
+    active_addresses: dbPeriod.active_addresses,
+    new_addresses: dbPeriod.new_addresses,
+    blocks: dbPeriod.blocks,
+    average_block_time: dbPeriod.average_block_time,
+    names_registered: dbPeriod.names
+  };
+};
+
+Stats.topAddressToJSON = function(dbTopAddress) {
+  return {
+    address: dbTopAddress.address,
+    amount: dbTopAddress.amount,
+    transactions: dbTopAddress.count
+  };
+};
+
+module.exports = Stats;
@@ -0,0 +1,173 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const chalk     = require("chalk");
+const utils     = require("./utils.js");
+const schemas   = require("./schemas.js");
+const addresses = require("./addresses.js");
+const errors    = require("./errors/errors.js");
+
+const { promisify } = require("util");
+const crypto        = require("crypto");
+const secureBytes   = promisify(crypto.randomBytes);
+
+const promClient = require("prom-client");
+const promTokensVerifiedCounter = new promClient.Counter({
+  name: "krist_api_tokens_verified_total",
+  help: "Total number of API tokens verified since the Krist server started.",
+  labelNames: ["type"]
+});
+
+promTokensVerifiedCounter.inc({ type: "failed" }, 0);
+promTokensVerifiedCounter.inc({ type: "authed" }, 0);
+
+const bearerRegex = /^Bearer\s+([a-f0-9]{64})$/i;
+
+function Tokens() {}
+
+/** The powers a token may be granted. */
+Tokens.VALID_SCOPES = [
+  "transactions:send",
+  "names:register",
+  "names:transfer",
+  "names:update",
+  "ws:login",
+  "invoices:create",
+  "multisig:propose",
+  "multisig:approve"
+];
+
+/** The maximum amount of tokens a single address may have at once. */
+Tokens.MAX_TOKENS_PER_ADDRESS = 32;
+
+/** Returns the API token the request is authenticating with, either from the
+ * `Authorization: Bearer` header, or from the websocket session it belongs to. */
+Tokens.getBearerToken = function(req) {
+  if (!req) return;
+  if (req.apiToken) return req.apiToken;
+
+  if (typeof req.header !== "function") return;
+  const header = req.header("Authorization");
+  if (!header) return;
+
+  const match = bearerRegex.exec(header.trim());
+  return match ? match[1].toLowerCase() : undefined;
+};
+
+Tokens.getTokensByAddress = function(address) {
+  return schemas.apiToken.findAll({ order: [["id", "ASC"]], where: { address } });
+};
+
+Tokens.getTokenCountByAddress = function(address) {
+  return schemas.apiToken.count({ where: { address } });
+};
+
+Tokens.getTokenByID = function(address, id) {
+  return schemas.apiToken.findOne({ where: { id, address } });
+};
+
+Tokens.createToken = async function(address, scopes, spendLimit, expires, label) {
+  // Only the hash of the token is stored, the token itself is returned once
+  const token = (await secureBytes(32)).toString("hex");
+
+  const dbToken = await schemas.apiToken.create({
+    address,
+    token: utils.sha256(token),
+    label,
+    scopes: scopes.join(","),
+    spend_limit: spendLimit,
+    spent: 0,
+    created: new Date(),
+    expires
+  });
+
+  console.log(chalk`{cyan [Tokens]} Created token {bold ${dbToken.id}} for address {bold ${address}} with scopes {bold ${dbToken.scopes}}`);
+
+  return { token, dbToken };
+};
+
+Tokens.hasScope = function(dbToken, scope) {
+  return dbToken.scopes.split(",").includes(scope);
+};
+
+Tokens.verify = async function(req, token, scope) {
+  const { path, logDetails } = utils.getLogDetails(req);
+
+  const dbToken = await schemas.apiToken.findOne({ where: { token: utils.sha256(token) } });
+  if (!dbToken || (dbToken.expires && dbToken.expires <= new Date())) {
+    console.log(chalk`{red [Auth]} ({bold ${path}}) Auth failed with unknown or expired API token ${logDetails}`);
+    promTokensVerifiedCounter.inc({ type: "failed" });
+    return { authed: false };
+  }
+
+  if (!Tokens.hasScope(dbToken, scope)) {
+    console.log(chalk`{red [Auth]} ({bold ${path}}) API token {bold ${dbToken.id}} is missing scope {bold ${scope}} ${logDetails}`);
+    promTokensVerifiedCounter.inc({ type: "failed" });
+    throw new errors.ErrorInsufficientScope(scope);
+  }
+
+  const address = await addresses.getAddress(dbToken.address);
+  const authed = !!address && !address.locked;
+
+  if (authed) {
+    addresses.logAuth(req, address.address, "auth");
+    await dbToken.update({ last_used: new Date() });
+  } else {
+    console.log(chalk`{red [Auth]} ({bold ${path}}) Auth failed with API token {bold ${dbToken.id}} on address {bold ${dbToken.address}} ${logDetails}`);
+  }
+
+  promTokensVerifiedCounter.inc({ type: authed ? "authed" : "failed" });
+  return { authed, address, token: dbToken };
+};
+
+/** Throws if spending `amount` would take the token over its spend limit. */
+Tokens.checkSpendLimit = function(dbToken, amount) {
+  if (dbToken.spend_limit === null || typeof dbToken.spend_limit === "undefined") return;
+  if (dbToken.spent + amount > dbToken.spend_limit)
+    throw new errors.ErrorTokenSpendLimit();
+};
+
+Tokens.recordSpend = async function(dbToken, amount, t) {
+  if (t) {
+    // Re-check the spend limit against the locked row, in case another request
+    // spent with this token in the meantime
+    await dbToken.reload({ lock: t.LOCK.UPDATE, transaction: t });
+    Tokens.checkSpendLimit(dbToken, amount);
+  }
+
+  return dbToken.increment({ spent: amount }, { transaction: t });
+};
+
+Tokens.tokenToJSON = function(dbToken) {
+  return {
+    id: dbToken.id,
+    address: dbToken.address,
+    label: dbToken.label || null,
+    scopes: dbToken.scopes.split(","),
+    spend_limit: dbToken.spend_limit,
+    spent: dbToken.spent || 0,
+    created: dbToken.created,
+    expires: dbToken.expires || null,
+    last_used: dbToken.last_used || null
+  };
+};
+
+module.exports = Tokens;
@@ -0,0 +1,197 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const moment         = require("moment");
+const database       = require("./database.js");
+const krist          = require("./krist.js");
+const transactions   = require("./transactions.js");
+const balanceHistory = require("./balancehistory.js");
+const { QueryTypes } = require("sequelize");
+
+// The number of transactions fetched at a time while exporting
+const EXPORT_PAGE_SIZE = 1000;
+// The most metadata fields given their own CSV column. Any others are only
+// included in the `metadata` column.
+const MAX_META_COLUMNS = 32;
+
+const CSV_COLUMNS = [
+  "id", "time", "type", "from", "to", "value", "balance",
+  "name", "sent_metaname", "sent_name", "metadata"
+];
+
+function TransactionExport() {}
+
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== "string") return String(value);
+
+  // Stop spreadsheets from evaluating user-supplied text as a formula
+  if (/^[=+\-@\t\r]/.test(value)) value = "'" + value;
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, "\"\"")}"` : value;
+}
+
+const csvRow = fields => fields.map(csvField).join(",") + "\r\n";
+
+function xmlEscape(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+const ofxDate = date => moment.utc(date).format("YYYYMMDDHHmmss.SSS[[0:GMT]]");
+
+// Each format's header, the text for each transaction, and the footer. `ctx`
+// holds the exported address, the time range, and the running balance.
+const WRITERS = {
+  csv: {
+    start: ctx => csvRow([...CSV_COLUMNS, ...ctx.metaKeys.map(key => "meta." + key)]),
+    row: (ctx, tx) => csvRow([
+      ...CSV_COLUMNS.map(column => column === "balance" ? ctx.balance : tx[column]),
+      ...ctx.metaKeys.map(key => tx.metadata_fields[key])
+    ]),
+    end: () => ""
+  },
+
+  ndjson: {
+    start: () => "",
+    row: (ctx, tx) => JSON.stringify({ ...tx, balance: ctx.balance }) + "\n",
+    end: () => ""
+  },
+
+  // OFX 2.1.1, as a bank statement with Krist as the currency
+  ofx: {
+    start: ctx => `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<?OFX OFXHEADER="200" VERSION="211" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>
+<OFX>
+<SIGNONMSGSRSV1><SONRS>
+<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>
+<DTSERVER>${ofxDate(new Date())}</DTSERVER><LANGUAGE>ENG</LANGUAGE>
+</SONRS></SIGNONMSGSRSV1>
+<BANKMSGSRSV1><STMTTRNRS>
+<TRNUID>0</TRNUID>
+<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>
+<STMTRS>
+<CURDEF>KST</CURDEF>
+<BANKACCTFROM><BANKID>KRIST</BANKID><ACCTID>${ctx.address}</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>
+<BANKTRANLIST>
+<DTSTART>${ofxDate(ctx.from)}</DTSTART><DTEND>${ofxDate(ctx.to)}</DTEND>
+`,
+    row: (ctx, tx) => {
+      const amount = (tx.to === ctx.address ? tx.value : 0) - (tx.from === ctx.address ? tx.value : 0);
+      const counterparty = tx.from === ctx.address ? tx.to : tx.from;
+
+      return "<STMTTRN>"
+        + `<TRNTYPE>${amount < 0 ? "DEBIT" : "CREDIT"}</TRNTYPE>`
+        + `<DTPOSTED>${ofxDate(tx.time)}</DTPOSTED>`
+        + `<TRNAMT>${amount}</TRNAMT>`
+        + `<FITID>${tx.id}</FITID>`
+        + `<NAME>${krist.isValidKristAddress(counterparty) ? counterparty : tx.type}</NAME>`
+        + (tx.metadata ? `<MEMO>${xmlEscape(tx.metadata)}</MEMO>` : "")
+        + "</STMTTRN>\n";
+    },
+    end: ctx => `</BANKTRANLIST>
+<LEDGERBAL><BALAMT>${ctx.balance}</BALAMT><DTASOF>${ofxDate(ctx.to)}</DTASOF></LEDGERBAL>
+</STMTRS>
+</STMTTRNRS></BANKMSGSRSV1>
+</OFX>
+`
+  }
+};
+
+/** The supported export formats, and the content type and file extension of
+ * each. */
+TransactionExport.FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  ndjson: { contentType: "application/x-ndjson; charset=utf-8", extension: "ndjson" },
+  ofx: { contentType: "application/x-ofx; charset=utf-8", extension: "ofx" }
+};
+
+/** Returns the metadata keys used by an address's transactions between `from`
+ * and `to`, in alphabetical order, up to {@link MAX_META_COLUMNS} of them. */
+TransactionExport.getMetadataKeys = async function(address, from, to) {
+  const rows = await database.getSequelize().query(`
+    SELECT DISTINCT \`transactionmeta\`.\`key\`
+    FROM \`transactionmeta\`
+    INNER JOIN \`transactions\` ON \`transactions\`.\`id\` = \`transactionmeta\`.\`transaction_id\`
+    WHERE (\`transactions\`.\`from\` = :address OR \`transactions\`.\`to\` = :address)
+      ${from ? "AND `transactions`.`time` >= :from" : ""}
+      ${to ? "AND `transactions`.`time` < :to" : ""}
+    ORDER BY \`transactionmeta\`.\`key\` ASC
+    LIMIT :limit
+  `, {
+    replacements: { address, from, to, limit: MAX_META_COLUMNS },
+    type: QueryTypes.SELECT
+  });
+
+  return rows.map(row => row.key);
+};
+
+/**
+ * Exports all of an address's transactions between `from` and `to` (both
+ * optional) in the given format, oldest first, along with the address's
+ * running balance after each one. The transactions are fetched a page at a
+ * time, and each chunk of the export is passed to `write`, which may resolve
+ * with false to stop early, e.g. if the client disconnected.
+ */
+TransactionExport.exportTransactions = async function(dbAddress, format, from, to, write) {
+  const address = dbAddress.address;
+  const writer = WRITERS[format];
+  // Don't include transactions made while exporting
+  to = to || new Date();
+
+  // The balance before the first exported transaction
+  if (from) await balanceHistory.updateCheckpoints(address);
+  const [balance, metaKeys] = await Promise.all([
+    from ? balanceHistory.getBalanceAt(address, from) : 0,
+    format === "csv" ? TransactionExport.getMetadataKeys(address, from, to) : []
+  ]);
+
+  const ctx = {
+    address,
+    from: from || dbAddress.firstseen,
+    to,
+    metaKeys,
+    balance
+  };
+
+  if (await write(writer.start(ctx)) === false) return;
+
+  let cursor;
+  do {
+    const page = await transactions.getTransactionsByAddress(address, EXPORT_PAGE_SIZE, 0, true, false,
+      "id", "ASC", cursor, { from, to, skipCount: true });
+
+    let chunk = "";
+    for (const tx of page.rows) {
+      ctx.balance += (tx.to === address ? tx.value : 0) - (tx.from === address ? tx.value : 0);
+      chunk += writer.row(ctx, transactions.transactionToJSON(tx));
+    }
+
+    if (chunk && await write(chunk) === false) return;
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  await write(writer.end(ctx));
+};
+
+module.exports = TransactionExport;
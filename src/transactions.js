@@ -23,6 +23,10 @@ const utils        = require("./utils.js");
 const schemas      = require("./schemas.js");
 const websockets   = require("./websockets.js");
 const addresses    = require("./addresses.js");
+const database     = require("./database.js");
+const invoices     = require("./invoices.js");
+const commonMeta   = require("./commonmeta.js");
+const errors       = require("./errors/errors.js");
 const { Op }       = require("sequelize");
 const escapeRegExp = require("lodash.escaperegexp");
 
@@ -40,6 +44,9 @@ promTransactionCounter.inc({ type: "name_purchase" }, 0);
 promTransactionCounter.inc({ type: "name_a_record" }, 0);
 promTransactionCounter.inc({ type: "name_transfer" }, 0);
 promTransactionCounter.inc({ type: "transfer" }, 0);
+promTransactionCounter.inc({ type: "escrow_lock" }, 0);
+promTransactionCounter.inc({ type: "escrow_release" }, 0);
+promTransactionCounter.inc({ type: "escrow_refund" }, 0);
 
 // Query operator to exclude mined transactions in the 'from' field
 const EXCLUDE_MINED = {
@@ -47,18 +54,40 @@ const EXCLUDE_MINED = {
   [Op.not]: null // And is not null
 };
 
+// Words are split the same way as InnoDB's full-text parser splits them, and
+// ones shorter than its default innodb_ft_min_token_size, or in its default
+// stopword list, aren't indexed
+const SEARCH_WORD_REGEX = /[\p{L}\p{N}_]+/gu;
+const MIN_SEARCH_WORD_LENGTH = 3;
+const SEARCH_STOPWORDS = new Set([
+  "a", "about", "an", "are", "as", "at", "be", "by", "com", "de", "en", "for",
+  "from", "how", "i", "in", "is", "it", "la", "of", "on", "or", "that", "the",
+  "this", "to", "was", "what", "when", "where", "who", "will", "with", "und",
+  "www"
+]);
+
+const isIndexedWord = word =>
+  word.length >= MIN_SEARCH_WORD_LENGTH && !SEARCH_STOPWORDS.has(word.toLowerCase());
+
+/** Returns the full-text match of a boolean mode query against the metadata,
+ * which is non-zero for matching transactions, and higher for more relevant
+ * ones. */
+function matchMetadata(searchQuery) {
+  const sq = database.getSequelize();
+  return sq.literal(`MATCH (\`op\`) AGAINST (${sq.escape(searchQuery)} IN BOOLEAN MODE)`);
+}
+
 function Transactions() {}
 
 Transactions.getTransaction = function(id) {
   return schemas.transaction.findByPk(id);
 };
 
-Transactions.getTransactions = function (limit, offset, asc, includeMined) {
-  return schemas.transaction.findAndCountAll({
-    order: [["id", asc ? "ASC" : "DESC"]],
-    limit: utils.sanitiseLimit(limit),
-    offset: utils.sanitiseOffset(offset),
-    where: includeMined ? {} : { from: EXCLUDE_MINED }
+Transactions.getTransactions = function (limit, offset, asc, includeMined, cursor) {
+  return utils.paginate(schemas.transaction, {
+    where: includeMined ? {} : { from: EXCLUDE_MINED },
+    order: asc ? "ASC" : "DESC",
+    limit, offset, cursor
   });
 };
 
@@ -71,143 +100,223 @@ Transactions.getRecentTransactions = function(limit, offset) {
   });
 };
 
-Transactions.getTransactionsByAddress = function(address, limit, offset, includeMined, countOnly, orderBy, order) {
-  const fn = countOnly ? "count" : "findAndCountAll";
-  return schemas.transaction[fn]({
-    where: includeMined
-      // When including mined transactions, we only care if from or to is the
-      // queried address:
-      ? {[Op.or]: [{ from: address }, { to: address }]}
-      // However, when we exclude mined transactions, we care about the
-      // transactions from the queried address, or transactions to it from a
-      // non-null sender (mined transactions):
+Transactions.getTransactionsByAddress = function(address, limit, offset, includeMined, countOnly, orderBy, order, cursor, { from, to, skipCount } = {}) {
+  const addressWhere = includeMined
+    // When including mined transactions, we only care if from or to is the
+    // queried address:
+    ? {[Op.or]: [{ from: address }, { to: address }]}
+    // However, when we exclude mined transactions, we care about the
+    // transactions from the queried address, or transactions to it from a
+    // non-null sender (mined transactions):
+    : {[Op.or]: [
+      { from: address }, // Transactions from this address
+      { // Non-mined txes to this address
+        from: EXCLUDE_MINED, // Non-blank from
+        to: address
+      }
+    ]};
+
+  // Optionally only include the transactions made between `from` and `to`
+  const time = {
+    ...(from ? { [Op.gte]: from } : {}),
+    ...(to ? { [Op.lt]: to } : {})
+  };
+  const where = from || to ? { [Op.and]: [addressWhere, { time }] } : addressWhere;
+
+  // Don't bother including the order, etc. when we only care about the count
+  if (countOnly) return schemas.transaction.count({ where });
+  return utils.paginate(schemas.transaction, {
+    where, orderBy, order: order || "DESC", limit, offset, cursor, skipCount
+  });
+};
+
+Transactions.lookupTransactions = function(addressList, limit, offset, orderBy, order, includeMined, cursor, metaFields) {
+  const where = addressList
+    ? (includeMined
+      ? {[Op.or]: [
+        { from: {[Op.in]: addressList} },
+        { to: {[Op.in]: addressList} }
+      ]}
       : {[Op.or]: [
-        { from: address }, // Transactions from this address
-        { // Non-mined txes to this address
-          from: EXCLUDE_MINED, // Non-blank from
-          to: address
+        { from: {[Op.in]: addressList} },
+        {
+          from: EXCLUDE_MINED,
+          to: {[Op.in]: addressList}
         }
-      ]},
+      ]})
+    : includeMined ? {} : { from: EXCLUDE_MINED };
 
-    // Don't bother including the order, etc. when we only care about the count
-    ...(countOnly ? {} : {
-      order: [[orderBy || "id", order || "DESC"]],
-      limit: utils.sanitiseLimit(limit),
-      offset: utils.sanitiseOffset(offset)
-    })
+  return utils.paginate(schemas.transaction, {
+    // Only match transactions with all of the given metadata fields, if any
+    where: metaFields ? {[Op.and]: [where, commonMeta.whereFields(metaFields)]} : where,
+    orderBy, order, limit, offset, cursor
   });
 };
 
-Transactions.lookupTransactions = function(addressList, limit, offset, orderBy, order, includeMined) {
-  return schemas.transaction.findAndCountAll({
-    order: [[orderBy || "id", order || "ASC"]],
-    limit: utils.sanitiseLimit(limit),
-    offset: utils.sanitiseOffset(offset),
-    where: addressList
-      ? (includeMined
-        ? {[Op.or]: [
-          { from: {[Op.in]: addressList} },
-          { to: {[Op.in]: addressList} }
-        ]}
-        : {[Op.or]: [
-          { from: {[Op.in]: addressList} },
-          {
-            from: EXCLUDE_MINED,
-            to: {[Op.in]: addressList}
-          }
-        ]})
-      : includeMined ? {} : { from: EXCLUDE_MINED }
+Transactions.lookupTransactionsToName = function(name, limit, offset, orderBy, order, cursor) {
+  return utils.paginate(schemas.transaction, {
+    where: { sent_name: name },
+    orderBy, order, limit, offset, cursor
   });
 };
 
-Transactions.lookupTransactionsToName = function(name, limit, offset, orderBy, order) {
-  return schemas.transaction.findAndCountAll({
-    order: [[orderBy || "id", order || "ASC"]],
-    limit: utils.sanitiseLimit(limit),
-    offset: utils.sanitiseOffset(offset),
-    where: { sent_name: name }
+Transactions.lookupNameHistory = function(name, limit, offset, orderBy, order, cursor) {
+  return utils.paginate(schemas.transaction, {
+    where: { name },
+    orderBy, order, limit, offset, cursor
   });
 };
 
-Transactions.lookupNameHistory = function(name, limit, offset, orderBy, order) {
-  return schemas.transaction.findAndCountAll({
-    order: [[orderBy || "id", order || "ASC"]],
-    limit: utils.sanitiseLimit(limit),
-    offset: utils.sanitiseOffset(offset),
-    where: { name }
+Transactions.searchByName = function(query, countOnly, limit, offset, orderBy, order, cursor) {
+  const where = {
+    [Op.or]: [
+      { name: query },
+      { sent_name: query }
+    ]
+  };
+
+  // Don't bother including the order, etc. when we only care about the count
+  if (countOnly) return schemas.transaction.count({ where });
+  return utils.paginate(schemas.transaction, {
+    where, orderBy, order, limit, offset, cursor
   });
 };
 
-Transactions.searchByName = function(query, countOnly, limit, offset, orderBy, order) {
-  const fn = countOnly ? "count" : "findAndCountAll";
-  return schemas.transaction[fn]({
-    where: {
-      [Op.or]: [
-        { name: query },
-        { sent_name: query }
-      ]
-    },
-
-    // Don't bother including the order, etc. when we only care about the count
-    ...(countOnly ? {} : {
-      order: [[orderBy || "id", order || "ASC"]],
-      limit: utils.sanitiseLimit(limit),
-      offset: utils.sanitiseOffset(offset)
-    })
-  });
+/**
+ * Converts a metadata search query into a MySQL boolean mode full-text query,
+ * in which every term must match. Words ending in `*` are matched as a prefix,
+ * and text in double quotes, or joined by punctuation (e.g. `test.kst`), is
+ * matched as a phrase. Words that aren't indexed are left out, and null is
+ * returned if the query has no indexed words at all.
+ */
+Transactions.toMetadataSearchQuery = function(query) {
+  const terms = [];
+
+  for (const [, phrase, token] of query.matchAll(/"([^"]*)"?|([^\s"]+)/g)) {
+    const words = (phrase !== undefined ? phrase : token).match(SEARCH_WORD_REGEX) || [];
+    if (!words.some(isIndexedWord)) continue;
+
+    if (phrase === undefined && token.endsWith("*")) {
+      // Phrases can't contain wildcards, so each word is required separately
+      words.forEach((word, i) => {
+        if (i === words.length - 1) terms.push(`+${word}*`);
+        else if (isIndexedWord(word)) terms.push(`+${word}`);
+      });
+    } else if (words.length > 1) {
+      terms.push(`+"${words.join(" ")}"`);
+    } else {
+      terms.push(`+${words[0]}`);
+    }
+  }
+
+  return terms.length ? terms.join(" ") : null;
 };
 
-Transactions.searchMetadata = function(query, countOnly, limit, offset, orderBy, order) {
-  const fn = countOnly ? "count" : "findAndCountAll";
-  return schemas.transaction[fn]({
-    where: {
-      [Op.and]: [
-        { op: { [Op.ne]: null }},
-        { op: { [Op.ne]: "" }},
-        { op: { [Op.like]: utils.sanitiseLike(query) }}
-      ]
-    },
-
-    // Don't bother including the order, etc. when we only care about the count
-    ...(countOnly ? {} : {
-      order: [[orderBy || "id", order || "ASC"]],
+Transactions.searchMetadata = async function(query, countOnly, limit, offset, orderBy, order, cursor) {
+  const searchQuery = Transactions.toMetadataSearchQuery(query);
+
+  // The full-text index can't find queries without any indexed words, so they
+  // are matched as a substring of the metadata instead
+  if (!searchQuery) {
+    const where = { op: { [Op.like]: utils.sanitiseLike(query) } };
+    if (countOnly) return schemas.transaction.count({ where });
+    return utils.paginate(schemas.transaction, {
+      where, orderBy, order, limit, offset, cursor
+    });
+  }
+
+  const match = matchMetadata(searchQuery);
+  const where = { [Op.and]: [match] };
+
+  // Don't bother including the order, etc. when we only care about the count
+  if (countOnly) return schemas.transaction.count({ where });
+  if (orderBy) {
+    return utils.paginate(schemas.transaction, {
+      where, orderBy, order, limit, offset, cursor
+    });
+  }
+
+  // Otherwise, order by relevance. The relevance of a transaction changes as
+  // others are added, so these results can only be paged with an offset.
+  if (cursor) throw new errors.ErrorInvalidParameter("cursor");
+
+  const [rows, count] = await Promise.all([
+    schemas.transaction.findAll({
+      where,
+      order: [[match, "DESC"], ["id", "ASC"]],
       limit: utils.sanitiseLimit(limit),
       offset: utils.sanitiseOffset(offset)
-    })
-  });
+    }),
+    schemas.transaction.count({ where })
+  ]);
+
+  return { rows, count, nextCursor: null };
 };
 
-Transactions.createTransaction = async function (to, from, value, name, op, dbTx, useragent, origin, sent_metaname, sent_name) {
-  // Create the new transaction object
-  const newTransaction = await schemas.transaction.create({
+Transactions.getTransactionByRequestID = function(from, requestID, t) {
+  return schemas.transaction.findOne({ where: { from, request_id: requestID }, transaction: t });
+};
+
+Transactions.createTransaction = function(to, from, value, name, op, dbTx, useragent, origin, sent_metaname, sent_name, request_id) {
+  return Transactions.insertTransaction({
     to,
     from,
     value,
     name,
-    time: new Date(),
     op,
     useragent,
     origin,
     sent_metaname,
-    sent_name
+    sent_name,
+    request_id
+  }, dbTx);
+};
+
+/** Creates a transaction row from the given fields, and announces it once the
+ * database transaction (if any) has been committed. */
+Transactions.insertTransaction = async function(fields, dbTx) {
+  // Create the new transaction object
+  const newTransaction = await schemas.transaction.create({
+    time: new Date(),
+    ...fields
   }, { transaction: dbTx });
 
-  promTransactionCounter.inc({
-    type: Transactions.identifyTransactionType(newTransaction)
-  });
+  // Index the metadata's fields so that they can be looked up
+  await commonMeta.storeFields(newTransaction.id, Transactions.getMetadataFields(newTransaction), dbTx);
 
-  // Broadcast the transaction to websockets subscribed to transactions (async)
-  websockets.broadcastEvent({
-    type: "event",
-    event: "transaction",
-    transaction: Transactions.transactionToJSON(newTransaction)
-  });
+  const broadcast = () => {
+    promTransactionCounter.inc({
+      type: Transactions.identifyTransactionType(newTransaction)
+    });
+
+    // Broadcast the transaction to websockets subscribed to transactions (async)
+    websockets.broadcastEvent({
+      type: "event",
+      event: "transaction",
+      transaction: Transactions.transactionToJSON(newTransaction)
+    });
+  };
+
+  // Don't announce the transaction until the database transaction has been
+  // committed, it may still be rolled back
+  if (dbTx) dbTx.afterCommit(broadcast);
+  else broadcast();
 
   return newTransaction;
 };
 
-Transactions.pushTransaction = async function(sender, recipientAddress, amount, metadata, name, dbTx, userAgent, origin, sentMetaname, sentName) {
-  const recipient = await addresses.getAddress(recipientAddress);
+Transactions.pushTransaction = async function(sender, recipientAddress, amount, metadata, name, dbTx, userAgent, origin, sentMetaname, sentName, requestID) {
+  // Always transfer inside a database transaction, so a failure part-way
+  // through can't leave the balances inconsistent
+  if (!dbTx) {
+    return database.getSequelize().transaction(t =>
+      Transactions.pushTransaction(sender, recipientAddress, amount, metadata, name, t, userAgent, origin, sentMetaname, sentName, requestID));
+  }
+
+  // Lock both addresses for the rest of the transaction. The caller will
+  // usually hold these locks already.
+  const locked = await addresses.lockAddresses([sender.address, recipientAddress], dbTx);
+  const recipient = locked.find(a => a.address === recipientAddress.toLowerCase());
 
   // Do these in parallel:
   const [,, newTransaction] = await Promise.all([
@@ -217,7 +326,7 @@ Transactions.pushTransaction = async function(sender, recipientAddress, amount,
     sender.increment({ totalout: amount }, { transaction: dbTx }),
 
     // Create the transaction
-    Transactions.createTransaction(recipientAddress, sender.address, amount, name, metadata, dbTx, userAgent, origin, sentMetaname, sentName),
+    Transactions.createTransaction(recipientAddress, sender.address, amount, name, metadata, dbTx, userAgent, origin, sentMetaname, sentName, requestID),
 
     // Create the recipient if they don't exist,
     !recipient
@@ -232,12 +341,16 @@ Transactions.pushTransaction = async function(sender, recipientAddress, amount,
       : recipient.increment({ balance: amount, totalin: amount }, { transaction: dbTx })
   ]);
 
+  // Mark any invoice this transaction references as paid
+  await invoices.applyPayment(newTransaction, dbTx);
+
   return newTransaction;
 };
 
 Transactions.identifyTransactionType = function(transaction) {
   if (!transaction) return "unknown";
   if (!transaction.from) return "mined";
+  if (transaction.escrow_action) return "escrow_" + transaction.escrow_action;
 
   if (transaction.name) {
     if (transaction.to === "name") return "name_purchase";
@@ -248,6 +361,13 @@ Transactions.identifyTransactionType = function(transaction) {
   return "transfer";
 };
 
+/** Parses the CommonMeta fields of a transaction's metadata. The metadata of a
+ * name A record update is the new A record, so it never has any fields. */
+Transactions.getMetadataFields = function(transaction) {
+  if (Transactions.identifyTransactionType(transaction) === "name_a_record") return {};
+  return commonMeta.parse(transaction.op);
+};
+
 Transactions.transactionToJSON = function(transaction) {
   return {
     id: transaction.id,
@@ -257,8 +377,11 @@ Transactions.transactionToJSON = function(transaction) {
     time: transaction.time,
     name: transaction.name,
     metadata: transaction.op,
+    metadata_fields: Transactions.getMetadataFields(transaction),
     sent_metaname: transaction.sent_metaname,
     sent_name: transaction.sent_name,
+    ...(transaction.escrow_id ? { escrow_id: transaction.escrow_id } : {}),
+    ...(transaction.invoice_id ? { invoice_id: transaction.invoice_id } : {}),
     type: Transactions.identifyTransactionType(transaction)
   };
 };
@@ -23,6 +23,7 @@ const crypto   = require("crypto");
 const errors   = require("./errors/errors.js");
 const chalk    = require("chalk");
 const database = require("./database");
+const { Op }   = require("sequelize");
 
 function Utils() {}
 
@@ -114,6 +115,131 @@ Utils.sanitiseOffset = function(offset) {
   return typeof offset !== "undefined" ? parseInt(offset) : null;
 };
 
+/** Encodes the position of `row` in a result set sorted by `orderBy` as an
+ * opaque cursor string, which can be passed back to {@link Utils.paginate} to
+ * fetch the rows after it. */
+Utils.encodeCursor = function(orderBy, order, row) {
+  const value = row.get(orderBy);
+  return Buffer.from(JSON.stringify({
+    o: orderBy,
+    d: order,
+    i: row.id,
+    // Dates are tagged so that they can be compared as dates again
+    ...(value instanceof Date ? { t: value.toISOString() } : { v: value })
+  })).toString("base64url");
+};
+
+/** Decodes a cursor created by {@link Utils.encodeCursor}, throwing an
+ * invalid_parameter error if it is malformed. Returns undefined if no cursor
+ * was given. */
+Utils.decodeCursor = function(cursor) {
+  // Ignore unsupplied parameter
+  if (typeof cursor === "undefined" || cursor === "") return;
+  if (typeof cursor !== "string" || cursor.length > 1024)
+    throw new errors.ErrorInvalidParameter("cursor");
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch (err) {
+    throw new errors.ErrorInvalidParameter("cursor");
+  }
+
+  if (!data || typeof data !== "object"
+    || typeof data.o !== "string"
+    || (data.d !== "ASC" && data.d !== "DESC")
+    || !Number.isInteger(data.i))
+    throw new errors.ErrorInvalidParameter("cursor");
+
+  let value;
+  if (typeof data.t === "string") {
+    value = new Date(data.t);
+    if (isNaN(value.getTime())) throw new errors.ErrorInvalidParameter("cursor");
+  } else if (data.v === null || ["string", "number"].includes(typeof data.v)) {
+    value = data.v;
+  } else {
+    throw new errors.ErrorInvalidParameter("cursor");
+  }
+
+  return { orderBy: data.o, order: data.d, id: data.i, value };
+};
+
+/** Builds the where clause matching the rows that come after a decoded
+ * cursor, when sorted by its column and then by `id` as a tiebreaker. */
+function cursorWhere({ orderBy, order, id, value }, nullsLast) {
+  const after = order === "ASC" ? Op.gt : Op.lt;
+  const afterID = { id: { [after]: id } };
+  if (orderBy === "id") return afterID;
+
+  // MySQL sorts nulls first when ascending, and last when descending
+  const nullsFirst = order === "ASC" && !nullsLast;
+  if (value === null) {
+    const nullsAfter = { [orderBy]: null, ...afterID };
+    return nullsFirst
+      ? { [Op.or]: [nullsAfter, { [orderBy]: { [Op.not]: null } }] }
+      : nullsAfter;
+  }
+
+  return { [Op.or]: [
+    { [orderBy]: { [after]: value } },
+    { [orderBy]: value, ...afterID },
+    ...(nullsFirst ? [] : [{ [orderBy]: null }])
+  ]};
+}
+
+/**
+ * Fetches a page of rows from `model`, sorted by `orderBy` and then `id`.
+ * Pages may be selected by `offset`, or by a `cursor` from a previous page,
+ * which is faster deep into large tables and isn't affected by new rows being
+ * inserted. An invalid_parameter error is thrown if the cursor was created
+ * for a different sort order.
+ *
+ * Resolves with `rows`, the total `count` of rows matching `where`, and a
+ * `nextCursor` for the next page, or null if this is the last page. The count
+ * is null with `skipCount`, and on pages selected by a cursor, as counting every
+ * matching row again for each page would undo the point of the cursor.
+ */
+Utils.paginate = async function(model, { where, orderBy, order, limit, offset, cursor, defaultLimit, nullsLast, skipCount }) {
+  orderBy = orderBy || "id";
+  order = order || "ASC";
+  limit = Utils.sanitiseLimit(limit, defaultLimit);
+
+  const decoded = Utils.decodeCursor(cursor);
+  if (decoded && (decoded.orderBy !== orderBy || decoded.order !== order))
+    throw new errors.ErrorInvalidParameter("cursor");
+
+  const sq = database.getSequelize();
+  const dbOrder = [
+    // Push the nulls to the end of the result set when sorting ascending
+    ...(nullsLast && order === "ASC" ? [sq.fn("isnull", sq.col(orderBy))] : []),
+    [orderBy, order],
+    ...(orderBy !== "id" ? [["id", order]] : [])
+  ];
+
+  const [rows, count] = await Promise.all([
+    model.findAll({
+      where: decoded
+        ? { [Op.and]: [where || {}, cursorWhere(decoded, nullsLast)] }
+        : where,
+      order: dbOrder,
+      // Fetch an extra row to find out if there is another page
+      limit: limit + 1,
+      offset: decoded ? null : Utils.sanitiseOffset(offset)
+    }),
+    skipCount || decoded ? null : model.count({ where })
+  ]);
+
+  const more = rows.length > limit;
+  if (more) rows.pop();
+  const last = rows[rows.length - 1];
+
+  return {
+    rows,
+    count,
+    nextCursor: more && last ? Utils.encodeCursor(orderBy, order, last) : null
+  };
+};
+
 Utils.sanitiseLike = function(query) {
   if (!query || typeof query !== "string")
     throw new Error("invalid like");
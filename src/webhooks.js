@@ -0,0 +1,393 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const chalk        = require("chalk");
+const http         = require("http");
+const https        = require("https");
+const net          = require("net");
+const dns          = require("dns");
+const crypto       = require("crypto");
+const utils        = require("./utils.js");
+const schemas      = require("./schemas.js");
+const { Op }       = require("sequelize");
+
+const { promisify } = require("util");
+const secureBytes   = promisify(crypto.randomBytes);
+
+const promClient = require("prom-client");
+const promWebhookDeliveriesCounter = new promClient.Counter({
+  name: "krist_webhook_delivery_attempts_total",
+  help: "Total number of webhook delivery attempts since the Krist server started.",
+  labelNames: ["type"]
+});
+
+promWebhookDeliveriesCounter.inc({ type: "delivered" }, 0);
+promWebhookDeliveriesCounter.inc({ type: "retrying" }, 0);
+promWebhookDeliveriesCounter.inc({ type: "failed" }, 0);
+
+function Webhooks() {}
+
+/** The event types a webhook may subscribe to, and the websocket event each
+ * one delivers. */
+Webhooks.EVENTS = {
+  transactions: "transaction",
+  names: "name",
+  blocks: "block"
+};
+
+/** The maximum amount of webhooks a single address may have at once. */
+Webhooks.MAX_WEBHOOKS_PER_ADDRESS = 16;
+
+/** The maximum amount of attempts made to deliver an event, after which it is
+ * marked as failed. */
+Webhooks.MAX_ATTEMPTS = 8;
+
+/** The delay before the first retry. This doubles after each failed attempt,
+ * so the final attempt is made roughly an hour after the first. */
+Webhooks.RETRY_BASE_DELAY = 30000;
+
+/** How long a delivery is reserved for while it is being attempted, so another
+ * server doesn't attempt it at the same time. This must be longer than the
+ * request timeout. */
+const ATTEMPT_LEASE = 60000;
+const REQUEST_TIMEOUT = 10000;
+
+/** The maximum amount of due deliveries to retry per tick. */
+const MAX_RETRIES_PER_TICK = 100;
+
+Webhooks.getWebhooksByAddress = function(address, limit, offset) {
+  return schemas.webhook.findAndCountAll({
+    order: [["id", "ASC"]],
+    where: { owner: address },
+    limit: utils.sanitiseLimit(limit),
+    offset: utils.sanitiseOffset(offset)
+  });
+};
+
+Webhooks.getCountByAddress = function(address) {
+  return schemas.webhook.count({ where: { owner: address } });
+};
+
+Webhooks.getWebhookByID = function(address, id) {
+  return schemas.webhook.findOne({ where: { id, owner: address } });
+};
+
+Webhooks.getDeliveries = function(webhookID, limit, offset) {
+  return schemas.webhookDelivery.findAndCountAll({
+    order: [["id", "DESC"]],
+    where: { webhook_id: webhookID },
+    limit: utils.sanitiseLimit(limit),
+    offset: utils.sanitiseOffset(offset)
+  });
+};
+
+/** The IPv4 ranges webhooks may not connect to, as [network, prefix length]. */
+const PRIVATE_IPV4_RANGES = [
+  ["0.0.0.0", 8], // "This" network
+  ["10.0.0.0", 8], // Private
+  ["100.64.0.0", 10], // Carrier-grade NAT
+  ["127.0.0.0", 8], // Loopback
+  ["169.254.0.0", 16], // Link-local, including cloud metadata services
+  ["172.16.0.0", 12], // Private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.168.0.0", 16], // Private
+  ["198.18.0.0", 15], // Benchmarking
+  ["224.0.0.0", 4], // Multicast
+  ["240.0.0.0", 4] // Reserved, and broadcast
+].map(([network, bits]) => [parseIPv4(network), bits]);
+
+function parseIPv4(address) {
+  return address.split(".").reduce((n, octet) => n * 256 + parseInt(octet), 0);
+}
+
+/** Parses an IPv6 address into its eight 16-bit groups. */
+function parseIPv6(address) {
+  // Convert a trailing embedded IPv4 address into two groups
+  const v4 = address.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4) {
+    const n = parseIPv4(v4[2]);
+    address = v4[1] + (n >>> 16).toString(16) + ":" + (n & 0xffff).toString(16);
+  }
+
+  const [head, tail] = address.split("::");
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail ? tail.split(":") : [];
+  const zeroes = tail !== undefined ? 8 - headGroups.length - tailGroups.length : 0;
+
+  return [...headGroups, ...Array(zeroes).fill("0"), ...tailGroups].map(g => parseInt(g, 16));
+}
+
+function isPrivateIPv4(n) {
+  return PRIVATE_IPV4_RANGES.some(([network, bits]) =>
+    Math.floor(n / Math.pow(2, 32 - bits)) === Math.floor(network / Math.pow(2, 32 - bits)));
+}
+
+/** Checks whether an IP address is one webhooks may not connect to: loopback,
+ * private, link-local, carrier-grade NAT, multicast or otherwise reserved. */
+Webhooks.isPrivateAddress = function(address) {
+  address = address.replace(/%.*$/, ""); // Strip any IPv6 zone ID
+
+  switch (net.isIP(address)) {
+  case 4:
+    return isPrivateIPv4(parseIPv4(address));
+  case 6: {
+    const g = parseIPv6(address.toLowerCase());
+    const embeddedIPv4 = g[6] * 0x10000 + g[7];
+
+    // IPv4-compatible, IPv4-mapped and NAT64 addresses are checked by the IPv4
+    // address they contain. This includes :: and ::1.
+    if (g.slice(0, 5).every(x => x === 0) && (g[5] === 0 || g[5] === 0xffff))
+      return g[5] === 0 && embeddedIPv4 <= 1 ? true : isPrivateIPv4(embeddedIPv4);
+    if (g[0] === 0x64 && g[1] === 0xff9b && g.slice(2, 6).every(x => x === 0))
+      return isPrivateIPv4(embeddedIPv4);
+
+    return (g[0] & 0xfe00) === 0xfc00 // Unique local
+      || (g[0] & 0xffc0) === 0xfe80 // Link-local
+      || (g[0] & 0xff00) === 0xff00; // Multicast
+  }
+  default:
+    return false;
+  }
+};
+
+/** Checks whether a webhook URL's host is a local name, or a private address
+ * (see {@link Webhooks.isPrivateAddress}). Other names may still resolve to a
+ * private address, so they are checked again when connecting. */
+Webhooks.isPrivateHost = function(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (host === "localhost" || host.endsWith(".localhost")) return true;
+
+  return Webhooks.isPrivateAddress(host);
+};
+
+function privateAddressError() {
+  return new Error("Refused to connect to a private address");
+}
+
+/** Resolves a host like dns.lookup, but fails if it resolves to a private
+ * address. This is used as the lookup of the delivery requests, so the address
+ * that is checked is the one that is connected to. */
+function lookupPublic(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(a => Webhooks.isPrivateAddress(a.address)))
+      return callback(privateAddressError());
+
+    callback(null, address, family);
+  });
+}
+
+Webhooks.createWebhook = async function(owner, url, events) {
+  const dbWebhook = await schemas.webhook.create({
+    owner,
+    url,
+    secret: (await secureBytes(32)).toString("hex"),
+    events: events.join(","),
+    created: new Date()
+  });
+
+  console.log(chalk`{cyan [Webhooks]} Webhook {bold ${dbWebhook.id}} created by {bold ${owner}} for {bold ${url}}`);
+
+  return dbWebhook;
+};
+
+Webhooks.deleteWebhook = async function(dbWebhook) {
+  await schemas.webhookDelivery.destroy({ where: { webhook_id: dbWebhook.id } });
+  await dbWebhook.destroy();
+};
+
+/** Returns the addresses an event concerns, whose webhooks should receive
+ * it. */
+function getEventAddresses(message) {
+  switch (message.event) {
+  case "transaction":
+    return [message.transaction.from, message.transaction.to];
+  case "name":
+    return [message.name.owner];
+  case "block":
+    return [message.block.address];
+  default:
+    return [];
+  }
+}
+
+/** Queues an event broadcast by `websockets.broadcastEvent` for delivery to
+ * the webhooks of the addresses it concerns, and makes the first attempt
+ * straight away. */
+Webhooks.queueEvent = async function(message) {
+  const type = Object.keys(Webhooks.EVENTS).find(k => Webhooks.EVENTS[k] === message.event);
+  if (!type) return;
+
+  const owners = [...new Set(getEventAddresses(message))].filter(a => !!a);
+  if (!owners.length) return;
+
+  const dbWebhooks = (await schemas.webhook.findAll({ where: { owner: { [Op.in]: owners } } }))
+    .filter(w => w.events.split(",").includes(type));
+  if (!dbWebhooks.length) return;
+
+  const payload = JSON.stringify(message);
+  const now = new Date();
+
+  await Promise.all(dbWebhooks.map(async dbWebhook => {
+    const dbDelivery = await schemas.webhookDelivery.create({
+      webhook_id: dbWebhook.id,
+      event: message.event,
+      payload,
+      status: "pending",
+      attempts: 0,
+      created: now,
+      next_attempt: new Date(now.getTime() + ATTEMPT_LEASE)
+    });
+
+    await attemptDelivery(dbWebhook, dbDelivery);
+  }));
+};
+
+/** Signs a delivery body with the webhook's secret. The signature is sent in
+ * the `X-Krist-Signature` header. */
+Webhooks.sign = function(secret, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex");
+};
+
+/** POSTs a body to a URL, resolving with the response's status code. Unless
+ * WEBHOOKS_ALLOW_PRIVATE is set, this refuses to connect to private addresses.
+ * Redirects are not followed. */
+function post(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const allowPrivate = process.env.WEBHOOKS_ALLOW_PRIVATE === "true";
+
+    // Literal addresses aren't looked up, so they are checked here instead
+    if (!allowPrivate && Webhooks.isPrivateHost(new URL(url).hostname))
+      return reject(privateAddressError());
+
+    const req = (url.startsWith("https:") ? https : http).request(url, {
+      method: "POST",
+      timeout: REQUEST_TIMEOUT,
+      lookup: allowPrivate ? undefined : lookupPublic,
+      headers: {
+        "Content-Type": "application/json",
+        "Content-Length": Buffer.byteLength(body),
+        "User-Agent": "Krist-Webhooks",
+        ...headers
+      }
+    }, res => {
+      res.resume(); // The response body is not needed
+      resolve(res.statusCode);
+    });
+
+    req.on("timeout", () => req.destroy(new Error("Request timed out")));
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+async function attemptDelivery(dbWebhook, dbDelivery) {
+  const attempts = dbDelivery.attempts + 1;
+
+  let responseStatus = null, error = null;
+  try {
+    responseStatus = await post(dbWebhook.url, dbDelivery.payload, {
+      "X-Krist-Event": dbDelivery.event,
+      "X-Krist-Delivery": dbDelivery.id.toString(),
+      "X-Krist-Signature": Webhooks.sign(dbWebhook.secret, dbDelivery.payload)
+    });
+
+    if (responseStatus < 200 || responseStatus >= 300) error = "HTTP " + responseStatus;
+  } catch (err) {
+    error = (err.code || err.message || "Unknown error").toString().substring(0, 255);
+  }
+
+  const now = new Date();
+  const status = !error ? "delivered" : (attempts >= Webhooks.MAX_ATTEMPTS ? "failed" : "pending");
+
+  await dbDelivery.update({
+    status,
+    attempts,
+    last_attempt: now,
+    next_attempt: status === "pending"
+      ? new Date(now.getTime() + Webhooks.RETRY_BASE_DELAY * Math.pow(2, attempts - 1))
+      : null,
+    response_status: responseStatus,
+    error
+  });
+
+  promWebhookDeliveriesCounter.inc({ type: status === "pending" ? "retrying" : status });
+  if (error) console.log(chalk`{red [Webhooks]} Delivery {bold ${dbDelivery.id}} to webhook {bold ${dbWebhook.id}} failed (attempt {bold ${attempts}}): {bold ${error}}`);
+}
+
+/** Retries every pending delivery whose next attempt is due. Called every 10
+ * seconds by the scheduler started in Krist.init. */
+Webhooks.deliverDue = async function() {
+  const now = new Date();
+  const due = await schemas.webhookDelivery.findAll({
+    where: { status: "pending", next_attempt: { [Op.lte]: now } },
+    order: [["next_attempt", "ASC"]],
+    limit: MAX_RETRIES_PER_TICK
+  });
+
+  await Promise.all(due.map(async dbDelivery => {
+    try {
+      // Reserve the delivery first, in case another server is also retrying it
+      const [claimed] = await schemas.webhookDelivery.update(
+        { next_attempt: new Date(now.getTime() + ATTEMPT_LEASE) },
+        { where: { id: dbDelivery.id, status: "pending", next_attempt: { [Op.lte]: now } } });
+      if (!claimed) return;
+
+      const dbWebhook = await schemas.webhook.findByPk(dbDelivery.webhook_id);
+      if (!dbWebhook) return;
+
+      await attemptDelivery(dbWebhook, dbDelivery);
+    } catch (err) {
+      console.error(chalk`{red [Webhooks]} Error retrying delivery {bold ${dbDelivery.id}}:`, err);
+    }
+  }));
+};
+
+Webhooks.webhookToJSON = function(dbWebhook, includeSecret) {
+  return {
+    id: dbWebhook.id,
+    owner: dbWebhook.owner,
+    url: dbWebhook.url,
+    events: dbWebhook.events.split(","),
+    ...(includeSecret ? { secret: dbWebhook.secret } : {}),
+    created: dbWebhook.created
+  };
+};
+
+Webhooks.deliveryToJSON = function(dbDelivery) {
+  return {
+    id: dbDelivery.id,
+    webhook_id: dbDelivery.webhook_id,
+    event: dbDelivery.event,
+    payload: JSON.parse(dbDelivery.payload),
+    status: dbDelivery.status,
+    attempts: dbDelivery.attempts,
+    created: dbDelivery.created,
+    last_attempt: dbDelivery.last_attempt,
+    next_attempt: dbDelivery.next_attempt,
+    response_status: dbDelivery.response_status,
+    error: dbDelivery.error
+  };
+};
+
+module.exports = Webhooks;
@@ -73,8 +73,10 @@ Webserver.init = async function() {
   app.set("view engine", ".hbs");
   app.locals.debug = process.env.NODE_ENV !== "production";
 
-  app.use(bodyParser.urlencoded({ extended: false }));
-  app.use(bodyParser.json());
+  // Keep the raw body around, as signed requests sign its hash
+  const verify = (req, res, buf) => { req.rawBody = buf; };
+  app.use(bodyParser.urlencoded({ extended: false, verify }));
+  app.use(bodyParser.json({ verify }));
 
   if (process.env.NODE_ENV !== "test") {
     app.use(rateLimit({
@@ -118,6 +120,9 @@ Webserver.init = async function() {
     console.error(error.stack);
   }
 
+  // The websocket manager has been loaded by the websocket routes by now
+  require("./websockets.js").configureServer(Webserver.ws.getWss());
+
   app.use(function(req, res) {
     if (req.accepts("html")) { // Respond to browsers with HTML 404 page
       res.header("Content-Type", "text/html");
@@ -0,0 +1,90 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const errors = require("../errors/errors");
+
+// The maximum amount of messages in a single batch
+const MAX_BATCH_SIZE = 100;
+
+module.exports = function(websockets) {
+  /**
+	 * @api {ws} //ws:"type":"batch" Send multiple messages at once
+	 * @apiName WSBatch
+	 * @apiGroup WebsocketGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Handles up to 100 messages in a single request, in order, so later messages may rely on
+	 * 			earlier ones (e.g. `login` and then `make_transaction`). Each message has its own `id`, and its
+	 * 			response is included in `responses`, in the same order, whether it succeeded or not. Batches may not
+	 * 			be nested.
+	 *
+	 * 			Each message in the batch counts towards the websocket's rate limit.
+	 *
+	 * @apiParam (WebsocketParameter) {Number} id
+	 * @apiParam (WebsocketParameter) {String="batch"} type
+	 * @apiParam (WebsocketParameter) {Object[]} messages The messages to send, each with an `id` and `type`.
+	 *
+	 * @apiSuccess {Object[]} responses The response to each message.
+	 *
+	 * @apiSuccessExample {json} Success
+	 * {
+	 *     "ok": true,
+	 *     "id": 1,
+	 *     "responses": [
+	 *         {
+	 *             "ok": true,
+	 *             "id": 2,
+	 *             "type": "response",
+	 *             "subscription_level": ["blocks", "transactions"],
+	 *             ...
+	 *         },
+	 *         {
+	 *             "ok": false,
+	 *             "id": 3,
+	 *             "type": "error",
+	 *             "error": "insufficient_funds"
+	 *         }
+	 *     ]
+     * }
+	 */
+  websockets.addMessageHandler("batch", async function(ws, message) {
+    const { messages } = message;
+    if (!messages) throw new errors.ErrorMissingParameter("messages");
+    if (!Array.isArray(messages) || messages.length === 0 || messages.length > MAX_BATCH_SIZE)
+      throw new errors.ErrorInvalidParameter("messages");
+
+    const responses = [];
+    for (const msg of messages) {
+      if (msg && typeof msg.type === "string" && msg.type.toLowerCase() === "batch") {
+        responses.push({ ok: false, id: msg.id, type: "error", error: "invalid_type" });
+        continue;
+      }
+
+      const response = await websockets.handleMessage(ws, msg);
+      responses.push({ ...response, id: msg ? msg.id : undefined });
+    }
+
+    return {
+      ok: true,
+      responses
+    };
+  });
+};
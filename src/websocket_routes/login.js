@@ -33,12 +33,25 @@ module.exports = function(websockets) {
 	 * @apiGroup WebsocketGroup
 	 * @apiVersion 2.0.3
 	 *
+	 * @apiDescription Logs in to an address, in addition to any addresses the websocket is already logged in to. A
+	 * 			websocket may be logged in to up to 32 addresses at once. The `own` subscription levels match the
+	 * 			events of all of them, and messages such as `make_transaction` use the address logged in to last,
+	 * 			unless they specify an `address`. If the login fails, the websocket stays logged in to its other
+	 * 			addresses.
+	 *
 	 * @apiParam (WebsocketParameter) {Number} id
 	 * @apiParam (WebsocketParameter) {String="login"} type
 	 * @apiParam (WebsocketParameter) {String} privatekey
 	 *
 	 * @apiSuccess {Boolean} isGuest Whether the current user is a guest or not
+	 * @apiSuccess {String[]} addresses All the addresses the websocket is logged in to
 	 * @apiUse Address
+	 *
+	 * @apiErrorExample {json} Too Many Addresses
+	 * {
+	 *     "ok": false,
+	 *     "error": "too_many_addresses"
+	 * }
 	 */
   websockets.addMessageHandler("login", async function(ws, message) {
     const { logDetails } = utils.getLogDetails(ws.req);
@@ -51,24 +64,21 @@ module.exports = function(websockets) {
     if (authed) {
       console.log(chalk`{cyan [Websockets]} Session {bold ${ws.auth}} logged in as {bold ${address.address}} ${logDetails}`);
 
-      ws.auth = address.address;
-      ws.privatekey = message.privatekey;
-      ws.isGuest = false;
+      ws.login(address.address, privatekey);
 
       return {
         ok: true,
         isGuest: false,
+        addresses: [...ws.authed.keys()],
         address: addr.addressToJSON(address)
       };
     } else {
       console.log(chalk`{red [Websockets]} Session {bold ${ws.auth}} failed login as {bold ${address.address}} ${logDetails}`);
 
-      ws.auth = "guest";
-      ws.isGuest = true;
-
       return {
         ok: true,
-        isGuest: true
+        isGuest: ws.isGuest,
+        addresses: [...ws.authed.keys()]
       };
     }
   });
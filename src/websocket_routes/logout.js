@@ -19,8 +19,9 @@
  * For more project information, see <https://github.com/tmpim/krist>.
  */
 
-const chalk = require("chalk");
-const utils = require("../utils");
+const chalk  = require("chalk");
+const utils  = require("../utils");
+const errors = require("../errors/errors");
 
 module.exports = function(websockets) {
   /**
@@ -29,21 +30,29 @@ module.exports = function(websockets) {
 	 * @apiGroup WebsocketGroup
 	 * @apiVersion 2.0.3
 	 *
+	 * @apiDescription Logs out of all the addresses the websocket is logged in to, or only the given `address`.
+	 *
 	 * @apiParam (WebsocketParameter) {Number} id
 	 * @apiParam (WebsocketParameter) {String="logout"} type
+	 * @apiParam (WebsocketParameter) {String} [address] The address to log out of.
 	 *
 	 * @apiSuccess {Boolean} isGuest Whether the current user is a guest or not
+	 * @apiSuccess {String[]} addresses The addresses the websocket is still logged in to
 	 */
-  websockets.addMessageHandler("logout", function(ws) {
+  websockets.addMessageHandler("logout", async function(ws, message) {
+    const { address } = message;
+    if (address !== undefined && (typeof address !== "string" || !ws.isAuthedAs(address.toLowerCase())))
+      throw new errors.ErrorInvalidParameter("address");
+
     const { logDetails } = utils.getLogDetails(ws.req);
-    console.log(chalk`{cyan [Websockets]} Session {bold ${ws.auth}} logged out ${logDetails}`);
+    console.log(chalk`{cyan [Websockets]} Session {bold ${ws.auth}} logged out${address ? chalk` of {bold ${address}}` : ""} ${logDetails}`);
 
-    ws.auth = "guest";
-    ws.isGuest = true;
+    ws.logout(address && address.toLowerCase());
 
     return {
       ok: true,
-      isGuest: true
+      isGuest: ws.isGuest,
+      addresses: [...ws.authed.keys()]
     };
   });
 };
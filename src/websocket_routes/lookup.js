@@ -0,0 +1,307 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const Addresses    = require("../addresses");
+const Blocks       = require("../blocks");
+const Transactions = require("../transactions");
+const Names        = require("../names");
+const errors       = require("../errors/errors");
+const lookup       = require("../routes/lookup").utils;
+
+/** Validates an address list, which may be given as a comma-separated string
+ * like in the HTTP API, or as an array. */
+function validateAddressList(addressList) {
+  if (Array.isArray(addressList)) addressList = addressList.join(",");
+  if (typeof addressList !== "string") throw new errors.ErrorInvalidParameter("addresses");
+  return lookup.validateAddressList(addressList);
+}
+
+/** Validates the query filtering parameters shared by the lookup messages. */
+function validateQueryParams(message, validFields) {
+  return {
+    limit: lookup.validateLimit(message.limit),
+    offset: lookup.validateOffset(message.offset),
+    cursor: message.cursor,
+    orderBy: lookup.validateOrderBy(validFields, message.orderBy),
+    order: lookup.validateOrder(message.order)
+  };
+}
+
+module.exports = function(websockets) {
+  /**
+	 * @api {ws} //ws:"type":"lookup_addresses" Lookup addresses
+	 * @apiName WSLookupAddresses
+	 * @apiGroup WebsocketGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription See [Lookup addresses](#api-LookupGroup-LookupAddresses).
+	 *
+	 * @apiParam (WebsocketParameter) {Number} id
+	 * @apiParam (WebsocketParameter) {String="lookup_addresses"} type
+	 * @apiParam (WebsocketParameter) {String|String[]} addresses A comma-separated list or array of addresses.
+	 * @apiParam (WebsocketParameter) {Boolean} [fetchNames] Whether to fetch the count of owned names for each
+	 * 			address.
+	 *
+	 * @apiSuccess {Number} found The amount of addresses that were successfully returned.
+	 * @apiSuccess {Number} notFound The amount of addresses that were not returned.
+	 * @apiSuccess {Object} addresses Object keyed by address containing their data, or `null` if the address was
+	 * 			not found.
+	 */
+  websockets.addMessageHandler("lookup_addresses", async function(ws, message) {
+    if (!message.addresses) throw new errors.ErrorMissingParameter("addresses");
+    const addressList = validateAddressList(message.addresses);
+
+    const rows = await Addresses.lookupAddresses(addressList, !!message.fetchNames);
+
+    // Initialize all supplied addresses with 'null', then populate the ones
+    // that were found
+    const out = addressList.reduce((obj, address) => (obj[address] = null, obj), {});
+    for (const address of rows) {
+      out[address.address] = Addresses.addressToJSON(address);
+    }
+
+    return {
+      ok: true,
+      found: rows.length,
+      notFound: addressList.length - rows.length,
+      addresses: out
+    };
+  });
+
+  /**
+	 * @api {ws} //ws:"type":"lookup_blocks" Lookup blocks
+	 * @apiName WSLookupBlocks
+	 * @apiGroup WebsocketGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription See [Lookup blocks](#api-LookupGroup-LookupBlocks).
+	 *
+	 * @apiParam (WebsocketParameter) {Number} id
+	 * @apiParam (WebsocketParameter) {String="lookup_blocks"} type
+	 * @apiParam (WebsocketParameter) {Number} [limit=50] The maximum amount of results to return.
+	 * @apiParam (WebsocketParameter) {Number} [offset=0] The amount to offset the results.
+	 * @apiParam (WebsocketParameter) {String} [cursor] The `next_cursor` of a previous page, to return the
+	 * 			results after it. Faster than `offset`, which is ignored when a cursor is given. `total` is only
+	 * 			returned on the first page, and is null when a cursor is given.
+	 * @apiParam (WebsocketParameter) {String} [orderBy=height] The field to order the results by.
+	 * @apiParam (WebsocketParameter) {String} [order=ASC] The direction to order the results in.
+	 *
+	 * @apiSuccess {Number} count The count of results returned.
+	 * @apiSuccess {Number} total The total count of results available.
+	 * @apiSuccess {String} next_cursor A cursor for the next page of results, or `null` if this is the last page.
+	 * @apiUse Blocks
+	 */
+  websockets.addMessageHandler("lookup_blocks", async function(ws, message) {
+    const { limit, offset, cursor, orderBy, order } = validateQueryParams(message, lookup.BLOCK_FIELDS);
+
+    // `height` and `time` are replaced with `id`, see the lookup API
+    const { rows, count, nextCursor } = await Blocks.lookupBlocks(
+      limit, offset, orderBy === "height" || orderBy === "time" ? "id" : orderBy, order, cursor);
+
+    return {
+      ok: true,
+      count: rows.length,
+      total: count,
+      next_cursor: nextCursor,
+      blocks: rows.map(Blocks.blockToJSON)
+    };
+  });
+
+  /**
+	 * @api {ws} //ws:"type":"lookup_transactions" Lookup transactions
+	 * @apiName WSLookupTransactions
+	 * @apiGroup WebsocketGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription See [Lookup transactions](#api-LookupGroup-LookupTransactions).
+	 *
+	 * @apiParam (WebsocketParameter) {Number} id
+	 * @apiParam (WebsocketParameter) {String="lookup_transactions"} type
+	 * @apiParam (WebsocketParameter) {String|String[]} [addresses] A comma-separated list or array of addresses to
+	 * 			filter transactions to/from.
+	 * @apiParam (WebsocketParameter) {Number} [limit=50] The maximum amount of results to return.
+	 * @apiParam (WebsocketParameter) {Number} [offset=0] The amount to offset the results.
+	 * @apiParam (WebsocketParameter) {String} [cursor] The `next_cursor` of a previous page, to return the
+	 * 			results after it. Faster than `offset`, which is ignored when a cursor is given. `total` is only
+	 * 			returned on the first page, and is null when a cursor is given.
+	 * @apiParam (WebsocketParameter) {String} [orderBy=id] The field to order the results by.
+	 * @apiParam (WebsocketParameter) {String} [order=ASC] The direction to order the results in.
+	 * @apiParam (WebsocketParameter) {Boolean} [includeMined] Whether to include transactions from mining.
+	 * @apiParam (WebsocketParameter) {Object} [meta] Only return transactions whose metadata contains all of these
+	 * 			`key=value` pairs, e.g. `{"return": "kre3w0i79j"}`. Up to 8 may be given.
+	 * @apiParam (WebsocketParameter) {String} [meta.key] Alternatively, each pair may be given as a `meta.<key>`
+	 * 			field, like the query parameters of the HTTP API, e.g. `"meta.return": "kre3w0i79j"`. These can't
+	 * 			be combined with the `meta` object.
+	 *
+	 * @apiSuccess {Number} count The count of results returned.
+	 * @apiSuccess {Number} total The total count of results available.
+	 * @apiSuccess {String} next_cursor A cursor for the next page of results, or `null` if this is the last page.
+	 * @apiUse Transactions
+	 */
+  websockets.addMessageHandler("lookup_transactions", async function(ws, message) {
+    const addressList = message.addresses ? validateAddressList(message.addresses) : undefined;
+    const { limit, offset, cursor, orderBy, order } = validateQueryParams(message, lookup.TRANSACTION_FIELDS);
+
+    // The fields may be given as a `meta` object, or as `meta.<key>` fields
+    // like the HTTP API's query parameters, but not both
+    const metaParams = lookup.getMetaParams(message);
+    const hasMetaParams = Object.keys(metaParams).length > 0;
+    if (hasMetaParams && message.meta !== undefined) throw new errors.ErrorInvalidParameter("meta");
+    const metaFields = lookup.validateMetaFields(hasMetaParams ? metaParams : message.meta);
+
+    // `time` is replaced with `id`, see the lookup API
+    const { rows, count, nextCursor } = await Transactions.lookupTransactions(
+      addressList, limit, offset, orderBy === "time" ? "id" : orderBy, order, !!message.includeMined, cursor,
+      metaFields);
+
+    return {
+      ok: true,
+      count: rows.length,
+      total: count,
+      next_cursor: nextCursor,
+      transactions: rows.map(Transactions.transactionToJSON)
+    };
+  });
+
+  /**
+	 * @api {ws} //ws:"type":"lookup_names" Lookup names
+	 * @apiName WSLookupNames
+	 * @apiGroup WebsocketGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription See [Lookup names](#api-LookupGroup-LookupNames).
+	 *
+	 * @apiParam (WebsocketParameter) {Number} id
+	 * @apiParam (WebsocketParameter) {String="lookup_names"} type
+	 * @apiParam (WebsocketParameter) {String|String[]} [addresses] A comma-separated list or array of addresses to
+	 * 			filter name owners by.
+	 * @apiParam (WebsocketParameter) {Number} [limit=50] The maximum amount of results to return.
+	 * @apiParam (WebsocketParameter) {Number} [offset=0] The amount to offset the results.
+	 * @apiParam (WebsocketParameter) {String} [cursor] The `next_cursor` of a previous page, to return the
+	 * 			results after it. Faster than `offset`, which is ignored when a cursor is given. `total` is only
+	 * 			returned on the first page, and is null when a cursor is given.
+	 * @apiParam (WebsocketParameter) {String} [orderBy=name] The field to order the results by.
+	 * @apiParam (WebsocketParameter) {String} [order=ASC] The direction to order the results in.
+	 *
+	 * @apiSuccess {Number} count The count of results returned.
+	 * @apiSuccess {Number} total The total count of results available.
+	 * @apiSuccess {String} next_cursor A cursor for the next page of results, or `null` if this is the last page.
+	 * @apiUse Names
+	 */
+  websockets.addMessageHandler("lookup_names", async function(ws, message) {
+    const addressList = message.addresses ? validateAddressList(message.addresses) : undefined;
+    const { limit, offset, cursor, orderBy, order } = validateQueryParams(message, lookup.NAME_FIELDS);
+
+    const { rows, count, nextCursor } = await Names.lookupNames(addressList, limit, offset, orderBy, order, cursor);
+
+    return {
+      ok: true,
+      count: rows.length,
+      total: count,
+      next_cursor: nextCursor,
+      names: rows.map(Names.nameToJSON)
+    };
+  });
+
+  /**
+	 * @api {ws} //ws:"type":"lookup_name_history" Lookup name history
+	 * @apiName WSLookupNameHistory
+	 * @apiGroup WebsocketGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription See [Lookup name history](#api-LookupGroup-LookupNameHistory).
+	 *
+	 * @apiParam (WebsocketParameter) {Number} id
+	 * @apiParam (WebsocketParameter) {String="lookup_name_history"} type
+	 * @apiParam (WebsocketParameter) {String} name The name to return history for.
+	 * @apiParam (WebsocketParameter) {Number} [limit=50] The maximum amount of results to return.
+	 * @apiParam (WebsocketParameter) {Number} [offset=0] The amount to offset the results.
+	 * @apiParam (WebsocketParameter) {String} [cursor] The `next_cursor` of a previous page, to return the
+	 * 			results after it. Faster than `offset`, which is ignored when a cursor is given. `total` is only
+	 * 			returned on the first page, and is null when a cursor is given.
+	 * @apiParam (WebsocketParameter) {String} [orderBy=id] The field to order the results by.
+	 * @apiParam (WebsocketParameter) {String} [order=ASC] The direction to order the results in.
+	 *
+	 * @apiSuccess {Number} count The count of results returned.
+	 * @apiSuccess {Number} total The total count of results available.
+	 * @apiSuccess {String} next_cursor A cursor for the next page of results, or `null` if this is the last page.
+	 * @apiUse Transactions
+	 */
+  websockets.addMessageHandler("lookup_name_history", async function(ws, message) {
+    const { name } = message;
+    if (!name) throw new errors.ErrorMissingParameter("name");
+    if (typeof name !== "string") throw new errors.ErrorInvalidParameter("name");
+    const { limit, offset, cursor, orderBy, order } = validateQueryParams(message, lookup.TRANSACTION_FIELDS);
+
+    const { rows, count, nextCursor } = await Transactions.lookupNameHistory(
+      name, limit, offset, orderBy === "time" ? "id" : orderBy, order, cursor);
+
+    return {
+      ok: true,
+      count: rows.length,
+      total: count,
+      next_cursor: nextCursor,
+      transactions: rows.map(Transactions.transactionToJSON)
+    };
+  });
+
+  /**
+	 * @api {ws} //ws:"type":"lookup_name_transactions" Lookup name transactions
+	 * @apiName WSLookupNameTransactions
+	 * @apiGroup WebsocketGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription See [Lookup name transactions](#api-LookupGroup-LookupNameTransactions).
+	 *
+	 * @apiParam (WebsocketParameter) {Number} id
+	 * @apiParam (WebsocketParameter) {String="lookup_name_transactions"} type
+	 * @apiParam (WebsocketParameter) {String} name The name to return transactions for.
+	 * @apiParam (WebsocketParameter) {Number} [limit=50] The maximum amount of results to return.
+	 * @apiParam (WebsocketParameter) {Number} [offset=0] The amount to offset the results.
+	 * @apiParam (WebsocketParameter) {String} [cursor] The `next_cursor` of a previous page, to return the
+	 * 			results after it. Faster than `offset`, which is ignored when a cursor is given. `total` is only
+	 * 			returned on the first page, and is null when a cursor is given.
+	 * @apiParam (WebsocketParameter) {String} [orderBy=id] The field to order the results by.
+	 * @apiParam (WebsocketParameter) {String} [order=ASC] The direction to order the results in.
+	 *
+	 * @apiSuccess {Number} count The count of results returned.
+	 * @apiSuccess {Number} total The total count of results available.
+	 * @apiSuccess {String} next_cursor A cursor for the next page of results, or `null` if this is the last page.
+	 * @apiUse Transactions
+	 */
+  websockets.addMessageHandler("lookup_name_transactions", async function(ws, message) {
+    const { name } = message;
+    if (!name) throw new errors.ErrorMissingParameter("name");
+    if (typeof name !== "string") throw new errors.ErrorInvalidParameter("name");
+    const { limit, offset, cursor, orderBy, order } = validateQueryParams(message, lookup.TRANSACTION_FIELDS);
+
+    const { rows, count, nextCursor } = await Transactions.lookupTransactionsToName(
+      name, limit, offset, orderBy === "time" ? "id" : orderBy, order, cursor);
+
+    return {
+      ok: true,
+      count: rows.length,
+      total: count,
+      next_cursor: nextCursor,
+      transactions: rows.map(Transactions.transactionToJSON)
+    };
+  });
+};
@@ -19,7 +19,8 @@
  * For more project information, see <https://github.com/tmpim/krist>.
  */
 
-const addresses = require("./../controllers/addresses.js");
+const addresses       = require("./../controllers/addresses.js");
+const addressesModel  = require("./../addresses.js");
 
 module.exports = function(websockets) {
   /**
@@ -28,10 +29,14 @@ module.exports = function(websockets) {
 	 * @apiGroup WebsocketGroup
 	 * @apiVersion 2.0.2
 	 *
+	 * @apiDescription Returns the address the websocket logged in to last as `address`, and all the addresses it is
+	 * 			logged in to as `addresses`.
+	 *
 	 * @apiParam (WebsocketParameter) {Number} id
 	 * @apiParam (WebsocketParameter) {String="me"} type
 	 *
 	 * @apiSuccess {Boolean} isGuest Whether the current user is a guest or not
+	 * @apiSuccess {Object[]} [addresses] All the addresses the websocket is logged in to
 	 * @apiUse Address
 	 *
 	 * @apiSuccessExample {json} Success as guest
@@ -52,27 +57,37 @@ module.exports = function(websockets) {
 	 *         "totalin": 0,
 	 *         "totalout": 0,
 	 *         "firstseen": "2016-06-17T21:09:28.000Z"
-	 *     }
+	 *     },
+	 *     "addresses": [
+	 *         {
+	 *             "address": "knggsn1d2e",
+	 *             "balance": 0,
+	 *             "totalin": 0,
+	 *             "totalout": 0,
+	 *             "firstseen": "2016-06-17T21:09:28.000Z"
+	 *         }
+	 *     ]
      * }
 	 */
-  websockets.addMessageHandler("me", function(ws) {
-    return new Promise(function(resolve, reject) {
-      if (ws.isGuest) {
-        resolve({
-          ok: true,
-          isGuest: true
-        });
-      } else {
-        addresses.getAddress(ws.auth).then(function(address) {
-          resolve({
-            ok: true,
-            isGuest: false,
-            address: addresses.addressToJSON(address)
-          });
-        }).catch(function(error) {
-          reject(error);
-        });
-      }
-    });
+  websockets.addMessageHandler("me", async function(ws) {
+    if (ws.isGuest) {
+      return {
+        ok: true,
+        isGuest: true
+      };
+    }
+
+    const dbAddresses = await addressesModel.lookupAddresses([...ws.authed.keys()]);
+    const address = dbAddresses.find(a => a.address === ws.auth);
+
+    return {
+      ok: true,
+      isGuest: false,
+      address: addresses.addressToJSON(address),
+      addresses: [...ws.authed.keys()]
+        .map(a => dbAddresses.find(d => d.address === a))
+        .filter(a => a)
+        .map(addresses.addressToJSON)
+    };
   });
 };
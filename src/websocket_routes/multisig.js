@@ -0,0 +1,76 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const errors             = require("../errors/errors.js");
+const multisigController = require("../controllers/multisig.js");
+const utils              = require("../utils");
+
+module.exports = function(websockets) {
+  /**
+	 * @api {ws} //ws:"type":"approve_multisig_proposal" Approve a multisig proposal
+	 * @apiName WSApproveProposal
+	 * @apiGroup WebsocketGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Approves a pending proposal of a multisig you are a member of. See
+	 * 			[Approve a proposal](#api-MultisigGroup-ApproveProposal).
+	 *
+	 * @apiParam (WebsocketParameter) {Number} id
+	 * @apiParam (WebsocketParameter) {String="approve_multisig_proposal"} type
+	 * @apiParam (WebsocketParameter) {String} [privatekey] The privatekey of your address.
+	 * @apiParam (WebsocketParameter) {String} [address] Which of the addresses you are logged in to to use, if
+	 * 			no `privatekey` is given. Defaults to the address you logged in to last.
+	 * @apiParam (WebsocketParameter) {Number} proposal The ID of the proposal to approve.
+	 *
+	 * @apiUse Proposal
+	 *
+	 * @apiSuccessExample {json} Success
+	 * {
+     *     "ok": true,
+     *     "proposal": {
+     *         "id": 1,
+     *         "status": "executed",
+     *         ...
+     *     }
+     * }
+	 *
+	 * @apiErrorExample {json} Already Approved
+	 * {
+     *     "ok": false,
+     *     "error": "already_approved"
+     * }
+	 */
+  websockets.addMessageHandler("approve_multisig_proposal", async function(ws, message) {
+    if (ws.isGuest && !message.privatekey)
+      throw new errors.ErrorMissingParameter("privatekey");
+    if (!message.proposal) throw new errors.ErrorMissingParameter("proposal");
+    if (isNaN(message.proposal)) throw new errors.ErrorInvalidParameter("proposal");
+
+    const { userAgent, origin } = utils.getReqDetails(ws.req);
+    const { proposal, approvals } = await multisigController.approveProposal(
+      ws.req, message.privatekey || ws.getPrivatekey(message.address), message.proposal, userAgent, origin);
+
+    return {
+      ok: true,
+      proposal: multisigController.proposalToJSON(proposal, approvals)
+    };
+  });
+};
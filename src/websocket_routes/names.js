@@ -0,0 +1,165 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const errors          = require("../errors/errors.js");
+const namesController = require("../controllers/names.js");
+
+module.exports = function(websockets) {
+  /**
+	 * @api {ws} //ws:"type":"register_name" Register a name
+	 * @apiName WSRegisterName
+	 * @apiGroup WebsocketGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Registers a name. See [Register a name](#api-NameGroup-RegisterName).
+	 *
+	 * @apiParam (WebsocketParameter) {Number} id
+	 * @apiParam (WebsocketParameter) {String="register_name"} type
+	 * @apiParam (WebsocketParameter) {String} name The name you want to register.
+	 * @apiParam (WebsocketParameter) {String} [privatekey] The privatekey of your address.
+	 * @apiParam (WebsocketParameter) {String} [address] Which of the addresses you are logged in to to use, if
+	 * 			no `privatekey` is given. Defaults to the address you logged in to last.
+	 *
+	 * @apiSuccessExample {json} Success
+	 * {
+     *     "ok": true
+     * }
+	 *
+	 * @apiErrorExample {json} Name Taken
+	 * {
+     *     "ok": false,
+     *     "error": "name_taken"
+     * }
+	 */
+  websockets.addMessageHandler("register_name", async function(ws, message) {
+    if (ws.isGuest && !message.privatekey)
+      throw new errors.ErrorMissingParameter("privatekey");
+
+    await namesController.registerName(ws.req, message.name, message.privatekey || ws.getPrivatekey(message.address));
+
+    return {
+      ok: true
+    };
+  });
+
+  /**
+	 * @api {ws} //ws:"type":"transfer_name" Transfer a name
+	 * @apiName WSTransferName
+	 * @apiGroup WebsocketGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Transfers a name to another owner. See [Transfer a name](#api-NameGroup-TransferName).
+	 *
+	 * @apiParam (WebsocketParameter) {Number} id
+	 * @apiParam (WebsocketParameter) {String="transfer_name"} type
+	 * @apiParam (WebsocketParameter) {String} name The name you want to transfer.
+	 * @apiParam (WebsocketParameter) {String} address The address you want to transfer the name to.
+	 * @apiParam (WebsocketParameter) {String} [from] Which of the addresses you are logged in to owns the name.
+	 * 			Defaults to the address you logged in to last.
+	 * @apiParam (WebsocketParameter) {String} [privatekey] The privatekey of the name's owner, instead of one of
+	 * 			the addresses you are logged in to.
+	 *
+	 * @apiUse Name
+	 *
+	 * @apiSuccessExample {json} Success
+	 * {
+     *     "ok": true,
+     *     "name": {
+     *         "name": "example",
+     *         "owner": "kre3w0i79j",
+     *         "original_owner": "kre3w0i79j",
+     *         "registered": "2016-02-06T14:01:19.000Z",
+     *         "updated": "2016-02-06T14:08:36.000Z",
+     *         "a": null
+     *     }
+     * }
+	 *
+	 * @apiErrorExample {json} Not Name Owner
+	 * {
+     *     "ok": false,
+     *     "error": "not_name_owner"
+     * }
+	 */
+  websockets.addMessageHandler("transfer_name", async function(ws, message) {
+    if (ws.isGuest && !message.privatekey)
+      throw new errors.ErrorMissingParameter("privatekey");
+
+    // `address` is the recipient here, as in the REST route, so the logged in
+    // address to transfer from is picked with `from` instead
+    const privatekey = message.privatekey || ws.getPrivatekey(message.from, "from");
+    const name = await namesController.transferName(ws.req, message.name, privatekey, message.address);
+
+    return {
+      ok: true,
+      name: namesController.nameToJSON(name)
+    };
+  });
+
+  /**
+	 * @api {ws} //ws:"type":"update_name" Update the A record of a name
+	 * @apiName WSUpdateName
+	 * @apiGroup WebsocketGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Updates the A record of a name. See
+	 * 			[Update the A record of a name](#api-NameGroup-UpdateNamePOST).
+	 *
+	 * @apiParam (WebsocketParameter) {Number} id
+	 * @apiParam (WebsocketParameter) {String="update_name"} type
+	 * @apiParam (WebsocketParameter) {String} name The name you want to update.
+	 * @apiParam (WebsocketParameter) {String} [a] The A record you want to set for the name. Omit to clear it.
+	 * @apiParam (WebsocketParameter) {String} [privatekey] The privatekey of your address.
+	 * @apiParam (WebsocketParameter) {String} [address] Which of the addresses you are logged in to to use, if
+	 * 			no `privatekey` is given. Defaults to the address you logged in to last.
+	 *
+	 * @apiUse Name
+	 *
+	 * @apiSuccessExample {json} Success
+	 * {
+     *     "ok": true,
+     *     "name": {
+     *         "name": "example",
+     *         "owner": "kre3w0i79j",
+     *         "original_owner": "kre3w0i79j",
+     *         "registered": "2016-02-06T14:01:19.000Z",
+     *         "updated": "2016-02-06T14:08:36.000Z",
+     *         "a": "krist.ceriat.net"
+     *     }
+     * }
+	 *
+	 * @apiErrorExample {json} Not Name Owner
+	 * {
+     *     "ok": false,
+     *     "error": "not_name_owner"
+     * }
+	 */
+  websockets.addMessageHandler("update_name", async function(ws, message) {
+    if (ws.isGuest && !message.privatekey)
+      throw new errors.ErrorMissingParameter("privatekey");
+
+    const name = await namesController.updateName(ws.req, message.name, message.privatekey || ws.getPrivatekey(message.address), message.a);
+
+    return {
+      ok: true,
+      name: namesController.nameToJSON(name)
+    };
+  });
+};
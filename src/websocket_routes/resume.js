@@ -0,0 +1,70 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const errors = require("../errors/errors");
+
+module.exports = function(websockets) {
+  /**
+	 * @api {ws} //ws:"type":"resume" Resume after reconnecting
+	 * @apiName WSResume
+	 * @apiGroup WebsocketGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Sends the events that were broadcast after the given event ID, so that no events are
+	 * 			missed while reconnecting. Every event has an `event_id`, which increases by one with each event
+	 * 			broadcast by the server.
+	 *
+	 * 			Only events matching the websocket's current subscriptions are sent, so subscribe to events before
+	 * 			resuming. The missed events are sent before any live events, and before the response to this
+	 * 			message. The most recent 1000 events are kept. If some of the missed events are older than this,
+	 * 			`complete` is `false`, and the client should fetch any data it needs from the HTTP API instead.
+	 *
+	 * @apiParam (WebsocketParameter) {Number} id
+	 * @apiParam (WebsocketParameter) {String="resume"} type
+	 * @apiParam (WebsocketParameter) {Number} last_event_id The ID of the last event the client received, as
+	 * 			an integer.
+	 *
+	 * @apiSuccess {Number} replayed The amount of missed events sent.
+	 * @apiSuccess {Boolean} complete Whether all of the missed events could be sent.
+	 * @apiSuccess {Number} last_event_id The ID of the most recent event.
+	 *
+	 * @apiSuccessExample {json} Success
+	 * {
+	 *     "ok": true,
+	 *     "id": 1,
+	 *     "replayed": 3,
+	 *     "complete": true,
+	 *     "last_event_id": 1337
+     * }
+	 */
+  websockets.addMessageHandler("resume", async function(ws, message) {
+    const lastEventID = message.last_event_id;
+    if (lastEventID === undefined || lastEventID === null)
+      throw new errors.ErrorMissingParameter("last_event_id");
+    if (!Number.isInteger(lastEventID) || lastEventID < 0)
+      throw new errors.ErrorInvalidParameter("last_event_id");
+
+    return {
+      ok: true,
+      ...await websockets.resume(ws, lastEventID)
+    };
+  });
+};
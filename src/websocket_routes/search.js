@@ -0,0 +1,137 @@
+/**
+ * Created by Drew Lemmy, 2016-2021
+ *
+ * This file is part of Krist.
+ *
+ * Krist is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Krist is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Krist. If not, see <http://www.gnu.org/licenses/>.
+ *
+ * For more project information, see <https://github.com/tmpim/krist>.
+ */
+
+const Transactions = require("../transactions");
+const errors       = require("../errors/errors");
+const lookup       = require("../routes/lookup").utils;
+const search       = require("../routes/search").utils;
+
+module.exports = function(websockets) {
+  /**
+	 * @api {ws} //ws:"type":"search" Search the Krist network
+	 * @apiName WSSearch
+	 * @apiGroup WebsocketGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription See [Search the Krist network](#api-LookupGroup-Search).
+	 *
+	 * @apiParam (WebsocketParameter) {Number} id
+	 * @apiParam (WebsocketParameter) {String="search"} type
+	 * @apiParam (WebsocketParameter) {String} q The search query.
+	 *
+	 * @apiUse SearchQuery
+	 * @apiSuccess {Object} matches The results of the search query.
+	 */
+  websockets.addMessageHandler("search", async function(ws, message) {
+    const query = search.validateQuery(message.q);
+
+    return {
+      ok: true,
+      ...await search.performSearch(query)
+    };
+  });
+
+  /**
+	 * @api {ws} //ws:"type":"search_extended" Search transactions
+	 * @apiName WSSearchExtended
+	 * @apiGroup WebsocketGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription See [Search transactions](#api-LookupGroup-SearchExtended).
+	 *
+	 * @apiParam (WebsocketParameter) {Number} id
+	 * @apiParam (WebsocketParameter) {String="search_extended"} type
+	 * @apiParam (WebsocketParameter) {String} q The search query, at least 3 characters long.
+	 *
+	 * @apiUse SearchQuery
+	 * @apiSuccess {Object} matches The results of the search query.
+	 */
+  websockets.addMessageHandler("search_extended", async function(ws, message) {
+    const query = search.validateQuery(message.q);
+
+    // Don't allow the query to be too short, see the HTTP API
+    if (query.length < 3) throw new errors.ErrorInvalidParameter("q");
+
+    return {
+      ok: true,
+      ...await search.performExtendedSearch(query)
+    };
+  });
+
+  /**
+	 * @api {ws} //ws:"type":"search_extended_results" Search transaction results
+	 * @apiName WSSearchExtendedResults
+	 * @apiGroup WebsocketGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription See [Search transaction results](#api-LookupGroup-SearchExtendedResults).
+	 *
+	 * @apiParam (WebsocketParameter) {Number} id
+	 * @apiParam (WebsocketParameter) {String="search_extended_results"} type
+	 * @apiParam (WebsocketParameter) {String} q The search query.
+	 * @apiParam (WebsocketParameter) {String} search_type The type of search query to execute. Must be either
+	 * 			`address`, `name` or `metadata`.
+	 * @apiParam (WebsocketParameter) {Number} [limit=50] The maximum amount of results to return.
+	 * @apiParam (WebsocketParameter) {Number} [offset=0] The amount to offset the results.
+	 * @apiParam (WebsocketParameter) {String} [cursor] The `next_cursor` of a previous page, to return the
+	 * 			results after it. Faster than `offset`, which is ignored when a cursor is given. `total` is only
+	 * 			returned on the first page, and is null when a cursor is given.
+	 * @apiParam (WebsocketParameter) {String} [orderBy=id] The field to order the results by. `metadata` searches
+	 * 			with any searchable words are ordered by relevance if this isn't given.
+	 * @apiParam (WebsocketParameter) {String} [order=ASC] The direction to order the results in.
+	 * @apiParam (WebsocketParameter) {Boolean} [includeMined] Whether to include transactions from mining (only
+	 * 			for `address` searches).
+	 *
+	 * @apiSuccess {Number} count The count of results returned.
+	 * @apiSuccess {Number} total The total count of results available.
+	 * @apiSuccess {String} next_cursor A cursor for the next page of results, or `null` if this is the last page.
+	 * @apiUse Transactions
+	 */
+  websockets.addMessageHandler("search_extended_results", async function(ws, message) {
+    const query = search.validateQuery(message.q);
+
+    // `type` is the message type, so the search type has its own parameter
+    const searchType = message.search_type;
+    if (!searchType) throw new errors.ErrorMissingParameter("search_type");
+    if (!["address", "name", "metadata"].includes(searchType))
+      throw new errors.ErrorInvalidParameter("search_type");
+
+    // The length limit only matters for metadata, see the HTTP API
+    if (searchType !== "name" && query.length < 3)
+      throw new errors.ErrorInvalidParameter("q");
+
+    const limit = lookup.validateLimit(message.limit);
+    const offset = lookup.validateOffset(message.offset);
+    const orderBy = lookup.validateOrderBy(lookup.TRANSACTION_FIELDS, message.orderBy);
+    const order = lookup.validateOrder(message.order);
+
+    const { rows, count, nextCursor } = await search.getExtendedSearchResults(
+      query, searchType, limit, offset, orderBy === "time" ? "id" : orderBy, order, !!message.includeMined, message.cursor);
+
+    return {
+      ok: true,
+      count: rows.length,
+      total: count,
+      next_cursor: nextCursor,
+      transactions: rows.map(Transactions.transactionToJSON)
+    };
+  });
+};
@@ -20,6 +20,41 @@
  */
 
 const errors = require("../errors/errors");
+const krist  = require("../krist");
+
+/** Validates the address or name of an individual `address` or `name`
+ * subscription, returning the key it is indexed by. */
+function getTargetedSubscriptionKey(message) {
+  if (message.event === "address") {
+    const { address } = message;
+    if (!address) throw new errors.ErrorMissingParameter("address");
+    if (typeof address !== "string" || !krist.isValidKristAddress(address))
+      throw new errors.ErrorInvalidParameter("address");
+    return address;
+  } else {
+    const { name } = message;
+    if (!name) throw new errors.ErrorMissingParameter("name");
+
+    const stripped = typeof name === "string" ? krist.stripNameSuffix(name.toLowerCase()) : null;
+    if (!stripped || !krist.isValidName(stripped)) throw new errors.ErrorInvalidParameter("name");
+    return stripped;
+  }
+}
+
+/** Returns the key a subscription's filter is stored under. */
+function getFilterKey(event, targetedKey) {
+  return targetedKey ? event + ":" + targetedKey : event;
+}
+
+function subscriptionsToJSON(ws) {
+  return {
+    ok: true,
+    subscription_level: ws.subs,
+    subscribed_addresses: [...ws.targetedSubs.address],
+    subscribed_names: [...ws.targetedSubs.name],
+    subscription_filters: Object.fromEntries(ws.filters)
+  };
+}
 
 module.exports = function(websockets) {
   /**
@@ -28,22 +63,78 @@ module.exports = function(websockets) {
 	 * @apiGroup WebsocketGroup
 	 * @apiVersion 2.0.2
 	 *
+	 * @apiDescription Subscribes to one of the subscription levels, or to the events of an individual address or
+	 * 			name. Any websocket, including guests, may subscribe to up to 100 individual addresses and names:
+	 *
+	 * 			- `"event": "address"` with an `address` receives `transaction` events to or from the address,
+	 * 			  `block` events for blocks it mined, and `name` events for names it owns.
+	 * 			- `"event": "name"` with a `name` receives `name` events for the name, and `transaction` events
+	 * 			  paying to it (e.g. to `shop.kst`).
+	 *
+	 * 			Each event is only sent once, even if it matches several subscriptions.
+	 *
+	 * 			The `transactions`, `ownTransactions`, `address` and `name` subscriptions also accept a `filter`,
+	 * 			so only the transactions matching all of its conditions are sent:
+	 *
+	 * 			- `min_value` and `max_value`: the inclusive range of the transaction's value.
+	 * 			- `type`: one or more transaction types, e.g. `"transfer"` or `["name_purchase", "name_transfer"]`.
+	 * 			- `metadata_key`: a key that must be present in the metadata, e.g. `return` for `return=foo@bar.kst`.
+	 * 			- `sent_name`: the name the transaction was sent to, e.g. `shop` for `shop.kst`.
+	 *
+	 * 			Subscribing again replaces the filter, or removes it if no `filter` is given. A transaction is sent if
+	 * 			any of the subscriptions it matches is unfiltered or has a filter it passes.
+	 *
 	 * @apiParam (WebsocketParameter) {Number} id
 	 * @apiParam (WebsocketParameter) {String="subscribe"} type
-	 * @apiParam (WebsocketParameter) {String} event
+	 * @apiParam (WebsocketParameter) {String} event A subscription level, `address` or `name`.
+	 * @apiParam (WebsocketParameter) {String} [address] The address to subscribe to, if `event` is `address`.
+	 * @apiParam (WebsocketParameter) {String} [name] The name to subscribe to, if `event` is `name`.
+	 * @apiParam (WebsocketParameter) {Object} [filter] A filter on the transactions sent by this subscription.
+	 * @apiParam (WebsocketParameter) {Number} [filter.min_value] The minimum value of the transactions.
+	 * @apiParam (WebsocketParameter) {Number} [filter.max_value] The maximum value of the transactions.
+	 * @apiParam (WebsocketParameter) {String|String[]} [filter.type] The allowed transaction types.
+	 * @apiParam (WebsocketParameter) {String} [filter.metadata_key] A key the metadata must contain.
+	 * @apiParam (WebsocketParameter) {String} [filter.sent_name] The name the transactions were sent to.
 	 *
 	 * @apiSuccess {String[]} subscription_level The current subscription level
+	 * @apiSuccess {String[]} subscribed_addresses The individual addresses subscribed to
+	 * @apiSuccess {String[]} subscribed_names The individual names subscribed to
+	 * @apiSuccess {Object} subscription_filters The filters on each subscription, keyed by the subscription level,
+	 * 			or `address:<address>` and `name:<name>`
 	 *
 	 * @apiSuccessExample {json} Success
 	 * {
 	 *     "ok": true,
 	 *     "id": 1,
-	 *     "subscription_level": ["ownTransactions", "blocks", "motd"]
+	 *     "subscription_level": ["ownTransactions", "blocks", "motd"],
+	 *     "subscribed_addresses": ["k8juvewcui"],
+	 *     "subscribed_names": ["shop"],
+	 *     "subscription_filters": {
+	 *         "name:shop": { "min_value": 10 }
+	 *     }
      * }
+	 *
+	 * @apiErrorExample {json} Too Many Subscriptions
+	 * {
+	 *     "ok": false,
+	 *     "error": "too_many_subscriptions"
+	 * }
 	 */
   websockets.addMessageHandler("subscribe", async function(ws, message) {
     const { event } = message;
     if (!event) throw new errors.ErrorMissingParameter("event");
+
+    const filter = websockets.parseEventFilter(message.filter);
+    if (filter && !websockets.isFilterableSubscription(event))
+      throw new errors.ErrorInvalidParameter("filter");
+
+    if (event === "address" || event === "name") {
+      const key = getTargetedSubscriptionKey(message);
+      websockets.addTargetedSubscription(ws, event, key);
+      websockets.setSubscriptionFilter(ws, getFilterKey(event, key), filter);
+      return subscriptionsToJSON(ws);
+    }
+
     if (!websockets.validSubscriptions.includes(event))
       throw new errors.ErrorInvalidParameter("event");
 
@@ -51,10 +142,10 @@ module.exports = function(websockets) {
       ws.subs.push(event);
     }
 
-    return {
-      ok: true,
-      subscription_level: ws.subs
-    };
+    if (websockets.isFilterableSubscription(event))
+      websockets.setSubscriptionFilter(ws, getFilterKey(event), filter);
+
+    return subscriptionsToJSON(ws);
   });
 
   /**
@@ -67,19 +158,22 @@ module.exports = function(websockets) {
 	 * @apiParam (WebsocketParameter) {String="get_subscription_level"} type
 	 *
 	 * @apiSuccess {String[]} subscription_level The current subscription level
+	 * @apiSuccess {String[]} subscribed_addresses The individual addresses subscribed to
+	 * @apiSuccess {String[]} subscribed_names The individual names subscribed to
+	 * @apiSuccess {Object} subscription_filters The filters on each subscription
 	 *
 	 * @apiSuccessExample {json} Success
 	 * {
 	 *     "ok": true,
 	 *     "id": 1,
-	 *     "subscription_level": ["ownTransactions", "blocks"]
+	 *     "subscription_level": ["ownTransactions", "blocks"],
+	 *     "subscribed_addresses": [],
+	 *     "subscribed_names": [],
+	 *     "subscription_filters": {}
      * }
 	 */
   websockets.addMessageHandler("get_subscription_level", function(ws) {
-    return {
-      ok: true,
-      subscription_level: ws.subs
-    };
+    return subscriptionsToJSON(ws);
   });
 
   /**
@@ -97,7 +191,7 @@ module.exports = function(websockets) {
 	 * {
 	 *     "ok": true,
 	 *     "id": 1,
-	 *     "valid_subscription_levels": ["blocks", "ownBlocks", "transactions", "ownTransactions", "names", "ownNames","motd"]
+	 *     "valid_subscription_levels": ["blocks", "ownBlocks", "transactions", "ownTransactions", "names", "ownNames", "escrows", "ownEscrows", "ownInvoices", "ownMultisigs", "motd"]
      * }
 	 */
   websockets.addMessageHandler("get_valid_subscription_levels", () => ({
@@ -113,20 +207,36 @@ module.exports = function(websockets) {
 	 *
 	 * @apiParam (WebsocketParameter) {Number} id
 	 * @apiParam (WebsocketParameter) {String="subscribe"} type
-	 * @apiParam (WebsocketParameter) {String} event
+	 * @apiParam (WebsocketParameter) {String} event A subscription level, `address` or `name`.
+	 * @apiParam (WebsocketParameter) {String} [address] The address to unsubscribe from, if `event` is `address`.
+	 * @apiParam (WebsocketParameter) {String} [name] The name to unsubscribe from, if `event` is `name`.
 	 *
 	 * @apiSuccess {String[]} subscription_level The current subscription level
+	 * @apiSuccess {String[]} subscribed_addresses The individual addresses subscribed to
+	 * @apiSuccess {String[]} subscribed_names The individual names subscribed to
+	 * @apiSuccess {Object} subscription_filters The filters on each subscription
 	 *
 	 * @apiSuccessExample {json} Success
 	 * {
 	 *     "ok": true,
 	 *     "id": 1,
-	 *     "subscription_level": ["blocks"]
+	 *     "subscription_level": ["blocks"],
+	 *     "subscribed_addresses": [],
+	 *     "subscribed_names": [],
+	 *     "subscription_filters": {}
      * }
 	 */
   websockets.addMessageHandler("unsubscribe", async function(ws, message) {
     const { event } = message;
     if (!event) throw new errors.ErrorMissingParameter("event");
+
+    if (event === "address" || event === "name") {
+      const key = getTargetedSubscriptionKey(message);
+      websockets.removeTargetedSubscription(ws, event, key);
+      websockets.setSubscriptionFilter(ws, getFilterKey(event, key), null);
+      return subscriptionsToJSON(ws);
+    }
+
     if (!websockets.validSubscriptions.includes(event))
       throw new errors.ErrorInvalidParameter("event");
 
@@ -134,9 +244,8 @@ module.exports = function(websockets) {
       ws.subs.splice(ws.subs.indexOf(event), 1);
     }
 
-    return {
-      ok: true,
-      subscription_level: ws.subs
-    };
+    websockets.setSubscriptionFilter(ws, getFilterKey(event), null);
+
+    return subscriptionsToJSON(ws);
   });
 };
@@ -33,9 +33,15 @@ module.exports = function(websockets) {
 	 * @apiParam (WebsocketParameter) {Number} id
 	 * @apiParam (WebsocketParameter) {String="make_transaction"} type
 	 * @apiParam (WebsocketParameter) {String} [privatekey] The privatekey of your address.
+	 * @apiParam (WebsocketParameter) {String} [address] Which of the addresses you are logged in to to use, if
+	 * 			no `privatekey` is given. Defaults to the address you logged in to last.
 	 * @apiParam (WebsocketParameter) {String} to The recipient of the transaction.
 	 * @apiParam (WebsocketParameter) {Number} amount The amount to send to the recipient.
 	 * @apiParam (WebsocketParameter) {String} [metadata] Optional metadata to include in the transaction.
+	 * @apiParam (WebsocketParameter) {String} [request_id] An optional unique key for this request, up to 64
+	 * 			printable ASCII characters. If a transaction has already been made by this address with the same key,
+	 * 			the original transaction is returned instead of making a new one. Reusing a key for a transaction with a
+	 * 			different recipient, amount or metadata is an `invalid_parameter` error.
 	 *
 	 * @apiUse Transaction
 	 *
@@ -55,11 +61,55 @@ module.exports = function(websockets) {
       throw new errors.ErrorMissingParameter("privatekey");
 
     const { userAgent, origin } = utils.getReqDetails(ws.req);
-    const transaction = await txController.makeTransaction(ws.req, message.privatekey || ws.privatekey, message.to, message.amount, message.metadata, userAgent, origin);
+    const transaction = await txController.makeTransaction(ws.req, message.privatekey || ws.getPrivatekey(message.address), message.to, message.amount, message.metadata, userAgent, origin, message.request_id);
 
     return {
       ok: true,
       transaction: txController.transactionToJSON(transaction)
     };
   });
+
+  /**
+	 * @api {ws} //ws:"type":"make_transactions" Make multiple transactions
+	 * @apiName WSMakeTransactions
+	 * @apiGroup WebsocketGroup
+	 * @apiVersion 2.10.0
+	 *
+	 * @apiDescription Makes several transactions at once, all-or-nothing. See
+	 * 			[Make multiple transactions](#api-TransactionGroup-MakeTransactions).
+	 *
+	 * @apiParam (WebsocketParameter) {Number} id
+	 * @apiParam (WebsocketParameter) {String="make_transactions"} type
+	 * @apiParam (WebsocketParameter) {String} [privatekey] The privatekey of your address.
+	 * @apiParam (WebsocketParameter) {String} [address] Which of the addresses you are logged in to to use, if
+	 * 			no `privatekey` is given. Defaults to the address you logged in to last.
+	 * @apiParam (WebsocketParameter) {Object[]} transactions The transactions to make, up to 100.
+	 * @apiParam (WebsocketParameter) {String} transactions.to The recipient of the transaction.
+	 * @apiParam (WebsocketParameter) {Number} transactions.amount The amount to send to the recipient.
+	 * @apiParam (WebsocketParameter) {String} [transactions.metadata] Optional metadata to include in the
+	 * 			transaction.
+	 *
+	 * @apiSuccess {Number} count The amount of transactions made.
+	 * @apiUse Transactions
+	 *
+	 * @apiSuccessExample {json} Success
+	 * {
+     *     "ok": true,
+     *     "count": 2,
+     *     "transactions": [...]
+     * }
+	 */
+  websockets.addMessageHandler("make_transactions", async function(ws, message) {
+    if (ws.isGuest && !message.privatekey)
+      throw new errors.ErrorMissingParameter("privatekey");
+
+    const { userAgent, origin } = utils.getReqDetails(ws.req);
+    const transactions = await txController.makeTransactions(ws.req, message.privatekey || ws.getPrivatekey(message.address), message.transactions, userAgent, origin);
+
+    return {
+      ok: true,
+      count: transactions.length,
+      transactions: transactions.map(txController.transactionToJSON)
+    };
+  });
 };
@@ -19,11 +19,15 @@
  * For more project information, see <https://github.com/tmpim/krist>.
  */
 
-const chalk  = require("chalk");
-const fs     = require("fs");
-const path   = require("path");
-const utils  = require("./utils.js");
-const errors = require("./errors/errors.js");
+const chalk    = require("chalk");
+const fs       = require("fs");
+const path     = require("path");
+const util     = require("util");
+const utils    = require("./utils.js");
+const errors   = require("./errors/errors.js");
+const webhooks = require("./webhooks.js");
+
+const { getRedis, getSubscriber, getPrefix } = require("./redis.js");
 
 const express = require("express");
 const bodyParser = require("body-parser");
@@ -32,6 +36,44 @@ const { promisify } = require("util");
 const crypto        = require("crypto");
 const secureBytes   = promisify(crypto.randomBytes);
 
+// The longest message a client may send. This has to be fairly generous, as
+// make_transactions and batch messages may contain up to 100 transactions or
+// messages.
+const MAX_MESSAGE_LENGTH = parseInt(process.env.WS_MAX_MESSAGE_LENGTH) || 32768;
+
+// The amount of messages each websocket may send per minute, counting each
+// message in a batch. Like the webserver's rate limit, this is disabled when
+// testing.
+const RATE_LIMIT = parseInt(process.env.WS_RATE_LIMIT) || 320;
+const RATE_LIMIT_ENABLED = process.env.NODE_ENV !== "test";
+
+// The amount of recent events kept in Redis, so clients can receive the events
+// they missed while reconnecting with a `resume` message
+const EVENT_BACKLOG_SIZE = 1000;
+const EVENT_ID_KEY = "ws-event-id";
+const EVENT_BACKLOG_KEY = "ws-event-backlog";
+
+// Events are published to this channel, so every Krist instance behind a load
+// balancer can send them to its own websockets. Each instance ignores the
+// events it published itself, as it has already sent them.
+const EVENT_CHANNEL = "ws-events";
+const INSTANCE_ID = crypto.randomBytes(8).toString("hex");
+
+// Websocket tokens are kept in Redis, so they can be used on any instance
+const TOKEN_KEY_PREFIX = "ws-token:";
+const TOKEN_EXPIRY = 30; // seconds
+
+// The maximum amount of individual addresses and names a single websocket may
+// subscribe to
+const MAX_TARGETED_SUBSCRIPTIONS = 100;
+
+// The maximum amount of addresses a single websocket may be logged in to
+const MAX_AUTHED_ADDRESSES = 32;
+
+// The subscriptions that carry transaction events, and can therefore be
+// filtered. `address` and `name` subscriptions can be filtered too.
+const FILTERABLE_SUBSCRIPTIONS = ["transactions", "ownTransactions"];
+
 // =============================================================================
 // PROMETHEUS COUNTERS
 // =============================================================================
@@ -45,6 +87,7 @@ const promWebsocketConnectionsTotal = new promClient.Counter({
 promWebsocketConnectionsTotal.inc({ type: "incomplete" }, 0);
 promWebsocketConnectionsTotal.inc({ type: "guest" }, 0);
 promWebsocketConnectionsTotal.inc({ type: "authed" }, 0);
+promWebsocketConnectionsTotal.inc({ type: "event_stream" }, 0);
 
 const promWebsocketTokensTotal = new promClient.Counter({
   name: "krist_websocket_tokens_total",
@@ -72,27 +115,151 @@ const promWebsocketEventBroadcastsTotal = new promClient.Counter({
 function WebsocketsManager() {
   this.websockets = [];
   this.messageHandlers = [];
-  this.pendingTokens = [];
 
-  this.validSubscriptions = ["blocks", "ownBlocks", "transactions", "ownTransactions", "names", "ownNames", "motd"];
+  this.validSubscriptions = ["blocks", "ownBlocks", "transactions", "ownTransactions", "names", "ownNames", "escrows", "ownEscrows", "ownInvoices", "ownMultisigs", "motd"];
+
+  // Websockets subscribed to individual addresses and names, indexed by the
+  // address or name so events can be sent to them without checking every
+  // websocket
+  this.targetedSubscribers = {
+    address: new Map(),
+    name: new Map()
+  };
 }
 
 function Websocket(req, socket, token, auth, subs, privatekey) {
   this.req = req;
   this.socket = socket;
   this.token = token;
+  // The address and privatekey the websocket last logged in to, used when a
+  // message doesn't specify an address
   this.auth = auth;
   this.privatekey = privatekey;
 
+  // All the addresses the websocket is logged in to, and their privatekeys.
+  // Sessions started with /ws/start have no privatekey for their first address,
+  // as the session itself authenticates it.
+  this.authed = new Map();
+  if (auth !== "guest") this.authed.set(auth, privatekey);
+
   this.subs = subs || ["ownTransactions", "blocks"];
 
+  // The individual addresses and names this websocket is subscribed to
+  this.targetedSubs = {
+    address: new Set(),
+    name: new Set()
+  };
+
+  // The filters on this websocket's transaction subscriptions, keyed by the
+  // subscription level, or `address:<address>` and `name:<name>`
+  this.filters = new Map();
+
   this.isGuest = auth === "guest";
+
+  // Live events held back while a `resume` is in progress
+  this.resumeQueue = null;
+
+  // The messages this websocket may still send, refilled over time
+  this.rateLimitRemaining = RATE_LIMIT;
+  this.rateLimitUpdated = Date.now();
 }
 
 Websocket.prototype.send = function(message) {
   this.socket.send(message);
 };
 
+/** Counts a message towards the websocket's rate limit, returning false if it
+ * has been hit. */
+Websocket.prototype.takeRateLimit = function() {
+  if (!RATE_LIMIT_ENABLED) return true;
+
+  const now = Date.now();
+  const refilled = (now - this.rateLimitUpdated) * RATE_LIMIT / 60000;
+  this.rateLimitRemaining = Math.min(RATE_LIMIT, this.rateLimitRemaining + refilled);
+  this.rateLimitUpdated = now;
+
+  if (this.rateLimitRemaining < 1) return false;
+  this.rateLimitRemaining--;
+  return true;
+};
+
+Websocket.prototype.isAuthedAs = function(address) {
+  return !!address && this.authed.has(address);
+};
+
+/** Logs the websocket in to an address, in addition to any it is already
+ * logged in to. It becomes the address used by default. */
+Websocket.prototype.login = function(address, privatekey) {
+  if (!this.authed.has(address) && this.authed.size >= MAX_AUTHED_ADDRESSES)
+    throw new errors.ErrorTooManyAddresses();
+
+  this.authed.set(address, privatekey);
+  this.auth = address;
+  this.privatekey = privatekey;
+  this.isGuest = false;
+};
+
+/** Logs the websocket out of an address, or all of them if none is given. */
+Websocket.prototype.logout = function(address) {
+  if (address) this.authed.delete(address);
+  else this.authed.clear();
+
+  // The session's authentication only covered its first address, the only one
+  // without a privatekey
+  if (![...this.authed.values()].includes(undefined)) {
+    this.req.sessionAddress = undefined;
+    this.req.signedAddress = undefined;
+    this.req.apiToken = undefined;
+  }
+
+  // Fall back to the most recently logged in address that is left
+  if (this.authed.size > 0) {
+    if (!this.authed.has(this.auth)) {
+      this.auth = [...this.authed.keys()].pop();
+      this.privatekey = this.authed.get(this.auth);
+    }
+  } else {
+    this.auth = "guest";
+    this.privatekey = undefined;
+    this.isGuest = true;
+  }
+};
+
+/** Returns the privatekey to authenticate as one of the websocket's addresses,
+ * or as its default address if none is given. `parameter` is the name of the
+ * message parameter the address came from, for the error if it isn't one of
+ * the websocket's addresses. */
+Websocket.prototype.getPrivatekey = function(address, parameter = "address") {
+  if (address === undefined || address === null) return this.privatekey;
+
+  if (typeof address !== "string" || !this.isAuthedAs(address.toLowerCase()))
+    throw new errors.ErrorInvalidParameter(parameter);
+  return this.authed.get(address.toLowerCase());
+};
+
+/** A Server-Sent Events stream from `GET /events`. It receives events like a
+ * guest websocket, but can't send any messages. */
+function EventStream(req, res, subs) {
+  Websocket.call(this, req, null, null, "guest", subs);
+  this.res = res;
+  this.isEventStream = true;
+}
+util.inherits(EventStream, Websocket);
+
+/** Writes a message as an SSE event, named after its event or message type.
+ * Events with an ID send it as the SSE `id`, so `Last-Event-ID` can be used to
+ * resume the stream. */
+EventStream.prototype.send = function(message, data) {
+  data = data || JSON.parse(message);
+
+  let out = "";
+  if (data.event_id) out += "id: " + data.event_id + "\n";
+  out += "event: " + (data.type === "event" ? data.event : data.type) + "\n";
+  out += "data: " + message + "\n\n";
+
+  this.res.write(out);
+};
+
 const Websockets = new WebsocketsManager();
 
 module.exports = Websockets;
@@ -107,16 +274,9 @@ new promClient.Gauge({
   labelNames: ["type"],
   collect() {
     const sockets = Websockets.websockets;
-    this.set({ type: "guest" }, sockets.filter(w => w.isGuest).length);
+    this.set({ type: "guest" }, sockets.filter(w => w.isGuest && !w.isEventStream).length);
     this.set({ type: "authed" }, sockets.filter(w => !w.isGuest).length);
-  }
-});
-
-new promClient.Gauge({
-  name: "krist_websocket_tokens_pending_current",
-  help: "Current number of pending websocket tokens.",
-  collect() {
-    this.set(Object.keys(Websockets.pendingTokens).length);
+    this.set({ type: "event_stream" }, sockets.filter(w => w.isEventStream).length);
   }
 });
 // =============================================================================
@@ -131,16 +291,10 @@ WebsocketsManager.prototype.addWebsocket = function(req, socket, token, auth, pk
   const ws = new Websocket(req, socket, token, auth, null, pkey);
   promWebsocketConnectionsTotal.inc({ type: ws.isGuest ? "guest" : "authed" });
 
-  socket.on("close", function() {
-    const id = Websockets.websockets.indexOf(ws);
-
-    if (id !== -1) {
-      Websockets.websockets.splice(id, 1);
-    }
-  });
+  socket.on("close", () => Websockets.removeWebsocket(ws));
 
   socket.on("message", function(message) {
-    if (message.length > 512) {
+    if (message.length > MAX_MESSAGE_LENGTH) {
       promWebsocketMessagesTotal.inc({ type: "invalid" });
       return socket.send(JSON.stringify({
         ok: false,
@@ -162,53 +316,268 @@ WebsocketsManager.prototype.addWebsocket = function(req, socket, token, auth, pk
       }));
     }
 
-    if ((typeof msg.id !== "number" && typeof msg.id !== "string") || typeof msg.type !== "string") {
-      promWebsocketMessagesTotal.inc({ type: "invalid" });
-      return socket.send(JSON.stringify({
-        ok: false,
-        type: "error",
-        error: "missing_parameter",
-        parameter: typeof msg.type !== "string" ? "type" : "id"
-      }));
-    }
-
-    const type = msg.type.toLowerCase();
-    if (typeof Websockets.messageHandlers[type] === "undefined") {
-      promWebsocketMessagesTotal.inc({ type: "invalid" });
-      return Websockets.sendResponse(socket, msg, {
-        ok: false,
-        type: "error",
-        error: "invalid_type"
-      });
-    }
-
-    const response = Websockets.messageHandlers[type](ws, msg);
-    promWebsocketMessagesTotal.inc({ type });
-
-    if (response instanceof Promise) {
-      response.then(function(resp) {
-        Websockets.sendResponse(socket, msg, { type: "response", ...resp });
-      }).catch(function(err) {
-        Websockets.sendResponse(socket, msg, { type: "error", ...utils.errorToJSON(err) });
-      });
-    } else if (response) {
-      Websockets.sendResponse(socket, msg, { type: "response", ...response });
-    }
+    Websockets.handleMessage(ws, msg).then(function(response) {
+      if (response) Websockets.sendResponse(socket, msg, response);
+    });
   });
 
   Websockets.websockets.push(ws);
 };
 
+/** Runs the handler for a parsed message, resolving to the response to send
+ * (without its ID), if any. */
+WebsocketsManager.prototype.handleMessage = async function(ws, msg) {
+  if (!ws.takeRateLimit()) {
+    promWebsocketMessagesTotal.inc({ type: "rate_limited" });
+    return {
+      ok: false,
+      type: "error",
+      error: "rate_limit_hit"
+    };
+  }
+
+  if (!msg || typeof msg !== "object"
+    || (typeof msg.id !== "number" && typeof msg.id !== "string") || typeof msg.type !== "string") {
+    promWebsocketMessagesTotal.inc({ type: "invalid" });
+    return {
+      ok: false,
+      type: "error",
+      error: "missing_parameter",
+      parameter: !msg || typeof msg.type !== "string" ? "type" : "id"
+    };
+  }
+
+  const type = msg.type.toLowerCase();
+  if (typeof Websockets.messageHandlers[type] === "undefined") {
+    promWebsocketMessagesTotal.inc({ type: "invalid" });
+    return {
+      ok: false,
+      type: "error",
+      error: "invalid_type"
+    };
+  }
+
+  promWebsocketMessagesTotal.inc({ type });
+
+  try {
+    const response = await Websockets.messageHandlers[type](ws, msg);
+    if (response) return { type: "response", ...response };
+  } catch (err) {
+    return { type: "error", ...utils.errorToJSON(err) };
+  }
+};
+
+/** Applies the websocket options to the server, once it has been created by
+ * express-ws, which doesn't pass any options through. Compressed messages are
+ * limited to a few times the longest message, so they can't be inflated to use
+ * up memory. */
+WebsocketsManager.prototype.configureServer = function(wss) {
+  // ws reads these from the server's options when each connection is upgraded
+  wss.options.perMessageDeflate = process.env.WS_PERMESSAGE_DEFLATE !== "false";
+  wss.options.maxPayload = MAX_MESSAGE_LENGTH * 4;
+};
+
+/** Adds a Server-Sent Events stream, which will receive the events it is
+ * subscribed to until the request is closed. */
+WebsocketsManager.prototype.addEventStream = function(req, res, subs) {
+  const stream = new EventStream(req, res, subs);
+  promWebsocketConnectionsTotal.inc({ type: "event_stream" });
+
+  req.on("close", () => Websockets.removeWebsocket(stream));
+
+  Websockets.websockets.push(stream);
+  return stream;
+};
+
+WebsocketsManager.prototype.removeWebsocket = function(ws) {
+  const id = Websockets.websockets.indexOf(ws);
+
+  if (id !== -1) {
+    Websockets.websockets.splice(id, 1);
+  }
+
+  Websockets.removeTargetedSubscriptions(ws);
+};
+
 WebsocketsManager.prototype.broadcast = function(message) {
   Websockets.websockets.forEach(function(websocket) {
     try {
-      websocket.send(JSON.stringify(message));
+      websocket.send(JSON.stringify(message), message);
     } catch (err) {
       console.error("Error sending websocket broadcast:", err);
     }
   });
 };
 
+/** Subscribes a websocket to the events of an individual address or name.
+ * `type` is either `address` or `name`. */
+WebsocketsManager.prototype.addTargetedSubscription = function(ws, type, key) {
+  const subs = ws.targetedSubs[type];
+  if (subs.has(key)) return;
+
+  const count = ws.targetedSubs.address.size + ws.targetedSubs.name.size;
+  if (count >= MAX_TARGETED_SUBSCRIPTIONS) throw new errors.ErrorTooManySubscriptions();
+
+  subs.add(key);
+
+  const index = Websockets.targetedSubscribers[type];
+  if (!index.has(key)) index.set(key, new Set());
+  index.get(key).add(ws);
+};
+
+WebsocketsManager.prototype.removeTargetedSubscription = function(ws, type, key) {
+  if (!ws.targetedSubs[type].delete(key)) return;
+
+  const index = Websockets.targetedSubscribers[type];
+  const subscribers = index.get(key);
+  if (!subscribers) return;
+
+  subscribers.delete(ws);
+  if (subscribers.size === 0) index.delete(key);
+};
+
+WebsocketsManager.prototype.removeTargetedSubscriptions = function(ws) {
+  for (const type of Object.keys(ws.targetedSubs)) {
+    for (const key of [...ws.targetedSubs[type]]) {
+      Websockets.removeTargetedSubscription(ws, type, key);
+    }
+  }
+};
+
+/** Validates a subscription filter, returning it without any unknown keys, or
+ * null if it is empty. All of the filter's conditions must match for a
+ * transaction to be sent. */
+WebsocketsManager.prototype.parseEventFilter = function(filter) {
+  if (filter === undefined || filter === null) return null;
+  if (typeof filter !== "object" || Array.isArray(filter)) throw new errors.ErrorInvalidParameter("filter");
+
+  const out = {};
+  const isAmount = v => Number.isInteger(v) && v >= 0;
+  const isString = v => typeof v === "string" && v.length > 0 && v.length <= 255;
+
+  const { min_value, max_value, type, metadata_key, sent_name } = filter;
+  if (min_value !== undefined) {
+    if (!isAmount(min_value)) throw new errors.ErrorInvalidParameter("filter.min_value");
+    out.min_value = min_value;
+  }
+  if (max_value !== undefined) {
+    if (!isAmount(max_value)) throw new errors.ErrorInvalidParameter("filter.max_value");
+    out.max_value = max_value;
+  }
+  if (type !== undefined) {
+    const types = Array.isArray(type) ? type : [type];
+    if (types.length === 0 || types.length > 16 || !types.every(isString))
+      throw new errors.ErrorInvalidParameter("filter.type");
+    out.type = types.map(t => t.toLowerCase());
+  }
+  if (metadata_key !== undefined) {
+    if (!isString(metadata_key)) throw new errors.ErrorInvalidParameter("filter.metadata_key");
+    out.metadata_key = metadata_key;
+  }
+  if (sent_name !== undefined) {
+    if (!isString(sent_name)) throw new errors.ErrorInvalidParameter("filter.sent_name");
+    out.sent_name = sent_name.toLowerCase().replace(/\.kst$/, "");
+  }
+
+  return Object.keys(out).length > 0 ? out : null;
+};
+
+/** Checks whether a transaction matches every condition of a filter returned by
+ * `parseEventFilter`. */
+function transactionMatchesFilter(filter, transaction) {
+  const { value, type, metadata, sent_name } = transaction;
+
+  if (filter.min_value !== undefined && value < filter.min_value) return false;
+  if (filter.max_value !== undefined && value > filter.max_value) return false;
+  if (filter.type && !filter.type.includes(type)) return false;
+  if (filter.sent_name && sent_name !== filter.sent_name) return false;
+
+  if (filter.metadata_key) {
+    // Metadata entries are separated by semicolons, and are either `key=value`
+    // pairs or bare keys
+    const keys = (metadata || "").split(";").map(e => e.split("=")[0].trim());
+    if (!keys.includes(filter.metadata_key)) return false;
+  }
+
+  return true;
+}
+WebsocketsManager.prototype.transactionMatchesFilter = transactionMatchesFilter;
+
+/** Sets or, if `filter` is null, removes the filter on one of a websocket's
+ * subscriptions. */
+WebsocketsManager.prototype.setSubscriptionFilter = function(ws, key, filter) {
+  if (filter) ws.filters.set(key, filter);
+  else ws.filters.delete(key);
+};
+
+WebsocketsManager.prototype.isFilterableSubscription = function(event) {
+  return FILTERABLE_SUBSCRIPTIONS.includes(event) || event === "address" || event === "name";
+};
+
+/** Checks whether an event passes the filters on a websocket's subscriptions.
+ * The event is sent if any of the subscriptions it was matched by is either
+ * unfiltered, or has a filter it matches. */
+function passesFilters(ws, message) {
+  if (message.event !== "transaction" || ws.filters.size === 0) return true;
+
+  const { from, to, sent_name } = message.transaction;
+  const matched = [];
+
+  if (ws.subs.includes("transactions")) matched.push("transactions");
+  if ((ws.isAuthedAs(to) || ws.isAuthedAs(from)) && ws.subs.includes("ownTransactions"))
+    matched.push("ownTransactions");
+  for (const address of [from, to]) {
+    if (address && ws.targetedSubs.address.has(address)) matched.push("address:" + address);
+  }
+  if (sent_name && ws.targetedSubs.name.has(sent_name)) matched.push("name:" + sent_name);
+
+  return matched.some(key => !ws.filters.has(key)
+    || transactionMatchesFilter(ws.filters.get(key), message.transaction));
+}
+
+/** Returns the addresses and names an event concerns, for websockets
+ * subscribed to them individually. */
+function getEventTargets(message) {
+  switch (message.event) {
+  case "block":
+    return { address: [message.block.address], name: [] };
+  case "transaction":
+    return {
+      address: [message.transaction.from, message.transaction.to],
+      name: [message.transaction.sent_name]
+    };
+  case "name":
+    return { address: [message.name.owner], name: [message.name.name] };
+  default:
+    return { address: [], name: [] };
+  }
+}
+
+/** Finds the websockets subscribed to any of the addresses or names an event
+ * concerns, using the subscription index. */
+function getTargetedSubscribers(message) {
+  const targets = getEventTargets(message);
+  const out = new Set();
+
+  for (const type of Object.keys(targets)) {
+    const index = Websockets.targetedSubscribers[type];
+    for (const key of targets[type]) {
+      const subscribers = key && index.get(key);
+      if (subscribers) subscribers.forEach(ws => out.add(ws));
+    }
+  }
+
+  return out;
+}
+
+/** Checks whether a websocket is subscribed to any of the addresses or names an
+ * event concerns. */
+function isTargetedSubscriber(ws, message) {
+  const targets = getEventTargets(message);
+  return Object.keys(targets).some(type =>
+    targets[type].some(key => key && ws.targetedSubs[type].has(key)));
+}
+
 /** Returns a function, based on the event type, that checks whether or not a
  * given websocket should receive the event. */
 function subscriptionCheck(message) {
@@ -218,83 +587,224 @@ function subscriptionCheck(message) {
   case "block": {
     const { address } = message.block;
     return ws => // If the ws is subscribed to 'blocks' or 'ownBlocks'
-      (!ws.isGuest && ws.auth === address && ws.subs.includes("ownBlocks"))
+      (ws.isAuthedAs(address) && ws.subs.includes("ownBlocks"))
       || ws.subs.includes("blocks");
   }
 
   case "transaction": {
     const { to, from } = message.transaction;
     return ws => // If the ws is subscribed to 'transactions' or 'ownTransactions'
-      (!ws.isGuest && (ws.auth === to || ws.auth === from) && ws.subs.includes("ownTransactions"))
+      ((ws.isAuthedAs(to) || ws.isAuthedAs(from)) && ws.subs.includes("ownTransactions"))
       || ws.subs.includes("transactions");
   }
 
   case "name": {
     const { owner } = message.name;
     return ws => // If the ws is subscribed to 'names' or 'ownNames'
-      (!ws.isGuest && (ws.auth === owner) && ws.subs.includes("ownNames"))
+      (ws.isAuthedAs(owner) && ws.subs.includes("ownNames"))
       || ws.subs.includes("names");
   }
 
+  case "escrow": {
+    const { sender, recipient, arbiter } = message.escrow;
+    return ws => // If the ws is subscribed to 'escrows' or 'ownEscrows'
+      ([sender, recipient, arbiter].some(a => ws.isAuthedAs(a)) && ws.subs.includes("ownEscrows"))
+      || ws.subs.includes("escrows");
+  }
+
+  case "invoice": {
+    const { owner } = message.invoice;
+    return ws => // If the ws is subscribed to 'ownInvoices'
+      ws.isAuthedAs(owner) && ws.subs.includes("ownInvoices");
+  }
+
+  case "multisig": {
+    const { members } = message.multisig;
+    return ws => // If the ws is subscribed to 'ownMultisigs'
+      members.some(m => ws.isAuthedAs(m)) && ws.subs.includes("ownMultisigs");
+  }
+
   default:
     throw new Error("Unknown event type " + message.event);
   }
 }
 
-WebsocketsManager.prototype.broadcastEvent = function(message) {
-  if (!message.event) throw new Error("Missing event type");
-  promWebsocketEventBroadcastsTotal.inc({ event: message.event });
+/** Gives an event the next sequence ID, and adds it to the backlog of recent
+ * events. Redis commands run in order, so events are sent in the order they
+ * were numbered. */
+async function recordEvent(message) {
+  const r = getRedis();
 
-  const subCheck = subscriptionCheck(message);
-  const stringified = JSON.stringify(message);
+  const event = { ...message, event_id: await r.incr(EVENT_ID_KEY) };
+  await r.zadd(EVENT_BACKLOG_KEY, [event.event_id, JSON.stringify(event)]);
+  await r.zremrangebyrank(EVENT_BACKLOG_KEY, 0, -(EVENT_BACKLOG_SIZE + 1));
+
+  return event;
+}
+
+WebsocketsManager.prototype.getLastEventID = async function() {
+  return parseInt(await getRedis().get(EVENT_ID_KEY)) || 0;
+};
+
+/** Broadcasts an event to every subscribed websocket, the other instances and
+ * webhooks, resolving with the amount of recipients on this instance. Callers
+ * don't wait for this, so it never rejects; errors are logged instead. */
+WebsocketsManager.prototype.broadcastEvent = async function(message) {
+  try {
+    if (!message.event) throw new Error("Missing event type");
+    promWebsocketEventBroadcastsTotal.inc({ event: message.event });
+
+    // If Redis is unavailable, still send the event live, just without an ID
+    let event = message;
+    try {
+      event = await recordEvent(message);
+    } catch (err) {
+      console.error(chalk`{red [Websockets]} Error recording event:`, err);
+    }
+
+    // Let the other instances send the event to their websockets
+    getRedis().publish(getPrefix() + EVENT_CHANNEL, JSON.stringify({ instance: INSTANCE_ID, event }))
+      .catch(err => console.error(chalk`{red [Websockets]} Error publishing event:`, err));
+
+    // Also deliver the event to any webhooks registered for it
+    webhooks.queueEvent(event)
+      .catch(err => console.error("Error queueing webhook deliveries:", err));
+
+    return sendEvent(event);
+  } catch (err) {
+    console.error(chalk`{red [Websockets]} Error broadcasting event:`, err);
+    return 0;
+  }
+};
+
+/** Sends an event to this instance's websockets that are subscribed to it,
+ * returning the amount of recipients. */
+function sendEvent(event) {
+  const subCheck = subscriptionCheck(event);
+  const targeted = getTargetedSubscribers(event);
+  const stringified = JSON.stringify(event);
 
   let recipients = 0;
-  Websockets.websockets.forEach(ws => {
-    if (!subCheck(ws)) return;
+  const send = ws => {
+    if (!passesFilters(ws, event)) return;
     recipients++;
 
+    // Hold live events back from websockets that are still being sent the
+    // events they missed
+    if (ws.resumeQueue) return ws.resumeQueue.push(event);
+
     try {
-      ws.send(stringified);
+      ws.send(stringified, event);
     } catch (err) {
       console.error("Error sending websocket event broadcast:", err);
     }
+  };
+
+  Websockets.websockets.forEach(ws => {
+    if (subCheck(ws) && !targeted.has(ws)) send(ws);
   });
+  targeted.forEach(send);
+
   return recipients;
+}
+
+/** Subscribes to the events published by the other Krist instances. */
+WebsocketsManager.prototype.startPubSub = function() {
+  const subscriber = getSubscriber();
+
+  subscriber.on("message", (channel, data) => {
+    try {
+      const { instance, event } = JSON.parse(data);
+      if (instance === INSTANCE_ID) return;
+
+      sendEvent(event);
+    } catch (err) {
+      console.error(chalk`{red [Websockets]} Error relaying published event:`, err);
+    }
+  });
+
+  subscriber.on("error", err => console.error(chalk`{red [Websockets]} Redis subscriber error:`, err));
+
+  subscriber.subscribe(getPrefix() + EVENT_CHANNEL);
+};
+
+/** Sends a websocket the events it is subscribed to that were broadcast after
+ * `lastEventID`, followed by any live events that arrived in the meantime.
+ * `complete` is false if some of the missed events are no longer in the
+ * backlog. */
+WebsocketsManager.prototype.resume = async function(ws, lastEventID) {
+  if (ws.resumeQueue) throw new errors.ErrorInvalidParameter("last_event_id");
+  ws.resumeQueue = [];
+
+  try {
+    const r = getRedis();
+    const latestID = await Websockets.getLastEventID();
+    const backlog = (await r.zrangebyscore(EVENT_BACKLOG_KEY, "(" + lastEventID, "+inf"))
+      .map(e => JSON.parse(e));
+
+    const complete = latestID <= lastEventID
+      || (backlog.length > 0 && backlog[0].event_id === lastEventID + 1);
+
+    // Events broadcast while the backlog was being fetched may be in both
+    let sentID = lastEventID, replayed = 0;
+    const send = event => {
+      if (!event.event_id || event.event_id <= sentID) return;
+      sentID = event.event_id;
+      ws.send(JSON.stringify(event), event);
+    };
+
+    for (const event of backlog) {
+      if (!subscriptionCheck(event)(ws) && !isTargetedSubscriber(ws, event)) continue;
+      if (!passesFilters(ws, event)) continue;
+      send(event);
+      replayed++;
+    }
+
+    ws.resumeQueue.forEach(send);
+    return { replayed, complete, last_event_id: Math.max(latestID, sentID) };
+  } catch (err) {
+    // If the backlog couldn't be fetched, still send the held back live events
+    ws.resumeQueue.forEach(e => ws.send(JSON.stringify(e), e));
+    throw err;
+  } finally {
+    ws.resumeQueue = null;
+  }
 };
 
 WebsocketsManager.prototype.sendResponse = function(ws, originalMessage, message) {
-  message["id"] = originalMessage.id;
+  if (originalMessage) message["id"] = originalMessage.id;
 
   ws.send(JSON.stringify(message));
 };
 
-WebsocketsManager.prototype.obtainToken = async function(address, privatekey) {
+/** Creates a token to start a websocket session as an address that has already
+ * been authenticated. `legacy` is whether the address was authenticated with
+ * its privatekey, which is never stored with the token. */
+WebsocketsManager.prototype.obtainToken = async function(address, legacy, signed, apiToken) {
   // Generate a new token
   // NOTE: These used to be UUIDs, so we use 18 bytes here to maintain
   //       compatibility with anything that may expect exactly 36 characters.
   const token = (await secureBytes(18)).toString("hex");
-  this.pendingTokens[token] = { address, privatekey };
 
-  promWebsocketTokensTotal.inc({ type: address === "guest" ? "guest" : "authed" });
+  // The token expires after 30 seconds
+  await getRedis().set(TOKEN_KEY_PREFIX + token,
+    JSON.stringify({ address, legacy, signed, apiToken }), ["EX", TOKEN_EXPIRY]);
 
-  // Destroy the token after 30 seconds
-  setTimeout(() => {
-    delete this.pendingTokens[token];
-  }, 30000);
+  promWebsocketTokensTotal.inc({ type: address === "guest" ? "guest" : "authed" });
 
   return token;
 };
 
-WebsocketsManager.prototype.useToken = function(token) {
-  const tokenData = this.pendingTokens[token];
+WebsocketsManager.prototype.useToken = async function(token) {
+  const r = getRedis();
+  const key = TOKEN_KEY_PREFIX + token;
 
-  // Reject if token not found
-  if (!tokenData) throw new errors.ErrorInvalidWebsocketToken();
+  // Reject if token not found. Only the instance that deletes the token may
+  // use it, to prevent token re-use.
+  const tokenData = await r.get(key);
+  if (!tokenData || !await r.del(key)) throw new errors.ErrorInvalidWebsocketToken();
 
-  // Prevent token re-use
-  delete this.pendingTokens[token];
-
-  return tokenData;
+  return JSON.parse(tokenData);
 };
 
 const fileExists = f => fs.promises.access(f, fs.constants.F_OK).then(() => true).catch(() => false);
@@ -332,6 +842,24 @@ WebsocketsManager.prototype.startIPC = async function() {
       eventData = { name: body.name };
       break;
 
+    case "escrow":
+      if (!body.escrow) throw new errors.ErrorMissingParameter("escrow");
+      if (!body.action) throw new errors.ErrorMissingParameter("action");
+      eventData = { action: body.action, escrow: body.escrow };
+      break;
+
+    case "invoice":
+      if (!body.invoice) throw new errors.ErrorMissingParameter("invoice");
+      eventData = { invoice: body.invoice };
+      break;
+
+    case "multisig":
+      if (!body.multisig) throw new errors.ErrorMissingParameter("multisig");
+      if (!body.proposal) throw new errors.ErrorMissingParameter("proposal");
+      if (!body.action) throw new errors.ErrorMissingParameter("action");
+      eventData = { action: body.action, multisig: body.multisig, proposal: body.proposal };
+      break;
+
     default:
       throw new errors.ErrorInvalidParameter("event");
     }
@@ -341,7 +869,7 @@ WebsocketsManager.prototype.startIPC = async function() {
       event: body.event,
       ...eventData
     };
-    const recipients = Websockets.broadcastEvent(rawEvent);
+    const recipients = await Websockets.broadcastEvent(rawEvent);
 
     console.log(chalk`{yellow [Websockets]} Event {bold ${body.event}} broadcast via IPC to {bold ${recipients} recipients}. Raw event:\n`, rawEvent);
 
@@ -395,6 +923,8 @@ if (process.env.NODE_ENV !== "test" && typeof process.env.WS_IPC_PATH === "strin
   });
 }
 
+Websockets.startPubSub();
+
 Websockets.keepaliveInterval = setInterval(function() {
   Websockets.broadcast({
     type: "keepalive",
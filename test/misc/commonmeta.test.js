@@ -0,0 +1,58 @@
+const { expect } = require("chai");
+
+const { seed } = require("../seed");
+
+describe("commonmeta", () => {
+  before(seed);
+
+  describe("parse", () => {
+    // Required once the database is initialised, as it loads the schemas
+    let CommonMeta;
+    before(() => { CommonMeta = require("../../src/commonmeta"); });
+
+    it("should return an empty object with no metadata", async () => {
+      expect(CommonMeta.parse(null)).to.deep.equal({});
+      expect(CommonMeta.parse("")).to.deep.equal({});
+    });
+
+    it("should parse key=value pairs", async () =>
+      expect(CommonMeta.parse("return=kre3w0i79j;order=42")).to.deep.equal({ return: "kre3w0i79j", order: "42" }));
+
+    it("should skip bare values", async () =>
+      expect(CommonMeta.parse("test.kst;message=Hello;world")).to.deep.equal({ message: "Hello" }));
+
+    it("should skip empty keys", async () =>
+      expect(CommonMeta.parse("=value;a=b")).to.deep.equal({ a: "b" }));
+
+    it("should allow empty values", async () =>
+      expect(CommonMeta.parse("a=")).to.deep.equal({ a: "" }));
+
+    it("should only split on the first equals sign", async () =>
+      expect(CommonMeta.parse("url=https://example.com/?a=b")).to.deep.equal({ url: "https://example.com/?a=b" }));
+
+    it("should use the last value of a repeated key", async () =>
+      expect(CommonMeta.parse("a=1;a=2")).to.deep.equal({ a: "2" }));
+  });
+
+  describe("metadata_fields", () => {
+    it("should include the parsed fields in transactionToJSON", async () => {
+      const Transactions = require("../../src/transactions");
+      const out = Transactions.transactionToJSON({
+        id: 1, from: "k8juvewcui", to: "k7oax47quv", value: 1,
+        time: new Date(), name: null, op: "test.kst;return=k8juvewcui"
+      });
+
+      expect(out).to.deep.include({ metadata_fields: { return: "k8juvewcui" } });
+    });
+
+    it("should not parse the A record of name updates", async () => {
+      const Transactions = require("../../src/transactions");
+      const out = Transactions.transactionToJSON({
+        id: 1, from: "k8juvewcui", to: "a", value: 0,
+        time: new Date(), name: "test", op: "https://example.com/?a=b"
+      });
+
+      expect(out).to.deep.include({ metadata_fields: {} });
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const { expect } = require("chai");
+
+const { seed } = require("../seed");
+const { api } = require("../api");
+
+const schemas = () => require("../../src/schemas");
+const qi = () => require("../../src/database").getSequelize().getQueryInterface();
+const runMigrations = () => require("../../src/migrations").run();
+
+describe("migrations", () => {
+  before(seed);
+
+  describe("address-pubkey", () => {
+    // Drop the column, as on a database created before it was added
+    before(() => qi().removeColumn("addresses", "pubkey"));
+
+    it("should add the column to an existing table", async () => {
+      await runMigrations();
+      expect(await qi().describeTable("addresses")).to.have.property("pubkey");
+    });
+
+    it("should record the migration", async () => {
+      const dbMigration = await schemas().migration.findByPk("address-pubkey");
+      expect(dbMigration).to.be.ok;
+    });
+
+    it("should be safe to run against an up to date table", async () => {
+      await schemas().migration.destroy({ where: { name: "address-pubkey" } });
+      await runMigrations();
+      expect(await qi().describeTable("addresses")).to.have.property("pubkey");
+    });
+
+    it("should look up addresses afterwards", async () => {
+      const res = await api().get("/addresses/k8juvewcui");
+      expect(res).to.be.json;
+      expect(res.body).to.include({ ok: true });
+    });
+  });
+
+  describe("transaction-request-id", () => {
+    before(async () => {
+      await qi().removeIndex("transactions", "transactions_from_request_id");
+      await qi().removeColumn("transactions", "request_id");
+    });
+
+    it("should add the column and its index to an existing table", async () => {
+      await runMigrations();
+      expect(await qi().describeTable("transactions")).to.have.property("request_id");
+
+      const indexes = await qi().showIndex("transactions");
+      expect(indexes.find(i => i.name === "transactions_from_request_id")).to.include({ unique: true });
+    });
+
+    it("should make transactions with an idempotency key afterwards", async () => {
+      const send = () => api()
+        .post("/transactions")
+        .set("Idempotency-Key", "migration-key")
+        .send({ amount: 1, to: "k7oax47quv", privatekey: "d" });
+
+      const res = await send();
+      expect(res).to.be.json;
+      expect(res.body).to.include({ ok: true });
+
+      const retry = await send();
+      expect(retry.body).to.include({ ok: true });
+      expect(retry.body.transaction.id).to.equal(res.body.transaction.id);
+    });
+  });
+
+  describe("transaction-escrow", () => {
+    before(async () => {
+      await qi().removeIndex("transactions", "transactions_escrow_id");
+      await qi().removeColumn("transactions", "escrow_id");
+      await qi().removeColumn("transactions", "escrow_action");
+    });
+
+    it("should add the columns and their index to an existing table", async () => {
+      await runMigrations();
+      expect(await qi().describeTable("transactions")).to.include.all.keys("escrow_id", "escrow_action");
+
+      const indexes = await qi().showIndex("transactions");
+      expect(indexes.map(i => i.name)).to.include("transactions_escrow_id");
+    });
+
+    it("should create escrows afterwards", async () => {
+      const res = await api()
+        .post("/escrow")
+        .send({ privatekey: "d", to: "k7oax47quv", amount: 1 });
+
+      expect(res).to.be.json;
+      expect(res.body).to.include({ ok: true });
+    });
+  });
+
+  describe("transaction-invoice-id", () => {
+    before(async () => {
+      await qi().removeIndex("transactions", "transactions_invoice_id");
+      await qi().removeColumn("transactions", "invoice_id");
+    });
+
+    it("should add the column and its index to an existing table", async () => {
+      await runMigrations();
+      expect(await qi().describeTable("transactions")).to.have.property("invoice_id");
+
+      const indexes = await qi().showIndex("transactions");
+      expect(indexes.map(i => i.name)).to.include("transactions_invoice_id");
+    });
+
+    it("should pay invoices afterwards", async () => {
+      const invoice = await api().post("/invoices").send({ privatekey: "b", to: "k7oax47quv", amount: 1 });
+      expect(invoice.body).to.include({ ok: true });
+
+      const res = await api()
+        .post("/transactions")
+        .send({ privatekey: "d", to: "k7oax47quv", amount: 1, metadata: "invoice=" + invoice.body.invoice.id });
+
+      expect(res).to.be.json;
+      expect(res.body).to.include({ ok: true });
+      expect(res.body.transaction).to.include({ invoice_id: invoice.body.invoice.id });
+    });
+  });
+
+  describe("transaction-op-fulltext", () => {
+    before(() => qi().removeIndex("transactions", "transactions_op_fulltext"));
+
+    it("should add the full-text index to an existing table", async () => {
+      await runMigrations();
+
+      const indexes = await qi().showIndex("transactions");
+      expect(indexes.find(i => i.name === "transactions_op_fulltext")).to.include({ type: "FULLTEXT" });
+    });
+
+    it("should search the metadata afterwards", async () => {
+      const res = await api().get("/search/extended/results/transactions/metadata").query({ q: "invoice" });
+      expect(res).to.be.json;
+      expect(res.body).to.include({ ok: true });
+    });
+  });
+
+  describe("transaction-meta-backfill", () => {
+    let transfer, aRecord;
+
+    // Make transactions without indexing their metadata, as before it was
+    before(async () => {
+      transfer = await schemas().transaction.create({
+        from: "k0duvsr4qn", to: "k7oax47quv", value: 1, time: new Date(), op: "return=k0duvsr4qn;order=7"
+      });
+      aRecord = await schemas().transaction.create({
+        from: "k0duvsr4qn", to: "a", value: 0, time: new Date(), name: "backfill", op: "order=7"
+      });
+      await schemas().migration.destroy({ where: { name: "transaction-meta-backfill" } });
+    });
+
+    const getFields = id => schemas().transactionMeta.findAll({ where: { transaction_id: id } });
+
+    it("should index the metadata of existing transactions", async () => {
+      await runMigrations();
+
+      const fields = await getFields(transfer.id);
+      expect(fields.map(f => [f.key, f.value])).to.have.deep.members([["return", "k0duvsr4qn"], ["order", "7"]]);
+      expect(await getFields(aRecord.id)).to.be.empty;
+    });
+
+    it("should not index them twice", async () => {
+      await schemas().migration.destroy({ where: { name: "transaction-meta-backfill" } });
+      await runMigrations();
+      expect(await getFields(transfer.id)).to.have.lengthOf(2);
+    });
+
+    it("should find them by their metadata fields afterwards", async () => {
+      const res = await api().get("/lookup/transactions").query({ "meta.order": "7" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true, count: 1 });
+      expect(res.body.transactions[0]).to.deep.include({ id: transfer.id });
+    });
+  });
+});
@@ -2,6 +2,7 @@ const { expect } = require("chai");
 
 const { seed } = require("../seed");
 const { api } = require("../api");
+const { generateKey, signedPost } = require("../sign");
 
 describe("v1 routes: addresses", () => {
   before(seed);
@@ -83,6 +84,46 @@ describe("v2 routes: addresses", () => {
     });
   });
 
+  describe("POST /addresses/pubkey", () => {
+    const { privateKey, pubkey } = generateKey();
+
+    it("should error with a missing privatekey", async () => {
+      const res = await api().post("/addresses/pubkey").send({ pubkey });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "missing_parameter", parameter: "privatekey" });
+    });
+
+    it("should error with an invalid pubkey", async () => {
+      const res = await api().post("/addresses/pubkey").send({ privatekey: "a", pubkey: "nothex" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "pubkey" });
+    });
+
+    it("should deny unauthed addresses", async () => {
+      const res = await api().post("/addresses/pubkey").send({ privatekey: "c", pubkey });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "auth_failed" });
+    });
+
+    it("should set a public key", async () => {
+      const res = await api().post("/addresses/pubkey").send({ privatekey: "a", pubkey });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: true, pubkey });
+    });
+
+    it("should remove a public key with a signed request", async () => {
+      const res = await signedPost("/addresses/pubkey", "k8juvewcui", privateKey, { pubkey: "" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: true, pubkey: null });
+    });
+
+    it("should not contain the public key in the address", async () => {
+      const res = await api().get("/addresses/k8juvewcui");
+      expect(res).to.be.json;
+      expect(res.body.address).to.not.include.key("pubkey");
+    });
+  });
+
   // TODO: GET /addresses/rich
 
   describe("GET /addresses/:address", () => {
@@ -121,4 +162,147 @@ describe("v2 routes: addresses", () => {
 
   // TODO: GET /addresses/:address/names
   // TODO: GET /addresses/:address/transactions
+
+  describe("GET /addresses/:address/balance-history", () => {
+    const hour = 60 * 60 * 1000;
+
+    it("should return an error for an invalid interval", async () => {
+      const res = await api().get("/addresses/k7oax47quv/balance-history?interval=year");
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "interval" });
+    });
+
+    it("should return an error for an invalid date", async () => {
+      const res = await api().get("/addresses/k7oax47quv/balance-history?to=notadate");
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "to" });
+    });
+
+    it("should return an error when from is after to", async () => {
+      const res = await api().get("/addresses/k7oax47quv/balance-history")
+        .query({ from: "2020-01-02T00:00:00Z", to: "2020-01-01T00:00:00Z" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "from" });
+    });
+
+    it("should return an error for too many periods", async () => {
+      const res = await api().get("/addresses/k7oax47quv/balance-history")
+        .query({ from: "2000-01-01T00:00:00Z", to: "2020-01-01T00:00:00Z", interval: "hour" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "interval" });
+    });
+
+    it("should return an error for addresses that doesn't exist", async () => {
+      const res = await api().get("/addresses/knotfound0/balance-history");
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "address_not_found" });
+    });
+
+    it("should default to 30 days", async () => {
+      const res = await api().get("/addresses/k7oax47quv/balance-history");
+      expect(res).to.have.status(200);
+      expect(res).to.be.json;
+      expect(res.body).to.include({ ok: true, address: "k7oax47quv", interval: "day" });
+      expect(res.body.history).to.be.an("array").with.lengthOf(30);
+      expect(res.body.history[0]).to.deep.equal({ time: res.body.from, balance: 0, change: 0, transactions: 0 });
+    });
+
+    it("should include new transactions", async () => {
+      await api().post("/transactions").send({ privatekey: "d", to: "k7oax47quv", amount: 100 });
+      await api().post("/transactions").send({ privatekey: "d", to: "k7oax47quv", amount: 50 });
+
+      const now = Date.now();
+      const res = await api().get("/addresses/k7oax47quv/balance-history").query({
+        from: new Date(now - hour).toISOString(),
+        to: new Date(now + hour).toISOString(),
+        interval: "hour"
+      });
+
+      expect(res).to.have.status(200);
+      expect(res).to.be.json;
+      expect(res.body).to.include({ ok: true });
+      expect(res.body.history).to.be.an("array").with.lengthOf(2);
+      expect(res.body.history[1]).to.include({ balance: 150, change: 150, transactions: 2 });
+    });
+  });
+
+  describe("GET /addresses/:address/transactions/export", () => {
+    it("should return an error for an invalid format", async () => {
+      const res = await api().get("/addresses/k7oax47quv/transactions/export?format=xlsx");
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "format" });
+    });
+
+    it("should return an error for an invalid date", async () => {
+      const res = await api().get("/addresses/k7oax47quv/transactions/export?from=notadate");
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "from" });
+    });
+
+    it("should return an error for addresses that doesn't exist", async () => {
+      const res = await api().get("/addresses/knotfound0/transactions/export");
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "address_not_found" });
+    });
+
+    it("should export csv with balances and metadata columns", async () => {
+      await api().post("/transactions")
+        .send({ privatekey: "d", to: "k7oax47quv", amount: 25, metadata: "message=-5, refund;order=12" });
+
+      const res = await api().get("/addresses/k7oax47quv/transactions/export");
+      expect(res).to.have.status(200);
+      expect(res).to.have.header("content-type", /^text\/csv/);
+      expect(res).to.have.header("content-disposition", "attachment; filename=\"k7oax47quv-transactions.csv\"");
+
+      const lines = res.text.trim().split("\r\n");
+      expect(lines).to.have.lengthOf(4);
+      expect(lines[0]).to.equal("id,time,type,from,to,value,balance,name,sent_metaname,sent_name,metadata,meta.message,meta.order");
+      expect(lines[1]).to.match(/,transfer,k0duvsr4qn,k7oax47quv,100,100,,,,,,$/);
+      expect(lines[2]).to.match(/,transfer,k0duvsr4qn,k7oax47quv,50,150,,,,,,$/);
+      expect(lines[3]).to.match(/,transfer,k0duvsr4qn,k7oax47quv,25,175,,,,"message=-5, refund;order=12","'-5, refund",12$/);
+    });
+
+    it("should export ndjson", async () => {
+      const res = await api().get("/addresses/k7oax47quv/transactions/export?format=ndjson").buffer(true);
+      expect(res).to.have.status(200);
+      expect(res).to.have.header("content-type", /^application\/x-ndjson/);
+
+      const transactions = res.text.trim().split("\n").map(line => JSON.parse(line));
+      expect(transactions).to.have.lengthOf(3);
+      expect(transactions.map(t => t.balance)).to.deep.equal([100, 150, 175]);
+      expect(transactions[2]).to.include({ from: "k0duvsr4qn", to: "k7oax47quv", value: 25, type: "transfer" });
+      expect(transactions[2].metadata_fields).to.deep.equal({ message: "-5, refund", order: "12" });
+    });
+
+    it("should export ofx", async () => {
+      const res = await api().get("/addresses/k0duvsr4qn/transactions/export?format=ofx").buffer(true);
+      expect(res).to.have.status(200);
+      expect(res).to.have.header("content-type", /^application\/x-ofx/);
+      expect(res.text).to.include("<ACCTID>k0duvsr4qn</ACCTID>");
+      expect(res.text.match(/<STMTTRN>/g)).to.have.lengthOf(3);
+      expect(res.text).to.include("<TRNTYPE>DEBIT</TRNTYPE>");
+      expect(res.text).to.include("<TRNAMT>-25</TRNAMT>");
+      expect(res.text).to.include("<BALAMT>-175</BALAMT>");
+    });
+
+    it("should guard against formulas starting with a tab or carriage return", async () => {
+      const schemas = require("../../src/schemas");
+      await schemas.transaction.bulkCreate([
+        { from: "k8juvewcui", to: "kwsgj3x184", value: 1, op: "\tSUM(A1)", time: new Date() },
+        { from: "k8juvewcui", to: "kwsgj3x184", value: 1, op: "\rSUM(A1)", time: new Date() }
+      ]);
+
+      const res = await api().get("/addresses/kwsgj3x184/transactions/export");
+      expect(res).to.have.status(200);
+      expect(res.text).to.include(",'\tSUM(A1)\r\n");
+      expect(res.text).to.include(",\"'\rSUM(A1)\"\r\n");
+    });
+
+    it("should only export transactions in the time range", async () => {
+      const res = await api().get("/addresses/k7oax47quv/transactions/export")
+        .query({ to: "2020-01-01T00:00:00Z" });
+      expect(res).to.have.status(200);
+      expect(res.text.trim().split("\r\n")).to.have.lengthOf(1);
+    });
+  });
 });
@@ -0,0 +1,181 @@
+const { expect } = require("chai");
+
+const { seed } = require("../seed");
+const { api } = require("../api");
+
+const getBalance = async address => {
+  const schemas = require("../../src/schemas");
+  return (await schemas.address.findOne({ where: { address }})).balance;
+};
+
+const getLastTransaction = () => {
+  const schemas = require("../../src/schemas");
+  return schemas.transaction.findOne({ order: [["id", "DESC"]] });
+};
+
+describe("v2 routes: escrow", () => {
+  before(seed);
+
+  describe("POST /escrow - validation", () => {
+    it("should error with a missing privatekey", async () => {
+      const res = await api().post("/escrow").send({ to: "k7oax47quv", amount: 1 });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "missing_parameter", parameter: "privatekey" });
+    });
+
+    it("should error with an invalid 'to'", async () => {
+      const list = ["kfartoolong", "test.kst", "k8juvewcui"];
+      for (const to of list) {
+        const res = await api().post("/escrow").send({ privatekey: "a", to, amount: 1 });
+        expect(res).to.be.json;
+        expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "to" });
+      }
+    });
+
+    it("should error with an invalid 'arbiter'", async () => {
+      const list = ["kfartoolong", "k7oax47quv", "k8juvewcui"];
+      for (const arbiter of list) {
+        const res = await api().post("/escrow").send({ privatekey: "a", to: "k7oax47quv", amount: 1, arbiter });
+        expect(res).to.be.json;
+        expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "arbiter" });
+      }
+    });
+
+    it("should error with a 'deadline' in the past", async () => {
+      const res = await api().post("/escrow").send({ privatekey: "a", to: "k7oax47quv", amount: 1, deadline: "2020-01-01T00:00:00Z" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "deadline" });
+    });
+
+    it("should error with insufficient funds", async () => {
+      const res = await api().post("/escrow").send({ privatekey: "a", to: "k7oax47quv", amount: 11 });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "insufficient_funds" });
+    });
+  });
+
+  describe("POST /escrow", () => {
+    it("should create an escrow", async () => {
+      const res = await api().post("/escrow").send({ privatekey: "a", to: "k7oax47quv", amount: 5, arbiter: "k0duvsr4qn", metadata: "Trade" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true });
+      expect(res.body.escrow).to.deep.include({
+        id: 1, sender: "k8juvewcui", recipient: "k7oax47quv", arbiter: "k0duvsr4qn",
+        amount: 5, metadata: "Trade", status: "pending", deadline: null, resolved: null, resolved_by: null
+      });
+    });
+
+    it("should have locked the funds", async () => {
+      expect(await getBalance("k8juvewcui")).to.equal(5);
+
+      const tx = await getLastTransaction();
+      expect(tx).to.deep.include({ from: "k8juvewcui", to: "escrow", value: 5, escrow_id: 1, escrow_action: "lock" });
+    });
+
+    it("should have the escrow_lock type", async () => {
+      const tx = await getLastTransaction();
+      const res = await api().get("/transactions/" + tx.id);
+      expect(res).to.be.json;
+      expect(res.body.transaction).to.deep.include({ from: "k8juvewcui", to: "escrow", escrow_id: 1, type: "escrow_lock" });
+    });
+  });
+
+  describe("GET /escrow/:id", () => {
+    it("should get an escrow", async () => {
+      const res = await api().get("/escrow/1");
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true });
+      expect(res.body.escrow).to.deep.include({ id: 1, status: "pending" });
+    });
+
+    it("should error for an escrow that doesn't exist", async () => {
+      const res = await api().get("/escrow/100");
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "escrow_not_found" });
+    });
+  });
+
+  describe("POST /escrow/:id/release", () => {
+    it("should not allow the recipient to release", async () => {
+      const res = await api().post("/escrow/1/release").send({ privatekey: "b" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "not_escrow_party" });
+    });
+
+    it("should allow the arbiter to release", async () => {
+      const res = await api().post("/escrow/1/release").send({ privatekey: "d" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true });
+      expect(res.body.escrow).to.deep.include({ id: 1, status: "released", resolved_by: "k0duvsr4qn" });
+    });
+
+    it("should have paid the recipient", async () => {
+      expect(await getBalance("k7oax47quv")).to.equal(5);
+
+      const tx = await getLastTransaction();
+      expect(tx).to.deep.include({ from: "escrow", to: "k7oax47quv", value: 5, escrow_id: 1, escrow_action: "release" });
+    });
+
+    it("should not release an escrow twice", async () => {
+      const res = await api().post("/escrow/1/release").send({ privatekey: "a" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "escrow_resolved" });
+    });
+  });
+
+  describe("POST /escrow/:id/refund", () => {
+    it("should create another escrow", async () => {
+      const res = await api().post("/escrow").send({ privatekey: "a", to: "k7oax47quv", amount: 2, deadline: new Date(Date.now() + 3600000) });
+      expect(res).to.be.json;
+      expect(res.body.escrow).to.deep.include({ id: 2, status: "pending" });
+      expect(await getBalance("k8juvewcui")).to.equal(3);
+    });
+
+    it("should not allow the sender to refund before the deadline", async () => {
+      const res = await api().post("/escrow/2/refund").send({ privatekey: "a" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "not_escrow_party" });
+    });
+
+    it("should allow the recipient to refund", async () => {
+      const res = await api().post("/escrow/2/refund").send({ privatekey: "b" });
+      expect(res).to.be.json;
+      expect(res.body.escrow).to.deep.include({ id: 2, status: "refunded", resolved_by: "k7oax47quv" });
+      expect(await getBalance("k8juvewcui")).to.equal(5);
+
+      const tx = await getLastTransaction();
+      expect(tx).to.deep.include({ from: "escrow", to: "k8juvewcui", value: 2, escrow_id: 2, escrow_action: "refund" });
+    });
+  });
+
+  describe("expired escrows", () => {
+    it("should refund escrows after their deadline", async () => {
+      const res = await api().post("/escrow").send({ privatekey: "a", to: "k7oax47quv", amount: 1, deadline: new Date(Date.now() + 3600000) });
+      expect(res.body.escrow).to.deep.include({ id: 3, status: "pending" });
+
+      const schemas = require("../../src/schemas");
+      await schemas.escrow.update({ deadline: new Date(Date.now() - 1000) }, { where: { id: 3 }});
+      await require("../../src/escrow").refundExpired();
+
+      const escrow = await schemas.escrow.findByPk(3);
+      expect(escrow).to.deep.include({ status: "refunded", resolved_by: null });
+      expect(await getBalance("k8juvewcui")).to.equal(5);
+    });
+  });
+
+  describe("GET /addresses/:address/escrow", () => {
+    it("should list an address's escrows", async () => {
+      const res = await api().get("/addresses/k0duvsr4qn/escrow");
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true, count: 1, total: 1 });
+      expect(res.body.escrows[0]).to.deep.include({ id: 1 });
+    });
+
+    it("should list escrows newest first", async () => {
+      const res = await api().get("/addresses/k7oax47quv/escrow");
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true, count: 3, total: 3 });
+      expect(res.body.escrows.map(e => e.id)).to.deep.equal([3, 2, 1]);
+    });
+  });
+});
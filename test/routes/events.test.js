@@ -0,0 +1,138 @@
+const { expect } = require("chai");
+const http = require("http");
+
+const { seed } = require("../seed");
+const { api } = require("../api");
+
+/** Opens an event stream and collects every SSE event received. */
+function connect(query, headers) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ host: "localhost", port: 8080, path: "/events" + (query || ""), headers }, res => {
+      const stream = { res, events: [], close: () => req.destroy() };
+
+      let buffer = "";
+      res.setEncoding("utf8");
+      res.on("data", chunk => {
+        buffer += chunk;
+
+        let end;
+        while ((end = buffer.indexOf("\n\n")) !== -1) {
+          const event = {};
+          for (const line of buffer.slice(0, end).split("\n")) {
+            const sep = line.indexOf(": ");
+            event[line.slice(0, sep)] = line.slice(sep + 2);
+          }
+          if (event.data) event.data = JSON.parse(event.data);
+
+          stream.events.push(event);
+          buffer = buffer.slice(end + 2);
+        }
+      });
+
+      resolve(stream);
+    });
+    req.on("error", reject);
+  });
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+const getLastEventID = () => require("../../src/websockets").getLastEventID();
+
+describe("events", function() {
+  before(seed);
+  this.retries(4);
+
+  describe("GET /events - validation", () => {
+    it("should error with an invalid 'subscribe'", async () => {
+      const res = await api().get("/events").query({ subscribe: "blocks,ownTransactions" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: false, error: "invalid_parameter", parameter: "subscribe" });
+    });
+
+    it("should error with an invalid 'address'", async () => {
+      const res = await api().get("/events").query({ address: "kfartoolong" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: false, error: "invalid_parameter", parameter: "address" });
+    });
+
+    it("should error with an invalid 'last_event_id'", async () => {
+      const res = await api().get("/events").query({ last_event_id: "-1" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: false, error: "invalid_parameter", parameter: "last_event_id" });
+    });
+
+    it("should error with a filter on a subscription without transactions", async () => {
+      const res = await api().get("/events?subscribe=blocks&filter[min_value]=10");
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: false, error: "invalid_parameter", parameter: "filter" });
+    });
+  });
+
+  describe("GET /events", () => {
+    it("should send a hello event", async () => {
+      const stream = await connect();
+      await wait(100);
+
+      expect(stream.res.headers["content-type"]).to.match(/^text\/event-stream/);
+      expect(stream.events[0]).to.deep.include({ event: "hello" });
+      expect(stream.events[0].data).to.deep.include({ ok: true, type: "hello", last_event_id: await getLastEventID() });
+      stream.close();
+    });
+
+    it("should send subscribed events with their ID", async () => {
+      const stream = await connect("?subscribe=transactions");
+      await wait(100);
+
+      await api().post("/transactions").send({ privatekey: "d", to: "k7oax47quv", amount: 1 });
+      await wait(100);
+
+      const events = stream.events.filter(e => e.event === "transaction");
+      expect(events).to.have.lengthOf(1);
+      expect(events[0].id).to.equal(String(await getLastEventID()));
+      expect(events[0].data.transaction).to.deep.include({ from: "k0duvsr4qn", to: "k7oax47quv", value: 1 });
+      stream.close();
+    });
+
+    it("should only send events for the subscribed address", async () => {
+      const stream = await connect("?address=k8juvewcui");
+      await wait(100);
+
+      await api().post("/transactions").send({ privatekey: "d", to: "k7oax47quv", amount: 1 });
+      await api().post("/transactions").send({ privatekey: "d", to: "k8juvewcui", amount: 1 });
+      await wait(100);
+
+      const events = stream.events.filter(e => e.event === "transaction");
+      expect(events).to.have.lengthOf(1);
+      expect(events[0].data.transaction).to.deep.include({ to: "k8juvewcui" });
+      stream.close();
+    });
+
+    it("should filter transactions", async () => {
+      const stream = await connect("?subscribe=transactions&filter[min_value]=5");
+      await wait(100);
+
+      await api().post("/transactions").send({ privatekey: "d", to: "k7oax47quv", amount: 1 });
+      await api().post("/transactions").send({ privatekey: "d", to: "k7oax47quv", amount: 5 });
+      await wait(100);
+
+      const events = stream.events.filter(e => e.event === "transaction");
+      expect(events).to.have.lengthOf(1);
+      expect(events[0].data.transaction).to.deep.include({ value: 5 });
+      stream.close();
+    });
+
+    it("should resume from the Last-Event-ID header", async () => {
+      const lastEventID = await getLastEventID();
+      await api().post("/transactions").send({ privatekey: "d", to: "k7oax47quv", amount: 1 });
+      await api().post("/transactions").send({ privatekey: "d", to: "k7oax47quv", amount: 2 });
+
+      const stream = await connect("?subscribe=transactions", { "Last-Event-ID": String(lastEventID) });
+      await wait(100);
+
+      expect(stream.events.map(e => e.event)).to.deep.equal(["hello", "transaction", "transaction", "resumed"]);
+      expect(stream.events.slice(1, 3).map(e => e.data.transaction.value)).to.deep.equal([1, 2]);
+      expect(stream.events[3].data).to.deep.include({ replayed: 2, complete: true, last_event_id: lastEventID + 2 });
+      stream.close();
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+
+const { seed } = require("../seed");
+const { api } = require("../api");
+
+const pay = (to, amount, metadata) =>
+  api().post("/transactions").send({ privatekey: "d", to, amount, metadata });
+
+describe("v2 routes: invoices", () => {
+  before(seed);
+
+  describe("POST /invoices - validation", () => {
+    it("should error with a missing privatekey", async () => {
+      const res = await api().post("/invoices").send({ to: "k7oax47quv", amount: 1 });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "missing_parameter", parameter: "privatekey" });
+    });
+
+    it("should error with an invalid 'to'", async () => {
+      const list = ["kfartoolong", "notaname.com", "k8juvewcui"];
+      for (const to of list) {
+        const res = await api().post("/invoices").send({ privatekey: "b", to, amount: 1 });
+        expect(res).to.be.json;
+        expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "to" });
+      }
+    });
+
+    it("should error with an invalid 'amount'", async () => {
+      const res = await api().post("/invoices").send({ privatekey: "b", to: "k7oax47quv", amount: -1 });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "amount" });
+    });
+
+    it("should error with an 'expires' in the past", async () => {
+      const res = await api().post("/invoices").send({ privatekey: "b", to: "k7oax47quv", amount: 1, expires: "2020-01-01T00:00:00Z" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "expires" });
+    });
+
+    it("should error for a name that doesn't exist", async () => {
+      const res = await api().post("/invoices").send({ privatekey: "b", to: "shop.kst", amount: 1 });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "name_not_found" });
+    });
+
+    it("should error for a name owned by someone else", async () => {
+      const schemas = require("../../src/schemas");
+      await schemas.name.create({ name: "shop", owner: "k8juvewcui", registered: new Date(), unpaid: 0 });
+
+      const res = await api().post("/invoices").send({ privatekey: "b", to: "shop.kst", amount: 1 });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "not_name_owner" });
+    });
+  });
+
+  describe("address invoices", () => {
+    let id;
+
+    it("should create an invoice", async () => {
+      const res = await api().post("/invoices").send({ privatekey: "b", to: "k7oax47quv", amount: 10, label: "Diamonds" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true });
+      expect(res.body.invoice.id).to.match(/^[a-f0-9]{16}$/);
+      expect(res.body.invoice).to.deep.include({
+        owner: "k7oax47quv", to: "k7oax47quv", amount: 10, paid: 0, remaining: 10, overpaid: 0,
+        label: "Diamonds", status: "pending", expires: null, paid_at: null
+      });
+      expect(res.body.invoice.metadata).to.equal("invoice=" + res.body.invoice.id);
+
+      id = res.body.invoice.id;
+    });
+
+    it("should be underpaid after a partial payment", async () => {
+      const tx = await pay("k7oax47quv", 4, "invoice=" + id);
+      expect(tx.body.transaction).to.deep.include({ invoice_id: id });
+
+      const res = await api().get("/invoices/" + id);
+      expect(res).to.be.json;
+      expect(res.body.invoice).to.deep.include({ paid: 4, remaining: 6, status: "underpaid", paid_at: null });
+      expect(res.body.payments).to.have.lengthOf(1);
+    });
+
+    it("should ignore payments sent elsewhere", async () => {
+      await pay("k8juvewcui", 6, "invoice=" + id);
+
+      const res = await api().get("/invoices/" + id);
+      expect(res.body.invoice).to.deep.include({ paid: 4, status: "underpaid" });
+    });
+
+    it("should be paid after the rest is paid", async () => {
+      await pay("k7oax47quv", 6, "Thanks;invoice=" + id);
+
+      const res = await api().get("/invoices/" + id);
+      expect(res.body.invoice).to.deep.include({ paid: 10, remaining: 0, status: "paid" });
+      expect(res.body.invoice.paid_at).to.be.a("string");
+      expect(res.body.payments.map(t => t.value)).to.deep.equal([4, 6]);
+    });
+
+    it("should be overpaid after paying too much", async () => {
+      await pay("k7oax47quv", 3, "invoice=" + id);
+
+      const res = await api().get("/invoices/" + id);
+      expect(res.body.invoice).to.deep.include({ paid: 13, remaining: 0, overpaid: 3, status: "overpaid" });
+    });
+  });
+
+  describe("name invoices", () => {
+    it("should count payments to the name", async () => {
+      const schemas = require("../../src/schemas");
+      await schemas.name.update({ owner: "k7oax47quv" }, { where: { name: "shop" }});
+
+      const create = await api().post("/invoices").send({ privatekey: "b", to: "orders@shop.kst", amount: 5 });
+      expect(create.body.invoice).to.deep.include({ owner: "k7oax47quv", to: "orders@shop.kst" });
+      const id = create.body.invoice.id;
+
+      // Paying the name without the metaname doesn't count
+      await pay("shop.kst", 5, "invoice=" + id);
+      await pay("orders@shop.kst", 5, "invoice=" + id);
+
+      const res = await api().get("/invoices/" + id);
+      expect(res.body.invoice).to.deep.include({ paid: 5, status: "paid" });
+      expect(res.body.payments).to.have.lengthOf(1);
+    });
+  });
+
+  describe("expired invoices", () => {
+    it("should expire unpaid invoices", async () => {
+      const create = await api().post("/invoices").send({ privatekey: "b", to: "k7oax47quv", amount: 5, expires: new Date(Date.now() + 3600000) });
+      const id = create.body.invoice.id;
+
+      const schemas = require("../../src/schemas");
+      await schemas.invoice.update({ expires: new Date(Date.now() - 1000) }, { where: { id }});
+      await require("../../src/invoices").expireDue();
+
+      await pay("k7oax47quv", 5, "invoice=" + id);
+
+      const res = await api().get("/invoices/" + id);
+      expect(res.body.invoice).to.deep.include({ paid: 0, status: "expired" });
+    });
+  });
+
+  describe("GET /invoices/:id", () => {
+    it("should error for an invoice that doesn't exist", async () => {
+      const res = await api().get("/invoices/0123456789abcdef");
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invoice_not_found" });
+    });
+  });
+});
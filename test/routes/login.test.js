@@ -2,6 +2,7 @@ const { expect } = require("chai");
 
 const { seed } = require("../seed");
 const { api } = require("../api");
+const { generateKey, signHeaders, signedPost } = require("../sign");
 
 describe("v2 routes: login", () => {
   before(seed);
@@ -36,5 +37,65 @@ describe("v2 routes: login", () => {
       expect(res).to.be.json;
       expect(res.body).to.deep.include({ ok: true, authed: true, address: "k8juvewcui" });
     });
+
+    it("should error with a signed request from an address without a public key", async () => {
+      const { privateKey } = generateKey();
+      const res = await signedPost("/login", "k7oax47quv", privateKey);
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: true, authed: false });
+    });
+  });
+
+  describe("POST /login - signed", () => {
+    const { privateKey, pubkey } = generateKey();
+
+    it("should register a public key", async () => {
+      const res = await api().post("/addresses/pubkey").send({ privatekey: "a", pubkey });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: true, pubkey });
+    });
+
+    it("should auth with a signed request", async () => {
+      const res = await signedPost("/login", "k8juvewcui", privateKey);
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true, authed: true, address: "k8juvewcui" });
+    });
+
+    it("should reject a replayed request", async () => {
+      const rawBody = JSON.stringify({});
+      const headers = signHeaders("POST", "/login", "k8juvewcui", privateKey, rawBody);
+
+      const send = () => api().post("/login").set(headers).set("Content-Type", "application/json").send(rawBody);
+
+      const first = await send();
+      expect(first.body).to.deep.include({ ok: true, authed: true });
+
+      const second = await send();
+      expect(second.body).to.deep.equal({ ok: true, authed: false });
+    });
+
+    it("should reject a stale request", async () => {
+      const timestamp = (Date.now() - 5 * 60 * 1000).toString();
+      const res = await signedPost("/login", "k8juvewcui", privateKey, {}, { timestamp });
+      expect(res.body).to.deep.equal({ ok: true, authed: false });
+    });
+
+    it("should reject a signature from the wrong key", async () => {
+      const { privateKey: otherKey } = generateKey();
+      const res = await signedPost("/login", "k8juvewcui", otherKey);
+      expect(res.body).to.deep.equal({ ok: true, authed: false });
+    });
+
+    it("should reject a tampered body", async () => {
+      const rawBody = JSON.stringify({});
+      const headers = signHeaders("POST", "/login", "k8juvewcui", privateKey, rawBody);
+
+      const res = await api()
+        .post("/login")
+        .set(headers)
+        .set("Content-Type", "application/json")
+        .send(JSON.stringify({ tampered: true }));
+      expect(res.body).to.deep.equal({ ok: true, authed: false });
+    });
   });
 });
@@ -203,4 +203,193 @@ describe("v2 routes: lookup api", () => {
       });
     });
   });
+
+  describe("GET /search/extended/results/transactions/metadata", () => {
+    async function search(query) {
+      const res = await api().get("/search/extended/results/transactions/metadata").query(query);
+      expect(res).to.be.json;
+      return res.body;
+    }
+
+    it("should search for a word", async () => {
+      const body = await search({ q: "test" });
+      expect(body).to.deep.include({ ok: true, count: 6, total: 6, next_cursor: null });
+    });
+
+    it("should search for a prefix", async () => {
+      const body = await search({ q: "tes*" });
+      expect(body).to.deep.include({ ok: true, count: 6, total: 6 });
+    });
+
+    it("should search for a phrase", async () => {
+      const body = await search({ q: "\"hello world\"" });
+      expect(body).to.deep.include({ ok: true, count: 3, total: 3 });
+      for (const tx of body.transactions) expect(tx.metadata).to.include("Hello, world!");
+    });
+
+    it("should require every word to match", async () => {
+      const body = await search({ q: "world test" });
+      expect(body).to.deep.include({ ok: true, count: 2, total: 2 });
+    });
+
+    it("should ignore words that aren't indexed", async () => {
+      const body = await search({ q: "the world" });
+      expect(body).to.deep.include({ ok: true, count: 3, total: 3 });
+    });
+
+    it("should match a query without indexed words as a substring", async () => {
+      const body = await search({ q: "o, w" });
+      expect(body).to.deep.include({ ok: true, count: 3, total: 3 });
+      for (const tx of body.transactions) expect(tx.metadata).to.include("o, w");
+
+      expect(await search({ q: "a b c" })).to.deep.include({ ok: true, count: 0, total: 0 });
+    });
+
+    it("should limit the results", async () => {
+      const body = await search({ q: "test", limit: 2 });
+      expect(body).to.deep.include({ ok: true, count: 2, total: 6 });
+    });
+
+    it("should error with a cursor when ordering by relevance", async () => {
+      const first = await search({ q: "test", orderBy: "id", limit: 1 });
+      const body = await search({ q: "test", cursor: first.next_cursor });
+      expect(body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "cursor" });
+    });
+  });
+
+  describe("cursor pagination", () => {
+    async function getAllPages(path, query) {
+      const ids = [];
+      let cursor;
+      do {
+        const res = await api().get(path).query({ ...query, cursor });
+        expect(res).to.be.json;
+        expect(res.body).to.deep.include({ ok: true });
+        expect(res.body.transactions.length).to.be.at.most(query.limit);
+
+        ids.push(...res.body.transactions.map(tx => tx.id));
+        cursor = res.body.next_cursor;
+      } while (cursor);
+      return ids;
+    }
+
+    it("should return a null next_cursor on the last page", async () => {
+      const res = await api().get("/lookup/transactions").query({ limit: 1000 });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true, next_cursor: null });
+    });
+
+    it("should page through transactions with a cursor", async () => {
+      const res = await api().get("/lookup/transactions").query({ limit: 1000, includeMined: "" });
+      const expected = res.body.transactions.map(tx => tx.id);
+      expect(expected).to.have.length.above(3);
+
+      const ids = await getAllPages("/lookup/transactions", { limit: 3, includeMined: "" });
+      expect(ids).to.deep.equal(expected);
+    });
+
+    it("should only count the total on the first page", async () => {
+      const first = await api().get("/lookup/transactions").query({ limit: 1, includeMined: "" });
+      expect(first.body.total).to.be.a("number").above(1);
+
+      const second = await api().get("/lookup/transactions").query({ limit: 1, includeMined: "", cursor: first.body.next_cursor });
+      expect(second.body).to.deep.include({ ok: true, count: 1, total: null });
+    });
+
+    it("should page through transactions ordered by a non-unique field", async () => {
+      const query = { orderBy: "value", order: "DESC", includeMined: "" };
+      const res = await api().get("/lookup/transactions").query({ ...query, limit: 1000 });
+      const expected = res.body.transactions.map(tx => tx.id);
+
+      const ids = await getAllPages("/lookup/transactions", { ...query, limit: 2 });
+      expect(ids).to.have.members(expected);
+      expect(new Set(ids).size).to.equal(ids.length);
+    });
+
+    it("should not skip or repeat rows when new transactions arrive", async () => {
+      const all = await api().get("/transactions/latest").query({ limit: 3 });
+      const expected = all.body.transactions.map(tx => tx.id);
+
+      const first = await api().get("/transactions/latest").query({ limit: 2 });
+      expect(first.body.next_cursor).to.be.a("string");
+
+      // With an offset, this would push the last row of the first page onto
+      // the second page
+      const schemas = require("../../src/schemas");
+      await schemas.transaction.create({ from: "k8juvewcui", to: "k7oax47quv", value: 1, time: new Date() });
+
+      const second = await api().get("/transactions/latest").query({ limit: 1, cursor: first.body.next_cursor });
+      expect(second.body).to.deep.include({ ok: true });
+      expect(second.body.transactions[0].id).to.equal(expected[2]);
+    });
+
+    it("should page through extended search results", async () => {
+      const query = { q: "test", orderBy: "id" };
+      const res = await api().get("/search/extended/results/transactions/metadata").query({ ...query, limit: 1000 });
+      const expected = res.body.transactions.map(tx => tx.id);
+
+      const ids = await getAllPages("/search/extended/results/transactions/metadata", { ...query, limit: 4 });
+      expect(ids).to.deep.equal(expected);
+    });
+
+    it("should error with an invalid cursor", async () => {
+      const res = await api().get("/lookup/transactions").query({ cursor: "invalid" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "cursor" });
+    });
+
+    it("should error with a cursor for a different order", async () => {
+      const first = await api().get("/lookup/transactions").query({ limit: 1 });
+      const res = await api().get("/lookup/transactions").query({ order: "DESC", cursor: first.body.next_cursor });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "cursor" });
+    });
+  });
+
+  describe("GET /lookup/transactions - metadata fields", () => {
+    it("should index the metadata of new transactions", async () => {
+      const res = await api()
+        .post("/transactions")
+        .send({ to: "k7oax47quv", amount: 1, privatekey: "d", metadata: "test.kst;return=k0duvsr4qn;order=42" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true });
+      expect(res.body.transaction).to.deep.include({
+        metadata_fields: { return: "k0duvsr4qn", order: "42" }
+      });
+
+      await api().post("/transactions").send({ to: "k7oax47quv", amount: 1, privatekey: "d", metadata: "return=k0duvsr4qn;order=43" });
+    });
+
+    it("should filter transactions by a metadata field", async () => {
+      const res = await api().get("/lookup/transactions").query({ "meta.return": "k0duvsr4qn" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true, count: 2, total: 2 });
+    });
+
+    it("should filter transactions by multiple metadata fields", async () => {
+      const res = await api().get("/lookup/transactions").query({ "meta.return": "k0duvsr4qn", "meta.order": "42" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true, count: 1 });
+      expect(res.body.transactions[0]).to.deep.include({ metadata: "test.kst;return=k0duvsr4qn;order=42" });
+    });
+
+    it("should return nothing when a field doesn't match", async () => {
+      const res = await api().get("/lookup/transactions").query({ "meta.return": "k0duvsr4qn", "meta.order": "44" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true, count: 0, total: 0 });
+    });
+
+    it("should error with an invalid metadata field", async () => {
+      const res = await api().get("/lookup/transactions").query({ "meta.return": "a;b" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "meta.return" });
+    });
+
+    it("should error with too many metadata fields", async () => {
+      const query = Object.fromEntries([...Array(9).keys()].map(i => ["meta.k" + i, "v"]));
+      const res = await api().get("/lookup/transactions").query(query);
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "meta" });
+    });
+  });
 });
@@ -0,0 +1,234 @@
+const { expect } = require("chai");
+
+const { seed } = require("../seed");
+const { api } = require("../api");
+
+const getBalance = async address => {
+  const schemas = require("../../src/schemas");
+  return (await schemas.address.findOne({ where: { address }})).balance;
+};
+
+describe("v2 routes: multisig", () => {
+  before(seed);
+
+  const members = ["k8juvewcui", "k7oax47quv", "k0duvsr4qn"];
+  let address;
+
+  describe("POST /multisig - validation", () => {
+    it("should error with a missing privatekey", async () => {
+      const res = await api().post("/multisig").send({ members, threshold: 2 });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "missing_parameter", parameter: "privatekey" });
+    });
+
+    it("should error with invalid 'members'", async () => {
+      const list = ["k8juvewcui", ["k8juvewcui"], ["k8juvewcui", "k8juvewcui"], ["k8juvewcui", "kfartoolong"], ["k7oax47quv", "k0duvsr4qn"]];
+      for (const invalid of list) {
+        const res = await api().post("/multisig").send({ privatekey: "a", members: invalid, threshold: 1 });
+        expect(res).to.be.json;
+        expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "members" });
+      }
+    });
+
+    it("should error with an invalid 'threshold'", async () => {
+      const thresholds = ["a", -1, 4];
+      for (const threshold of thresholds) {
+        const res = await api().post("/multisig").send({ privatekey: "a", members, threshold });
+        expect(res).to.be.json;
+        expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "threshold" });
+      }
+    });
+  });
+
+  describe("POST /multisig", () => {
+    it("should create a multisig", async () => {
+      const res = await api().post("/multisig").send({ privatekey: "a", members, threshold: 2, label: "Treasury" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true });
+      expect(res.body.multisig).to.deep.include({
+        threshold: 2, members: ["k0duvsr4qn", "k7oax47quv", "k8juvewcui"], label: "Treasury", created_by: "k8juvewcui"
+      });
+      expect(res.body.multisig.address).to.match(/^k[a-z0-9]{9}$/);
+
+      address = res.body.multisig.address;
+    });
+
+    it("should not be possible to log in to the multisig's address", async () => {
+      const schemas = require("../../src/schemas");
+      const dbAddress = await schemas.address.findOne({ where: { address }});
+      expect(dbAddress).to.deep.include({ balance: 0, locked: true });
+    });
+
+    it("should get the multisig", async () => {
+      const res = await api().get("/multisig/" + address);
+      expect(res).to.be.json;
+      expect(res.body.multisig).to.deep.include({ address, threshold: 2 });
+    });
+
+    it("should list an address's multisigs", async () => {
+      const res = await api().get("/addresses/k7oax47quv/multisig");
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true, count: 1, total: 1 });
+      expect(res.body.multisigs[0]).to.deep.include({ address });
+    });
+
+    it("should error for a multisig that doesn't exist", async () => {
+      const res = await api().get("/multisig/k7oax47quv");
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "multisig_not_found" });
+    });
+  });
+
+  describe("proposals", () => {
+    before(async () => {
+      await api().post("/transactions").send({ privatekey: "d", to: address, amount: 100 });
+    });
+
+    it("should not allow non-members to propose", async () => {
+      const res = await api().post("/multisig/" + address + "/proposals").send({ privatekey: "e", to: "kwsgj3x184", amount: 30 });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "not_multisig_member" });
+    });
+
+    it("should not allow proposals to the multisig itself", async () => {
+      const res = await api().post("/multisig/" + address + "/proposals").send({ privatekey: "a", to: address, amount: 30 });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "to" });
+    });
+
+    it("should create a proposal with the proposer's approval", async () => {
+      const res = await api().post("/multisig/" + address + "/proposals").send({ privatekey: "a", to: "kwsgj3x184", amount: 30, metadata: "Rent" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true });
+      expect(res.body.proposal).to.deep.include({
+        id: 1, multisig: address, proposer: "k8juvewcui", to: "kwsgj3x184", amount: 30, metadata: "Rent",
+        status: "pending", executed: null, transaction_id: null
+      });
+      expect(res.body.proposal.approvals.map(a => a.member)).to.deep.equal(["k8juvewcui"]);
+    });
+
+    it("should not allow approving twice", async () => {
+      const res = await api().post("/multisig/proposals/1/approve").send({ privatekey: "a" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "already_approved" });
+    });
+
+    it("should not allow non-members to approve", async () => {
+      const res = await api().post("/multisig/proposals/1/approve").send({ privatekey: "e" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "not_multisig_member" });
+    });
+
+    it("should not have made the transfer yet", async () => {
+      expect(await getBalance(address)).to.equal(100);
+    });
+
+    it("should execute the proposal once the threshold is met", async () => {
+      const res = await api().post("/multisig/proposals/1/approve").send({ privatekey: "b" });
+      expect(res).to.be.json;
+      expect(res.body.proposal).to.deep.include({ id: 1, status: "executed" });
+      expect(res.body.proposal.approvals.map(a => a.member)).to.deep.equal(["k8juvewcui", "k7oax47quv"]);
+      expect(res.body.proposal.transaction_id).to.be.a("number");
+
+      expect(await getBalance(address)).to.equal(70);
+      expect(await getBalance("kwsgj3x184")).to.equal(30);
+
+      const tx = await api().get("/transactions/" + res.body.proposal.transaction_id);
+      expect(tx.body.transaction).to.deep.include({ from: address, to: "kwsgj3x184", value: 30, metadata: "Rent" });
+    });
+
+    it("should not allow approving an executed proposal", async () => {
+      const res = await api().post("/multisig/proposals/1/approve").send({ privatekey: "d" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "proposal_executed" });
+    });
+
+    it("should not record approvals the multisig can't afford", async () => {
+      const create = await api().post("/multisig/" + address + "/proposals").send({ privatekey: "a", to: "kwsgj3x184", amount: 1000 });
+      expect(create.body.proposal).to.deep.include({ id: 2, status: "pending" });
+
+      const res = await api().post("/multisig/proposals/2/approve").send({ privatekey: "b" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "insufficient_funds" });
+
+      const get = await api().get("/multisig/proposals/2");
+      expect(get.body.proposal.approvals).to.have.lengthOf(1);
+    });
+
+    it("should list the multisig's proposals", async () => {
+      const res = await api().get("/multisig/" + address + "/proposals?status=pending");
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true, count: 1, total: 1 });
+      expect(res.body.proposals[0]).to.deep.include({ id: 2 });
+    });
+
+    it("should error for a proposal that doesn't exist", async () => {
+      const res = await api().get("/multisig/proposals/100");
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "proposal_not_found" });
+    });
+  });
+
+  describe("proposals with API tokens", () => {
+    const createToken = async scopes =>
+      (await api().post("/tokens").send({ privatekey: "a", scopes })).body.secret;
+
+    it("should not allow approve-only tokens to propose", async () => {
+      const token = await createToken("multisig:approve");
+      const res = await api()
+        .post("/multisig/" + address + "/proposals")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ to: "kwsgj3x184", amount: 1 });
+
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "insufficient_scope", scope: "multisig:propose" });
+    });
+
+    it("should allow propose tokens to propose", async () => {
+      const token = await createToken("multisig:propose");
+      const res = await api()
+        .post("/multisig/" + address + "/proposals")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ to: "kwsgj3x184", amount: 1 });
+
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true });
+      expect(res.body.proposal).to.deep.include({ proposer: "k8juvewcui", status: "pending" });
+    });
+  });
+
+  describe("proposals the multisig can't afford yet", () => {
+    let soloAddress, id;
+
+    before(async () => {
+      const res = await api().post("/multisig").send({ privatekey: "a", members: ["k8juvewcui", "k7oax47quv"], threshold: 1 });
+      soloAddress = res.body.multisig.address;
+    });
+
+    it("should keep the proposal pending", async () => {
+      const res = await api().post("/multisig/" + soloAddress + "/proposals").send({ privatekey: "a", to: "kwsgj3x184", amount: 20 });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true });
+      expect(res.body.proposal).to.deep.include({ status: "pending", transaction_id: null });
+      expect(res.body.proposal.approvals.map(a => a.member)).to.deep.equal(["k8juvewcui"]);
+
+      id = res.body.proposal.id;
+    });
+
+    it("should still fail to execute it until the multisig can afford it", async () => {
+      const res = await api().post("/multisig/proposals/" + id + "/approve").send({ privatekey: "a" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "insufficient_funds" });
+    });
+
+    it("should execute it when approved again once it can", async () => {
+      await api().post("/transactions").send({ privatekey: "d", to: soloAddress, amount: 20 });
+
+      const res = await api().post("/multisig/proposals/" + id + "/approve").send({ privatekey: "a" });
+      expect(res).to.be.json;
+      expect(res.body.proposal).to.deep.include({ id, status: "executed" });
+      expect(res.body.proposal.approvals).to.have.lengthOf(1);
+      expect(await getBalance(soloAddress)).to.equal(0);
+    });
+  });
+});
@@ -1,4 +1,5 @@
 const { expect } = require("chai");
+const { Op } = require("sequelize");
 
 const { seed } = require("../seed");
 const { api } = require("../api");
@@ -447,4 +448,37 @@ describe("v2 routes: names", () => {
   describe("POST /names/:name/update", nameUpdate("/update", "post"));
   describe("PUT /names/:name - validation", nameUpdateValidation("", "put"));
   describe("PUT /names/:name", nameUpdate("", "put"));
+
+  describe("POST /names/:name - concurrency", () => {
+    it("should not overspend when purchasing names in parallel", async () => {
+      const schemas = require("../../src/schemas");
+      await schemas.address.update({ balance: 1000 }, { where: { address: "k0duvsr4qn" }});
+
+      const responses = await Promise.all(["race1", "race2", "race3", "race4"].map(name =>
+        api().post("/names/" + name).send({ privatekey: "d" })));
+
+      expect(responses.filter(res => res.body.ok)).to.have.lengthOf(2);
+      expect(responses.filter(res => res.body.error === "insufficient_funds")).to.have.lengthOf(2);
+
+      const address = await schemas.address.findOne({ where: { address: "k0duvsr4qn" }});
+      expect(address.balance).to.equal(0);
+
+      const txCount = await schemas.transaction.count({ where: { from: "k0duvsr4qn", to: "name", name: { [Op.like]: "race%" } }});
+      expect(txCount).to.equal(2);
+    });
+
+    it("should only register a name once when purchased in parallel", async () => {
+      const schemas = require("../../src/schemas");
+      await schemas.address.update({ balance: 1500 }, { where: { address: "k0duvsr4qn" }});
+
+      const responses = await Promise.all([1, 2, 3].map(() =>
+        api().post("/names/race").send({ privatekey: "d" })));
+
+      expect(responses.filter(res => res.body.ok)).to.have.lengthOf(1);
+      expect(responses.filter(res => res.body.error === "name_taken")).to.have.lengthOf(2);
+
+      const address = await schemas.address.findOne({ where: { address: "k0duvsr4qn" }});
+      expect(address.balance).to.equal(1000);
+    });
+  });
 });
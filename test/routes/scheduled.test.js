@@ -0,0 +1,139 @@
+const { expect } = require("chai");
+
+const { seed } = require("../seed");
+const { api } = require("../api");
+
+describe("v2 routes: scheduled", () => {
+  before(seed);
+
+  const runDue = () => require("../../src/scheduled").runDue();
+
+  describe("POST /scheduled - validation", () => {
+    it("should error with a missing privatekey", async () => {
+      const res = await api().post("/scheduled").send({ to: "k7oax47quv", amount: 1 });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "missing_parameter", parameter: "privatekey" });
+    });
+
+    it("should error with an invalid 'to'", async () => {
+      const res = await api().post("/scheduled").send({ privatekey: "a", to: "kfartoolong", amount: 1 });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "to" });
+    });
+
+    it("should error with a 'run_at' in the past", async () => {
+      const res = await api().post("/scheduled").send({ privatekey: "a", to: "k7oax47quv", amount: 1, run_at: "2020-01-01T00:00:00Z" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "run_at" });
+    });
+
+    it("should error with an invalid 'interval'", async () => {
+      const res = await api().post("/scheduled").send({ privatekey: "a", to: "k7oax47quv", amount: 1, interval: "yearly" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "interval" });
+    });
+
+    it("should error with an invalid 'max_runs'", async () => {
+      const res = await api().post("/scheduled").send({ privatekey: "a", to: "k7oax47quv", amount: 1, interval: "daily", max_runs: 0 });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "max_runs" });
+    });
+
+    it("should error when paying to a name that doesn't exist", async () => {
+      const res = await api().post("/scheduled").send({ privatekey: "a", to: "notfound.kst", amount: 1 });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: false, error: "name_not_found" });
+    });
+
+    it("should deny unauthed addresses", async () => {
+      const res = await api().post("/scheduled").send({ privatekey: "c", to: "k7oax47quv", amount: 1 });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "auth_failed" });
+    });
+  });
+
+  describe("POST /scheduled", () => {
+    it("should schedule a recurring transaction", async () => {
+      const res = await api().post("/scheduled").send({ privatekey: "a", to: "k7oax47quv", amount: 4, metadata: "Rent", interval: "daily", max_runs: 2 });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true });
+      expect(res.body.scheduled).to.deep.include({
+        id: 1, owner: "k8juvewcui", to: "k7oax47quv", amount: 4, metadata: "Rent",
+        interval: "daily", max_runs: 2, runs: 0, last_run: null, active: true
+      });
+    });
+
+    it("should run when due", async () => {
+      await runDue();
+
+      const schemas = require("../../src/schemas");
+      const tx = await schemas.transaction.findOne({ order: [["id", "DESC"]] });
+      expect(tx).to.deep.include({ from: "k8juvewcui", to: "k7oax47quv", value: 4, op: "Rent" });
+
+      const from = await schemas.address.findOne({ where: { address: "k8juvewcui" }});
+      expect(from.balance).to.equal(6);
+    });
+
+    it("should have scheduled the next run", async () => {
+      const res = await api().get("/scheduled").query({ privatekey: "a" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true, count: 1, total: 1 });
+      expect(res.body.scheduled[0]).to.deep.include({ id: 1, runs: 1, active: true });
+      expect(new Date(res.body.scheduled[0].next_run)).to.be.above(new Date());
+    });
+
+    it("should not run again until the next run is due", async () => {
+      await runDue();
+
+      const schemas = require("../../src/schemas");
+      expect(await schemas.transaction.count({ where: { from: "k8juvewcui" }})).to.equal(1);
+    });
+
+    it("should record a failure when the balance is insufficient", async () => {
+      const schemas = require("../../src/schemas");
+      await schemas.address.update({ balance: 1 }, { where: { address: "k8juvewcui" }});
+      await schemas.scheduledTransaction.update({ next_run: new Date() }, { where: { id: 1 }});
+
+      await runDue();
+      expect(await schemas.transaction.count({ where: { from: "k8juvewcui" }})).to.equal(1);
+
+      const res = await api().get("/scheduled/1/failures").query({ privatekey: "a" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true, count: 1, total: 1 });
+      expect(res.body.failures[0]).to.deep.include({ scheduled_id: 1, error: "insufficient_funds" });
+    });
+
+    it("should have finished after reaching 'max_runs'", async () => {
+      const res = await api().get("/scheduled").query({ privatekey: "a" });
+      expect(res).to.be.json;
+      expect(res.body.scheduled[0]).to.deep.include({ id: 1, runs: 2, next_run: null, active: false });
+    });
+
+    it("should not list other addresses' scheduled transactions", async () => {
+      const res = await api().get("/scheduled").query({ privatekey: "b" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true, count: 0, total: 0 });
+    });
+  });
+
+  describe("DELETE /scheduled/:id", () => {
+    it("should not delete other addresses' scheduled transactions", async () => {
+      const res = await api().delete("/scheduled/1").send({ privatekey: "b" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "scheduled_transaction_not_found" });
+    });
+
+    it("should delete a scheduled transaction", async () => {
+      const res = await api().delete("/scheduled/1").send({ privatekey: "a" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true });
+      expect(res.body.scheduled).to.deep.include({ id: 1 });
+    });
+
+    it("should no longer exist", async () => {
+      const res = await api().get("/scheduled").query({ privatekey: "a" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true, count: 0, total: 0 });
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const { expect } = require("chai");
+
+const { seed } = require("../seed");
+const { api } = require("../api");
+
+describe("v2 routes: stats", () => {
+  before(seed);
+
+  const aggregate = () => require("../../src/stats").aggregate();
+
+  describe("GET /stats", () => {
+    it("should return an error for an invalid interval", async () => {
+      const res = await api().get("/stats?interval=month");
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "interval" });
+    });
+
+    it("should return an error for an invalid date", async () => {
+      const res = await api().get("/stats?from=notadate");
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "from" });
+    });
+
+    it("should return an error when from is after to", async () => {
+      const res = await api().get("/stats")
+        .query({ from: "2020-01-02T00:00:00Z", to: "2020-01-01T00:00:00Z" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "from" });
+    });
+
+    it("should return an error for too many periods", async () => {
+      const res = await api().get("/stats")
+        .query({ from: "2000-01-01T00:00:00Z", to: "2020-01-01T00:00:00Z", interval: "hour" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "interval" });
+    });
+
+    it("should not return periods that haven't been aggregated", async () => {
+      const res = await api().get("/stats");
+      expect(res).to.have.status(200);
+      expect(res).to.be.json;
+      expect(res.body).to.include({ ok: true, interval: "day" });
+      expect(res.body.periods).to.be.an("array").that.is.empty;
+    });
+
+    it("should return aggregated periods", async () => {
+      await api().post("/transactions").send({ privatekey: "d", to: "k7oax47quv", amount: 100 });
+      await api().post("/names/stats").send({ privatekey: "d" });
+      await aggregate();
+
+      const res = await api().get("/stats");
+      expect(res).to.have.status(200);
+      expect(res).to.be.json;
+      expect(res.body).to.include({ ok: true });
+      expect(res.body.periods).to.be.an("array").with.lengthOf(1);
+
+      const period = res.body.periods[0];
+      expect(period).to.include({
+        complete: false,
+        transactions: 2,
+        volume: 600,
+        active_addresses: 2,
+        new_addresses: 4,
+        blocks: 1,
+        average_block_time: null,
+        names_registered: 1
+      });
+      expect(period.transaction_types).to.deep.equal({
+        name_purchase: { count: 1, volume: 500 },
+        transfer: { count: 1, volume: 100 }
+      });
+    });
+
+    it("should update incomplete periods", async () => {
+      await api().post("/transactions").send({ privatekey: "d", to: "k8juvewcui", amount: 50 });
+      await aggregate();
+
+      const res = await api().get("/stats?interval=hour");
+      expect(res).to.be.json;
+      expect(res.body.periods).to.be.an("array").with.lengthOf(1);
+      expect(res.body.periods[0]).to.include({ transactions: 3, volume: 650, active_addresses: 3 });
+      expect(res.body.periods[0].transaction_types.transfer).to.deep.equal({ count: 2, volume: 150 });
+    });
+  });
+
+  describe("GET /stats/top", () => {
+    it("should return the top senders and receivers", async () => {
+      const res = await api().get("/stats/top");
+      expect(res).to.have.status(200);
+      expect(res).to.be.json;
+      expect(res.body).to.include({ ok: true, interval: "day" });
+      expect(res.body.periods).to.be.an("array").with.lengthOf(1);
+
+      const period = res.body.periods[0];
+      expect(period.top_senders).to.deep.equal([
+        { address: "k0duvsr4qn", amount: 650, transactions: 3 }
+      ]);
+      expect(period.top_receivers).to.deep.equal([
+        { address: "k7oax47quv", amount: 100, transactions: 1 },
+        { address: "k8juvewcui", amount: 50, transactions: 1 }
+      ]);
+    });
+
+    it("should return an error for too many periods", async () => {
+      const res = await api().get("/stats/top")
+        .query({ from: "2020-01-01T00:00:00Z", to: "2020-06-01T00:00:00Z" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "interval" });
+    });
+  });
+});
@@ -0,0 +1,167 @@
+const { expect } = require("chai");
+
+const { seed } = require("../seed");
+const { api } = require("../api");
+
+describe("v2 routes: tokens", () => {
+  before(seed);
+
+  let secret;
+
+  describe("POST /tokens - validation", () => {
+    it("should error with missing scopes", async () => {
+      const res = await api().post("/tokens").send({ privatekey: "a" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "missing_parameter", parameter: "scopes" });
+    });
+
+    it("should error with invalid scopes", async () => {
+      const res = await api().post("/tokens").send({ privatekey: "a", scopes: ["transactions:send", "everything"] });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "scopes" });
+    });
+
+    it("should error with a missing privatekey", async () => {
+      const res = await api().post("/tokens").send({ scopes: "transactions:send" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "missing_parameter", parameter: "privatekey" });
+    });
+
+    it("should error with an invalid spend limit", async () => {
+      const res = await api().post("/tokens").send({ privatekey: "a", scopes: "transactions:send", spend_limit: -1 });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "spend_limit" });
+    });
+
+    it("should error with an expiry in the past", async () => {
+      const res = await api().post("/tokens").send({ privatekey: "a", scopes: "transactions:send", expires: "2020-01-01T00:00:00Z" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "expires" });
+    });
+
+    it("should deny unauthed addresses", async () => {
+      const res = await api().post("/tokens").send({ privatekey: "c", scopes: "transactions:send" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "auth_failed" });
+    });
+  });
+
+  describe("POST /tokens", () => {
+    it("should create a token", async () => {
+      const res = await api().post("/tokens").send({ privatekey: "a", scopes: "transactions:send", spend_limit: 2, label: "Shop" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true });
+      expect(res.body.secret).to.match(/^[a-f0-9]{64}$/);
+      expect(res.body.token).to.deep.include({
+        id: 1, address: "k8juvewcui", label: "Shop", scopes: ["transactions:send"],
+        spend_limit: 2, spent: 0, expires: null, last_used: null
+      });
+
+      secret = res.body.secret;
+    });
+
+    it("should not store the token itself", async () => {
+      const schemas = require("../../src/schemas");
+      const dbToken = await schemas.apiToken.findByPk(1);
+      expect(dbToken.token).to.not.equal(secret);
+    });
+
+    it("should not allow tokens to create tokens", async () => {
+      const res = await api()
+        .post("/tokens")
+        .set("Authorization", `Bearer ${secret}`)
+        .send({ scopes: "transactions:send" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "auth_failed" });
+    });
+  });
+
+  describe("GET /tokens", () => {
+    it("should list the tokens", async () => {
+      const res = await api().get("/tokens").query({ privatekey: "a" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true, count: 1 });
+      expect(res.body.tokens[0]).to.deep.include({ id: 1, scopes: ["transactions:send"] });
+      expect(res.body.tokens[0]).to.not.include.any.keys("token", "secret");
+    });
+
+    it("should not list another address's tokens", async () => {
+      const res = await api().get("/tokens").query({ privatekey: "b" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: true, count: 0, tokens: [] });
+    });
+  });
+
+  describe("using a token", () => {
+    it("should make a transaction with a token", async () => {
+      const res = await api()
+        .post("/transactions")
+        .set("Authorization", `Bearer ${secret}`)
+        .send({ amount: 1, to: "k7oax47quv" });
+
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true });
+      expect(res.body.transaction).to.deep.include({ from: "k8juvewcui", to: "k7oax47quv", value: 1 });
+    });
+
+    it("should have recorded the spend", async () => {
+      const res = await api().get("/tokens").query({ privatekey: "a" });
+      expect(res.body.tokens[0]).to.deep.include({ spent: 1 });
+      expect(res.body.tokens[0].last_used).to.be.ok;
+    });
+
+    it("should not exceed the spend limit", async () => {
+      const res = await api()
+        .post("/transactions")
+        .set("Authorization", `Bearer ${secret}`)
+        .send({ amount: 2, to: "k7oax47quv" });
+
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "token_spend_limit" });
+    });
+
+    it("should not allow actions outside of the token's scopes", async () => {
+      const res = await api()
+        .post("/names/tokentest")
+        .set("Authorization", `Bearer ${secret}`);
+
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "insufficient_scope", scope: "names:register" });
+    });
+
+    it("should deny an unknown token", async () => {
+      const res = await api()
+        .post("/transactions")
+        .set("Authorization", `Bearer ${"0".repeat(64)}`)
+        .send({ amount: 1, to: "k7oax47quv" });
+
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "auth_failed" });
+    });
+  });
+
+  describe("DELETE /tokens/:id", () => {
+    it("should not revoke another address's token", async () => {
+      const res = await api().delete("/tokens/1").send({ privatekey: "b" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "token_not_found" });
+    });
+
+    it("should revoke a token", async () => {
+      const res = await api().delete("/tokens/1").send({ privatekey: "a" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true });
+      expect(res.body.token).to.deep.include({ id: 1 });
+    });
+
+    it("should no longer accept the revoked token", async () => {
+      const res = await api()
+        .post("/transactions")
+        .set("Authorization", `Bearer ${secret}`)
+        .send({ amount: 1, to: "k7oax47quv" });
+
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "auth_failed" });
+    });
+  });
+});
@@ -2,6 +2,7 @@ const { expect } = require("chai");
 
 const { seed } = require("../seed");
 const { api } = require("../api");
+const { generateKey, signedPost } = require("../sign");
 
 const expectTransactionExist = (id, to, metadata, useragent, origin) => async () => {
   const schemas = require("../../src/schemas");
@@ -506,5 +507,217 @@ describe("v2 routes: transactions", () => {
       expect(res.body.transaction.metadata).to.equal("test.kst;notfound.kst");
       expect(res.body.transaction.sent_name).to.equal("test");
     });
+
+    it("should make a signed transaction", async () => {
+      const schemas = require("../../src/schemas");
+      await schemas.address.update({ balance: 1 }, { where: { address: "k8juvewcui" }});
+
+      const { privateKey, pubkey } = generateKey();
+      await api().post("/addresses/pubkey").send({ privatekey: "a", pubkey });
+
+      const res = await signedPost("/transactions", "k8juvewcui", privateKey, { amount: 1, to: "k7oax47quv" });
+
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true });
+      expect(res.body.transaction).to.deep.include({ id: 11, from: "k8juvewcui", to: "k7oax47quv", value: 1, type: "transfer" });
+    });
+  });
+
+  describe("POST /transactions - idempotency", () => {
+    it("should error with an invalid 'Idempotency-Key'", async () => {
+      const keys = ["a b", "a".repeat(65)];
+      for (const key of keys) {
+        const res = await api()
+          .post("/transactions")
+          .set("Idempotency-Key", key)
+          .send({ amount: 1, to: "k7oax47quv", privatekey: "d" });
+
+        expect(res).to.be.json;
+        expect(res.body).to.deep.include({ ok: false, error: "invalid_parameter", parameter: "request_id" });
+      }
+    });
+
+    it("should make a transaction with an idempotency key", async () => {
+      const res = await api()
+        .post("/transactions")
+        .set("Idempotency-Key", "test-key")
+        .send({ amount: 1, to: "k7oax47quv", privatekey: "d" });
+
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true });
+      expect(res.body.transaction).to.deep.include({ id: 12, from: "k0duvsr4qn", to: "k7oax47quv", value: 1, type: "transfer" });
+    });
+
+    it("should return the original transaction when retried", async () => {
+      const res = await api()
+        .post("/transactions")
+        .set("Idempotency-Key", "test-key")
+        .send({ amount: 1, to: "k7oax47quv", privatekey: "d" });
+
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true });
+      expect(res.body.transaction).to.deep.include({ id: 12, from: "k0duvsr4qn", to: "k7oax47quv", value: 1, type: "transfer" });
+    });
+
+    it("should error when retried with a different transaction", async () => {
+      const bodies = [
+        { amount: 2, to: "k7oax47quv", privatekey: "d" },
+        { amount: 1, to: "k8juvewcui", privatekey: "d" },
+        { amount: 1, to: "k7oax47quv", privatekey: "d", metadata: "different" }
+      ];
+
+      for (const body of bodies) {
+        const res = await api()
+          .post("/transactions")
+          .set("Idempotency-Key", "test-key")
+          .send(body);
+
+        expect(res).to.be.json;
+        expect(res.body).to.deep.include({ ok: false, error: "invalid_parameter", parameter: "request_id" });
+      }
+    });
+
+    it("should not have made a second transaction", async () => {
+      const schemas = require("../../src/schemas");
+
+      expect(await schemas.transaction.count({ where: { from: "k0duvsr4qn" }})).to.equal(1);
+
+      const from = await schemas.address.findOne({ where: { address: "k0duvsr4qn" }});
+      expect(from.balance).to.equal(24999);
+    });
+
+    it("should allow other addresses to use the same key", async () => {
+      const res = await api()
+        .post("/transactions")
+        .set("Idempotency-Key", "test-key")
+        .send({ amount: 1, to: "k0duvsr4qn", privatekey: "b" });
+
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true });
+      expect(res.body.transaction).to.deep.include({ id: 13, from: "k7oax47quv", to: "k0duvsr4qn", value: 1 });
+    });
+  });
+
+  describe("POST /transactions - concurrency", () => {
+    it("should not overspend when sending in parallel", async () => {
+      const schemas = require("../../src/schemas");
+      await schemas.address.update({ balance: 5, totalout: 0 }, { where: { address: "k8juvewcui" }});
+
+      const responses = await Promise.all([...Array(10)].map(() =>
+        api().post("/transactions").send({ amount: 1, to: "k0duvsr4qn", privatekey: "a" })));
+
+      expect(responses.filter(res => res.body.ok)).to.have.lengthOf(5);
+      expect(responses.filter(res => res.body.error === "insufficient_funds")).to.have.lengthOf(5);
+
+      const from = await schemas.address.findOne({ where: { address: "k8juvewcui" }});
+      expect(from).to.deep.include({ balance: 0, totalout: 5 });
+    });
+
+    it("should not deadlock when sending in both directions in parallel", async () => {
+      const schemas = require("../../src/schemas");
+      await schemas.address.update({ balance: 10 }, { where: { address: ["k8juvewcui", "k0duvsr4qn"] }});
+
+      const responses = await Promise.all([...Array(10)].map((_, i) =>
+        api().post("/transactions").send(i % 2
+          ? { amount: 1, to: "k0duvsr4qn", privatekey: "a" }
+          : { amount: 1, to: "k8juvewcui", privatekey: "d" })));
+
+      for (const res of responses) expect(res.body).to.deep.include({ ok: true });
+
+      const a = await schemas.address.findOne({ where: { address: "k8juvewcui" }});
+      const d = await schemas.address.findOne({ where: { address: "k0duvsr4qn" }});
+      expect(a.balance).to.equal(10);
+      expect(d.balance).to.equal(10);
+    });
+  });
+
+  describe("POST /transactions/batch - validation", () => {
+    before(async () => {
+      const schemas = require("../../src/schemas");
+      await schemas.address.update({ balance: 10 }, { where: { address: "k8juvewcui" }});
+    });
+
+    it("should error with a missing 'transactions'", async () => {
+      const res = await api()
+        .post("/transactions/batch")
+        .send({ privatekey: "a" });
+
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "missing_parameter", parameter: "transactions" });
+    });
+
+    it("should error with an invalid 'transactions'", async () => {
+      const list = ["a", [], [...Array(101)].map(() => ({ to: "k7oax47quv", amount: 1 }))];
+      for (const transactions of list) {
+        const res = await api()
+          .post("/transactions/batch")
+          .send({ privatekey: "a", transactions });
+
+        expect(res).to.be.json;
+        expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "transactions" });
+      }
+    });
+
+    it("should point at the invalid entry", async () => {
+      const res = await api()
+        .post("/transactions/batch")
+        .send({ privatekey: "a", transactions: [{ to: "k7oax47quv", amount: 1 }, { to: "k7oax47quv", amount: -1 }] });
+
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "transactions[1].amount" });
+    });
+
+    it("should error when the total exceeds the balance", async () => {
+      const res = await api()
+        .post("/transactions/batch")
+        .send({ privatekey: "a", transactions: [{ to: "k7oax47quv", amount: 6 }, { to: "k0duvsr4qn", amount: 5 }] });
+
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "insufficient_funds" });
+    });
+
+    it("should error when paying to a name that doesn't exist", async () => {
+      const res = await api()
+        .post("/transactions/batch")
+        .send({ privatekey: "a", transactions: [{ to: "k7oax47quv", amount: 1 }, { to: "notfound.kst", amount: 1 }] });
+
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: false, error: "name_not_found" });
+    });
+
+    it("should not have made any transactions", async () => {
+      const schemas = require("../../src/schemas");
+
+      const from = await schemas.address.findOne({ where: { address: "k8juvewcui" }});
+      expect(from.balance).to.equal(10);
+    });
+  });
+
+  describe("POST /transactions/batch", () => {
+    it("should make multiple transactions", async () => {
+      const res = await api()
+        .post("/transactions/batch")
+        .send({ privatekey: "a", transactions: [
+          { to: "k0duvsr4qn", amount: 2 },
+          { to: "meta@test.kst", amount: 3, metadata: "Hello, world!" }
+        ]});
+
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true, count: 2 });
+      expect(res.body.transactions).to.have.lengthOf(2);
+      expect(res.body.transactions[0]).to.deep.include({ from: "k8juvewcui", to: "k0duvsr4qn", value: 2, type: "transfer" });
+      expect(res.body.transactions[1]).to.deep.include({
+        from: "k8juvewcui", to: "k7oax47quv", value: 3, type: "transfer",
+        metadata: "meta@test.kst;Hello, world!", sent_metaname: "meta", sent_name: "test"
+      });
+      expect(res.body.transactions[1].id).to.equal(res.body.transactions[0].id + 1);
+    });
+
+    it("should have altered the balances", async () => {
+      const schemas = require("../../src/schemas");
+
+      const from = await schemas.address.findOne({ where: { address: "k8juvewcui" }});
+      expect(from.balance).to.equal(5);
+    });
   });
 });
@@ -0,0 +1,240 @@
+const { expect } = require("chai");
+const http = require("http");
+const dns = require("dns");
+const crypto = require("crypto");
+const sinon = require("sinon");
+
+const { seed } = require("../seed");
+const { api } = require("../api");
+
+/** A local HTTP server standing in for a webhook receiver. */
+function createReceiver() {
+  const receiver = {
+    status: 200,
+    requests: [],
+    waiting: [],
+
+    nextRequest() {
+      return new Promise(resolve => receiver.waiting.push(resolve));
+    }
+  };
+
+  receiver.server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => body += chunk);
+    req.on("end", () => {
+      const request = { headers: req.headers, body };
+      receiver.requests.push(request);
+
+      res.writeHead(receiver.status);
+      res.end();
+
+      const resolve = receiver.waiting.shift();
+      if (resolve) resolve(request);
+    });
+  });
+
+  return receiver;
+}
+
+/** Polls until the webhook's newest delivery matches the predicate. */
+async function waitForDelivery(predicate) {
+  const schemas = require("../../src/schemas");
+  for (let i = 0; i < 40; i++) {
+    const delivery = await schemas.webhookDelivery.findOne({ order: [["id", "DESC"]] });
+    if (delivery && predicate(delivery)) return delivery;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error("Timed out waiting for the delivery");
+}
+
+describe("v2 routes: webhooks", () => {
+  before(seed);
+
+  const receiver = createReceiver();
+  let url, secret;
+
+  before(done => {
+    process.env.WEBHOOKS_ALLOW_PRIVATE = "true";
+    receiver.server.listen(0, "127.0.0.1", () => {
+      url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+      done();
+    });
+  });
+
+  after(done => {
+    delete process.env.WEBHOOKS_ALLOW_PRIVATE;
+    receiver.server.close(done);
+  });
+
+  describe("POST /webhooks - validation", () => {
+    it("should error with a missing privatekey", async () => {
+      const res = await api().post("/webhooks").send({ url, events: ["transactions"] });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "missing_parameter", parameter: "privatekey" });
+    });
+
+    it("should error with an invalid 'url'", async () => {
+      const urls = ["notaurl", "ftp://example.com", "https://example.com/" + "a".repeat(255)];
+      for (const invalid of urls) {
+        const res = await api().post("/webhooks").send({ privatekey: "a", url: invalid, events: ["transactions"] });
+        expect(res).to.be.json;
+        expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "url" });
+      }
+    });
+
+    it("should error with a private 'url' by default", async () => {
+      delete process.env.WEBHOOKS_ALLOW_PRIVATE;
+      try {
+        const urls = [
+          "http://localhost/hook", "http://127.0.0.1/hook", "http://192.168.1.1/hook", "http://[::1]/hook",
+          "http://100.64.0.1/hook", "http://198.18.0.1/hook", "http://224.0.0.1/hook", "http://[::ffff:127.0.0.1]/hook"
+        ];
+        for (const invalid of urls) {
+          const res = await api().post("/webhooks").send({ privatekey: "a", url: invalid, events: ["transactions"] });
+          expect(res).to.be.json;
+          expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "url" });
+        }
+      } finally {
+        process.env.WEBHOOKS_ALLOW_PRIVATE = "true";
+      }
+    });
+
+    it("should error with invalid 'events'", async () => {
+      const list = ["transactions", [], ["transactions", "transactions"], ["motd"]];
+      for (const events of list) {
+        const res = await api().post("/webhooks").send({ privatekey: "a", url, events });
+        expect(res).to.be.json;
+        expect(res.body).to.deep.equal({ ok: false, error: "invalid_parameter", parameter: "events" });
+      }
+    });
+  });
+
+  describe("POST /webhooks", () => {
+    it("should create a webhook", async () => {
+      const res = await api().post("/webhooks").send({ privatekey: "a", url, events: ["transactions"] });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true });
+      expect(res.body.webhook).to.deep.include({ id: 1, owner: "k8juvewcui", url, events: ["transactions"] });
+      expect(res.body.webhook.secret).to.match(/^[a-f0-9]{64}$/);
+
+      secret = res.body.webhook.secret;
+    });
+
+    it("should list webhooks without their secrets", async () => {
+      const res = await api().get("/webhooks").query({ privatekey: "a" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true, count: 1, total: 1 });
+      expect(res.body.webhooks[0]).to.deep.include({ id: 1, url });
+      expect(res.body.webhooks[0]).to.not.have.property("secret");
+    });
+  });
+
+  describe("deliveries", () => {
+    it("should deliver a signed transaction event", async () => {
+      const request = receiver.nextRequest();
+      await api().post("/transactions").send({ privatekey: "a", to: "k7oax47quv", amount: 1 });
+
+      const { headers, body } = await request;
+      expect(headers).to.deep.include({ "x-krist-event": "transaction", "content-type": "application/json" });
+
+      const expected = "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex");
+      expect(headers["x-krist-signature"]).to.equal(expected);
+
+      const event = JSON.parse(body);
+      expect(event).to.deep.include({ type: "event", event: "transaction" });
+      expect(event.transaction).to.deep.include({ from: "k8juvewcui", to: "k7oax47quv", value: 1 });
+
+      const delivery = await waitForDelivery(d => d.status === "delivered");
+      expect(delivery).to.deep.include({ attempts: 1, response_status: 200, error: null, next_attempt: null });
+      expect(headers["x-krist-delivery"]).to.equal(delivery.id.toString());
+    });
+
+    it("should retry failed deliveries with backoff", async () => {
+      receiver.status = 500;
+      const request = receiver.nextRequest();
+      await api().post("/transactions").send({ privatekey: "d", to: "k8juvewcui", amount: 1 });
+      await request;
+
+      const failed = await waitForDelivery(d => d.attempts === 1);
+      expect(failed).to.deep.include({ status: "pending", response_status: 500, error: "HTTP 500" });
+      expect(failed.next_attempt.getTime()).to.be.greaterThan(Date.now() + 20000);
+
+      // Make the retry due now
+      receiver.status = 200;
+      await failed.update({ next_attempt: new Date(Date.now() - 1000) });
+      await require("../../src/webhooks").deliverDue();
+
+      const delivery = await waitForDelivery(d => d.status === "delivered");
+      expect(delivery).to.deep.include({ id: failed.id, attempts: 2, response_status: 200, error: null });
+    });
+
+    it("should not deliver events the webhook isn't subscribed to", async () => {
+      const count = receiver.requests.length;
+
+      const schemas = require("../../src/schemas");
+      const name = await schemas.name.create({ name: "webhook", owner: "k8juvewcui", registered: new Date(), unpaid: 0 });
+      require("../../src/websockets").broadcastEvent({ type: "event", event: "name", name: { name: name.name, owner: name.owner } });
+
+      await new Promise(resolve => setTimeout(resolve, 200));
+      expect(receiver.requests).to.have.lengthOf(count);
+    });
+
+    it("should list a webhook's deliveries", async () => {
+      const res = await api().get("/webhooks/1/deliveries").query({ privatekey: "a" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.include({ ok: true, count: 2, total: 2 });
+      expect(res.body.deliveries[0]).to.deep.include({ webhook_id: 1, event: "transaction", status: "delivered", attempts: 2 });
+      expect(res.body.deliveries[0].payload.transaction).to.deep.include({ from: "k0duvsr4qn", to: "k8juvewcui" });
+    });
+
+    it("should not list another address's deliveries", async () => {
+      const res = await api().get("/webhooks/1/deliveries").query({ privatekey: "b" });
+      expect(res).to.be.json;
+      expect(res.body).to.deep.equal({ ok: false, error: "webhook_not_found" });
+    });
+  });
+
+  describe("private addresses", () => {
+    const lookup = dns.lookup;
+
+    before(() => {
+      delete process.env.WEBHOOKS_ALLOW_PRIVATE;
+
+      // A name that resolves to the receiver's loopback address
+      sinon.stub(dns, "lookup").callsFake((hostname, options, callback) =>
+        hostname === "loopback.test"
+          ? callback(null, options.all ? [{ address: "127.0.0.1", family: 4 }] : "127.0.0.1", 4)
+          : lookup(hostname, options, callback));
+    });
+
+    after(() => {
+      dns.lookup.restore();
+      process.env.WEBHOOKS_ALLOW_PRIVATE = "true";
+    });
+
+    it("should not deliver to names that resolve to a private address", async () => {
+      const hookURL = `http://loopback.test:${receiver.server.address().port}/hook`;
+      const create = await api().post("/webhooks").send({ privatekey: "b", url: hookURL, events: ["transactions"] });
+      expect(create.body).to.deep.include({ ok: true });
+
+      const count = receiver.requests.length;
+      await api().post("/transactions").send({ privatekey: "d", to: "k7oax47quv", amount: 1 });
+
+      const delivery = await waitForDelivery(d => d.webhook_id === create.body.webhook.id && d.attempts === 1);
+      expect(delivery).to.deep.include({ status: "pending", response_status: null, error: "Refused to connect to a private address" });
+      expect(receiver.requests).to.have.lengthOf(count);
+    });
+  });
+
+  describe("DELETE /webhooks/:id", () => {
+    it("should delete a webhook", async () => {
+      const res = await api().delete("/webhooks/1").send({ privatekey: "a" });
+      expect(res).to.be.json;
+      expect(res.body.webhook).to.deep.include({ id: 1 });
+
+      const list = await api().get("/webhooks").query({ privatekey: "a" });
+      expect(list.body).to.deep.include({ count: 0, total: 0 });
+    });
+  });
+});
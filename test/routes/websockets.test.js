@@ -34,6 +34,28 @@ describe("websocket connection", () => {
       expect(res.body).to.deep.equal({ ok: false, error: "auth_failed" });
       expect(res.body).to.not.have.any.key("url");
     });
+
+    it("should store the token in redis", async () => {
+      const res = await api().post("/ws/start").send({ privatekey: "a" });
+      const token = res.body.url.split("/").pop();
+
+      const r = require("../../src/redis").getRedis();
+      const tokenData = JSON.parse(await r.get("ws-token:" + token));
+      expect(tokenData).to.deep.include({ address: "k8juvewcui", legacy: true });
+      expect(tokenData).to.not.have.property("privatekey");
+      expect(await r.ttl("ws-token:" + token)).to.be.within(1, 30);
+    });
+
+    it("should only allow a token to be used once", async () => {
+      const websockets = require("../../src/websockets");
+      const res = await api().post("/ws/start");
+      const token = res.body.url.split("/").pop();
+
+      expect(await websockets.useToken(token)).to.deep.include({ address: "guest" });
+
+      const err = await websockets.useToken(token).catch(e => e);
+      expect(err).to.be.an.instanceof(require("../../src/errors/errors").ErrorInvalidWebsocketToken);
+    });
   });
 
   describe("connection", () => {
@@ -83,6 +105,8 @@ describe("websocket connection", () => {
       expect(helloData.package.version).to.be.ok;
       expect(helloData.package.repository).to.be.ok;
 
+      expect(helloData.last_event_id).to.be.a("number");
+
       expect(helloData.constants).to.be.an("object");
       expect(helloData.constants).to.deep.include({
         nonce_max_size: 24, name_cost: 500, min_work: 100, max_work: 100000,
@@ -98,5 +122,22 @@ describe("websocket connection", () => {
 
       expect(helloData.notice).to.equal("Krist was originally created by 3d6 and Lemmmy. It is now owned and operated by tmpim, and licensed under GPL-3.0.");
     });
+
+    it("should receive events published by other instances", async () => {
+      const events = [];
+      const ws = await newConnection(undefined, (_, wsp) => {
+        wsp.onUnpackedMessage.addListener(data => {
+          if (data.type === "event") events.push(data);
+        });
+      });
+
+      const redis = require("../../src/redis");
+      const event = { type: "event", event: "block", block: { address: "k8juvewcui" }, event_id: 123456 };
+      await redis.getRedis().publish(redis.getPrefix() + "ws-events", JSON.stringify({ instance: "other", event }));
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      expect(events).to.deep.equal([event]);
+      ws.close();
+    });
   });
 });
@@ -0,0 +1,44 @@
+const crypto = require("crypto");
+
+const { api } = require("./api");
+
+let nonceCounter = 0;
+
+module.exports = {
+  /** Generates an Ed25519 keypair, returning the private key object and the
+   * hex-encoded raw public key as expected by POST /addresses/pubkey. */
+  generateKey() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+    const pubkey = publicKey.export({ format: "der", type: "spki" }).slice(-32).toString("hex");
+    return { privateKey, pubkey };
+  },
+
+  /** Returns the headers for a signed request. */
+  signHeaders(method, path, address, privateKey, rawBody, overrides = {}) {
+    const timestamp = overrides.timestamp || Date.now().toString();
+    const nonce = overrides.nonce || `test-nonce-${Date.now()}-${++nonceCounter}`;
+    const bodyHash = crypto.createHash("sha256").update(rawBody || "").digest("hex");
+
+    const message = [method, path, address, timestamp, nonce, bodyHash].join("\n");
+    const signature = crypto.sign(null, Buffer.from(message), privateKey).toString("hex");
+
+    return {
+      "X-Krist-Address": address,
+      "X-Krist-Timestamp": timestamp,
+      "X-Krist-Nonce": nonce,
+      "X-Krist-Signature": signature
+    };
+  },
+
+  /** Sends a signed POST request with a JSON body. */
+  signedPost(path, address, privateKey, body, overrides) {
+    const rawBody = JSON.stringify(body || {});
+    const headers = module.exports.signHeaders("POST", path, address, privateKey, rawBody, overrides);
+
+    return api()
+      .post(path)
+      .set(headers)
+      .set("Content-Type", "application/json")
+      .send(rawBody);
+  }
+};
@@ -0,0 +1,86 @@
+const { expect } = require("chai");
+
+const { seed } = require("../seed");
+const { newConnection } = require("../ws");
+
+describe("websocket routes: batch", function() {
+  before(seed);
+  this.retries(4);
+
+  async function send(data, privatekey) {
+    const ws = await newConnection(privatekey);
+    expect(ws).to.nested.include({ "wsp.isOpened": true });
+
+    const res = await ws.sendAndWait({ type: "batch", ...data });
+    expect(res).to.be.an("object");
+    return [res, ws];
+  }
+
+  describe("batch - validation", () => {
+    it("should error with a missing 'messages'", async () => {
+      const [res, ws] = await send({});
+      expect(res).to.deep.include({ ok: false, error: "missing_parameter", parameter: "messages" });
+      ws.close();
+    });
+
+    it("should error with an invalid 'messages'", async () => {
+      const [res, ws] = await send({ messages: [] });
+      expect(res).to.deep.include({ ok: false, error: "invalid_parameter", parameter: "messages" });
+      ws.close();
+    });
+
+    it("should error with too many messages", async () => {
+      const messages = [...Array(101).keys()].map(id => ({ id, type: "me" }));
+      const [res, ws] = await send({ messages });
+      expect(res).to.deep.include({ ok: false, error: "invalid_parameter", parameter: "messages" });
+      ws.close();
+    });
+  });
+
+  describe("batch", () => {
+    it("should respond to each message", async () => {
+      const [res, ws] = await send({ messages: [
+        { id: "a", type: "me" },
+        { id: "b", type: "subscribe", event: "transactions" },
+        { id: "c", type: "make_transaction", to: "k7oax47quv", amount: 1000 },
+        { id: "d", type: "foo" }
+      ] }, "a");
+
+      expect(res).to.deep.include({ ok: true, type: "response" });
+      expect(res.responses).to.have.lengthOf(4);
+      expect(res.responses[0]).to.deep.include({ ok: true, id: "a", type: "response", isGuest: false });
+      expect(res.responses[1]).to.deep.include({ ok: true, id: "b", type: "response" });
+      expect(res.responses[1].subscription_level).to.include("transactions");
+      expect(res.responses[2]).to.deep.include({ ok: false, id: "c", type: "error", error: "insufficient_funds" });
+      expect(res.responses[3]).to.deep.include({ ok: false, id: "d", type: "error", error: "invalid_type" });
+      ws.close();
+    });
+
+    it("should handle the messages in order", async () => {
+      const [res, ws] = await send({ messages: [
+        { id: 1, type: "login", privatekey: "d" },
+        { id: 2, type: "make_transaction", to: "k7oax47quv", amount: 1 }
+      ] });
+
+      expect(res.responses[1]).to.deep.include({ ok: true, id: 2 });
+      expect(res.responses[1].transaction).to.deep.include({ from: "k0duvsr4qn", to: "k7oax47quv", value: 1 });
+      ws.close();
+    });
+
+    it("should not allow nested batches", async () => {
+      const [res, ws] = await send({ messages: [
+        { id: 1, type: "batch", messages: [{ id: 2, type: "me" }] }
+      ] });
+
+      expect(res.responses).to.deep.equal([{ ok: false, id: 1, type: "error", error: "invalid_type" }]);
+      ws.close();
+    });
+
+    it("should error with a message missing its 'id'", async () => {
+      const [res, ws] = await send({ messages: [{ type: "me" }] });
+
+      expect(res.responses[0]).to.deep.include({ ok: false, type: "error", error: "missing_parameter", parameter: "id" });
+      ws.close();
+    });
+  });
+});
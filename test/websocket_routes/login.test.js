@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+
+const { seed } = require("../seed");
+const { api } = require("../api");
+const { newConnection } = require("../ws");
+
+describe("websocket routes: login", function() {
+  before(seed);
+  this.retries(4);
+
+  /** Connects and collects every event received. */
+  async function connect(privatekey) {
+    const events = [];
+    const ws = await newConnection(privatekey, (_, wsp) => {
+      wsp.onUnpackedMessage.addListener(data => {
+        if (data.type === "event") events.push(data);
+      });
+    });
+    expect(ws).to.nested.include({ "wsp.isOpened": true });
+
+    return [ws, events];
+  }
+
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  describe("login", () => {
+    it("should log in to multiple addresses", async () => {
+      const [ws] = await connect("a");
+      const res = await ws.sendAndWait({ type: "login", privatekey: "d" });
+      expect(res).to.deep.include({ ok: true, isGuest: false, addresses: ["k8juvewcui", "k0duvsr4qn"] });
+      expect(res.address).to.deep.include({ address: "k0duvsr4qn" });
+      ws.close();
+    });
+
+    it("should stay logged in after a failed login", async () => {
+      const [ws] = await connect("a");
+      const res = await ws.sendAndWait({ type: "login", privatekey: "c" });
+      expect(res).to.deep.include({ ok: true, isGuest: false, addresses: ["k8juvewcui"] });
+      ws.close();
+    });
+  });
+
+  describe("me", () => {
+    it("should return all the logged in addresses", async () => {
+      const [ws] = await connect("a");
+      await ws.sendAndWait({ type: "login", privatekey: "d" });
+
+      const res = await ws.sendAndWait({ type: "me" });
+      expect(res).to.deep.include({ ok: true, isGuest: false });
+      expect(res.address).to.deep.include({ address: "k0duvsr4qn" });
+      expect(res.addresses.map(a => a.address)).to.deep.equal(["k8juvewcui", "k0duvsr4qn"]);
+      ws.close();
+    });
+  });
+
+  describe("ownTransactions", () => {
+    it("should receive the transactions of all the logged in addresses", async () => {
+      const [ws, events] = await connect("a");
+      await ws.sendAndWait({ type: "login", privatekey: "d" });
+
+      await api().post("/transactions").send({ privatekey: "d", to: "k7oax47quv", amount: 1 });
+      await api().post("/transactions").send({ privatekey: "a", to: "k7oax47quv", amount: 1 });
+      await wait(100);
+
+      const transactions = events.filter(e => e.event === "transaction");
+      expect(transactions.map(e => e.transaction.from)).to.deep.equal(["k0duvsr4qn", "k8juvewcui"]);
+      ws.close();
+    });
+  });
+
+  describe("make_transaction", () => {
+    it("should send from the last logged in address by default", async () => {
+      const [ws] = await connect("a");
+      await ws.sendAndWait({ type: "login", privatekey: "d" });
+
+      const res = await ws.sendAndWait({ type: "make_transaction", to: "k7oax47quv", amount: 1 });
+      expect(res).to.deep.include({ ok: true });
+      expect(res.transaction).to.deep.include({ from: "k0duvsr4qn" });
+      ws.close();
+    });
+
+    it("should send from the given address", async () => {
+      const [ws] = await connect("a");
+      await ws.sendAndWait({ type: "login", privatekey: "d" });
+
+      const res = await ws.sendAndWait({ type: "make_transaction", address: "k8juvewcui", to: "k7oax47quv", amount: 1 });
+      expect(res).to.deep.include({ ok: true });
+      expect(res.transaction).to.deep.include({ from: "k8juvewcui" });
+      ws.close();
+    });
+
+    it("should error with an address that isn't logged in", async () => {
+      const [ws] = await connect("a");
+
+      const res = await ws.sendAndWait({ type: "make_transaction", address: "k0duvsr4qn", to: "k7oax47quv", amount: 1 });
+      expect(res).to.deep.include({ ok: false, error: "invalid_parameter", parameter: "address" });
+      ws.close();
+    });
+  });
+
+  describe("logout", () => {
+    it("should log out of a single address", async () => {
+      const [ws] = await connect("a");
+      await ws.sendAndWait({ type: "login", privatekey: "d" });
+
+      const res = await ws.sendAndWait({ type: "logout", address: "k0duvsr4qn" });
+      expect(res).to.deep.include({ ok: true, isGuest: false, addresses: ["k8juvewcui"] });
+
+      const me = await ws.sendAndWait({ type: "me" });
+      expect(me.address).to.deep.include({ address: "k8juvewcui" });
+      ws.close();
+    });
+
+    it("should log out of all addresses", async () => {
+      const [ws] = await connect("a");
+      await ws.sendAndWait({ type: "login", privatekey: "d" });
+
+      const res = await ws.sendAndWait({ type: "logout" });
+      expect(res).to.deep.include({ ok: true, isGuest: true, addresses: [] });
+      ws.close();
+    });
+  });
+});
@@ -0,0 +1,161 @@
+const { expect } = require("chai");
+
+const { seed } = require("../seed");
+const { api } = require("../api");
+const { newConnection } = require("../ws");
+
+describe("websocket routes: lookup", function() {
+  before(seed);
+  this.retries(4);
+
+  async function send(data) {
+    const ws = await newConnection();
+    expect(ws).to.nested.include({ "wsp.isOpened": true });
+
+    const res = await ws.sendAndWait(data);
+    expect(res).to.be.an("object");
+    return [res, ws];
+  }
+
+  describe("lookup_addresses", () => {
+    it("should error with a missing 'addresses'", async () => {
+      const [res, ws] = await send({ type: "lookup_addresses" });
+      expect(res).to.deep.include({ ok: false, error: "missing_parameter", parameter: "addresses" });
+      ws.close();
+    });
+
+    it("should error with invalid 'addresses'", async () => {
+      const [res, ws] = await send({ type: "lookup_addresses", addresses: "k8juvewcui,foo" });
+      expect(res).to.deep.include({ ok: false, error: "invalid_parameter", parameter: "addresses" });
+      ws.close();
+    });
+
+    it("should lookup addresses", async () => {
+      const [res, ws] = await send({ type: "lookup_addresses", addresses: ["k8juvewcui", "kzzzzzzzzz"] });
+      expect(res).to.deep.include({ ok: true, found: 1, notFound: 1 });
+      expect(res.addresses.k8juvewcui).to.deep.include({ address: "k8juvewcui", balance: 10 });
+      expect(res.addresses.kzzzzzzzzz).to.be.null;
+      ws.close();
+    });
+  });
+
+  describe("lookup_blocks", () => {
+    it("should error with an invalid 'orderBy'", async () => {
+      const [res, ws] = await send({ type: "lookup_blocks", orderBy: "foo" });
+      expect(res).to.deep.include({ ok: false, error: "invalid_parameter", parameter: "orderBy" });
+      ws.close();
+    });
+
+    it("should lookup blocks", async () => {
+      const [res, ws] = await send({ type: "lookup_blocks", order: "DESC" });
+      expect(res).to.deep.include({ ok: true, count: 1, total: 1 });
+      expect(res.blocks[0]).to.deep.include({ height: 1 });
+      ws.close();
+    });
+  });
+
+  describe("lookup_transactions", () => {
+    it("should lookup transactions", async () => {
+      const [res, ws] = await send({ type: "lookup_transactions", addresses: "k8juvewcui", includeMined: true });
+      expect(res).to.deep.include({ ok: true });
+      expect(res.transactions).to.be.an("array");
+      ws.close();
+    });
+
+    describe("metadata fields", () => {
+      before(async () => {
+        await api().post("/transactions").send({ to: "k7oax47quv", amount: 1, privatekey: "d", metadata: "return=k0duvsr4qn;order=42" });
+        await api().post("/transactions").send({ to: "k7oax47quv", amount: 1, privatekey: "d", metadata: "return=k0duvsr4qn;order=43" });
+      });
+
+      it("should filter transactions by a meta object", async () => {
+        const [res, ws] = await send({ type: "lookup_transactions", meta: { return: "k0duvsr4qn", order: 42 } });
+        expect(res).to.deep.include({ ok: true, count: 1 });
+        expect(res.transactions[0]).to.deep.include({ metadata: "return=k0duvsr4qn;order=42" });
+        ws.close();
+      });
+
+      it("should filter transactions by meta fields", async () => {
+        const [res, ws] = await send({ type: "lookup_transactions", "meta.return": "k0duvsr4qn", "meta.order": "43" });
+        expect(res).to.deep.include({ ok: true, count: 1 });
+        expect(res.transactions[0]).to.deep.include({ metadata: "return=k0duvsr4qn;order=43" });
+        ws.close();
+      });
+
+      it("should error when both forms are given", async () => {
+        const [res, ws] = await send({ type: "lookup_transactions", meta: { return: "k0duvsr4qn" }, "meta.order": "43" });
+        expect(res).to.deep.include({ ok: false, error: "invalid_parameter", parameter: "meta" });
+        ws.close();
+      });
+
+      it("should error with an invalid meta field", async () => {
+        const [res, ws] = await send({ type: "lookup_transactions", "meta.return": "a;b" });
+        expect(res).to.deep.include({ ok: false, error: "invalid_parameter", parameter: "meta.return" });
+        ws.close();
+      });
+    });
+  });
+
+  describe("lookup_names", () => {
+    it("should lookup names", async () => {
+      const [res, ws] = await send({ type: "lookup_names", limit: 10 });
+      expect(res).to.deep.include({ ok: true });
+      expect(res.names).to.be.an("array");
+      ws.close();
+    });
+  });
+
+  describe("lookup_name_history", () => {
+    it("should error with a missing 'name'", async () => {
+      const [res, ws] = await send({ type: "lookup_name_history" });
+      expect(res).to.deep.include({ ok: false, error: "missing_parameter", parameter: "name" });
+      ws.close();
+    });
+  });
+
+  describe("search", () => {
+    it("should error with a missing query", async () => {
+      const [res, ws] = await send({ type: "search" });
+      expect(res).to.deep.include({ ok: false, error: "missing_parameter", parameter: "q" });
+      ws.close();
+    });
+
+    it("should search for an address", async () => {
+      const [res, ws] = await send({ type: "search", q: "k8juvewcui" });
+      expect(res).to.deep.include({ ok: true });
+      expect(res.query).to.deep.include({ matchAddress: true });
+      expect(res.matches.exactAddress).to.deep.include({ address: "k8juvewcui", balance: 10 });
+      ws.close();
+    });
+  });
+
+  describe("search_extended", () => {
+    it("should error with a short query", async () => {
+      const [res, ws] = await send({ type: "search_extended", q: "ab" });
+      expect(res).to.deep.include({ ok: false, error: "invalid_parameter", parameter: "q" });
+      ws.close();
+    });
+
+    it("should count the matching transactions", async () => {
+      const [res, ws] = await send({ type: "search_extended", q: "k8juvewcui" });
+      expect(res).to.deep.include({ ok: true });
+      expect(res.matches.transactions.addressInvolved).to.be.a("number");
+      ws.close();
+    });
+  });
+
+  describe("search_extended_results", () => {
+    it("should error with an invalid 'search_type'", async () => {
+      const [res, ws] = await send({ type: "search_extended_results", q: "k8juvewcui", search_type: "foo" });
+      expect(res).to.deep.include({ ok: false, error: "invalid_parameter", parameter: "search_type" });
+      ws.close();
+    });
+
+    it("should return the matching transactions", async () => {
+      const [res, ws] = await send({ type: "search_extended_results", q: "k8juvewcui", search_type: "address" });
+      expect(res).to.deep.include({ ok: true });
+      expect(res.transactions).to.be.an("array");
+      ws.close();
+    });
+  });
+});
@@ -0,0 +1,50 @@
+const { expect } = require("chai");
+
+const { seed } = require("../seed");
+const { api } = require("../api");
+const { newConnection } = require("../ws");
+
+describe("websocket routes: multisig", function() {
+  before(seed);
+  this.retries(4);
+
+  let address;
+  before(async () => {
+    const res = await api().post("/multisig").send({ privatekey: "a", members: ["k8juvewcui", "k7oax47quv"], threshold: 2 });
+    address = res.body.multisig.address;
+
+    await api().post("/transactions").send({ privatekey: "a", to: address, amount: 5 });
+    await api().post("/multisig/" + address + "/proposals").send({ privatekey: "a", to: "k0duvsr4qn", amount: 5 });
+  });
+
+  async function send(data, privatekey) {
+    const ws = await newConnection(privatekey);
+    expect(ws).to.nested.include({ "wsp.isOpened": true });
+
+    const res = await ws.sendAndWait({ type: "approve_multisig_proposal", ...data });
+    expect(res).to.be.an("object");
+    return [res, ws];
+  }
+
+  describe("approve_multisig_proposal", () => {
+    it("should error with a missing 'privatekey' for guests", async () => {
+      const [res, ws] = await send({ proposal: 1 });
+      expect(res).to.deep.include({ ok: false, error: "missing_parameter", parameter: "privatekey" });
+      ws.close();
+    });
+
+    it("should error with a missing 'proposal'", async () => {
+      const [res, ws] = await send({}, "b");
+      expect(res).to.deep.include({ ok: false, error: "missing_parameter", parameter: "proposal" });
+      ws.close();
+    });
+
+    it("should approve and execute a proposal", async () => {
+      const [res, ws] = await send({ proposal: 1 }, "b");
+      expect(res).to.deep.include({ ok: true });
+      expect(res.proposal).to.deep.include({ id: 1, multisig: address, status: "executed" });
+      expect(res.proposal.approvals.map(a => a.member)).to.deep.equal(["k8juvewcui", "k7oax47quv"]);
+      ws.close();
+    });
+  });
+});
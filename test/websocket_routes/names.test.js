@@ -0,0 +1,105 @@
+const { expect } = require("chai");
+
+const { seed } = require("../seed");
+const { newConnection } = require("../ws");
+
+describe("websocket routes: names", function() {
+  before(seed);
+  this.retries(4);
+
+  async function send(data, privatekey) {
+    const ws = await newConnection(privatekey);
+    expect(ws).to.nested.include({ "wsp.isOpened": true });
+
+    const res = await ws.sendAndWait(data);
+    expect(res).to.be.an("object");
+    return [res, ws];
+  }
+
+  describe("register_name", () => {
+    it("should error with a missing 'privatekey' for guests", async () => {
+      const [res, ws] = await send({ type: "register_name", name: "test" });
+      expect(res).to.deep.include({ ok: false, error: "missing_parameter", parameter: "privatekey" });
+      ws.close();
+    });
+
+    it("should error with a missing 'name'", async () => {
+      const [res, ws] = await send({ type: "register_name" }, "d");
+      expect(res).to.deep.include({ ok: false, error: "missing_parameter", parameter: "name" });
+      ws.close();
+    });
+
+    it("should error with insufficient funds", async () => {
+      const [res, ws] = await send({ type: "register_name", name: "test" }, "a");
+      expect(res).to.deep.include({ ok: false, error: "insufficient_funds" });
+      ws.close();
+    });
+
+    it("should register a name with the logged in address", async () => {
+      const [res, ws] = await send({ type: "register_name", name: "test" }, "d");
+      expect(res).to.deep.include({ ok: true });
+      ws.close();
+
+      const schemas = require("../../src/schemas");
+      const name = await schemas.name.findOne({ where: { name: "test" }});
+      expect(name).to.exist;
+      expect(name).to.deep.include({ owner: "k0duvsr4qn" });
+    });
+
+    it("should error when the name is taken", async () => {
+      const [res, ws] = await send({ type: "register_name", name: "test" }, "d");
+      expect(res).to.deep.include({ ok: false, error: "name_taken" });
+      ws.close();
+    });
+  });
+
+  describe("update_name", () => {
+    it("should update a name's A record", async () => {
+      const [res, ws] = await send({ type: "update_name", name: "test", a: "example.com" }, "d");
+      expect(res).to.deep.include({ ok: true });
+      expect(res.name).to.deep.include({ name: "test", owner: "k0duvsr4qn", a: "example.com" });
+      ws.close();
+    });
+
+    it("should error for names owned by someone else", async () => {
+      const [res, ws] = await send({ type: "update_name", name: "test", a: "example.com" }, "a");
+      expect(res).to.deep.include({ ok: false, error: "not_name_owner" });
+      ws.close();
+    });
+  });
+
+  describe("transfer_name", () => {
+    it("should error with a missing 'address'", async () => {
+      const [res, ws] = await send({ type: "transfer_name", name: "test" }, "d");
+      expect(res).to.deep.include({ ok: false, error: "missing_parameter", parameter: "address" });
+      ws.close();
+    });
+
+    it("should transfer a name", async () => {
+      const [res, ws] = await send({ type: "transfer_name", name: "test", address: "k7oax47quv" }, "d");
+      expect(res).to.deep.include({ ok: true });
+      expect(res.name).to.deep.include({ name: "test", owner: "k7oax47quv", original_owner: "k0duvsr4qn" });
+      ws.close();
+    });
+
+    it("should error with a 'from' address that isn't logged in", async () => {
+      const [res, ws] = await send({ type: "transfer_name", name: "test", address: "k0duvsr4qn", from: "k8juvewcui" }, "b");
+      expect(res).to.deep.include({ ok: false, error: "invalid_parameter", parameter: "from" });
+      ws.close();
+    });
+
+    it("should transfer a name owned by another logged in address", async () => {
+      const ws = await newConnection("b");
+      await ws.sendAndWait({ type: "login", privatekey: "a" });
+
+      // The name is owned by the first address, not the last one logged in to
+      const failed = await ws.sendAndWait({ type: "transfer_name", name: "test", address: "k0duvsr4qn" });
+      expect(failed).to.deep.include({ ok: false, error: "not_name_owner" });
+
+      const res = await ws.sendAndWait({ type: "transfer_name", name: "test", address: "k0duvsr4qn", from: "k7oax47quv" });
+      expect(res).to.deep.include({ ok: true });
+      expect(res.name).to.deep.include({ name: "test", owner: "k0duvsr4qn" });
+      ws.close();
+    });
+  });
+});
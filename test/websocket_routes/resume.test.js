@@ -0,0 +1,103 @@
+const { expect } = require("chai");
+
+const { seed } = require("../seed");
+const { api } = require("../api");
+const { newConnection } = require("../ws");
+
+describe("websocket routes: resume", function() {
+  before(seed);
+  this.retries(4);
+
+  /** Connects and collects every event received. */
+  async function connect(privatekey) {
+    const events = [];
+    const ws = await newConnection(privatekey, (_, wsp) => {
+      wsp.onUnpackedMessage.addListener(data => {
+        if (data.type === "event") events.push(data);
+      });
+    });
+    expect(ws).to.nested.include({ "wsp.isOpened": true });
+
+    return [ws, events];
+  }
+
+  const getLastEventID = () => require("../../src/websockets").getLastEventID();
+
+  describe("resume - validation", () => {
+    it("should error with a missing 'last_event_id'", async () => {
+      const [ws] = await connect();
+      const res = await ws.sendAndWait({ type: "resume" });
+      expect(res).to.deep.include({ ok: false, error: "missing_parameter", parameter: "last_event_id" });
+      ws.close();
+    });
+
+    it("should error with an invalid 'last_event_id'", async () => {
+      const [ws] = await connect();
+      const res = await ws.sendAndWait({ type: "resume", last_event_id: -1 });
+      expect(res).to.deep.include({ ok: false, error: "invalid_parameter", parameter: "last_event_id" });
+      ws.close();
+    });
+
+    it("should error with a non-integer 'last_event_id'", async () => {
+      const [ws] = await connect();
+      for (const lastEventID of [true, false, "", "1e3", "5", 1.5, [1]]) {
+        const res = await ws.sendAndWait({ type: "resume", last_event_id: lastEventID });
+        expect(res).to.deep.include({ ok: false, error: "invalid_parameter", parameter: "last_event_id" });
+      }
+      ws.close();
+    });
+  });
+
+  describe("resume", () => {
+    let lastEventID;
+
+    before(async () => {
+      lastEventID = await getLastEventID();
+
+      // Make two transactions while nobody is connected
+      await api().post("/transactions").send({ privatekey: "a", to: "k7oax47quv", amount: 1 });
+      await api().post("/transactions").send({ privatekey: "a", to: "k7oax47quv", amount: 2 });
+    });
+
+    it("should send the missed events before responding", async () => {
+      const [ws, events] = await connect("a");
+      const res = await ws.sendAndWait({ type: "resume", last_event_id: lastEventID });
+
+      expect(res).to.deep.include({ ok: true, replayed: 2, complete: true, last_event_id: lastEventID + 2 });
+      expect(events.map(e => e.event_id)).to.deep.equal([lastEventID + 1, lastEventID + 2]);
+      expect(events.map(e => e.transaction.value)).to.deep.equal([1, 2]);
+      ws.close();
+    });
+
+    it("should only send events matching the subscriptions", async () => {
+      const [ws, events] = await connect();
+      const res = await ws.sendAndWait({ type: "resume", last_event_id: lastEventID });
+
+      expect(res).to.deep.include({ ok: true, replayed: 0, complete: true });
+      expect(events).to.be.empty;
+      ws.close();
+    });
+
+    it("should send nothing when no events were missed", async () => {
+      const [ws, events] = await connect("a");
+      const res = await ws.sendAndWait({ type: "resume", last_event_id: lastEventID + 2 });
+
+      expect(res).to.deep.include({ ok: true, replayed: 0, complete: true });
+      expect(events).to.be.empty;
+      ws.close();
+    });
+
+    it("should be incomplete if missed events are no longer kept", async () => {
+      // Drop the oldest event from the backlog
+      const { getRedis } = require("../../src/redis");
+      await getRedis().zremrangebyscore("ws-event-backlog", lastEventID + 1, lastEventID + 1);
+
+      const [ws, events] = await connect("a");
+      const res = await ws.sendAndWait({ type: "resume", last_event_id: lastEventID });
+
+      expect(res).to.deep.include({ ok: true, replayed: 1, complete: false });
+      expect(events.map(e => e.event_id)).to.deep.equal([lastEventID + 2]);
+      ws.close();
+    });
+  });
+});
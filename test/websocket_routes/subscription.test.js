@@ -0,0 +1,209 @@
+const { expect } = require("chai");
+
+const { seed } = require("../seed");
+const { api } = require("../api");
+const { newConnection } = require("../ws");
+
+describe("websocket routes: subscription", function() {
+  before(seed);
+  this.retries(4);
+
+  /** Connects as a guest and collects every event received. */
+  async function connect(init) {
+    const events = [];
+    const ws = await newConnection(undefined, (_, wsp) => {
+      wsp.onUnpackedMessage.addListener(data => {
+        if (data.type === "event") events.push(data);
+      });
+      if (init) init(_, wsp);
+    });
+    expect(ws).to.nested.include({ "wsp.isOpened": true });
+
+    // Guests are subscribed to blocks by default, ignore them here
+    await ws.sendAndWait({ type: "unsubscribe", event: "blocks" });
+    return [ws, events];
+  }
+
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  describe("subscribe - validation", () => {
+    it("should error with a missing 'address'", async () => {
+      const [ws] = await connect();
+      const res = await ws.sendAndWait({ type: "subscribe", event: "address" });
+      expect(res).to.deep.include({ ok: false, error: "missing_parameter", parameter: "address" });
+      ws.close();
+    });
+
+    it("should error with an invalid 'address'", async () => {
+      const [ws] = await connect();
+      const res = await ws.sendAndWait({ type: "subscribe", event: "address", address: "kfartoolong" });
+      expect(res).to.deep.include({ ok: false, error: "invalid_parameter", parameter: "address" });
+      ws.close();
+    });
+
+    it("should error with an invalid 'name'", async () => {
+      const [ws] = await connect();
+      const res = await ws.sendAndWait({ type: "subscribe", event: "name", name: "not a name" });
+      expect(res).to.deep.include({ ok: false, error: "invalid_parameter", parameter: "name" });
+      ws.close();
+    });
+
+    it("should limit the amount of subscriptions", async () => {
+      const [ws] = await connect();
+      for (let i = 0; i < 100; i++) {
+        const res = await ws.sendAndWait({ type: "subscribe", event: "name", name: "name" + i });
+        expect(res).to.deep.include({ ok: true });
+      }
+
+      const res = await ws.sendAndWait({ type: "subscribe", event: "address", address: "k8juvewcui" });
+      expect(res).to.deep.include({ ok: false, error: "too_many_subscriptions" });
+      ws.close();
+    });
+  });
+
+  describe("subscribe", () => {
+    it("should subscribe to an address", async () => {
+      const [ws] = await connect();
+      const res = await ws.sendAndWait({ type: "subscribe", event: "address", address: "k7oax47quv" });
+      expect(res).to.deep.include({ ok: true, subscribed_addresses: ["k7oax47quv"], subscribed_names: [] });
+      ws.close();
+    });
+
+    it("should subscribe to a name without its suffix", async () => {
+      const [ws] = await connect();
+      const res = await ws.sendAndWait({ type: "subscribe", event: "name", name: "Shop.kst" });
+      expect(res).to.deep.include({ ok: true, subscribed_addresses: [], subscribed_names: ["shop"] });
+      ws.close();
+    });
+
+    it("should only receive events for the subscribed address", async () => {
+      const [ws, events] = await connect();
+      await ws.sendAndWait({ type: "subscribe", event: "address", address: "k7oax47quv" });
+
+      await api().post("/transactions").send({ privatekey: "a", to: "k7oax47quv", amount: 1 });
+      await api().post("/transactions").send({ privatekey: "a", to: "k0duvsr4qn", amount: 1 });
+      await wait(100);
+
+      expect(events).to.have.lengthOf(1);
+      expect(events[0].transaction).to.deep.include({ from: "k8juvewcui", to: "k7oax47quv" });
+      ws.close();
+    });
+
+    it("should receive payments to the subscribed name", async () => {
+      const schemas = require("../../src/schemas");
+      await schemas.name.create({ name: "shop", owner: "k0duvsr4qn", registered: new Date(), unpaid: 0 });
+
+      const [ws, events] = await connect();
+      await ws.sendAndWait({ type: "subscribe", event: "name", name: "shop" });
+
+      await api().post("/transactions").send({ privatekey: "a", to: "shop.kst", amount: 1 });
+      await wait(100);
+
+      expect(events).to.have.lengthOf(1);
+      expect(events[0].transaction).to.deep.include({ to: "k0duvsr4qn", sent_name: "shop" });
+      ws.close();
+    });
+
+    it("should only receive an event once", async () => {
+      const [ws, events] = await connect();
+      await ws.sendAndWait({ type: "subscribe", event: "transactions" });
+      await ws.sendAndWait({ type: "subscribe", event: "address", address: "k8juvewcui" });
+      await ws.sendAndWait({ type: "subscribe", event: "address", address: "k7oax47quv" });
+
+      await api().post("/transactions").send({ privatekey: "a", to: "k7oax47quv", amount: 1 });
+      await wait(100);
+
+      expect(events).to.have.lengthOf(1);
+      ws.close();
+    });
+
+    it("should stop receiving events after unsubscribing", async () => {
+      const [ws, events] = await connect();
+      await ws.sendAndWait({ type: "subscribe", event: "address", address: "k7oax47quv" });
+      const res = await ws.sendAndWait({ type: "unsubscribe", event: "address", address: "k7oax47quv" });
+      expect(res).to.deep.include({ ok: true, subscribed_addresses: [] });
+
+      await api().post("/transactions").send({ privatekey: "a", to: "k7oax47quv", amount: 1 });
+      await wait(100);
+
+      expect(events).to.be.empty;
+      ws.close();
+    });
+  });
+
+  describe("subscribe - filters", () => {
+    it("should error with an invalid filter", async () => {
+      const [ws] = await connect();
+      const res = await ws.sendAndWait({ type: "subscribe", event: "transactions", filter: { min_value: -1 } });
+      expect(res).to.deep.include({ ok: false, error: "invalid_parameter", parameter: "filter.min_value" });
+      ws.close();
+    });
+
+    it("should error with a filter on a subscription without transactions", async () => {
+      const [ws] = await connect();
+      const res = await ws.sendAndWait({ type: "subscribe", event: "blocks", filter: { min_value: 1 } });
+      expect(res).to.deep.include({ ok: false, error: "invalid_parameter", parameter: "filter" });
+      ws.close();
+    });
+
+    it("should return the subscription filters", async () => {
+      const [ws] = await connect();
+      const res = await ws.sendAndWait({ type: "subscribe", event: "address", address: "k7oax47quv", filter: { type: "transfer", foo: 1 } });
+      expect(res).to.deep.include({ ok: true, subscription_filters: { "address:k7oax47quv": { type: ["transfer"] } } });
+      ws.close();
+    });
+
+    it("should only receive transactions matching 'min_value'", async () => {
+      const [ws, events] = await connect();
+      await ws.sendAndWait({ type: "subscribe", event: "address", address: "k7oax47quv", filter: { min_value: 5 } });
+
+      await api().post("/transactions").send({ privatekey: "d", to: "k7oax47quv", amount: 1 });
+      await api().post("/transactions").send({ privatekey: "d", to: "k7oax47quv", amount: 5 });
+      await wait(100);
+
+      expect(events).to.have.lengthOf(1);
+      expect(events[0].transaction).to.deep.include({ value: 5 });
+      ws.close();
+    });
+
+    it("should only receive transactions matching 'metadata_key'", async () => {
+      const [ws, events] = await connect();
+      await ws.sendAndWait({ type: "subscribe", event: "transactions", filter: { metadata_key: "return" } });
+
+      await api().post("/transactions").send({ privatekey: "d", to: "k7oax47quv", amount: 1, metadata: "foo=bar" });
+      await api().post("/transactions").send({ privatekey: "d", to: "k7oax47quv", amount: 1, metadata: "foo=bar;return=k0duvsr4qn" });
+      await wait(100);
+
+      expect(events).to.have.lengthOf(1);
+      expect(events[0].transaction).to.deep.include({ metadata: "foo=bar;return=k0duvsr4qn" });
+      ws.close();
+    });
+
+    it("should receive transactions matching any of its subscriptions", async () => {
+      const [ws, events] = await connect();
+      await ws.sendAndWait({ type: "subscribe", event: "transactions", filter: { min_value: 100 } });
+      await ws.sendAndWait({ type: "subscribe", event: "address", address: "k7oax47quv" });
+
+      await api().post("/transactions").send({ privatekey: "d", to: "k7oax47quv", amount: 1 });
+      await api().post("/transactions").send({ privatekey: "d", to: "k8juvewcui", amount: 1 });
+      await wait(100);
+
+      expect(events).to.have.lengthOf(1);
+      expect(events[0].transaction).to.deep.include({ to: "k7oax47quv" });
+      ws.close();
+    });
+
+    it("should remove the filter when subscribing again without one", async () => {
+      const [ws, events] = await connect();
+      await ws.sendAndWait({ type: "subscribe", event: "transactions", filter: { type: "name_purchase" } });
+      const res = await ws.sendAndWait({ type: "subscribe", event: "transactions" });
+      expect(res).to.deep.include({ ok: true, subscription_filters: {} });
+
+      await api().post("/transactions").send({ privatekey: "d", to: "k7oax47quv", amount: 1 });
+      await wait(100);
+
+      expect(events).to.have.lengthOf(1);
+      ws.close();
+    });
+  });
+});
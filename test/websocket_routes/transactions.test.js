@@ -215,5 +215,58 @@ describe("websocket routes: transactions", function() {
       expect(res.transaction).to.deep.include({ id: 9, from: "k0duvsr4qn", to: "k7oax47quv", value: 1, type: "transfer" });
       ws.close();
     });
+
+    it("should return the original transaction when retried with the same 'request_id'", async () => {
+      const [res1, ws1] = await send({ amount: 1, to: "k7oax47quv", privatekey: "d", request_id: "test-key" });
+      expect(res1).to.deep.include({ ok: true });
+      expect(res1.transaction).to.deep.include({ id: 10, from: "k0duvsr4qn", to: "k7oax47quv", value: 1, type: "transfer" });
+      ws1.close();
+
+      const [res2, ws2] = await send({ amount: 1, to: "k7oax47quv", privatekey: "d", request_id: "test-key" });
+      expect(res2).to.deep.include({ ok: true });
+      expect(res2.transaction).to.deep.include({ id: 10, from: "k0duvsr4qn", to: "k7oax47quv", value: 1, type: "transfer" });
+      ws2.close();
+
+      const schemas = require("../../src/schemas");
+      const from = await schemas.address.findOne({ where: { address: "k0duvsr4qn" }});
+      expect(from.balance).to.equal(24998);
+    });
+  });
+
+  describe("make_transactions", () => {
+    it("should error with a missing 'privatekey' for guests", async () => {
+      const ws = await newConnection();
+      const res = await ws.sendAndWait({ type: "make_transactions", transactions: [{ to: "k7oax47quv", amount: 1 }] });
+      expect(res).to.deep.include({ ok: false, error: "missing_parameter", parameter: "privatekey" });
+      ws.close();
+    });
+
+    it("should not make any transactions when one is invalid", async () => {
+      const ws = await newConnection("a");
+      const res = await ws.sendAndWait({ type: "make_transactions", transactions: [
+        { to: "k7oax47quv", amount: 1 },
+        { to: "kfartoolong", amount: 1 }
+      ]});
+      expect(res).to.deep.include({ ok: false, error: "invalid_parameter", parameter: "transactions[1].to" });
+      ws.close();
+    });
+
+    it("should make multiple transactions", async () => {
+      const schemas = require("../../src/schemas");
+      await schemas.address.update({ balance: 10 }, { where: { address: "k8juvewcui" }});
+
+      const ws = await newConnection("a");
+      const res = await ws.sendAndWait({ type: "make_transactions", transactions: [
+        { to: "k7oax47quv", amount: 1 },
+        { to: "test.kst", amount: 2 }
+      ]});
+      expect(res).to.deep.include({ ok: true, count: 2 });
+      expect(res.transactions[0]).to.deep.include({ from: "k8juvewcui", to: "k7oax47quv", value: 1 });
+      expect(res.transactions[1]).to.deep.include({ from: "k8juvewcui", to: "k7oax47quv", value: 2, metadata: "test.kst" });
+      ws.close();
+
+      const from = await schemas.address.findOne({ where: { address: "k8juvewcui" }});
+      expect(from.balance).to.equal(7);
+    });
   });
 });